@@ -0,0 +1,23 @@
+// Regenerates public/data/schools.geojson, the bundled school snapshot the
+// Schools layer shows before (or instead of) a live Overpass request.
+//
+//   npm run snapshot:schools
+//   OVERPASS_URL=http://localhost:12345/api/interpreter npm run snapshot:schools
+import { writeFile } from "node:fs/promises";
+import osmtogeojson from "osmtogeojson";
+import { SCHOOL_OVERPASS_QUERY as query } from "../src/schoolQuery.mjs";
+
+const endpoint = process.env.OVERPASS_URL || "https://overpass-api.de/api/interpreter";
+const output = new URL("../public/data/schools.geojson", import.meta.url);
+
+const res = await fetch(endpoint, { method: "POST", body: query });
+if (!res.ok) {
+  console.error(`Overpass returned HTTP ${res.status}`);
+  process.exit(1);
+}
+const json = await res.json();
+const geojson = osmtogeojson(json);
+geojson.timestamp = json.osm3s?.timestamp_osm_base || new Date().toISOString();
+
+await writeFile(output, JSON.stringify(geojson));
+console.log(`Wrote ${geojson.features.length} schools (${geojson.timestamp}) to ${output.pathname}`);
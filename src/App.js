@@ -1,20 +1,70 @@
-import React, { useState, useEffect, useRef, useMemo } from "react";
+import React, { useState, useEffect, useRef, useMemo, useCallback } from "react";
 import {
   MapContainer,
   TileLayer,
   GeoJSON,
   Marker,
   Popup,
+  Polygon,
   useMap,
+  useMapEvent,
 } from "react-leaflet";
 import L from "leaflet";
 import "leaflet/dist/leaflet.css";
-import osmtogeojson from "osmtogeojson";
 import MarkerClusterGroup from "react-leaflet-cluster"; 
 import CustomSearch from "./CustomSearch";
-import { LegendWidget, HomeButton } from "./Widgets"; 
+import { LegendWidget, HomeButton, LoadProgress } from "./Widgets"; 
+import WardStatsWidget from "./WardStatsWidget";
+import TreeFilterWidget from "./TreeFilterWidget";
+import { EMPTY_TREE_FILTER, buildTreePredicate } from "./treeFilter";
+import { buildSpeciesColors, speciesKey, treeIcon, isTreeFeature } from "./treeSpecies";
+import { createSpeciesClusterIcon, clusterTooltipContent } from "./treeClusters";
+import { TREE_CENSUS_PARTS, loadTreeCensus } from "./treeLoader";
+import { appendPoints } from "./pointTiles";
+import { treePopupContent } from "./popups";
+import TreeTileLayer from "./TreeTileLayer";
+import ElevationWidget from "./ElevationWidget";
+import DemStyleWidget from "./DemStyleWidget";
+import LowLyingWidget from "./LowLyingWidget";
+import UrlHashSync from "./UrlHashSync";
+import BookmarksWidget from "./BookmarksWidget";
+import { decodeHash } from "./urlState";
+import {
+  fetchManifest,
+  sourcesInView,
+  openGeoTiffSource,
+  loadTileJson,
+  readRasterWindows,
+  describeDemSources,
+  describeDemProblems,
+} from "./demSources";
+import {
+  DEFAULT_DEM_STYLE,
+  deriveTerrain,
+  effectiveNoData,
+  renderNoData,
+  autoStretch,
+  effectiveStretch,
+  demColorFn,
+  demLegend,
+} from "./demAnalysis";
+import { computeWardStats, buildChoropleth, wardKey } from "./wardStats";
+import { createWardLookup, wardLabel } from "./wardLookup";
+import WardAtPoint from "./WardAtPoint";
+import NearbyWidget from "./NearbyWidget";
+import MeasureWidget from "./MeasureWidget";
+import SketchWidget from "./SketchWidget";
+import AttributeTableWidget from "./AttributeTableWidget";
+import CatchmentWidget from "./CatchmentWidget";
+import PrintWidget from "./PrintWidget";
+import WardDashboard from "./WardDashboard";
+import WardVintageWidget from "./WardVintageWidget";
+import { loadWardVintages } from "./wardVintages";
+import { loadSketches, saveSketches } from "./sketches";
+import { loadSchools, describeSchoolSource } from "./schoolSource";
+import { prepareSchoolData, schoolName, schoolDetails, isSchoolArea, isSchoolFeature, schoolId } from "./schools";
+import { featurePoint } from "./geoUtils";
 import "./App.css"; 
-import parseGeoraster from "georaster";
 import GeoRasterLayer from "georaster-layer-for-leaflet";
 
 // Basemaps
@@ -94,167 +144,54 @@ function BasemapWidget({ current, onChange }) {
   ) : null;
 }
 
-// Bookmarks Widget
-function BookmarksWidget() {
-  const map = useMap();
-  const controlRef = useRef();
-  const [visible, setVisible] = useState(false);
-  const [bookmarks, setBookmarks] = useState([]);
-  const [newBookmarkName, setNewBookmarkName] = useState('');
-
-  useEffect(() => {
-    try {
-      const storedBookmarks = localStorage.getItem('mapBookmarks');
-      if (storedBookmarks) {
-        setBookmarks(JSON.parse(storedBookmarks));
-      }
-    } catch (error) {
-      console.error("Error loading bookmarks from localStorage:", error);
-    }
-  }, []);
-
-  // Save bookmarks to localStorage whenever they change
-  useEffect(() => {
-    try {
-      localStorage.setItem('mapBookmarks', JSON.stringify(bookmarks));
-    } catch (error) {
-      console.error("Error saving bookmarks to localStorage:", error);
-    }
-  }, [bookmarks]);
-
-  useEffect(() => {
-    const control = L.control({ position: "topright" });
-
-    control.onAdd = () => {
-      const div = L.DomUtil.create("div", "leaflet-control-layers leaflet-bar");
-      div.innerHTML = '<button title="Bookmarks">🔖</button>';
-      div.style.cursor = "pointer";
-      div.style.width = "34px";
-      div.style.height = "34px";
-      div.style.display = "flex";
-      div.style.alignItems = "center";
-      div.style.justifyContent = "center";
-      div.onclick = () => setVisible((v) => !v);
-      return div;
-    };
-
-    control.addTo(map);
-    controlRef.current = control;
-
-    return () => {
-      map.removeControl(control);
-    };
-  }, [map]);
-
-  const saveCurrentViewAsBookmark = () => {
-    if (!newBookmarkName.trim()) {
-      const message = "Please enter a name for the bookmark.";
-      console.warn(message);
-      return;
-    }
-
-    const currentCenter = map.getCenter();
-    const currentZoom = map.getZoom();
-
-    const newBookmark = {
-      id: Date.now(),
-      name: newBookmarkName.trim(),
-      center: [currentCenter.lat, currentCenter.lng],
-      zoom: currentZoom,
-    };
-
-    setBookmarks((prev) => [...prev, newBookmark]);
-    setNewBookmarkName('');
-    setVisible(false);
-  };
-
-  const goToBookmark = (bm) => {
-    map.setView(bm.center, bm.zoom);
-    setVisible(false);
-  };
-
-  const deleteBookmark = (id) => {
-    setBookmarks((prev) => prev.filter(bm => bm.id !== id));
-  };
-
-
-  if (!visible) return null;
-
-  return (
-    <div className="Bookmark-popup leaflet-control" style={{ top: "40px", right: "50px", width: "200px" }}>
-      <h4>Save Current View</h4>
-      <div style={{ marginBottom: '10px' }}>
-        <input
-          type="text"
-          placeholder="Bookmark Name"
-          value={newBookmarkName}
-          onChange={(e) => setNewBookmarkName(e.target.value)}
-          style={{ width: 'calc(100% - 10px)', padding: '5px' }}
-        />
-        <button
-          onClick={saveCurrentViewAsBookmark}
-          style={{ width: '100%', padding: '5px', marginTop: '5px', cursor: 'pointer' }}
-        >
-          Save
-        </button>
-      </div>
-
-      <h4>Saved Bookmarks</h4>
-      {bookmarks.length === 0 ? (
-        <p style={{ margin: '5px 0', fontSize: '0.9em', color: '#555' }}>No bookmarks saved.</p>
-      ) : (
-        <ul style={{ listStyle: 'none', padding: 0, maxHeight: '150px', overflowY: 'auto', borderTop: '1px solid #eee' }}>
-          {bookmarks.map((bm) => (
-            <li
-              key={bm.id}
-              style={{
-                display: 'flex',
-                justifyContent: 'space-between',
-                alignItems: 'center',
-                padding: '6px 0',
-                borderBottom: '1px solid #eee',
-              }}
-            >
-              <span
-                onClick={() => goToBookmark(bm)}
-                style={{ cursor: 'pointer', flexGrow: 1, marginRight: '5px' }}
-                title="Go to this bookmark"
-              >
-                {bm.name}
-              </span>
-              <button
-                onClick={() => deleteBookmark(bm.id)}
-                style={{
-                  background: 'none',
-                  border: 'none',
-                  color: 'red',
-                  cursor: 'pointer',
-                  fontSize: '1.2em',
-                  padding: '0 5px',
-                }}
-                title="Delete bookmark"
-              >
-                &times;
-              </button>
-            </li>
-          ))}
-        </ul>
-      )}
-    </div>
-  );
+// Ward popup HTML, with joined statistics when they are available
+function wardPopupContent(props, wardStats) {
+  let content = `
+    <strong>Ward Name:</strong> ${props.KGISWardName || "N/A"}<br/>
+    <strong>Ward No:</strong> ${props.KGISWardNo || "N/A"}<br/>
+    <strong>KGIS Ward Code:</strong> ${props.KGISWardCode || "N/A"}<br/>
+    <strong>LGD Ward Code:</strong> ${props.LGD_WardCode || "N/A"}<br/>
+    <strong>Town Code:</strong> ${props.KGISTownCode || "N/A"}
+  `;
+  const dashboardButton = `<button class="ward-dashboard-open">📊 Ward dashboard</button>`;
+  if (wardStats) {
+    content += `
+      <hr/>
+      <strong>Area:</strong> ${wardStats.areaKm2.toFixed(2)} km²<br/>
+      <strong>Trees:</strong> ${wardStats.trees} (${wardStats.treeDensity.toFixed(1)} per km²)<br/>
+      <strong>Schools:</strong> ${wardStats.schools} (${wardStats.schoolDensity.toFixed(2)} per 10 km²)
+    `;
+  }
+  return content + dashboardButton;
 }
 
 // Ward Layer
-function WardLayer({ visible, wardData, openPopupFeature }) {
+function WardLayer({ visible, wardData, openPopupFeature, stats, choropleth, onSelect, onOpenDashboard }) {
   const geoJsonRef = useRef();
-
-  const style = {
+  const styleRef = useRef();
+  const statsRef = useRef(stats);
+  statsRef.current = stats;
+  const onSelectRef = useRef(onSelect);
+  onSelectRef.current = onSelect;
+  const onOpenDashboardRef = useRef(onOpenDashboard);
+  onOpenDashboardRef.current = onOpenDashboard;
+
+  const baseStyle = {
     color: "#0066cc",
     weight: 2,
     fillColor: "#a6d8ff",
     fillOpacity: 0.3,
   };
 
+  // Thematic mode colours each ward by its class in the active choropleth
+  const style = choropleth
+    ? (feature) => {
+        const value = stats?.[wardKey(feature)]?.[choropleth.metric] ?? 0;
+        return { ...baseStyle, fillColor: choropleth.colorFor(value), fillOpacity: 0.7 };
+      }
+    : baseStyle;
+  styleRef.current = style;
+
   const highlight = {
     weight: 3,
     color: "#003366",
@@ -262,20 +199,24 @@ function WardLayer({ visible, wardData, openPopupFeature }) {
   };
 
   const onEachFeature = (feature, layer) => {
-    const props = feature.properties || {};
-    const popupContent = `
-      <strong>Ward Name:</strong> ${props.KGISWardName || "N/A"}<br/>
-      <strong>Ward No:</strong> ${props.KGISWardNo || "N/A"}<br/>
-      <strong>KGIS Ward Code:</strong> ${props.KGISWardCode || "N/A"}<br/>
-      <strong>LGD Ward Code:</strong> ${props.LGD_WardCode || "N/A"}<br/>
-      <strong>Town Code:</strong> ${props.KGISTownCode || "N/A"}
-    `;
     layer.on({
       mouseover: (e) => e.target.setStyle(highlight),
-      mouseout: (e) => e.target.setStyle(style),
+      mouseout: (e) => {
+        const current = styleRef.current;
+        e.target.setStyle(typeof current === "function" ? current(feature) : current);
+      },
       click: (e) => {
-        layer.bindPopup(popupContent).openPopup(e.latlng);
+        const props = feature.properties || {};
+        layer
+          .bindPopup(wardPopupContent(props, statsRef.current?.[wardKey(feature)]))
+          .openPopup(e.latlng);
+      },
+      popupopen: (e) => {
+        onSelectRef.current?.(feature);
+        const button = e.popup.getElement()?.querySelector(".ward-dashboard-open");
+        if (button) button.onclick = () => onOpenDashboardRef.current?.(feature);
       },
+      popupclose: () => onSelectRef.current?.(null),
     });
   };
 
@@ -289,14 +230,9 @@ function WardLayer({ visible, wardData, openPopupFeature }) {
         ) {
           const center = layer.getBounds().getCenter();
           const props = layer.feature.properties || {};
-          const popupContent = `
-            <strong>Ward Name:</strong> ${props.KGISWardName || "N/A"}<br/>
-            <strong>Ward No:</strong> ${props.KGISWardNo || "N/A"}<br/>
-            <strong>KGIS Ward Code:</strong> ${props.KGISWardCode || "N/A"}<br/>
-            <strong>LGD Ward Code:</strong> ${props.LGD_WardCode || "N/A"}<br/>
-            <strong>Town Code:</strong> ${props.KGISTownCode || "N/A"}
-          `;
-          layer.bindPopup(popupContent).openPopup(center);
+          layer
+            .bindPopup(wardPopupContent(props, statsRef.current?.[wardKey(layer.feature)]))
+            .openPopup(center);
         }
       });
     }
@@ -315,110 +251,175 @@ function WardLayer({ visible, wardData, openPopupFeature }) {
 }
 
 // Leaflet-native Tree Layer (for improved performance)
-function LeafletTreeLayer({ visible, treeData }) {
+// Markers are cached per feature and icons per colour, so switching the layer
+// on and off, loading another census part or changing the filter only adds or
+// removes the affected markers instead of rebuilding everything.
+function LeafletTreeLayer({ visible, treeData, filter, speciesColors, wardLookup, openPopupFeature, onSelect }) {
   const map = useMap();
+  const wardLookupRef = useRef(wardLookup);
+  wardLookupRef.current = wardLookup;
+  const onSelectRef = useRef(onSelect);
+  onSelectRef.current = onSelect;
   const markerClusterGroupRef = useRef(null);
+  const markerCacheRef = useRef(new WeakMap());
+  const shownMarkersRef = useRef(new Set());
 
-  const distinctColors = useMemo(() => [
-    "#E6194B", "#3CB44B", "#FFE119", "#4363D8", "#F58231",
-    "#911EB4", "#46F0F0", "#F032E6", "#BCF60C", "#FABEBE",
-    "#008080", "#E6BEFF", "#9A6324", "#FFFAC8", "#AAFFC3",
-    "#800000", "#AA6E28", "#FFD700", "#FFC74D", "#90EE90",
-    "#C8C8A1", "#000075", "#A9A9A9", "#E0BBE4", "#957DAD"
-  ], []);
-
-  const treeColorMap = useMemo(() => {
-    const map = {};
-    const uniqueTreeNames = new Set();
-    treeData?.features?.forEach((feature) => {
-      const name = feature.properties?.TreeName?.toLowerCase().trim();
-      if (name) {
-        uniqueTreeNames.add(name);
-      }
+  // One cluster group for the lifetime of the map
+  useEffect(() => {
+    const group = L.markerClusterGroup({
+      chunkedLoading: true,
+      iconCreateFunction: createSpeciesClusterIcon, // Donut of species share
     });
 
-    const sortedUniqueTreeNames = Array.from(uniqueTreeNames).sort();
-
-    sortedUniqueTreeNames.forEach((name, index) => {
-      map[name] = distinctColors[index % distinctColors.length];
+    // Top-5 species breakdown on hover
+    group.on("clustermouseover", (e) => {
+      e.layer
+        .bindTooltip(clusterTooltipContent(e.layer), { direction: "top", className: "tree-cluster-tooltip" })
+        .openTooltip();
+    });
+    group.on("clustermouseout", (e) => {
+      e.layer.unbindTooltip();
     });
-    return map;
-  }, [treeData, distinctColors]);
 
-  useEffect(() => {
-    // Initialize or clear the marker cluster group
-    if (markerClusterGroupRef.current) {
-      map.removeLayer(markerClusterGroupRef.current);
+    markerClusterGroupRef.current = group;
+    shownMarkersRef.current = new Set();
+
+    return () => {
+      map.removeLayer(group);
       markerClusterGroupRef.current = null;
-    }
+    };
+  }, [map]);
 
-    if (!visible || !treeData || !treeData.features || treeData.features.length === 0) {
-      return;
+  useEffect(() => {
+    const group = markerClusterGroupRef.current;
+    if (visible) {
+      map.addLayer(group);
+    } else {
+      map.removeLayer(group);
     }
+  }, [visible, map]);
 
-    // Create a new MarkerClusterGroup instance
-    const newMarkerClusterGroup = L.markerClusterGroup({ chunkedLoading: true });
-    markerClusterGroupRef.current = newMarkerClusterGroup;
+  // Sync the clustered markers with the loaded data, filter and colours
+  useEffect(() => {
+    if (!visible) return; // Caught up on the next show
+    const group = markerClusterGroupRef.current;
+    const markerCache = markerCacheRef.current;
 
-    const markersToAdd = [];
-    treeData.features.forEach((feature) => {
-      const coords = feature.geometry?.coordinates;
-      if (!coords || feature.geometry?.type !== "Point" || coords.length !== 2) {
-        return;
-      }
+    const wanted = new Set();
+    let recolored = false;
+    (treeData?.features || []).forEach((feature) => {
+      // Only the trees matching the attribute filter are clustered
+      if (filter && !filter(feature)) return;
 
-      const [lng, lat] = coords;
-      const treeName = feature.properties?.TreeName?.toLowerCase().trim() || 'unknown';
-      const color = treeColorMap[treeName] || '#2E8B57';
-      const icon = L.divIcon({
-        className: "custom-tree-icon",
-        html: `<div style="
-          width: 10px;
-          height: 10px;
-          background-color: ${color};
-          border: 1px solid #333;
-          border-radius: 50%;
-          opacity: 0.8;
-        "></div>`,
-        iconSize: [10, 10],
-        iconAnchor: [5, 5],
-      });
+      const species = speciesKey(feature);
+      const color = speciesColors.colorFor(species);
+      let marker = markerCache.get(feature);
 
-      const props = feature.properties || {};
-      const popupContent = `
-        <strong>Tree Name:</strong> ${props.TreeName || "N/A"}<br/>
-        <strong>Species:</strong> ${props.KGISTreeID || "N/A"}<br/>
-        <strong>Ward Name:</strong> ${props.WardNumber || "N/A"}<br/>
-        <strong>Location:</strong> ${props.KGISVillageID || "N/A"}
-      `;
-
-      const marker = L.marker([lat, lng], { icon: icon });
-      marker.bindPopup(popupContent);
-      markersToAdd.push(marker);
+      if (!marker) {
+        const coords = feature.geometry?.coordinates;
+        if (!coords || feature.geometry?.type !== "Point" || coords.length !== 2) {
+          return;
+        }
+        const [lng, lat] = coords;
+        marker = L.marker([lat, lng], {
+          icon: treeIcon(color),
+          speciesKey: species,
+          speciesLabel: feature.properties?.TreeName,
+          speciesColor: color,
+        });
+        marker.bindPopup(() => treePopupContent(feature, wardLookupRef.current?.wardAt(coords)));
+        marker.on({
+          popupopen: () => onSelectRef.current?.(feature),
+          popupclose: () => onSelectRef.current?.(null),
+        });
+        markerCache.set(feature, marker);
+      } else if (marker.options.speciesColor !== color) {
+        marker.options.speciesColor = color;
+        marker.setIcon(treeIcon(color));
+        recolored = true;
+      }
+      wanted.add(marker);
     });
 
-    // Add all markers to the cluster group at once
-    if (markersToAdd.length > 0) {
-      newMarkerClusterGroup.addLayers(markersToAdd);
-      map.addLayer(newMarkerClusterGroup);
-    }
+    const shown = shownMarkersRef.current;
+    const toRemove = [];
+    shown.forEach((marker) => {
+      if (!wanted.has(marker)) toRemove.push(marker);
+    });
+    const toAdd = [];
+    wanted.forEach((marker) => {
+      if (!shown.has(marker)) toAdd.push(marker);
+    });
 
-    // Cleanup function: remove the layer when component unmounts or visibility changes
-    return () => {
-      if (markerClusterGroupRef.current) {
-        map.removeLayer(markerClusterGroupRef.current);
-        markerClusterGroupRef.current = null;
-      }
-    };
-  }, [visible, treeData, map, treeColorMap]); // Depend on visible, treeData, map, and treeColorMap
+    if (toRemove.length > 0) group.removeLayers(toRemove);
+    if (toAdd.length > 0) group.addLayers(toAdd);
+    if (recolored) group.refreshClusters(); // Redraw the species donuts
+    shownMarkersRef.current = wanted;
+  }, [visible, treeData, filter, speciesColors]);
+
+  // Selected from search or the nearby panel: uncluster the tree and open it
+  useEffect(() => {
+    if (!visible || !openPopupFeature) return;
+    const marker = markerCacheRef.current.get(openPopupFeature);
+    const group = markerClusterGroupRef.current;
+    if (marker && group.hasLayer(marker)) {
+      group.zoomToShowLayer(marker, () => marker.openPopup());
+    }
+  }, [visible, openPopupFeature]);
 
   return null; // This component doesn't render any React-Leaflet components directly
 }
 
 
+// School popup body with the richer OSM tags when present
+function SchoolPopup({ feature, wardLookup }) {
+  const ward = wardLookup ? wardLookup.wardAt(featurePoint(feature)) : undefined;
+  return (
+    <Popup>
+      <strong>School:</strong> {schoolName(feature)}
+      {ward !== undefined && (
+        <div>
+          <strong>Ward:</strong> {wardLabel(ward)}
+          {ward && (
+            <div className="popup-ward-codes">
+              KGIS {ward.code ?? "N/A"} · LGD {ward.lgdCode ?? "N/A"}
+            </div>
+          )}
+        </div>
+      )}
+      {schoolDetails(feature).map(({ label, value }) => (
+        <div key={label}>
+          <strong>{label}:</strong>{" "}
+          {label === "Website" ? (
+            <a href={/^https?:\/\//.test(value) ? value : `http://${value}`} target="_blank" rel="noreferrer">
+              {value}
+            </a>
+          ) : (
+            value
+          )}
+        </div>
+      ))}
+    </Popup>
+  );
+}
+
+const TREE_RENDER_MODES = {
+  auto: "Auto (by census size)",
+  clusters: "Clustered markers",
+  tiles: "Canvas tiles",
+};
+const TREE_TILES_THRESHOLD = 50000;
+
+// Campuses switch from centroid markers to outlines at this zoom
+const SCHOOL_OUTLINE_MIN_ZOOM = 16;
+
 // School Layer
-function SchoolLayer({ visible, schoolData, openPopupFeature }) {
+function SchoolLayer({ visible, schoolData, openPopupFeature, onSelect, wardLookup }) {
+  const map = useMap();
   const markersRef = useRef({});
+  const [zoom, setZoom] = useState(map.getZoom());
+  useMapEvent("zoomend", () => setZoom(map.getZoom()));
+  const showOutlines = zoom >= SCHOOL_OUTLINE_MIN_ZOOM;
 
   const schoolIcon = L.icon({
     iconUrl: "/icons/school.png", // Ensure this path is correct
@@ -429,174 +430,272 @@ function SchoolLayer({ visible, schoolData, openPopupFeature }) {
 
   useEffect(() => {
     if (openPopupFeature && markersRef.current) {
-      Object.values(markersRef.current).forEach((marker) => {
-        marker.closePopup();
+      Object.values(markersRef.current).forEach((layer) => {
+        layer.closePopup();
       });
-      // The key for school features is just their index as assigned by react-leaflet
-      const marker = markersRef.current[openPopupFeature.__key];
-      if (marker) {
-        marker.openPopup();
+      // Markers and outlines are both tracked by the key from prepareSchoolData
+      const layer = markersRef.current[openPopupFeature.__key];
+      if (layer) {
+        layer.openPopup();
       }
     }
-  }, [openPopupFeature]);
+    // Re-run when a selected campus swaps between marker and outline
+  }, [openPopupFeature, showOutlines]);
 
   if (!visible || !schoolData) return null;
 
-  return (
-    <MarkerClusterGroup chunkedLoading>
-      {schoolData.features.map((feature, idx) => {
-        const coords = feature.geometry?.coordinates;
-        if (!coords || feature.geometry?.type !== "Point" || coords.length !== 2)
-          return null;
+  const selectHandlers = (feature) => ({
+    popupopen: () => onSelect?.(feature),
+    popupclose: () => onSelect?.(null),
+  });
 
-        const [lng, lat] = coords;
+  const trackRef = (key) => (ref) => {
+    if (ref) {
+      markersRef.current[key] = ref;
+    } else {
+      delete markersRef.current[key];
+    }
+  };
+
+  const outlines = [];
+  const markers = [];
+  schoolData.features.forEach((feature) => {
+    const key = feature.__key;
+    if (isSchoolArea(feature) && showOutlines) {
+      const levelsDeep = feature.geometry.type === "Polygon" ? 1 : 2;
+      outlines.push(
+        <Polygon
+          key={key}
+          positions={L.GeoJSON.coordsToLatLngs(feature.geometry.coordinates, levelsDeep)}
+          pathOptions={{ color: "#d35400", weight: 2, fillColor: "#f5b041", fillOpacity: 0.25 }}
+          ref={trackRef(key)}
+          eventHandlers={selectHandlers(feature)}
+        >
+          <SchoolPopup feature={feature} wardLookup={wardLookup} />
+        </Polygon>
+      );
+      return;
+    }
 
-        const name =
-          feature.properties?.tags?.name ||
-          feature.properties?.name ||
-          "Unnamed School";
-
-        // Assign a unique key for tracking the marker in the ref
-        feature.__key = idx;
-
-        return (
-          <Marker
-            key={idx}
-            position={[lat, lng]}
-            icon={schoolIcon}
-            ref={(ref) => {
-              if (ref) {
-                markersRef.current[idx] = ref;
-              }
-            }}
-          >
-            <Popup>
-              <strong>School:</strong> {name}
-            </Popup>
-          </Marker>
-        );
-      })}
-    </MarkerClusterGroup>
+    const point = featurePoint(feature);
+    if (!point) return;
+    const [lng, lat] = point;
+    markers.push(
+      <Marker
+        key={key}
+        position={[lat, lng]}
+        icon={schoolIcon}
+        ref={trackRef(key)}
+        eventHandlers={selectHandlers(feature)}
+      >
+        <SchoolPopup feature={feature} wardLookup={wardLookup} />
+      </Marker>
+    );
+  });
+
+  return (
+    <>
+      {outlines}
+      <MarkerClusterGroup chunkedLoading>{markers}</MarkerClusterGroup>
+    </>
   );
 }
 
 // DEM Layer Component
-function DEMLayer({ visible }) {
+function DEMLayer({ visible, demStyle, onLoad, onStretch, onStatus }) {
   const map = useMap();
   const geoRasterLayersRef = useRef([]); // Use an array to store multiple layers
-
-  // Define the GeoTIFF files to load
-  const demFiles = useMemo(() => [
-    { name: "n12e077", url: "/data/NASADEM_HGT_n12e077_elevation.tif" },
-    { name: "n13e077", url: "/data/NASADEM_HGT_n13e077_elevation.tif" },
-    { name: "n14e077", url: "/data/NASADEM_HGT_n14e077_elevation.tif" }, // Added the new file here
-  ], []); // Use useMemo to prevent re-creation on every render
-
+  const tileLayersRef = useRef([]);
+  const [manifest, setManifest] = useState(null); // { sources, problems, attribution }
+  const [georasters, setGeorasters] = useState([]); // Queryable sources loaded so far
+  const [tileSources, setTileSources] = useState([]); // Display-only TileJSON layers
+  const [viewRasters, setViewRasters] = useState(null); // Windows over the view for terrain derivatives
+  const [sourceStatus, setSourceStatus] = useState({}); // { [id]: { state, error, via } }
+  const requestedRef = useRef(new Set());
+  const opacityRef = useRef(demStyle.opacity);
+  opacityRef.current = demStyle.opacity;
+
+  // The source registry is read once, the first time the layer is shown
   useEffect(() => {
-    // Clear existing layers when visibility changes or component unmounts
-    if (geoRasterLayersRef.current.length > 0) {
-      geoRasterLayersRef.current.forEach(layer => map.removeLayer(layer));
-      geoRasterLayersRef.current = [];
+    if (!visible || manifest) {
+      return;
     }
+    fetchManifest()
+      .then(setManifest)
+      .catch((error) => {
+        console.error("Error loading DEM manifest:", error);
+        setManifest({ sources: [], problems: [{ id: "manifest", error: error.message }], attribution: null });
+      });
+  }, [visible, manifest]);
 
-    if (!visible) {
+  // Load the sources that overlap the viewport, and more as the map moves
+  useEffect(() => {
+    if (!visible || !manifest) {
       return;
     }
 
-    const loadGeoRasters = async () => {
-      const loadedGeorasters = [];
-      let allMins = [];
-      let allMaxs = [];
+    const setStatus = (id, status) => setSourceStatus((prev) => ({ ...prev, [id]: status }));
+    const showTiles = async (source) => {
+      const options = await loadTileJson(source);
+      setTileSources((prev) => [...prev, { id: source.id, ...options }]);
+    };
 
-      // First pass: Load all georasters and collect min/max
-      for (const file of demFiles) {
+    const loadSource = async (source) => {
+      setStatus(source.id, { state: "loading" });
+      try {
+        if (source.type === "tilejson") {
+          await showTiles(source);
+          setStatus(source.id, { state: "tiles" });
+          return;
+        }
+        const georaster = await openGeoTiffSource(source);
+        setGeorasters((prev) => [...prev, georaster]);
+        setStatus(source.id, { state: "ready" });
+      } catch (error) {
+        console.warn(`Error loading DEM source ${source.id}:`, error);
+        const fallback = manifest.sources.find((s) => s.id === source.fallback);
+        if (!fallback) {
+          setStatus(source.id, { state: "missing", error: error.message });
+          return;
+        }
         try {
-          const response = await fetch(file.url);
-          if (!response.ok) {
-            throw new Error(`HTTP error! status: ${response.status} for ${file.url}`);
-          }
-          const arrayBuffer = await response.arrayBuffer();
-          const georaster = await parseGeoraster(arrayBuffer);
-
-          // Check if georaster.mins and georaster.maxs are arrays and contain numbers
-          if (georaster.mins && georaster.mins.length > 0 && typeof georaster.mins[0] === 'number') {
-            allMins.push(georaster.mins[0]);
-          } else {
-            console.warn(`No valid min value found for ${file.name}`);
-          }
-
-          if (georaster.maxs && georaster.maxs.length > 0 && typeof georaster.maxs[0] === 'number') {
-            allMaxs.push(georaster.maxs[0]);
-          } else {
-            console.warn(`No valid max value found for ${file.name}`);
-          }
-
-          loadedGeorasters.push({ georaster: georaster, name: file.name });
-        } catch (error) {
-          console.error(`Error loading or parsing DEM data for ${file.name}:`, error);
+          await showTiles(fallback);
+          setStatus(source.id, { state: "tiles", error: error.message, via: fallback.name });
+        } catch (fallbackError) {
+          setStatus(source.id, { state: "missing", error: `${error.message}; ${fallback.id}: ${fallbackError.message}` });
         }
       }
+    };
 
-      if (loadedGeorasters.length === 0 || allMins.length === 0 || allMaxs.length === 0) {
-        console.warn("No valid georasters loaded or no min/max values found for DEM rendering.");
-        return; // No layers successfully loaded or no valid range to calculate
-      }
+    const loadInView = () => {
+      const bounds = map.getBounds();
+      const view = [bounds.getWest(), bounds.getSouth(), bounds.getEast(), bounds.getNorth()];
+      sourcesInView(manifest.sources, view).forEach((source) => {
+        if (requestedRef.current.has(source.id)) return;
+        requestedRef.current.add(source.id);
+        loadSource(source);
+      });
+    };
 
-      // Determine the global min/max across all loaded georasters
-      const globalMin = Math.min(...allMins);
-      const globalMax = Math.max(...allMaxs);
-      const globalRange = globalMax - globalMin;
-
-      // Avoid division by zero if globalRange is 0 (all values are the same)
-      const effectiveGlobalRange = globalRange === 0 ? 1 : globalRange;
-
-      loadedGeorasters.forEach(({ georaster }) => {
-        // Define a color function for the DEM using global min/max
-        const pixelValuesToColorFn = (pixelValues) => {
-          const pixelValue = pixelValues[0];
-          // Handle no-data values, typically NaN or very low/high values
-          // Adjusted to check if pixelValue is a valid number
-          if (pixelValue === undefined || pixelValue === null || isNaN(pixelValue)) {
-            return null; // Don't render no-data values
-          }
-          // Optionally, filter out extreme values that might be no-data
-          if (pixelValue < -9999 || pixelValue > 9999) { // Adjust this range based on your DEM's actual no-data values
-             return null;
-          }
+    loadInView();
+    map.on("moveend", loadInView);
+    return () => {
+      map.off("moveend", loadInView);
+    };
+  }, [visible, manifest, map]);
 
+  // Share the rasters and their range with the legend and elevation tools
+  useEffect(() => {
+    const mins = georasters.map((g) => g.mins?.[0]).filter((v) => typeof v === "number");
+    const maxs = georasters.map((g) => g.maxs?.[0]).filter((v) => typeof v === "number");
+    if (mins.length === 0 || maxs.length === 0) {
+      return;
+    }
+    onLoad?.({ rasters: georasters, min: Math.min(...mins), max: Math.max(...maxs) });
+  }, [georasters, onLoad]);
 
-          // Normalize the value to a 0-1 range using global min/max
-          const normalizedValue = (pixelValue - globalMin) / effectiveGlobalRange;
+  useEffect(() => {
+    onStatus?.({
+      status: describeDemSources(sourceStatus),
+      error: describeDemProblems(sourceStatus, manifest?.problems),
+    });
+  }, [sourceStatus, manifest, onStatus]);
 
-          // Simple grayscale for elevation
-          const shade = Math.floor(normalizedValue * 255);
-          // Clamp values to ensure they are within 0-255
-          const clampedShade = Math.max(0, Math.min(255, shade));
-          return `rgb(${clampedShade}, ${clampedShade}, ${clampedShade})`;
-        };
+  // TileJSON sources are pre-rendered, so only opacity applies to them
+  useEffect(() => {
+    if (!visible) {
+      return;
+    }
+    tileLayersRef.current = tileSources.map(({ url, minZoom, maxNativeZoom, bounds, attribution }) =>
+      L.tileLayer(url, {
+        minZoom,
+        maxNativeZoom,
+        bounds: bounds ? L.latLngBounds([bounds[1], bounds[0]], [bounds[3], bounds[2]]) : undefined,
+        attribution: attribution || manifest?.attribution || "",
+        opacity: opacityRef.current,
+        crossOrigin: "anonymous",
+      }).addTo(map)
+    );
+    return () => {
+      tileLayersRef.current.forEach((layer) => map.removeLayer(layer));
+      tileLayersRef.current = [];
+    };
+  }, [visible, tileSources, manifest, map]);
 
-        const geoRasterLayer = new GeoRasterLayer({
-          georaster: georaster,
-          opacity: 0.7, // Adjust opacity as needed
-          pixelValuesToColorFn: pixelValuesToColorFn,
-          resolution: 256, // Adjust resolution for performance/detail
-        });
+  const { mode, azimuth, altitude, noData, ramp, stretchMin, stretchMax } = demStyle;
 
-        geoRasterLayer.addTo(map);
-        geoRasterLayersRef.current.push(geoRasterLayer);
-      });
+  // Elevations are drawn straight from the GeoTIFF tiles in view; terrain
+  // derivatives need the pixels, so the view's window is read as the map moves
+  useEffect(() => {
+    if (!visible || mode === "elevation" || georasters.length === 0) {
+      return;
+    }
+    let latest = 0;
+    const readView = () => {
+      const request = ++latest;
+      const bounds = map.getBounds();
+      const size = map.getSize();
+      readRasterWindows(georasters, [bounds.getWest(), bounds.getSouth(), bounds.getEast(), bounds.getNorth()], {
+        maxCells: size.x * size.y,
+      })
+        .then((windows) => request === latest && setViewRasters(windows))
+        .catch((error) => console.error("Error reading the DEM in view:", error));
     };
 
-    loadGeoRasters();
+    readView();
+    map.on("moveend", readView);
+    return () => {
+      latest = -1;
+      map.off("moveend", readView);
+    };
+  }, [visible, mode, georasters, map]);
+
+  // Terrain derivatives only depend on the mode, sun position and nodata value
+  const renderRasters = useMemo(() => {
+    if (georasters.length === 0) return null;
+    if (mode === "elevation") return georasters;
+    if (!viewRasters) return null;
+    return viewRasters.map((georaster) =>
+      deriveTerrain(georaster, mode, {
+        azimuth,
+        altitude,
+        noData: effectiveNoData(georaster, { noData }),
+      })
+    );
+  }, [georasters, viewRasters, mode, azimuth, altitude, noData]);
+
+  useEffect(() => {
+    if (!visible || !renderRasters) {
+      return;
+    }
+
+    const style = { mode, ramp, stretchMin, stretchMax };
+    const stretch = effectiveStretch(style, autoStretch(mode, renderRasters));
+    onStretch?.(stretch);
+
+    renderRasters.forEach((georaster) => {
+      const geoRasterLayer = new GeoRasterLayer({
+        georaster: georaster,
+        opacity: opacityRef.current,
+        pixelValuesToColorFn: demColorFn(style, stretch, renderNoData(georaster, { mode, noData })),
+        resolution: 256, // Adjust resolution for performance/detail
+      });
+
+      geoRasterLayer.addTo(map);
+      geoRasterLayersRef.current.push(geoRasterLayer);
+    });
 
     return () => {
-      // Cleanup: remove all layers when component unmounts or visibility changes
-      if (geoRasterLayersRef.current.length > 0) {
-        geoRasterLayersRef.current.forEach(layer => map.removeLayer(layer));
-        geoRasterLayersRef.current = [];
-      }
+      // Cleanup: remove all layers when the style changes, the layer is hidden or unmounted
+      geoRasterLayersRef.current.forEach(layer => map.removeLayer(layer));
+      geoRasterLayersRef.current = [];
     };
-  }, [visible, map, demFiles]); // Added demFiles to dependencies to react to changes if array itself was dynamic
+  }, [visible, renderRasters, mode, ramp, stretchMin, stretchMax, noData, onStretch, map]);
+
+  // Opacity changes don't need the rasters redrawn
+  useEffect(() => {
+    [...geoRasterLayersRef.current, ...tileLayersRef.current].forEach((layer) => layer.setOpacity(demStyle.opacity));
+  }, [demStyle.opacity]);
 
   return null;
 }
@@ -636,15 +735,35 @@ function LayerListWidget({ layers, toggleLayer }) {
 
   return (
     <div className="layerlist-popup leaflet-control" style={{ top: "40px", right: "10px" }}>
-      {layers.map(({ id, name, visible }) => (
-        <div key={id} className="layerlist-option">
-          <input
-            type="checkbox"
-            checked={visible}
-            id={`layer-${id}`}
-            onChange={() => toggleLayer(id)}
-          />
-          <label htmlFor={`layer-${id}`}>{name}</label>
+      {layers.map(({ id, name, visible, status, error, onRefresh, modes }) => (
+        <div key={id}>
+          <div className="layerlist-option">
+            <input
+              type="checkbox"
+              checked={visible}
+              id={`layer-${id}`}
+              onChange={() => toggleLayer(id)}
+            />
+            <label htmlFor={`layer-${id}`}>{name}</label>
+            {visible && onRefresh && (
+              <button className="layerlist-refresh" title="Refresh data" onClick={onRefresh}>
+                ⟳
+              </button>
+            )}
+          </div>
+          {visible && modes && (
+            <select
+              className="layerlist-mode"
+              value={modes.value}
+              onChange={(e) => modes.onChange(e.target.value)}
+            >
+              {Object.entries(modes.options).map(([value, label]) => (
+                <option key={value} value={value}>{label}</option>
+              ))}
+            </select>
+          )}
+          {status && <div className="layerlist-status">{status}</div>}
+          {error && error !== status && <div className="layerlist-status error">{error}</div>}
         </div>
       ))}
     </div>
@@ -675,110 +794,192 @@ function ScaleWidget() {
   return null;
 }
 
+const DEFAULT_LAYERS = {
+  ward: false,
+  schools: true, // Keep schools true for initial visibility
+  trees: false,
+  dem: false,
+  sketches: true,
+};
+
 // Main App Component
 export default function App() {
-  const [basemap, setBasemap] = useState("osm");
-  const [layersVisibility, setLayersVisibility] = useState({
-    ward: false,
-    schools: true, // Keep schools true for initial visibility
-    trees: false,
-    dem: false,
-  });
-
-  const [wardData, setWardData] = useState(null);
+  // A shared link restores its view, basemap, layers and selection
+  const [initialUrlState] = useState(() =>
+    decodeHash(window.location.hash, { basemaps: Object.keys(basemaps), layerIds: Object.keys(DEFAULT_LAYERS) })
+  );
+  const [basemap, setBasemap] = useState(initialUrlState.basemap || "osm");
+  const [layersVisibility, setLayersVisibility] = useState(initialUrlState.layers || DEFAULT_LAYERS);
+  const [selection, setSelection] = useState(initialUrlState.selection || null); // { type, id } shown in the URL
+  const [restoredSelection, setRestoredSelection] = useState(initialUrlState.selection || null);
+  const [dashboardWards, setDashboardWards] = useState(initialUrlState.dashboard || []); // KGISWardCodes
+
+  const [wardVintages, setWardVintages] = useState([]); // Boundary vintages loaded side by side
+  const [activeVintage, setActiveVintage] = useState(null); // The one the map and analyses use
+  const wardData = useMemo(
+    () => wardVintages.find((v) => v.id === activeVintage)?.data || null,
+    [wardVintages, activeVintage]
+  );
   const [schoolData, setSchoolData] = useState(null);
   const [treeData, setTreeData] = useState(null);
+  const [treeProgress, setTreeProgress] = useState(null);
+  const [treeRenderMode, setTreeRenderMode] = useState("auto");
+  const treeLoadStartedRef = useRef(false);
+  const cancelTreeLoadRef = useRef(null);
   const [openPopupFeature, setOpenPopupFeature] = useState(null);
+  const [popupFeature, setPopupFeature] = useState(null); // Ward, school or tree whose popup is open
   const [showProfileDetails, setShowProfileDetails] = useState(false);
+  const [schoolStatus, setSchoolStatus] = useState(null);
+  const [schoolRefreshCount, setSchoolRefreshCount] = useState(0);
+  const schoolForceRefreshRef = useRef(false);
+  const [treeFilter, setTreeFilter] = useState(EMPTY_TREE_FILTER);
+  const [hiddenSpecies, setHiddenSpecies] = useState(() => new Set());
+  const [speciesTopN, setSpeciesTopN] = useState(null);
+  const [demData, setDemData] = useState(null); // { rasters, min, max }
+  const [demStyle, setDemStyle] = useState(DEFAULT_DEM_STYLE);
+  const [demStretch, setDemStretch] = useState(null); // { min, max } actually drawn
+  const [demStatus, setDemStatus] = useState(null); // { status, error } of the DEM sources
+  const [wardTheme, setWardTheme] = useState({ metric: null, method: "quantile" });
+  const [sketches, setSketches] = useState(() => {
+    try {
+      return loadSketches();
+    } catch (error) {
+      console.error("Error loading sketches from localStorage:", error);
+      return [];
+    }
+  });
   const initialCenter = [12.9716, 77.5946];
   const initialZoom = 12;
 
-  // Effect to load tree data from multiple parts
+  // Save sketches to localStorage whenever they change
   useEffect(() => {
-    if (!layersVisibility.trees) {
-      setTreeData(null); // Clear tree data when layer is turned off
-      return;
+    try {
+      saveSketches(sketches);
+    } catch (error) {
+      console.error("Error saving sketches to localStorage:", error);
     }
+  }, [sketches]);
+
+  const restoreUrlState = useCallback((restored) => {
+    if (restored.basemap) setBasemap(restored.basemap);
+    if (restored.layers) setLayersVisibility(restored.layers);
+    setSelection(restored.selection || null);
+    setRestoredSelection(restored.selection || null);
+    setDashboardWards(restored.dashboard || []);
+  }, []);
 
-    const loadTreeDataParts = async () => {
-      const allFeatures = [];
-      const fetchPromises = [];
-
-      for (let i = 1; i <= 6; i++) {
-        const fileName = `/data/tree_census_part_${String(i).padStart(4, '0')}.geojson`;
-        fetchPromises.push(
-          fetch(fileName)
-            .then((res) => {
-              if (!res.ok) {
-                throw new Error(`HTTP error! status: ${res.status} for ${fileName}`);
-              }
-              return res.json();
-            })
-            .then((data) => {
-              if (data && data.type === "FeatureCollection" && Array.isArray(data.features)) {
-                allFeatures.push(...data.features);
-              } else {
-                console.warn(`Invalid GeoJSON structure in ${fileName}`);
-              }
-            })
-            .catch((err) => {
-              console.error(`Error loading tree data from ${fileName}:`, err);
-            })
-        );
-      }
+  // Bookmarks restore the basemap and layers they were saved with; older
+  // bookmarks without them leave the current ones alone
+  const applyBookmark = useCallback(({ basemap: savedBasemap, layers }) => {
+    if (savedBasemap && basemaps[savedBasemap]) setBasemap(savedBasemap);
+    if (layers) setLayersVisibility((prev) => ({ ...prev, ...layers }));
+  }, []);
 
-      await Promise.all(fetchPromises);
-      setTreeData({ type: "FeatureCollection", features: allFeatures });
-    };
+  // Opens the ward or school named in the URL once its data has loaded
+  useEffect(() => {
+    if (!restoredSelection) return;
+    const feature =
+      restoredSelection.type === "ward"
+        ? wardData?.features.find((f) => wardKey(f) === restoredSelection.id)
+        : schoolData?.features.find((f) => schoolId(f) === restoredSelection.id);
+    if (feature) {
+      setOpenPopupFeature(feature);
+      setRestoredSelection(null);
+    }
+  }, [restoredSelection, wardData, schoolData]);
+
+  const selectWard = useCallback((feature) => {
+    setSelection(feature ? { type: "ward", id: wardKey(feature) } : null);
+    setPopupFeature(feature);
+  }, []);
+  const selectSchool = useCallback((feature) => {
+    setSelection(feature ? { type: "school", id: schoolId(feature) } : null);
+    setPopupFeature(feature);
+  }, []);
 
-    loadTreeDataParts();
+  // Effect to stream tree data from its parts via the worker. The parsed
+  // census is kept when the layer is switched off, so it only loads once.
+  useEffect(() => {
+    if (!layersVisibility.trees || treeLoadStartedRef.current) {
+      return;
+    }
+    treeLoadStartedRef.current = true;
+
+    const collected = [];
+    let points = null;
+    setTreeProgress({ loaded: 0, total: TREE_CENSUS_PARTS.length, features: 0, failed: [], done: false });
+
+    cancelTreeLoadRef.current = loadTreeCensus(TREE_CENSUS_PARTS, {
+      onPart: ({ features, points: partPoints }) => {
+        collected.push(...features);
+        points = appendPoints(points, partPoints);
+        setTreeData({ type: "FeatureCollection", features: collected.slice(), points });
+        setTreeProgress((prev) => ({ ...prev, loaded: prev.loaded + 1, features: collected.length }));
+      },
+      onError: ({ url, message }) => {
+        console.error(`Error loading tree data from ${url}:`, message);
+        setTreeProgress((prev) => ({ ...prev, loaded: prev.loaded + 1, failed: [...prev.failed, url] }));
+      },
+      onDone: () => {
+        setTreeProgress((prev) => ({ ...prev, done: true }));
+        // Nothing usable arrived: allow another attempt on the next toggle
+        if (collected.length === 0) treeLoadStartedRef.current = false;
+      },
+    });
   }, [layersVisibility.trees]);
 
+  useEffect(() => () => cancelTreeLoadRef.current?.(), []);
 
-  // Effect to load ward boundary data
+
+  // Effect to load the ward boundary vintages; the first that loads is active
   useEffect(() => {
-    fetch("/data/ward-boundaries.geojson")
-      .then((res) => res.json())
-      .then(setWardData)
+    loadWardVintages()
+      .then((loaded) => {
+        loaded
+          .filter((v) => v.error)
+          .forEach((v) => console.error(`Error loading ward vintage ${v.id}:`, v.error));
+        setWardVintages(loaded);
+      })
       .catch((err) => console.error("Error loading ward data", err));
   }, []); // Empty dependency array means this runs once on mount
 
-  // Effect to load school data from Overpass API
+  // Until one is picked, or when the active one is removed, the first vintage
+  // that loaded is active
+  useEffect(() => {
+    if (wardVintages.some((v) => v.id === activeVintage && v.data)) return;
+    setActiveVintage(wardVintages.find((v) => v.data)?.id || null);
+  }, [wardVintages, activeVintage]);
+
+  // Effect to load school data (snapshot / cache first, then Overpass)
   useEffect(() => {
     if (!layersVisibility.schools) {
       setSchoolData(null); // Clear state when layer is turned off
       return;
     }
 
-    const overpassQuery = `
-      [out:json];
-      area["name"="Bengaluru"]["admin_level"=8]->.searchArea;
-      (
-        node["amenity"="school"](area.searchArea);
-        way["amenity"="school"](area.searchArea);
-        relation["amenity"="school"](area.searchArea);
-      );
-      out body;
-      >;
-      out skel qt;
-    `;
-
-    const fetchSchools = async () => {
-      try {
-        const res = await fetch("https://overpass-api.de/api/interpreter", {
-          method: "POST",
-          body: overpassQuery,
-        });
-        const json = await res.json();
-        const geojson = osmtogeojson(json);
-        setSchoolData(geojson); // Update state to trigger re-render
-      } catch (error) {
-        console.error("Error fetching schools:", error);
+    let cancelled = false;
+    const forceRefresh = schoolForceRefreshRef.current;
+    schoolForceRefreshRef.current = false;
+    setSchoolStatus((prev) => ({ ...prev, loading: true, error: null }));
+
+    loadSchools({
+      forceRefresh,
+      onUpdate: ({ data, source, fetchedAt, error }) => {
+        if (cancelled) return;
+        setSchoolData(prepareSchoolData(data)); // Update state to trigger re-render
+        setSchoolStatus({ loading: false, source, fetchedAt, error: error || null });
+      },
+    }).catch((error) => {
+      console.error("Error fetching schools:", error);
+      if (!cancelled) {
+        setSchoolStatus({ loading: false, source: null, error: `Schools unavailable: ${error.message}` });
       }
-    };
+    });
 
-    fetchSchools();
-  }, [layersVisibility.schools]); // Re-fetch when school layer visibility changes
+    return () => {
+      cancelled = true;
+    };
+  }, [layersVisibility.schools, schoolRefreshCount]); // Re-fetch when school layer visibility changes
 
 
   const toggleLayer = (layerId) => {
@@ -791,7 +992,7 @@ export default function App() {
     // This is primarily for ward and school layers that use openPopupFeature prop
     if (
       (layerId === "ward" && openPopupFeature?.properties?.KGISWardName) ||
-      (layerId === "schools" && openPopupFeature?.geometry?.type === "Point" && !openPopupFeature.__key?.startsWith('tree-'))
+      (layerId === "schools" && isSchoolFeature(openPopupFeature))
       // No need to handle tree layer openPopupFeature here directly,
       // as LeafletTreeLayer manages its own popups directly.
     ) {
@@ -799,11 +1000,87 @@ export default function App() {
     }
   };
 
+  // Attribute filter over the loaded tree census, plus species hidden from the legend
+  const treePredicate = useMemo(() => {
+    const attributeTest = buildTreePredicate(treeFilter);
+    if (hiddenSpecies.size === 0) return attributeTest;
+    return (feature) =>
+      !hiddenSpecies.has(speciesKey(feature)) && (!attributeTest || attributeTest(feature));
+  }, [treeFilter, hiddenSpecies]);
+  const treeMatchCount = useMemo(() => {
+    if (!treeData) return 0;
+    return treePredicate ? treeData.features.filter(treePredicate).length : treeData.features.length;
+  }, [treeData, treePredicate]);
+
+  // Large censuses switch to client-side canvas tiles unless a mode is forced
+  const activeTreeRenderMode =
+    treeRenderMode === "auto"
+      ? (treeData?.features.length || 0) > TREE_TILES_THRESHOLD ? "tiles" : "clusters"
+      : treeRenderMode;
+
+  const speciesColors = useMemo(
+    () => buildSpeciesColors(treeData?.features, speciesTopN),
+    [treeData, speciesTopN]
+  );
+
+  // Shows the given species again if all are hidden, otherwise hides them all
+  const toggleSpecies = (keys) => {
+    setHiddenSpecies((prev) => {
+      const next = new Set(prev);
+      const allHidden = keys.every((key) => prev.has(key));
+      keys.forEach((key) => (allHidden ? next.delete(key) : next.add(key)));
+      return next;
+    });
+  };
+
+  // Ward-level join of the loaded tree and school points
+  const wardStats = useMemo(
+    () => computeWardStats(wardData, treeData, schoolData),
+    [wardData, treeData, schoolData]
+  );
+  // Point-in-polygon service for popups, searched places and map clicks
+  const wardLookup = useMemo(() => (wardData ? createWardLookup(wardData) : null), [wardData]);
+  const wardChoropleth = useMemo(
+    () => (wardTheme.metric ? buildChoropleth(wardStats, wardTheme.metric, wardTheme.method) : null),
+    [wardStats, wardTheme]
+  );
+
   const layers = [
     { id: "ward", name: "Ward Boundaries", visible: layersVisibility.ward },
-    { id: "schools", name: "Schools", visible: layersVisibility.schools },
-    { id: "trees", name: "Tree Census", visible: layersVisibility.trees },
-    { id: "dem", name: "Digital Elevation Model", visible: layersVisibility.dem },
+    {
+      id: "schools",
+      name: "Schools",
+      visible: layersVisibility.schools,
+      status: layersVisibility.schools ? describeSchoolSource(schoolStatus) : null,
+      error: layersVisibility.schools ? schoolStatus?.error : null,
+      onRefresh: () => {
+        schoolForceRefreshRef.current = true;
+        setSchoolRefreshCount((n) => n + 1);
+      },
+    },
+    {
+      id: "trees",
+      name: "Tree Census",
+      visible: layersVisibility.trees,
+      modes: {
+        value: treeRenderMode,
+        options: TREE_RENDER_MODES,
+        onChange: setTreeRenderMode,
+      },
+    },
+    {
+      id: "dem",
+      name: "Digital Elevation Model",
+      visible: layersVisibility.dem,
+      status: layersVisibility.dem ? demStatus?.status : null,
+      error: layersVisibility.dem ? demStatus?.error : null,
+    },
+    {
+      id: "sketches",
+      name: "My Sketches",
+      visible: layersVisibility.sketches,
+      status: `${sketches.length} ${sketches.length === 1 ? "sketch" : "sketches"}`,
+    },
   ];
 
   return (
@@ -842,8 +1119,8 @@ export default function App() {
       </header>
 
       <MapContainer
-        center={initialCenter}
-        zoom={initialZoom}
+        center={initialUrlState.view?.center || initialCenter}
+        zoom={initialUrlState.view?.zoom ?? initialZoom}
         scrollWheelZoom={true}
         style={{ height: "calc(100vh - 60px)", width: "100%" }}
         maxZoom={20}
@@ -853,49 +1130,182 @@ export default function App() {
           attribution={basemaps[basemap].attribution}
           url={basemaps[basemap].url}
           maxZoom={basemaps[basemap].maxZoom}
+          crossOrigin="anonymous"
         />
 
         {/* Overlay Layers */}
        \
         <LeafletTreeLayer
-          visible={layersVisibility.trees}
+          visible={layersVisibility.trees && activeTreeRenderMode === "clusters"}
+          treeData={treeData}
+          filter={treePredicate}
+          speciesColors={speciesColors}
+          wardLookup={wardLookup}
+          openPopupFeature={isTreeFeature(openPopupFeature) ? openPopupFeature : null}
+          onSelect={setPopupFeature}
+        />
+        <TreeTileLayer
+          visible={layersVisibility.trees && activeTreeRenderMode === "tiles"}
           treeData={treeData}
-        
+          filter={treePredicate}
+          speciesColors={speciesColors}
+          wardLookup={wardLookup}
+          openPopupFeature={isTreeFeature(openPopupFeature) ? openPopupFeature : null}
+          onSelect={setPopupFeature}
         />
         <WardLayer
+          key={activeVintage} // GeoJSON layers don't pick up new data
           visible={layersVisibility.ward}
           wardData={wardData}
+          stats={wardStats}
+          choropleth={wardChoropleth}
           openPopupFeature={
             openPopupFeature?.properties?.KGISWardName ? openPopupFeature : null
           }
+          onSelect={selectWard}
+          onOpenDashboard={(feature) => setDashboardWards([String(wardKey(feature))])}
         />
         <SchoolLayer
           visible={layersVisibility.schools}
           schoolData={schoolData}
           openPopupFeature={
-            openPopupFeature?.geometry?.type === "Point" && !openPopupFeature.__key?.startsWith('tree-') ? openPopupFeature : null
+            isSchoolFeature(openPopupFeature) ? openPopupFeature : null
           }
+          onSelect={selectSchool}
+          wardLookup={wardLookup}
         />
 
         {/* DEM Layer - conditionally rendered */}
         <DEMLayer
           visible={layersVisibility.dem}
+          demStyle={demStyle}
+          onLoad={setDemData}
+          onStretch={setDemStretch}
+          onStatus={setDemStatus}
         />
 
 
         {/* Map Widgets */}
         <BasemapWidget current={basemap} onChange={setBasemap} />
+        <UrlHashSync
+          basemap={basemap}
+          layersVisibility={layersVisibility}
+          selection={selection}
+          dashboard={dashboardWards}
+          basemapKeys={Object.keys(basemaps)}
+          onRestore={restoreUrlState}
+        />
         <LayerListWidget layers={layers} toggleLayer={toggleLayer} />
-        <BookmarksWidget />
+        <BookmarksWidget
+          basemap={basemap}
+          layersVisibility={layersVisibility}
+          basemapNames={Object.fromEntries(Object.entries(basemaps).map(([key, { name }]) => [key, name]))}
+          onApply={applyBookmark}
+        />
+        <TreeFilterWidget
+          treeData={treeData}
+          filter={treeFilter}
+          onChange={setTreeFilter}
+          matchCount={treeMatchCount}
+        />
+        <WardStatsWidget
+          theme={wardTheme}
+          onChange={(theme) => {
+            setWardTheme(theme);
+            // A thematic map is pointless with the ward layer hidden
+            if (theme.metric && !layersVisibility.ward) toggleLayer("ward");
+          }}
+          choropleth={wardChoropleth}
+          treesLoaded={!!treeData}
+          schoolsLoaded={!!schoolData}
+        />
         <CustomSearch
           wardsData={wardData}
           schoolsData={schoolData}
-          treeData={treeData}
+          treeData={layersVisibility.trees ? treeData : null}
           onSelectFeature={setOpenPopupFeature} // Corrected prop name
+          wardLookup={wardLookup}
         />
+        <WardAtPoint wardLookup={wardLookup} />
+
         <ScaleWidget />
-        <LegendWidget />
+        <LegendWidget
+          layersVisibility={layersVisibility}
+          wardChoropleth={wardChoropleth}
+          speciesColors={treeData ? speciesColors : null}
+          hiddenSpecies={hiddenSpecies}
+          onToggleSpecies={toggleSpecies}
+          speciesTopN={speciesTopN}
+          onSpeciesTopNChange={setSpeciesTopN}
+          demLegend={layersVisibility.dem ? demLegend(demStyle, demStretch) : null}
+        />
         <HomeButton center={initialCenter} zoom={initialZoom} />
+        <ElevationWidget rasters={demData?.rasters} noData={demStyle.noData} />
+        <DemStyleWidget
+          demStyle={demStyle}
+          onChange={setDemStyle}
+          stretch={demStretch}
+          demVisible={layersVisibility.dem}
+        />
+        <LowLyingWidget rasters={demData?.rasters} wardData={wardData} noData={demStyle.noData} />
+        <NearbyWidget
+          schoolData={layersVisibility.schools ? schoolData : null}
+          treeData={layersVisibility.trees ? treeData : null}
+          treeFilter={treePredicate}
+          wardLookup={wardLookup}
+          onSelectFeature={setOpenPopupFeature}
+        />
+        <MeasureWidget wardData={wardData} />
+        <SketchWidget
+          sketches={sketches}
+          onChange={setSketches}
+          layerVisible={layersVisibility.sketches}
+          onShowLayer={() => setLayersVisibility((prev) => ({ ...prev, sketches: true }))}
+        />
+        <CatchmentWidget
+          schoolData={schoolData}
+          wardData={wardData}
+          treeData={treeData}
+          treeFilter={treePredicate}
+          popupFeature={popupFeature}
+        />
+        <WardVintageWidget
+          vintages={wardVintages}
+          activeId={activeVintage}
+          onActivate={setActiveVintage}
+          onAdd={(vintage) => setWardVintages((prev) => [...prev, vintage])}
+          onRemove={(id) => setWardVintages((prev) => prev.filter((v) => v.id !== id))}
+          treeData={treeData}
+          schoolData={schoolData}
+        />
+        <PrintWidget />
+        <WardDashboard
+          codes={dashboardWards}
+          onChange={setDashboardWards}
+          wardData={wardData}
+          schoolData={schoolData}
+          treeData={treeData}
+          treeFilter={treePredicate}
+          speciesColors={speciesColors}
+          rasters={demData?.rasters}
+          noData={demStyle.noData}
+          wardLookup={wardLookup}
+          onSelectFeature={setOpenPopupFeature}
+        />
+        <AttributeTableWidget
+          collections={{ ward: wardData, schools: schoolData, trees: treeData }}
+          wardLookup={wardLookup}
+          popupFeature={popupFeature}
+          onSelectFeature={setOpenPopupFeature}
+        />
+        {layersVisibility.trees && treeProgress && !treeProgress.done && (
+          <LoadProgress
+            label="Loading tree census"
+            loaded={treeProgress.loaded}
+            total={treeProgress.total}
+            detail={`${treeProgress.loaded}/${treeProgress.total} parts · ${treeProgress.features.toLocaleString()} trees`}
+          />
+        )}
       </MapContainer>
     </>
   );
@@ -0,0 +1,438 @@
+// src/AttributeTableWidget.js
+import React, { useEffect, useMemo, useRef, useState } from "react";
+import { useMap } from "react-leaflet";
+import L from "leaflet";
+import {
+  TABLE_LAYERS,
+  TABLE_PAGE_SIZE,
+  SELECT_MODES,
+  tableColumns,
+  cellText,
+  queryTable,
+  selectFeatures,
+  combineSelection,
+  selectionToCsv,
+  selectionToGeoJSON,
+} from "./attributeTable";
+import { featurePoint } from "./geoUtils";
+import { startDrawCapture } from "./drawCapture";
+import { downloadFile } from "./fileUtils";
+import { formatDistance } from "./nearby";
+
+const SELECT_TOOLS = { rectangle: "▭ Box", lasso: "➰ Lasso", buffer: "◯ Buffer", ward: "⬡ Ward" };
+const BUFFER_RADII = [100, 250, 500, 1000, 2000];
+const MAX_HIGHLIGHTS = 3000; // Selected features drawn on the map
+const SELECTION_STYLE = { color: "#f1c40f", weight: 3, fill: false, interactive: false };
+const ACTIVE_STYLE = { color: "#e74c3c", weight: 4, fillColor: "#e74c3c", fillOpacity: 0.2, interactive: false };
+const SHAPE_STYLE = { color: "#8e44ad", weight: 2, dashArray: "5 5", fillOpacity: 0.05, interactive: false };
+
+// Outline for polygons, ring for points
+function highlightLayer(feature, style, renderer) {
+  if (feature.geometry?.type === "Point") {
+    const [lng, lat] = feature.geometry.coordinates;
+    return L.circleMarker([lat, lng], { ...style, radius: 9, renderer });
+  }
+  return L.geoJSON(feature, { style: () => ({ ...style, renderer }) });
+}
+
+const toLatLngs = (coords) => coords.map(([lng, lat]) => [lat, lng]);
+
+// The map outline of a selection shape, kept until the next selection
+function shapeLayer(shape) {
+  if (shape.type === "rectangle") {
+    const [minX, minY, maxX, maxY] = shape.bounds;
+    return L.rectangle([[minY, minX], [maxY, maxX]], SHAPE_STYLE);
+  }
+  if (shape.type === "lasso") return L.polygon(toLatLngs(shape.ring), SHAPE_STYLE);
+  if (shape.type === "buffer") return L.circle([shape.center[1], shape.center[0]], { ...SHAPE_STYLE, radius: shape.radiusM });
+  return L.geoJSON(shape.feature, { style: () => SHAPE_STYLE });
+}
+
+// Attribute table for the ward, school and tree layers. Rows and map features
+// highlight each other: picking a row flies to the feature and opens its
+// popup, and opening a popup on the map picks its row. Features can also be
+// selected by drawing a box, lasso or buffer, or by clicking a ward.
+export default function AttributeTableWidget({ collections, wardLookup, popupFeature, onSelectFeature }) {
+  const map = useMap();
+  const panelRef = useRef(null);
+  const rowRefs = useRef(new Map());
+  const [visible, setVisible] = useState(false);
+  const [layerId, setLayerId] = useState("ward");
+  const [filters, setFilters] = useState({});
+  const [sort, setSort] = useState(null); // { column, direction }
+  const [selection, setSelection] = useState(() => new Set());
+  const [selectedOnly, setSelectedOnly] = useState(false);
+  const [page, setPage] = useState(0);
+  const [activeIndex, setActiveIndex] = useState(null);
+  const [hoverIndex, setHoverIndex] = useState(null);
+  const [tool, setTool] = useState(null);
+  const [selectMode, setSelectMode] = useState("replace");
+  const [bufferRadius, setBufferRadius] = useState(250);
+  const [shape, setShape] = useState(null);
+
+  const features = collections[layerId]?.features;
+
+  useEffect(() => {
+    const control = L.control({ position: "topleft" });
+
+    control.onAdd = () => {
+      const div = L.DomUtil.create("div", "leaflet-control-layers leaflet-bar");
+      div.innerHTML = '<button title="Attribute table">📋</button>';
+      div.style.cursor = "pointer";
+      div.style.width = "34px";
+      div.style.height = "34px";
+      div.style.display = "flex";
+      div.style.alignItems = "center";
+      div.style.justifyContent = "center";
+      div.onclick = () => setVisible((v) => !v);
+      return div;
+    };
+
+    control.addTo(map);
+
+    return () => {
+      map.removeControl(control);
+    };
+  }, [map]);
+
+  useEffect(() => {
+    if (visible && panelRef.current) {
+      L.DomEvent.disableClickPropagation(panelRef.current);
+      L.DomEvent.disableScrollPropagation(panelRef.current);
+    }
+    if (!visible) setTool(null);
+  }, [visible]);
+
+  // Row indices belong to one feature array; start over when it changes
+  useEffect(() => {
+    setSelection(new Set());
+    setActiveIndex(null);
+    setHoverIndex(null);
+    setShape(null);
+    setPage(0);
+  }, [features]);
+
+  const switchLayer = (next) => {
+    setLayerId(next);
+    setFilters({});
+    setSort(null);
+    setSelectedOnly(false);
+    setTool(null);
+  };
+
+  const columns = useMemo(() => tableColumns(features), [features]);
+  const rows = useMemo(
+    () => queryTable(features, { filters, sort, only: selectedOnly ? selection : null }),
+    [features, filters, sort, selectedOnly, selection]
+  );
+  const pageCount = Math.max(1, Math.ceil(rows.length / TABLE_PAGE_SIZE));
+  const shownPage = Math.min(page, pageCount - 1);
+  const pageRows = rows.slice(shownPage * TABLE_PAGE_SIZE, (shownPage + 1) * TABLE_PAGE_SIZE);
+
+  // Map to table: a popup opened on the map picks its row, turning to its page
+  const rowsRef = useRef(rows);
+  rowsRef.current = rows;
+  useEffect(() => {
+    if (!popupFeature || !features) return;
+    const index = features.indexOf(popupFeature);
+    if (index === -1) return;
+    setActiveIndex(index);
+    const position = rowsRef.current.indexOf(index);
+    if (position !== -1) setPage(Math.floor(position / TABLE_PAGE_SIZE));
+  }, [popupFeature, features]);
+
+  useEffect(() => {
+    if (visible && activeIndex !== null) rowRefs.current.get(activeIndex)?.scrollIntoView({ block: "nearest" });
+  }, [visible, activeIndex, shownPage]);
+
+  // Selected features, drawn on one canvas so large selections stay fast
+  useEffect(() => {
+    if (!visible || !features || selection.size === 0) return;
+    const renderer = L.canvas();
+    const group = L.layerGroup().addTo(map);
+    let drawn = 0;
+    for (const index of selection) {
+      if (drawn++ >= MAX_HIGHLIGHTS) break;
+      highlightLayer(features[index], SELECTION_STYLE, renderer).addTo(group);
+    }
+    return () => map.removeLayer(group);
+  }, [visible, features, selection, map]);
+
+  // Table to map: the hovered row, or else the picked one
+  const highlighted = hoverIndex ?? activeIndex;
+  useEffect(() => {
+    if (!visible || !features || highlighted === null || !features[highlighted]) return;
+    const layer = highlightLayer(features[highlighted], ACTIVE_STYLE).addTo(map);
+    return () => map.removeLayer(layer);
+  }, [visible, features, highlighted, map]);
+
+  useEffect(() => {
+    if (!visible || !shape) return;
+    const layer = shapeLayer(shape).addTo(map);
+    return () => map.removeLayer(layer);
+  }, [visible, shape, map]);
+
+  const applyShape = (next) => {
+    setShape(next);
+    setSelection((prev) => combineSelection(prev, selectFeatures(features, next), selectMode));
+    setTool(null);
+  };
+  const applyShapeRef = useRef(applyShape);
+  applyShapeRef.current = applyShape;
+
+  // Drawing a selection: box from two corner clicks, lasso from clicked
+  // vertices (double-click or Enter to close), buffer around a click, or the
+  // ward under a click
+  useEffect(() => {
+    if (!tool) return;
+    const preview = L.layerGroup().addTo(map);
+    const vertices = [];
+    let corner = null;
+    const lasso = L.polygon([], SHAPE_STYLE).addTo(preview);
+    const box = L.rectangle([[0, 0], [0, 0]], SHAPE_STYLE);
+    const circle = L.circle([0, 0], { ...SHAPE_STYLE, radius: bufferRadius });
+
+    const finishLasso = () => {
+      if (vertices.length >= 3) applyShapeRef.current({ type: "lasso", ring: [...vertices] });
+    };
+
+    const stop = startDrawCapture(map, {
+      onClick: ({ latlng }) => {
+        const point = [latlng.lng, latlng.lat];
+        if (tool === "rectangle") {
+          if (!corner) {
+            corner = point;
+            box.setBounds([[latlng.lat, latlng.lng], [latlng.lat, latlng.lng]]).addTo(preview);
+            return;
+          }
+          applyShapeRef.current({
+            type: "rectangle",
+            bounds: [
+              Math.min(corner[0], point[0]),
+              Math.min(corner[1], point[1]),
+              Math.max(corner[0], point[0]),
+              Math.max(corner[1], point[1]),
+            ],
+          });
+        } else if (tool === "lasso") {
+          vertices.push(point);
+          lasso.setLatLngs(toLatLngs(vertices));
+        } else if (tool === "buffer") {
+          applyShapeRef.current({ type: "buffer", center: point, radiusM: bufferRadius });
+        } else if (tool === "ward") {
+          const ward = wardLookup?.wardAt(point);
+          if (ward) applyShapeRef.current({ type: "ward", feature: ward.feature });
+        }
+      },
+      onDoubleClick: () => {
+        if (tool === "lasso") finishLasso();
+      },
+      onMove: ({ latlng }) => {
+        if (tool === "rectangle" && corner) box.setBounds([[corner[1], corner[0]], latlng]);
+        if (tool === "lasso" && vertices.length > 0) lasso.setLatLngs([...toLatLngs(vertices), latlng]);
+        if (tool === "buffer") circle.setLatLng(latlng).addTo(preview);
+      },
+      onKeyDown: (e) => {
+        if (e.key === "Escape") setTool(null);
+        else if (e.key === "Enter" && tool === "lasso") finishLasso();
+      },
+    });
+
+    return () => {
+      stop();
+      map.removeLayer(preview);
+    };
+  }, [tool, bufferRadius, wardLookup, map]);
+
+  const toggleSort = (column) =>
+    setSort((prev) =>
+      prev?.column !== column
+        ? { column, direction: "asc" }
+        : prev.direction === "asc"
+        ? { column, direction: "desc" }
+        : null
+    );
+
+  const setFilter = (column, text) => {
+    setFilters((prev) => ({ ...prev, [column]: text }));
+    setPage(0);
+  };
+
+  const toggleRow = (index) =>
+    setSelection((prev) => combineSelection(prev, [index], prev.has(index) ? "remove" : "add"));
+
+  // Fly first, then let the layer open the popup once its markers are drawn
+  const pickRow = (index) => {
+    const feature = features[index];
+    setActiveIndex(index);
+    map.once("moveend", () => onSelectFeature(feature));
+    if (feature.geometry?.type === "Point") {
+      const point = featurePoint(feature);
+      if (point) map.flyTo([point[1], point[0]], Math.max(map.getZoom(), 18));
+    } else {
+      map.flyToBounds(L.geoJSON(feature).getBounds(), { padding: [30, 30] });
+    }
+  };
+
+  const zoomToSelection = () => {
+    const bounds = L.latLngBounds([]);
+    selection.forEach((index) => {
+      const point = featurePoint(features[index]);
+      if (point) bounds.extend([point[1], point[0]]);
+    });
+    if (bounds.isValid()) map.flyToBounds(bounds, { padding: [30, 30], maxZoom: 18 });
+  };
+
+  if (!visible) return null;
+
+  return (
+    <div className="attribute-table-popup leaflet-control" ref={panelRef}>
+      <div className="attribute-table-toolbar">
+        <select value={layerId} onChange={(e) => switchLayer(e.target.value)}>
+          {Object.entries(TABLE_LAYERS).map(([id, name]) => (
+            <option key={id} value={id} disabled={!collections[id]}>
+              {name}
+              {collections[id] ? "" : " (not loaded)"}
+            </option>
+          ))}
+        </select>
+        <span className="attribute-table-count">
+          {features
+            ? `${rows.length.toLocaleString()} of ${features.length.toLocaleString()} rows · ${selection.size.toLocaleString()} selected`
+            : "Turn the layer on to load its data."}
+        </span>
+
+        <span className="attribute-table-tools">
+          <select value={selectMode} onChange={(e) => setSelectMode(e.target.value)} title="How a drawn selection combines">
+            {Object.entries(SELECT_MODES).map(([mode, label]) => (
+              <option key={mode} value={mode}>{label}</option>
+            ))}
+          </select>
+          {Object.entries(SELECT_TOOLS).map(([id, label]) => (
+            <button
+              key={id}
+              className={tool === id ? "active" : ""}
+              disabled={!features || (id === "ward" && !wardLookup)}
+              onClick={() => setTool((t) => (t === id ? null : id))}
+            >
+              {label}
+            </button>
+          ))}
+          {tool === "buffer" && (
+            <select value={bufferRadius} onChange={(e) => setBufferRadius(Number(e.target.value))}>
+              {BUFFER_RADII.map((r) => (
+                <option key={r} value={r}>{formatDistance(r)}</option>
+              ))}
+            </select>
+          )}
+        </span>
+
+        <span className="attribute-table-tools">
+          <label>
+            <input type="checkbox" checked={selectedOnly} onChange={(e) => setSelectedOnly(e.target.checked)} />
+            Selected only
+          </label>
+          <button disabled={selection.size === 0} onClick={zoomToSelection}>Zoom</button>
+          <button
+            disabled={selection.size === 0}
+            onClick={() => {
+              setSelection(new Set());
+              setShape(null);
+            }}
+          >
+            Clear
+          </button>
+          <button
+            disabled={selection.size === 0}
+            onClick={() => downloadFile(`${layerId}-selection.csv`, selectionToCsv(features, selection, columns), "text/csv")}
+          >
+            CSV
+          </button>
+          <button
+            disabled={selection.size === 0}
+            onClick={() =>
+              downloadFile(
+                `${layerId}-selection.geojson`,
+                JSON.stringify(selectionToGeoJSON(features, selection)),
+                "application/geo+json"
+              )
+            }
+          >
+            GeoJSON
+          </button>
+          <button className="attribute-table-close" onClick={() => setVisible(false)} title="Hide table">×</button>
+        </span>
+      </div>
+
+      {tool && (
+        <p className="attribute-table-hint">
+          {tool === "rectangle" && "Click two opposite corners of the box."}
+          {tool === "lasso" && "Click around the area, then double-click or press Enter to close it."}
+          {tool === "buffer" && `Click the centre of a ${formatDistance(bufferRadius)} circle.`}
+          {tool === "ward" && "Click a ward."}
+          {" "}Esc cancels.
+        </p>
+      )}
+
+      {features && (
+        <div className="attribute-table-scroll">
+          <table className="attribute-table">
+            <thead>
+              <tr>
+                <th />
+                {columns.map((column) => (
+                  <th key={column} onClick={() => toggleSort(column)} title="Sort">
+                    {column}
+                    {sort?.column === column && (sort.direction === "asc" ? " ▲" : " ▼")}
+                  </th>
+                ))}
+              </tr>
+              <tr className="attribute-table-filters">
+                <th />
+                {columns.map((column) => (
+                  <th key={column}>
+                    <input
+                      type="text"
+                      value={filters[column] || ""}
+                      placeholder="Filter"
+                      title='Text, or a comparison such as ">100" or "=Neem"'
+                      onChange={(e) => setFilter(column, e.target.value)}
+                    />
+                  </th>
+                ))}
+              </tr>
+            </thead>
+            <tbody>
+              {pageRows.map((index) => (
+                <tr
+                  key={index}
+                  ref={(el) => (el ? rowRefs.current.set(index, el) : rowRefs.current.delete(index))}
+                  className={`${selection.has(index) ? "selected" : ""} ${index === activeIndex ? "active" : ""}`}
+                  onMouseEnter={() => setHoverIndex(index)}
+                  onMouseLeave={() => setHoverIndex(null)}
+                  onClick={() => pickRow(index)}
+                >
+                  <td onClick={(e) => e.stopPropagation()}>
+                    <input type="checkbox" checked={selection.has(index)} onChange={() => toggleRow(index)} />
+                  </td>
+                  {columns.map((column) => (
+                    <td key={column}>{cellText(features[index].properties?.[column])}</td>
+                  ))}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+          {rows.length === 0 && <p className="attribute-table-hint">No rows match.</p>}
+        </div>
+      )}
+
+      {pageCount > 1 && (
+        <div className="attribute-table-pages">
+          <button disabled={shownPage === 0} onClick={() => setPage(shownPage - 1)}>‹</button>
+          Page {shownPage + 1} of {pageCount.toLocaleString()}
+          <button disabled={shownPage >= pageCount - 1} onClick={() => setPage(shownPage + 1)}>›</button>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,393 @@
+// src/BookmarksWidget.js
+import React, { useEffect, useRef, useState } from "react";
+import { useMap } from "react-leaflet";
+import L from "leaflet";
+import {
+  EMPTY_BOOKMARK_SET,
+  MERGE_STRATEGIES,
+  loadBookmarks,
+  saveBookmarks,
+  normaliseBookmarkSet,
+  exportBookmarks,
+  findConflicts,
+  mergeBookmarkSets,
+  moveBookmark,
+} from "./bookmarks";
+import { newId } from "./ids";
+import { downloadFile } from "./fileUtils";
+
+// Name that turns into a text box for renaming
+function EditableName({ value, editing, onStartEdit, onRename, onCancel, onClick, title }) {
+  const [draft, setDraft] = useState(value);
+
+  useEffect(() => {
+    if (editing) setDraft(value);
+  }, [editing, value]);
+
+  if (!editing) {
+    return (
+      <span className="bookmark-name" onClick={onClick} onDoubleClick={onStartEdit} title={title}>
+        {value}
+      </span>
+    );
+  }
+
+  const commit = () => (draft.trim() ? onRename(draft.trim()) : onCancel());
+  return (
+    <input
+      className="bookmark-rename"
+      autoFocus
+      value={draft}
+      onChange={(e) => setDraft(e.target.value)}
+      onBlur={commit}
+      onKeyDown={(e) => {
+        if (e.key === "Enter") commit();
+        if (e.key === "Escape") onCancel();
+      }}
+    />
+  );
+}
+
+// Bookmarks Widget: saved views with basemap, layers and a note, grouped into
+// folders, reordered by drag and drop and shared as JSON files
+export default function BookmarksWidget({ basemap, layersVisibility, basemapNames = {}, onApply }) {
+  const map = useMap();
+  const controlRef = useRef();
+  const panelRef = useRef(null);
+  const fileInputRef = useRef(null);
+  const [visible, setVisible] = useState(false);
+  const [bookmarkSet, setBookmarkSet] = useState(() => {
+    try {
+      return loadBookmarks();
+    } catch (error) {
+      console.error("Error loading bookmarks from localStorage:", error);
+      return EMPTY_BOOKMARK_SET;
+    }
+  });
+  const [newBookmarkName, setNewBookmarkName] = useState("");
+  const [newBookmarkNote, setNewBookmarkNote] = useState("");
+  const [newBookmarkFolder, setNewBookmarkFolder] = useState("");
+  const [newFolderName, setNewFolderName] = useState("");
+  const [editing, setEditing] = useState(null); // "bookmark-<id>" | "folder-<id>"
+  const [collapsed, setCollapsed] = useState(() => new Set());
+  const [dragId, setDragId] = useState(null);
+  const [pendingImport, setPendingImport] = useState(null); // { set, conflicts }
+  const [message, setMessage] = useState(null);
+
+  // Save bookmarks to localStorage whenever they change
+  useEffect(() => {
+    try {
+      saveBookmarks(bookmarkSet);
+    } catch (error) {
+      console.error("Error saving bookmarks to localStorage:", error);
+    }
+  }, [bookmarkSet]);
+
+  useEffect(() => {
+    const control = L.control({ position: "topright" });
+
+    control.onAdd = () => {
+      const div = L.DomUtil.create("div", "leaflet-control-layers leaflet-bar");
+      div.innerHTML = '<button title="Bookmarks">🔖</button>';
+      div.style.cursor = "pointer";
+      div.style.width = "34px";
+      div.style.height = "34px";
+      div.style.display = "flex";
+      div.style.alignItems = "center";
+      div.style.justifyContent = "center";
+      div.onclick = () => setVisible((v) => !v);
+      return div;
+    };
+
+    control.addTo(map);
+    controlRef.current = control;
+
+    return () => {
+      map.removeControl(control);
+    };
+  }, [map]);
+
+  // Typing, dragging and scrolling in the panel must not move the map
+  useEffect(() => {
+    if (visible && panelRef.current) {
+      L.DomEvent.disableClickPropagation(panelRef.current);
+      L.DomEvent.disableScrollPropagation(panelRef.current);
+    }
+  }, [visible]);
+
+  const updateBookmarks = (fn) => setBookmarkSet((prev) => ({ ...prev, bookmarks: fn(prev.bookmarks) }));
+  const updateFolders = (fn) => setBookmarkSet((prev) => ({ ...prev, folders: fn(prev.folders) }));
+
+  const saveCurrentViewAsBookmark = () => {
+    if (!newBookmarkName.trim()) {
+      setMessage("Please enter a name for the bookmark.");
+      return;
+    }
+
+    const currentCenter = map.getCenter();
+    const folderId = bookmarkSet.folders.find((f) => String(f.id) === newBookmarkFolder)?.id ?? null;
+    const newBookmark = {
+      id: newId(),
+      name: newBookmarkName.trim(),
+      center: [currentCenter.lat, currentCenter.lng],
+      zoom: map.getZoom(),
+      basemap,
+      layers: { ...layersVisibility },
+      note: newBookmarkNote.trim(),
+      folderId,
+    };
+
+    setBookmarkSet((prev) => moveBookmark({ ...prev, bookmarks: [...prev.bookmarks, newBookmark] }, newBookmark.id, { folderId }));
+    setNewBookmarkName("");
+    setNewBookmarkNote("");
+    setMessage(null);
+  };
+
+  const goToBookmark = (bm) => {
+    map.setView(bm.center, bm.zoom);
+    onApply?.({ basemap: bm.basemap, layers: bm.layers });
+    setVisible(false);
+  };
+
+  const deleteBookmark = (id) => updateBookmarks((list) => list.filter((bm) => bm.id !== id));
+
+  const renameBookmark = (id, name) => {
+    updateBookmarks((list) => list.map((bm) => (bm.id === id ? { ...bm, name } : bm)));
+    setEditing(null);
+  };
+
+  const addFolder = () => {
+    const name = newFolderName.trim();
+    if (!name) return;
+    updateFolders((folders) => [...folders, { id: newId(), name }]);
+    setNewFolderName("");
+  };
+
+  const renameFolder = (id, name) => {
+    updateFolders((folders) => folders.map((f) => (f.id === id ? { ...f, name } : f)));
+    setEditing(null);
+  };
+
+  // Deleting a folder keeps its bookmarks, moved out to the top level
+  const deleteFolder = (id) =>
+    setBookmarkSet((prev) => ({
+      ...prev,
+      folders: prev.folders.filter((f) => f.id !== id),
+      bookmarks: prev.bookmarks.map((bm) => (bm.folderId === id ? { ...bm, folderId: null } : bm)),
+    }));
+
+  const toggleFolder = (id) =>
+    setCollapsed((prev) => {
+      const next = new Set(prev);
+      if (next.has(id)) next.delete(id);
+      else next.add(id);
+      return next;
+    });
+
+  const dropOn = (e, target) => {
+    e.preventDefault();
+    e.stopPropagation();
+    if (dragId === null) return;
+    setBookmarkSet((prev) => moveBookmark(prev, dragId, target));
+    setDragId(null);
+  };
+
+  const dropTarget = (target) => ({
+    onDragOver: (e) => dragId !== null && e.preventDefault(),
+    onDrop: (e) => dropOn(e, target),
+  });
+
+  const importFile = (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = ""; // Allow importing the same file again
+    if (!file) return;
+    file
+      .text()
+      .then((text) => {
+        const incoming = normaliseBookmarkSet(JSON.parse(text));
+        const conflicts = findConflicts(bookmarkSet, incoming);
+        if (conflicts.length > 0) {
+          setPendingImport({ set: incoming, conflicts });
+        } else {
+          applyImport(incoming, "keep");
+        }
+      })
+      .catch((error) => {
+        console.error("Error importing bookmarks:", error);
+        setMessage(`Could not import ${file.name}: ${error.message}`);
+      });
+  };
+
+  const applyImport = (incoming, strategy) => {
+    const { set, summary } = mergeBookmarkSets(bookmarkSet, incoming, strategy);
+    setBookmarkSet(set);
+    setPendingImport(null);
+    const parts = [`${summary.added} added`];
+    if (summary.replaced) parts.push(`${summary.replaced} replaced`);
+    if (summary.skipped) parts.push(`${summary.skipped} skipped`);
+    setMessage(`Imported bookmarks: ${parts.join(", ")}.`);
+  };
+
+  if (!visible) return null;
+
+  const describe = (bm) =>
+    [
+      `Zoom ${bm.zoom}`,
+      bm.basemap && (basemapNames[bm.basemap] || bm.basemap),
+      bm.layers && `Layers: ${Object.keys(bm.layers).filter((id) => bm.layers[id]).join(", ") || "none"}`,
+      bm.note,
+    ]
+      .filter(Boolean)
+      .join("\n");
+
+  const renderBookmark = (bm) => (
+    <li
+      key={bm.id}
+      className={`bookmark-item ${dragId === bm.id ? "dragging" : ""}`}
+      draggable={editing !== `bookmark-${bm.id}`}
+      onDragStart={(e) => {
+        e.dataTransfer.effectAllowed = "move";
+        e.dataTransfer.setData("text/plain", String(bm.id));
+        setDragId(bm.id);
+      }}
+      onDragEnd={() => setDragId(null)}
+      {...dropTarget({ folderId: bm.folderId, beforeId: bm.id })}
+    >
+      <span className="bookmark-handle" title="Drag to reorder">⋮⋮</span>
+      <div className="bookmark-body">
+        <EditableName
+          value={bm.name}
+          editing={editing === `bookmark-${bm.id}`}
+          onClick={() => goToBookmark(bm)}
+          onStartEdit={() => setEditing(`bookmark-${bm.id}`)}
+          onRename={(name) => renameBookmark(bm.id, name)}
+          onCancel={() => setEditing(null)}
+          title={describe(bm)}
+        />
+        {bm.note && <div className="bookmark-note">{bm.note}</div>}
+      </div>
+      <button className="bookmark-icon" onClick={() => setEditing(`bookmark-${bm.id}`)} title="Rename bookmark">
+        ✎
+      </button>
+      <button className="bookmark-icon delete" onClick={() => deleteBookmark(bm.id)} title="Delete bookmark">
+        &times;
+      </button>
+    </li>
+  );
+
+  const { folders, bookmarks } = bookmarkSet;
+  const looseBookmarks = bookmarks.filter((bm) => bm.folderId === null);
+
+  return (
+    <div className="Bookmark-popup bookmarks-panel leaflet-control" ref={panelRef}>
+      <h4>Save Current View</h4>
+      <div className="bookmark-form">
+        <input
+          type="text"
+          placeholder="Bookmark Name"
+          value={newBookmarkName}
+          onChange={(e) => setNewBookmarkName(e.target.value)}
+          onKeyDown={(e) => e.key === "Enter" && saveCurrentViewAsBookmark()}
+        />
+        <textarea
+          placeholder="Note (optional)"
+          rows={2}
+          value={newBookmarkNote}
+          onChange={(e) => setNewBookmarkNote(e.target.value)}
+        />
+        {folders.length > 0 && (
+          <select value={newBookmarkFolder} onChange={(e) => setNewBookmarkFolder(e.target.value)}>
+            <option value="">No folder</option>
+            {folders.map((f) => (
+              <option key={f.id} value={String(f.id)}>{f.name}</option>
+            ))}
+          </select>
+        )}
+        <button onClick={saveCurrentViewAsBookmark}>Save</button>
+        <small>Saves the basemap and visible layers with the view.</small>
+      </div>
+
+      {message && <p className="bookmark-message">{message}</p>}
+
+      {pendingImport && (
+        <div className="bookmark-conflicts">
+          <p>
+            {pendingImport.conflicts.length} imported bookmark
+            {pendingImport.conflicts.length === 1 ? "" : "s"} clash with yours (
+            {pendingImport.conflicts.slice(0, 3).map((b) => b.name).join(", ")}
+            {pendingImport.conflicts.length > 3 ? ", …" : ""}).
+          </p>
+          <div className="bookmark-actions">
+            {Object.entries(MERGE_STRATEGIES).map(([key, label]) => (
+              <button key={key} onClick={() => applyImport(pendingImport.set, key)}>{label}</button>
+            ))}
+            <button onClick={() => setPendingImport(null)}>Cancel</button>
+          </div>
+        </div>
+      )}
+
+      <h4>Saved Bookmarks</h4>
+      {bookmarks.length === 0 && folders.length === 0 ? (
+        <p className="bookmark-empty">No bookmarks saved.</p>
+      ) : (
+        <div className="bookmark-list">
+          {folders.map((folder) => {
+            const inFolder = bookmarks.filter((bm) => bm.folderId === folder.id);
+            return (
+              <div key={folder.id} className="bookmark-folder">
+                <div className="bookmark-folder-header" {...dropTarget({ folderId: folder.id })}>
+                  <button className="bookmark-icon" onClick={() => toggleFolder(folder.id)}>
+                    {collapsed.has(folder.id) ? "▸" : "▾"}
+                  </button>
+                  <EditableName
+                    value={folder.name}
+                    editing={editing === `folder-${folder.id}`}
+                    onClick={() => toggleFolder(folder.id)}
+                    onStartEdit={() => setEditing(`folder-${folder.id}`)}
+                    onRename={(name) => renameFolder(folder.id, name)}
+                    onCancel={() => setEditing(null)}
+                    title="Double-click to rename"
+                  />
+                  <span className="bookmark-count">{inFolder.length}</span>
+                  <button className="bookmark-icon" onClick={() => setEditing(`folder-${folder.id}`)} title="Rename folder">
+                    ✎
+                  </button>
+                  <button className="bookmark-icon delete" onClick={() => deleteFolder(folder.id)} title="Delete folder (keeps its bookmarks)">
+                    &times;
+                  </button>
+                </div>
+                {!collapsed.has(folder.id) && <ul>{inFolder.map(renderBookmark)}</ul>}
+              </div>
+            );
+          })}
+          <ul className="bookmark-root" {...dropTarget({ folderId: null })}>
+            {looseBookmarks.map(renderBookmark)}
+            {dragId !== null && <li className="bookmark-drop-hint">Drop here to move out of folders</li>}
+          </ul>
+        </div>
+      )}
+
+      <div className="bookmark-folder-form">
+        <input
+          type="text"
+          placeholder="New folder"
+          value={newFolderName}
+          onChange={(e) => setNewFolderName(e.target.value)}
+          onKeyDown={(e) => e.key === "Enter" && addFolder()}
+        />
+        <button onClick={addFolder} disabled={!newFolderName.trim()}>Add</button>
+      </div>
+
+      <div className="bookmark-actions">
+        <button
+          disabled={bookmarks.length === 0}
+          onClick={() => downloadFile("bookmarks.json", exportBookmarks(bookmarkSet), "application/json")}
+        >
+          Export
+        </button>
+        <button onClick={() => fileInputRef.current?.click()}>Import</button>
+        <input ref={fileInputRef} type="file" accept=".json,application/json" hidden onChange={importFile} />
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,368 @@
+// src/CatchmentWidget.js
+import React, { useEffect, useMemo, useRef, useState } from "react";
+import { useMap } from "react-leaflet";
+import L from "leaflet";
+import {
+  CATCHMENT_RADII,
+  DESERT_DISTANCES,
+  analyseCatchments,
+  catchmentOutline,
+  findSchoolDeserts,
+} from "./catchments";
+import { featurePoint } from "./geoUtils";
+import { schoolId, schoolName, isSchoolFeature } from "./schools";
+import { wardInfo } from "./wardLookup";
+import { formatDistance } from "./nearby";
+import { formatMetricArea } from "./measure";
+import { downloadFile, toCsv } from "./fileUtils";
+
+const CATCHMENT_PANE = "catchments";
+const SEARCH_LIMIT = 8;
+const CATCHMENT_COLOR = "#2e86c1";
+const DESERT_COLOR = "#c0392b";
+
+const wardName = (feature) => {
+  const { name, number } = wardInfo(feature);
+  return number ? `${number}. ${name}` : name;
+};
+
+// Catchment Widget: buffers around chosen schools, merged where they
+// overlap, with the wards and trees they cover, plus the "school deserts"
+// of every ward beyond a distance from all schools
+export default function CatchmentWidget({ schoolData, wardData, treeData, treeFilter, popupFeature }) {
+  const map = useMap();
+  const panelRef = useRef(null);
+  const [visible, setVisible] = useState(false);
+  const [chosen, setChosen] = useState([]); // School ids
+  const [query, setQuery] = useState("");
+  const [radius, setRadius] = useState(1000);
+  const [result, setResult] = useState(null); // { centers, radius, ...analyseCatchments }
+  const [desertDistance, setDesertDistance] = useState(1000);
+  const [deserts, setDeserts] = useState(null); // { distance, ...findSchoolDeserts }
+  const [running, setRunning] = useState(null); // "catchments" | "deserts"
+
+  useEffect(() => {
+    const control = L.control({ position: "topleft" });
+
+    control.onAdd = () => {
+      const div = L.DomUtil.create("div", "leaflet-control-layers leaflet-bar");
+      div.innerHTML = '<button title="School catchments">🎯</button>';
+      div.style.cursor = "pointer";
+      div.style.width = "34px";
+      div.style.height = "34px";
+      div.style.display = "flex";
+      div.style.alignItems = "center";
+      div.style.justifyContent = "center";
+      div.onclick = () => setVisible((v) => !v);
+      return div;
+    };
+
+    control.addTo(map);
+
+    return () => {
+      map.removeControl(control);
+    };
+  }, [map]);
+
+  useEffect(() => {
+    if (visible && panelRef.current) {
+      L.DomEvent.disableClickPropagation(panelRef.current);
+      L.DomEvent.disableScrollPropagation(panelRef.current);
+    }
+  }, [visible]);
+
+  // Buffers share a translucent pane, so overlaps read as one merged area
+  useEffect(() => {
+    if (!map.getPane(CATCHMENT_PANE)) map.createPane(CATCHMENT_PANE);
+  }, [map]);
+
+  useEffect(() => {
+    if (!result) return;
+    const group = L.layerGroup().addTo(map);
+    result.centers.forEach(([lng, lat]) =>
+      L.circle([lat, lng], {
+        radius: result.radius,
+        pane: CATCHMENT_PANE,
+        stroke: false,
+        fillColor: CATCHMENT_COLOR,
+        fillOpacity: 1,
+        interactive: false,
+      }).addTo(group)
+    );
+    catchmentOutline(result.centers, result.radius).forEach((path) =>
+      L.polyline(
+        path.map(([lng, lat]) => [lat, lng]),
+        { color: CATCHMENT_COLOR, weight: 2, interactive: false }
+      ).addTo(group)
+    );
+    return () => map.removeLayer(group);
+  }, [result, map]);
+
+  useEffect(() => {
+    if (!deserts) return;
+    const renderer = L.canvas();
+    const group = L.layerGroup().addTo(map);
+    deserts.cells.forEach(([minLng, minLat, maxLng, maxLat]) =>
+      L.rectangle([[minLat, minLng], [maxLat, maxLng]], {
+        renderer,
+        stroke: false,
+        fillColor: DESERT_COLOR,
+        fillOpacity: 0.35,
+        interactive: false,
+      }).addTo(group)
+    );
+    return () => map.removeLayer(group);
+  }, [deserts, map]);
+
+  const schoolsById = useMemo(
+    () => new Map((schoolData?.features || []).map((f) => [String(schoolId(f)), f])),
+    [schoolData]
+  );
+  const chosenSchools = chosen.map((id) => schoolsById.get(id)).filter(Boolean);
+
+  const matches = useMemo(() => {
+    const needle = query.trim().toLowerCase();
+    if (!needle) return [];
+    return (schoolData?.features || [])
+      .filter((f) => schoolName(f).toLowerCase().includes(needle))
+      .slice(0, SEARCH_LIMIT);
+  }, [schoolData, query]);
+
+  const addSchools = (features) =>
+    setChosen((prev) => [...new Set([...prev, ...features.map((f) => String(schoolId(f)))])]);
+
+  const addSchoolsInView = () => {
+    const bounds = map.getBounds();
+    addSchools(
+      (schoolData?.features || []).filter((f) => {
+        const point = featurePoint(f);
+        return point && bounds.contains([point[1], point[0]]);
+      })
+    );
+  };
+
+  const treePoints = () =>
+    treeData ? treeData.features.filter((f) => !treeFilter || treeFilter(f)).map(featurePoint) : null;
+
+  const runCatchments = () => {
+    setRunning("catchments");
+    // Let the panel show the busy state before the (synchronous) analysis
+    setTimeout(() => {
+      const centers = chosenSchools.map(featurePoint).filter(Boolean);
+      setResult({
+        centers,
+        radius,
+        schools: chosenSchools,
+        ...analyseCatchments({ centers, radiusM: radius, wards: wardData?.features || [], trees: treePoints() }),
+      });
+      setRunning(null);
+    }, 0);
+  };
+
+  const runDeserts = () => {
+    setRunning("deserts");
+    setTimeout(() => {
+      const points = (schoolData?.features || []).map(featurePoint).filter(Boolean);
+      setDeserts({ distance: desertDistance, ...findSchoolDeserts(wardData.features, points, desertDistance) });
+      setRunning(null);
+    }, 0);
+  };
+
+  const zoomToWard = (feature) => map.fitBounds(L.geoJSON(feature).getBounds());
+
+  const downloadCatchmentCsv = () => {
+    const rows = result.wards.map((w) => {
+      const { number, code, name } = wardInfo(w.feature);
+      return [number, code, name, (w.coveredM2 / 1e6).toFixed(4), (w.share * 100).toFixed(1), w.trees ?? ""];
+    });
+    downloadFile(
+      `school-catchments-${result.radius}m.csv`,
+      toCsv(["ward_no", "ward_code", "ward_name", "covered_km2", "covered_pct", "trees_inside"], rows),
+      "text/csv"
+    );
+  };
+
+  const downloadDesertCsv = () => {
+    const rows = deserts.wards.map((w) => {
+      const { number, code, name } = wardInfo(w.feature);
+      return [number, code, name, (w.areaM2 / 1e6).toFixed(4), (w.desertM2 / 1e6).toFixed(4), (w.share * 100).toFixed(1)];
+    });
+    downloadFile(
+      `school-deserts-${deserts.distance}m.csv`,
+      toCsv(["ward_no", "ward_code", "ward_name", "area_km2", "desert_km2", "desert_pct"], rows),
+      "text/csv"
+    );
+  };
+
+  if (!visible) return null;
+
+  if (!schoolData || !wardData) {
+    return (
+      <div className="catchment-popup leaflet-control" ref={panelRef}>
+        <h4>School Catchments</h4>
+        <p className="catchment-note">Turn on the Schools and Ward Boundaries layers to analyse catchments.</p>
+      </div>
+    );
+  }
+
+  return (
+    <div className="catchment-popup leaflet-control" ref={panelRef}>
+      <h4>School Catchments</h4>
+
+      <input
+        type="text"
+        value={query}
+        placeholder="Find a school to add…"
+        onChange={(e) => setQuery(e.target.value)}
+      />
+      {matches.length > 0 && (
+        <ul className="catchment-matches">
+          {matches.map((f) => (
+            <li key={schoolId(f)} onClick={() => addSchools([f])} title="Add">
+              + {schoolName(f)}
+            </li>
+          ))}
+        </ul>
+      )}
+      <div className="catchment-actions">
+        <button disabled={!isSchoolFeature(popupFeature)} onClick={() => addSchools([popupFeature])} title="The school whose popup is open">
+          Add open school
+        </button>
+        <button onClick={addSchoolsInView}>Add all in view</button>
+      </div>
+
+      {chosenSchools.length > 0 && (
+        <ul className="catchment-chosen">
+          {chosenSchools.map((f) => (
+            <li key={schoolId(f)}>
+              <span>{schoolName(f)}</span>
+              <button onClick={() => setChosen((prev) => prev.filter((id) => id !== String(schoolId(f))))} title="Remove">×</button>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      <label>
+        Radius
+        <select value={CATCHMENT_RADII.includes(radius) ? radius : ""} onChange={(e) => setRadius(Number(e.target.value))}>
+          {CATCHMENT_RADII.map((r) => (
+            <option key={r} value={r}>{formatDistance(r)}</option>
+          ))}
+          <option value="" disabled>Custom</option>
+        </select>
+        <input
+          type="number"
+          min="50"
+          step="50"
+          value={radius}
+          onChange={(e) => setRadius(Math.max(50, Number(e.target.value) || 0))}
+        />
+        m
+      </label>
+      <div className="catchment-actions">
+        <button disabled={chosenSchools.length === 0 || Boolean(running)} onClick={runCatchments}>
+          {running === "catchments" ? "Analysing…" : `Buffer ${chosenSchools.length} school${chosenSchools.length === 1 ? "" : "s"}`}
+        </button>
+        <button
+          disabled={!result && chosen.length === 0}
+          onClick={() => {
+            setChosen([]);
+            setResult(null);
+          }}
+        >
+          Clear
+        </button>
+      </div>
+
+      {result && (
+        <>
+          <p className="catchment-total">
+            {result.catchments.length} catchment area{result.catchments.length === 1 ? "" : "s"} from{" "}
+            {result.schools.length} school{result.schools.length === 1 ? "" : "s"} at {formatDistance(result.radius)}
+            {result.trees !== null && ` · ${result.trees.toLocaleString()} trees inside`}
+          </p>
+          <ul className="catchment-areas">
+            {result.catchments.map((c, i) => (
+              <li key={i}>
+                {c.members.length === 1
+                  ? schoolName(result.schools[c.members[0]])
+                  : `${schoolName(result.schools[c.members[0]])} + ${c.members.length - 1} more`}
+                <span className="catchment-figure">
+                  {formatMetricArea(c.areaM2)}
+                  {c.trees !== null && ` · ${c.trees.toLocaleString()} trees`}
+                </span>
+              </li>
+            ))}
+          </ul>
+          {result.trees === null && <p className="catchment-note">Turn on the Tree Census layer to count trees.</p>}
+          <div className="catchment-table">
+            <table>
+              <thead>
+                <tr><th>Ward covered</th><th>Area</th><th>%</th><th>Trees</th></tr>
+              </thead>
+              <tbody>
+                {result.wards.map((w) => (
+                  <tr key={wardInfo(w.feature).code ?? wardName(w.feature)} onClick={() => zoomToWard(w.feature)} title="Zoom to ward">
+                    <td>{wardName(w.feature)}</td>
+                    <td>{formatMetricArea(w.coveredM2)}</td>
+                    <td>{(w.share * 100).toFixed(1)}</td>
+                    <td>{w.trees ?? "–"}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+          <button className="catchment-download" disabled={result.wards.length === 0} onClick={downloadCatchmentCsv}>
+            Download CSV
+          </button>
+        </>
+      )}
+
+      <h5>School deserts</h5>
+      <label>
+        Farther than
+        <select value={desertDistance} onChange={(e) => setDesertDistance(Number(e.target.value))}>
+          {DESERT_DISTANCES.map((d) => (
+            <option key={d} value={d}>{formatDistance(d)}</option>
+          ))}
+        </select>
+        from any school
+      </label>
+      <div className="catchment-actions">
+        <button disabled={Boolean(running)} onClick={runDeserts}>
+          {running === "deserts" ? "Analysing…" : "Find deserts"}
+        </button>
+        <button disabled={!deserts} onClick={() => setDeserts(null)}>Clear</button>
+      </div>
+      {deserts && (
+        <>
+          <p className="catchment-total">
+            {formatMetricArea(deserts.desertM2)} in {deserts.wards.length} ward{deserts.wards.length === 1 ? "" : "s"} is
+            over {formatDistance(deserts.distance)} from the nearest of {schoolData.features.length.toLocaleString()} schools
+          </p>
+          {deserts.wards.length > 0 && (
+            <>
+              <div className="catchment-table">
+                <table>
+                  <thead>
+                    <tr><th>Ward</th><th>Desert</th><th>%</th></tr>
+                  </thead>
+                  <tbody>
+                    {deserts.wards.map((w) => (
+                      <tr key={wardInfo(w.feature).code ?? wardName(w.feature)} onClick={() => zoomToWard(w.feature)} title="Zoom to ward">
+                        <td>{wardName(w.feature)}</td>
+                        <td>{formatMetricArea(w.desertM2)}</td>
+                        <td>{(w.share * 100).toFixed(1)}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+              <button className="catchment-download" onClick={downloadDesertCsv}>Download CSV</button>
+            </>
+          )}
+        </>
+      )}
+    </div>
+  );
+}
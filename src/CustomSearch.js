@@ -1,21 +1,87 @@
-import React, { useState, useEffect } from "react";
+import React, { useState, useEffect, useRef } from "react";
 import { useMap } from "react-leaflet";
 import L from "leaflet";
+import { featurePoint } from "./geoUtils";
+import { schoolName } from "./schools";
+import { SEARCH_TYPES, buildSearchIndex, searchIndex } from "./searchIndex";
+import { parseCoordinates, formatLatLng } from "./coordinates";
+import { defaultGeocoder } from "./geocoder";
+import { wardLabel } from "./wardLookup";
 
-export default function CustomSearch({ wardsData, schoolsData, treeData, onSelectFeature }) {
+const RECENT_SEARCHES_KEY = "recentSearches";
+const MAX_RECENT_SEARCHES = 8;
+
+function loadRecentSearches() {
+  try {
+    const stored = JSON.parse(localStorage.getItem(RECENT_SEARCHES_KEY));
+    return Array.isArray(stored) ? stored : [];
+  } catch (error) {
+    console.error("Error loading recent searches from localStorage:", error);
+    return [];
+  }
+}
+
+// Result for a place that isn't one of our features (coordinates, addresses)
+const placeItem = (type, name, detail, { lat, lng, bounds = null }) => ({
+  type,
+  name,
+  detail,
+  feature: null,
+  latlng: [lat, lng],
+  bounds,
+});
+
+// Built as DOM nodes so geocoder text is never parsed as HTML. `ward` is
+// undefined until the ward boundaries have loaded.
+function placePopup(item, ward) {
+  const content = document.createElement("div");
+  const title = document.createElement("strong");
+  title.textContent = item.name;
+  content.appendChild(title);
+  [
+    item.detail,
+    ward !== undefined && `Ward: ${wardLabel(ward)}`,
+    formatLatLng({ lat: item.latlng[0], lng: item.latlng[1] }),
+  ].filter(Boolean).forEach((line) => {
+    content.appendChild(document.createElement("br"));
+    content.appendChild(document.createTextNode(line));
+  });
+  return content;
+}
+
+export default function CustomSearch({
+  wardsData,
+  schoolsData,
+  treeData,
+  onSelectFeature,
+  wardLookup,
+  geocoder = defaultGeocoder,
+}) {
   const map = useMap();
+  const containerRef = useRef(null);
+  const markerRef = useRef(null);
+  const geocodeAbortRef = useRef(null);
   const [query, setQuery] = useState("");
-  const [results, setResults] = useState([]);
+  const [matches, setMatches] = useState([]);
+  const [places, setPlaces] = useState({ query: "", items: [], status: "idle", error: null });
+  const [activeIndex, setActiveIndex] = useState(-1);
+  const [activeTypes, setActiveTypes] = useState(() => new Set()); // Empty = all types
+  const [focused, setFocused] = useState(false);
+  const [recentSearches, setRecentSearches] = useState(loadRecentSearches);
 
   const searchableItems = React.useMemo(() => {
     const items = [];
 
     if (wardsData) {
       wardsData.features.forEach((feature) => {
-        const name = feature.properties?.KGISWardName || "Unnamed Ward";
+        const props = feature.properties || {};
+        const name = props.KGISWardName || "Unnamed Ward";
         items.push({
           type: "Ward",
           name,
+          detail: [props.KGISWardNo && `No. ${props.KGISWardNo}`, props.KGISWardCode].filter(Boolean).join(" · "),
+          // Ward number, KGIS code and LGD code all find the ward
+          codes: [props.KGISWardNo, props.KGISWardCode, props.LGD_WardCode].filter((c) => c !== undefined && c !== null),
           feature,
           latlng: null,
           bounds: L.geoJSON(feature).getBounds(),
@@ -25,17 +91,14 @@ export default function CustomSearch({ wardsData, schoolsData, treeData, onSelec
 
     if (schoolsData) {
       schoolsData.features.forEach((feature) => {
-        const name =
-          feature.properties?.tags?.name ||
-          feature.properties?.name ||
-          "Unnamed School";
-        const coords = feature.geometry?.coordinates;
-        if (coords && feature.geometry.type === "Point") {
+        // Campuses mapped as polygons are located by their centroid
+        const point = featurePoint(feature);
+        if (point) {
           items.push({
             type: "School",
-            name,
+            name: schoolName(feature),
             feature,
-            latlng: [coords[1], coords[0]],
+            latlng: [point[1], point[0]],
             bounds: null,
           });
         }
@@ -48,10 +111,11 @@ export default function CustomSearch({ wardsData, schoolsData, treeData, onSelec
         const name = feature.properties?.TreeName || "Unnamed Tree";
         const coords = feature.geometry?.coordinates;
         if (coords && feature.geometry.type === "Point") {
-          feature.__key = `tree-${idx}`; 
+          feature.__key = `tree-${idx}`;
           items.push({
             type: "Tree",
             name,
+            detail: feature.properties?.WardNumber ? `Ward ${feature.properties.WardNumber}` : "",
             feature,
             latlng: [coords[1], coords[0]],
             bounds: null,
@@ -61,34 +125,186 @@ export default function CustomSearch({ wardsData, schoolsData, treeData, onSelec
     }
 
     return items;
-  }, [wardsData, schoolsData, treeData]); 
+  }, [wardsData, schoolsData, treeData]);
+
+  // Built once per data change; queries only score distinct names
+  const index = React.useMemo(() => buildSearchIndex(searchableItems), [searchableItems]);
+
   useEffect(() => {
-    if (query.length === 0) {
-      setResults([]);
+    if (query.trim().length === 0) {
+      setMatches([]);
       return;
     }
-    const lowerQuery = query.toLowerCase();
-    const filtered = searchableItems.filter((item) =>
-      item.name.toLowerCase().includes(lowerQuery)
-    );
-    setResults(filtered.slice(0, 10));
-  }, [query, searchableItems]); 
+    const types = activeTypes.size > 0 ? [...activeTypes] : SEARCH_TYPES;
+    const items = searchIndex(index, query, { types }).map((r) => r.item);
+    // Short plus codes are read relative to what's on screen
+    const center = map.getCenter();
+    const position = parseCoordinates(query, { reference: { lat: center.lat, lng: center.lng } });
+    if (position) {
+      items.unshift(
+        placeItem("Coordinates", formatLatLng(position), position.code || position.format, position)
+      );
+    }
+    setMatches(items);
+    setActiveIndex(0);
+  }, [query, index, activeTypes, map]);
+
+  // Address results belong to the query they were fetched for
+  const trimmed = query.trim();
+  const fetched = places.query === trimmed;
+  const canGeocode = trimmed.length >= 3 && !fetched && matches[0]?.type !== "Coordinates";
+  const results = React.useMemo(
+    () => [
+      ...matches,
+      ...(fetched ? places.items : []),
+      ...(canGeocode ? [{ type: "Address", name: `Search addresses for "${trimmed}"`, action: "geocode" }] : []),
+    ],
+    [matches, places.items, fetched, canGeocode, trimmed]
+  );
+
+  // Address lookups only run on request: Nominatim doesn't allow search-as-you-type
+  const geocode = (text) => {
+    if (geocodeAbortRef.current) geocodeAbortRef.current.abort();
+    const controller = new AbortController();
+    geocodeAbortRef.current = controller;
+    setPlaces({ query: text, items: [], status: "loading", error: null });
+    geocoder
+      .search(text, { signal: controller.signal, limit: 5 })
+      .then((found) => {
+        setPlaces({
+          query: text,
+          items: found.map((place) => placeItem("Address", place.name, place.detail, place)),
+          status: "done",
+          error: null,
+        });
+        setActiveIndex(matches.length);
+      })
+      .catch((error) => {
+        if (error.name === "AbortError") return;
+        console.error("Error geocoding address:", error);
+        setPlaces({ query: text, items: [], status: "error", error: error.message });
+      });
+  };
+
+  useEffect(
+    () => () => {
+      if (geocodeAbortRef.current) geocodeAbortRef.current.abort();
+      if (markerRef.current) markerRef.current.remove();
+    },
+    []
+  );
+
+  useEffect(() => {
+    try {
+      localStorage.setItem(RECENT_SEARCHES_KEY, JSON.stringify(recentSearches));
+    } catch (error) {
+      console.error("Error saving recent searches to localStorage:", error);
+    }
+  }, [recentSearches]);
+
+  // Typing and scrolling the list must not reach the map
+  useEffect(() => {
+    if (containerRef.current) {
+      L.DomEvent.disableClickPropagation(containerRef.current);
+      L.DomEvent.disableScrollPropagation(containerRef.current);
+    }
+  }, []);
+
+  // Pins a coordinate or address until its popup is closed
+  const showPlaceMarker = (item) => {
+    if (markerRef.current) markerRef.current.remove();
+    const marker = L.circleMarker(item.latlng, {
+      radius: 8,
+      color: "#fff",
+      weight: 2,
+      fillColor: "#d62728",
+      fillOpacity: 0.9,
+    })
+      .bindPopup(placePopup(item, wardLookup?.wardAt([item.latlng[1], item.latlng[0]])))
+      .addTo(map);
+    marker.on("popupclose", () => {
+      marker.remove();
+      if (markerRef.current === marker) markerRef.current = null;
+    });
+    markerRef.current = marker;
+    marker.openPopup();
+  };
 
   const onSelect = (item) => {
+    if (item.action === "geocode") {
+      geocode(trimmed);
+      return;
+    }
     setQuery("");
-    setResults([]);
+    setMatches([]);
+    setActiveIndex(-1);
+    // Coordinates and addresses keep their position, features are looked up again
+    const recent = { type: item.type, name: item.name, detail: item.detail || "" };
+    if (!item.feature) recent.latlng = item.latlng;
+    setRecentSearches((prev) =>
+      [recent, ...prev.filter(
+        (r) => !(r.type === item.type && r.name === item.name && (r.detail || "") === (item.detail || ""))
+      )].slice(0, MAX_RECENT_SEARCHES)
+    );
 
     if (item.bounds) {
-      map.fitBounds(item.bounds, { maxZoom: 15 });
+      map.fitBounds(item.bounds, { maxZoom: item.feature ? 15 : 17 });
     } else if (item.latlng) {
       map.setView(item.latlng, 17);
     }
 
-    onSelectFeature(item.feature);
+    if (item.feature) {
+      onSelectFeature(item.feature);
+    } else {
+      showPlaceMarker(item);
+    }
   };
 
+  // Recent entries are looked up again, since the data may have reloaded
+  const onSelectRecent = (recent) => {
+    if (recent.latlng) {
+      onSelect(placeItem(recent.type, recent.name, recent.detail, { lat: recent.latlng[0], lng: recent.latlng[1] }));
+      return;
+    }
+    const match = searchIndex(index, recent.name, { types: [recent.type], limit: 50 })
+      .map((r) => r.item)
+      .find((item) => item.name === recent.name && (item.detail || "") === (recent.detail || ""));
+    if (match) {
+      onSelect(match);
+    } else {
+      setQuery(recent.name);
+    }
+  };
+
+  const toggleType = (type) =>
+    setActiveTypes((prev) => {
+      const next = new Set(prev);
+      if (next.has(type)) next.delete(type);
+      else next.add(type);
+      return next.size === SEARCH_TYPES.length ? new Set() : next;
+    });
+
+  const onKeyDown = (e) => {
+    if (e.key === "ArrowDown" && results.length > 0) {
+      e.preventDefault();
+      setActiveIndex((i) => (i + 1) % results.length);
+    } else if (e.key === "ArrowUp" && results.length > 0) {
+      e.preventDefault();
+      setActiveIndex((i) => (i <= 0 ? results.length - 1 : i - 1));
+    } else if (e.key === "Enter" && results.length > 0) {
+      e.preventDefault();
+      onSelect(results[Math.max(0, activeIndex)]);
+    } else if (e.key === "Escape") {
+      setQuery("");
+      e.target.blur();
+    }
+  };
+
+  const showRecent = focused && query.trim().length === 0 && recentSearches.length > 0;
+
   return (
     <div
+      ref={containerRef}
       className="search-widget leaflet-control"
       style={{
         position: "absolute",
@@ -104,9 +320,17 @@ export default function CustomSearch({ wardsData, schoolsData, treeData, onSelec
     >
       <input
         type="text"
-        placeholder="Search wards, schools, or trees..."
+        placeholder="Search wards, schools, trees, coordinates or addresses..."
         value={query}
         onChange={(e) => setQuery(e.target.value)}
+        onKeyDown={onKeyDown}
+        onFocus={() => setFocused(true)}
+        // Delay so a click on a recent search lands before the list goes
+        onBlur={() => setTimeout(() => setFocused(false), 150)}
+        role="combobox"
+        aria-controls="search-results"
+        aria-expanded={results.length > 0}
+        aria-activedescendant={activeIndex >= 0 ? `search-result-${activeIndex}` : undefined}
         style={{
           width: "93%",
           padding: "6px 8px",
@@ -114,8 +338,22 @@ export default function CustomSearch({ wardsData, schoolsData, treeData, onSelec
           border: "1px solid #ccc",
         }}
       />
+      <div className="search-chips">
+        {SEARCH_TYPES.map((type) => (
+          <button
+            key={type}
+            className={`search-chip ${activeTypes.has(type) ? "active" : ""}`}
+            onClick={() => toggleType(type)}
+            title={`Only search ${type.toLowerCase()}s`}
+          >
+            {type}s
+          </button>
+        ))}
+      </div>
       {results.length > 0 && (
         <ul
+          id="search-results"
+          role="listbox"
           style={{
             listStyle: "none",
             padding: 0,
@@ -127,18 +365,58 @@ export default function CustomSearch({ wardsData, schoolsData, treeData, onSelec
           {results.map((item, i) => (
             <li
               key={i}
+              id={`search-result-${i}`}
+              role="option"
+              aria-selected={i === activeIndex}
+              className={i === activeIndex ? "active" : ""}
               onClick={() => onSelect(item)}
+              onMouseEnter={() => setActiveIndex(i)}
               style={{
                 cursor: "pointer",
                 padding: "4px 6px",
                 borderBottom: "1px solid #eee",
               }}
             >
-              <strong>{item.type}:</strong> {item.name}
+              {item.action ? (
+                <span className="search-action">{item.name}</span>
+              ) : (
+                <>
+                  <strong>{item.type}:</strong> {item.name}
+                  {item.detail && <span className="search-detail"> {item.detail}</span>}
+                </>
+              )}
+            </li>
+          ))}
+        </ul>
+      )}
+      {fetched && places.status === "loading" && (
+        <p className="search-empty">Searching addresses…</p>
+      )}
+      {fetched && places.status === "error" && (
+        <p className="search-empty">Address search failed: {places.error}</p>
+      )}
+      {fetched && places.status === "done" && (
+        <p className="search-empty">
+          {places.items.length === 0 ? "No addresses found. " : ""}Addresses from {geocoder.name}
+        </p>
+      )}
+      {trimmed.length > 0 && results.length === 0 && !fetched && index.size > 0 && (
+        <p className="search-empty">No matches.</p>
+      )}
+      {showRecent && (
+        <ul className="search-recent">
+          <li className="search-recent-header">
+            Recent searches
+            <button onMouseDown={(e) => e.preventDefault()} onClick={() => setRecentSearches([])}>Clear</button>
+          </li>
+          {recentSearches.map((recent, i) => (
+            <li key={i} onMouseDown={(e) => e.preventDefault()} onClick={() => onSelectRecent(recent)}>
+              <strong>{recent.type}:</strong> {recent.name}
+              {recent.detail && <span className="search-detail"> {recent.detail}</span>}
             </li>
           ))}
         </ul>
       )}
     </div>
   );
-}
\ No newline at end of file
+}
@@ -0,0 +1,184 @@
+// src/DemStyleWidget.js
+import React, { useEffect, useRef, useState } from "react";
+import { useMap } from "react-leaflet";
+import L from "leaflet";
+import { COLOR_RAMPS, rampGradient } from "./colorRamps";
+import { DEM_MODES, DEFAULT_DEM_STYLE } from "./demAnalysis";
+
+// Number input that leaves blank as null and only commits on blur or Enter,
+// so partially typed values like "-" don't redraw the raster
+function OptionalNumber({ value, onCommit, placeholder }) {
+  const [draft, setDraft] = useState(value ?? "");
+
+  useEffect(() => {
+    setDraft(value ?? "");
+  }, [value]);
+
+  const commit = () => {
+    const text = String(draft).trim();
+    const parsed = text === "" ? null : Number(text);
+    if (parsed === null || Number.isFinite(parsed)) {
+      if (parsed !== value) onCommit(parsed);
+    } else {
+      setDraft(value ?? "");
+    }
+  };
+
+  return (
+    <input
+      type="text"
+      inputMode="decimal"
+      value={draft}
+      placeholder={placeholder}
+      onChange={(e) => setDraft(e.target.value)}
+      onBlur={commit}
+      onKeyDown={(e) => e.key === "Enter" && commit()}
+    />
+  );
+}
+
+// DEM Style Widget: rendering mode, colour ramp, stretch, opacity and nodata
+export default function DemStyleWidget({ demStyle, onChange, stretch, demVisible }) {
+  const map = useMap();
+  const controlRef = useRef();
+  const [visible, setVisible] = useState(false);
+  const panelRef = useRef(null);
+
+  useEffect(() => {
+    const control = L.control({ position: "topleft" });
+
+    control.onAdd = () => {
+      const div = L.DomUtil.create("div", "leaflet-control-layers leaflet-bar");
+      div.innerHTML = '<button title="DEM Styling">🎨</button>';
+      div.style.cursor = "pointer";
+      div.style.width = "34px";
+      div.style.height = "34px";
+      div.style.display = "flex";
+      div.style.alignItems = "center";
+      div.style.justifyContent = "center";
+      div.onclick = () => setVisible((v) => !v);
+      return div;
+    };
+
+    control.addTo(map);
+    controlRef.current = control;
+
+    return () => {
+      map.removeControl(control);
+    };
+  }, [map]);
+
+  // Keep slider drags from panning the map
+  useEffect(() => {
+    if (visible && panelRef.current) {
+      L.DomEvent.disableClickPropagation(panelRef.current);
+      L.DomEvent.disableScrollPropagation(panelRef.current);
+    }
+  }, [visible]);
+
+  if (!visible) return null;
+
+  const set = (changes) => onChange({ ...demStyle, ...changes });
+  const autoLabel = (v) => (stretch && Number.isFinite(v) ? `auto (${Math.round(v)})` : "auto");
+
+  return (
+    <div className="demstyle-popup leaflet-control" ref={panelRef}>
+      <h4>DEM Styling</h4>
+      {!demVisible && <p className="demstyle-note">Turn on the Digital Elevation Model layer to see changes.</p>}
+
+      <label>
+        Render as
+        <select value={demStyle.mode} onChange={(e) => set({ mode: e.target.value, stretchMin: null, stretchMax: null })}>
+          {Object.entries(DEM_MODES).map(([key, label]) => (
+            <option key={key} value={key}>{label}</option>
+          ))}
+        </select>
+      </label>
+
+      {demStyle.mode !== "aspect" && (
+        <label>
+          Colour ramp
+          <select value={demStyle.ramp} onChange={(e) => set({ ramp: e.target.value })}>
+            {Object.entries(COLOR_RAMPS).map(([key, { name }]) => (
+              <option key={key} value={key}>{name}</option>
+            ))}
+          </select>
+          <span className="demstyle-ramp" style={{ background: rampGradient(demStyle.ramp) }} />
+        </label>
+      )}
+
+      {demStyle.mode === "hillshade" && (
+        <>
+          <label>
+            Sun azimuth: {demStyle.azimuth}°
+            <input
+              type="range"
+              min="0"
+              max="359"
+              step="1"
+              value={demStyle.azimuth}
+              onChange={(e) => set({ azimuth: Number(e.target.value) })}
+            />
+          </label>
+          <label>
+            Sun altitude: {demStyle.altitude}°
+            <input
+              type="range"
+              min="1"
+              max="90"
+              step="1"
+              value={demStyle.altitude}
+              onChange={(e) => set({ altitude: Number(e.target.value) })}
+            />
+          </label>
+        </>
+      )}
+
+      {demStyle.mode !== "aspect" && (
+        <div className="demstyle-row">
+          <label>
+            Stretch min
+            <OptionalNumber
+              value={demStyle.stretchMin}
+              placeholder={autoLabel(stretch?.min)}
+              onCommit={(v) => set({ stretchMin: v })}
+            />
+          </label>
+          <label>
+            Stretch max
+            <OptionalNumber
+              value={demStyle.stretchMax}
+              placeholder={autoLabel(stretch?.max)}
+              onCommit={(v) => set({ stretchMax: v })}
+            />
+          </label>
+        </div>
+      )}
+
+      <label>
+        Opacity: {Math.round(demStyle.opacity * 100)}%
+        <input
+          type="range"
+          min="0"
+          max="1"
+          step="0.05"
+          value={demStyle.opacity}
+          onChange={(e) => set({ opacity: Number(e.target.value) })}
+        />
+      </label>
+
+      <label>
+        NoData value
+        <OptionalNumber
+          value={demStyle.noData}
+          placeholder="from file"
+          onCommit={(v) => set({ noData: v })}
+        />
+      </label>
+
+      <button className="demstyle-reset" onClick={() => onChange(DEFAULT_DEM_STYLE)}>
+        Reset to defaults
+      </button>
+    </div>
+  );
+}
@@ -0,0 +1,234 @@
+// src/ElevationWidget.js
+import React, { useEffect, useRef, useState } from "react";
+import { useMap } from "react-leaflet";
+import L from "leaflet";
+import { sampleElevation, elevationProfile, profileSummary, profileToCsv } from "./elevation";
+import { readRasterWindows } from "./demSources";
+import { geometryBounds } from "./geoUtils";
+import { startDrawCapture } from "./drawCapture";
+import { downloadFile } from "./fileUtils";
+
+const formatDistance = (metres) =>
+  metres >= 1000 ? `${(metres / 1000).toFixed(2)} km` : `${Math.round(metres)} m`;
+
+// Small SVG line chart of elevation against distance
+function ProfileChart({ samples, summary }) {
+  const width = 260;
+  const height = 110;
+  const pad = { left: 34, right: 6, top: 6, bottom: 18 };
+  if (summary.min === null || summary.length === 0) return null;
+
+  const range = summary.max - summary.min || 1;
+  const x = (d) => pad.left + (d / summary.length) * (width - pad.left - pad.right);
+  const y = (e) => pad.top + (1 - (e - summary.min) / range) * (height - pad.top - pad.bottom);
+
+  // Break the line wherever the DEM has no data
+  let path = "";
+  let penDown = false;
+  samples.forEach((s) => {
+    if (s.elevation === null) {
+      penDown = false;
+      return;
+    }
+    path += `${penDown ? "L" : "M"}${x(s.distance).toFixed(1)},${y(s.elevation).toFixed(1)} `;
+    penDown = true;
+  });
+
+  return (
+    <svg className="elevation-chart" width={width} height={height}>
+      <line x1={pad.left} y1={pad.top} x2={pad.left} y2={height - pad.bottom} stroke="#999" />
+      <line x1={pad.left} y1={height - pad.bottom} x2={width - pad.right} y2={height - pad.bottom} stroke="#999" />
+      <text x={pad.left - 4} y={pad.top + 8} textAnchor="end">{Math.round(summary.max)}</text>
+      <text x={pad.left - 4} y={height - pad.bottom} textAnchor="end">{Math.round(summary.min)}</text>
+      <text x={pad.left} y={height - 4}>0</text>
+      <text x={width - pad.right} y={height - 4} textAnchor="end">{formatDistance(summary.length)}</text>
+      <path d={path} fill="none" stroke="#c0392b" strokeWidth="1.5" />
+    </svg>
+  );
+}
+
+// Elevation Widget: click-to-identify and elevation profile along a drawn line
+export default function ElevationWidget({ rasters, noData = null }) {
+  const map = useMap();
+  const controlRef = useRef();
+  const [visible, setVisible] = useState(false);
+  const [mode, setMode] = useState("identify"); // "identify" | "profile"
+  const [vertices, setVertices] = useState([]);
+  const [profile, setProfile] = useState(null);
+  const [sampling, setSampling] = useState(false);
+  const panelRef = useRef(null);
+  const rastersRef = useRef(rasters);
+  rastersRef.current = rasters;
+  const noDataRef = useRef(noData);
+  noDataRef.current = noData;
+
+  useEffect(() => {
+    const control = L.control({ position: "topleft" });
+
+    control.onAdd = () => {
+      const div = L.DomUtil.create("div", "leaflet-control-layers leaflet-bar");
+      div.innerHTML = '<button title="Elevation Tools">⛰️</button>';
+      div.style.cursor = "pointer";
+      div.style.width = "34px";
+      div.style.height = "34px";
+      div.style.display = "flex";
+      div.style.alignItems = "center";
+      div.style.justifyContent = "center";
+      div.onclick = () => setVisible((v) => !v);
+      return div;
+    };
+
+    control.addTo(map);
+    controlRef.current = control;
+
+    return () => {
+      map.removeControl(control);
+    };
+  }, [map]);
+
+  // Map clicks either identify a value or add a profile vertex. The capture
+  // keeps feature popups from opening and restores double-click zoom only if
+  // it was on before.
+  useEffect(() => {
+    if (!visible) return;
+    return startDrawCapture(map, {
+      onClick: ({ latlng }) => {
+        const point = [latlng.lng, latlng.lat];
+        if (mode === "identify") {
+          // Only the pixels around the point are read
+          readRasterWindows(rastersRef.current, [...point, ...point])
+            .then((windows) => sampleElevation(windows, point, noDataRef.current))
+            .catch((error) => {
+              console.error("Error reading elevation:", error);
+              return null;
+            })
+            .then((elevation) =>
+              L.popup()
+                .setLatLng(latlng)
+                .setContent(
+                  `<strong>Elevation:</strong> ${elevation === null ? "No data" : `${elevation.toFixed(1)} m`}<br/>` +
+                    `<small>${latlng.lat.toFixed(5)}, ${latlng.lng.toFixed(5)}</small>`
+                )
+                .openOn(map)
+            );
+        } else if (!profile) {
+          setVertices((prev) => [...prev, point]);
+        }
+      },
+    });
+  }, [visible, mode, profile, map]);
+
+  // Clicks on the panel must not reach the map as vertices
+  useEffect(() => {
+    if (visible && panelRef.current) {
+      L.DomEvent.disableClickPropagation(panelRef.current);
+    }
+  }, [visible]);
+
+  // Sketch of the profile line being drawn
+  useEffect(() => {
+    if (!visible || vertices.length === 0) return;
+    const line = L.polyline(
+      vertices.map(([lng, lat]) => [lat, lng]),
+      { color: "#c0392b", weight: 3, dashArray: profile ? null : "6 4" }
+    ).addTo(map);
+    return () => {
+      map.removeLayer(line);
+    };
+  }, [visible, vertices, profile, map]);
+
+  const clearProfile = () => {
+    setVertices([]);
+    setProfile(null);
+  };
+
+  const finishProfile = () => {
+    setSampling(true);
+    readRasterWindows(rasters, geometryBounds({ type: "LineString", coordinates: vertices }))
+      .then((windows) => {
+        const samples = elevationProfile(windows, vertices, 30, noData);
+        setProfile({ samples, summary: profileSummary(samples) });
+      })
+      .catch((error) => console.error("Error reading the elevation profile:", error))
+      .finally(() => setSampling(false));
+  };
+
+  if (!visible) return null;
+
+  return (
+    <div className="elevation-popup leaflet-control" ref={panelRef}>
+      <h4>Elevation</h4>
+      {!rasters?.length ? (
+        <p className="elevation-note">Turn on the Digital Elevation Model layer to query elevations.</p>
+      ) : (
+        <>
+          <div className="elevation-modes">
+            <label>
+              <input
+                type="radio"
+                checked={mode === "identify"}
+                onChange={() => {
+                  setMode("identify");
+                  clearProfile();
+                }}
+              />
+              Identify
+            </label>
+            <label>
+              <input type="radio" checked={mode === "profile"} onChange={() => setMode("profile")} />
+              Profile
+            </label>
+          </div>
+
+          {mode === "identify" && <p className="elevation-note">Click the map to read the elevation.</p>}
+
+          {mode === "profile" && !profile && (
+            <>
+              <p className="elevation-note">
+                Click the map to add points ({vertices.length} so far), then finish the line.
+              </p>
+              <div className="elevation-actions">
+                <button disabled={vertices.length < 2 || sampling} onClick={finishProfile}>
+                  {sampling ? "Sampling…" : "Finish line"}
+                </button>
+                <button disabled={vertices.length === 0} onClick={clearProfile}>Clear</button>
+              </div>
+            </>
+          )}
+
+          {mode === "profile" && profile && (
+            <>
+              <ProfileChart samples={profile.samples} summary={profile.summary} />
+              <table className="elevation-summary">
+                <tbody>
+                  <tr><td>Distance</td><td>{formatDistance(profile.summary.length)}</td></tr>
+                  <tr>
+                    <td>Min / Max</td>
+                    <td>
+                      {profile.summary.min === null
+                        ? "No data"
+                        : `${profile.summary.min.toFixed(1)} / ${profile.summary.max.toFixed(1)} m`}
+                    </td>
+                  </tr>
+                  <tr><td>Total ascent</td><td>{profile.summary.ascent.toFixed(1)} m</td></tr>
+                  <tr><td>Total descent</td><td>{profile.summary.descent.toFixed(1)} m</td></tr>
+                </tbody>
+              </table>
+              {profile.summary.missing > 0 && (
+                <p className="elevation-note">{profile.summary.missing} samples fell outside the DEM.</p>
+              )}
+              <div className="elevation-actions">
+                <button
+                  onClick={() => downloadFile("elevation-profile.csv", profileToCsv(profile.samples), "text/csv")}
+                >
+                  Download CSV
+                </button>
+                <button onClick={clearProfile}>New line</button>
+              </div>
+            </>
+          )}
+        </>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,209 @@
+// src/LowLyingWidget.js
+import React, { useEffect, useMemo, useRef, useState } from "react";
+import { useMap } from "react-leaflet";
+import L from "leaflet";
+import GeoRasterLayer from "georaster-layer-for-leaflet";
+import { LOW_LYING_MODES, analyseLowLying, lowLyingExtent } from "./lowLying";
+import { readRasterWindows } from "./demSources";
+import { wardKey } from "./wardStats";
+import { downloadFile, toCsv } from "./fileUtils";
+
+const DEPTH_COLORS = ["rgba(140, 200, 255, 0.55)", "rgba(40, 110, 220, 0.7)", "rgba(10, 30, 120, 0.85)"];
+
+// Light blue for shallow water through to navy for the deepest pixels
+const depthColor = (depth, maxDepth) => {
+  const t = maxDepth > 0 ? depth / maxDepth : 0;
+  return DEPTH_COLORS[t < 0.33 ? 0 : t < 0.66 ? 1 : 2];
+};
+
+const formatKm2 = (km2) => (km2 >= 1 ? `${km2.toFixed(2)} km²` : `${Math.round(km2 * 1e6).toLocaleString()} m²`);
+
+// Low-lying Areas Widget: highlights DEM pixels under a water level (or in
+// depressions) and reports the affected area per ward
+export default function LowLyingWidget({ rasters, wardData, noData }) {
+  const map = useMap();
+  const controlRef = useRef();
+  const [visible, setVisible] = useState(false);
+  const [mode, setMode] = useState("threshold");
+  const [threshold, setThreshold] = useState(890);
+  const [minDepth, setMinDepth] = useState(0.5);
+  const [scope, setScope] = useState(""); // "" = whole city
+  const [result, setResult] = useState(null);
+  const [running, setRunning] = useState(false);
+  const panelRef = useRef(null);
+
+  useEffect(() => {
+    const control = L.control({ position: "topleft" });
+
+    control.onAdd = () => {
+      const div = L.DomUtil.create("div", "leaflet-control-layers leaflet-bar");
+      div.innerHTML = '<button title="Low-lying Areas">🌊</button>';
+      div.style.cursor = "pointer";
+      div.style.width = "34px";
+      div.style.height = "34px";
+      div.style.display = "flex";
+      div.style.alignItems = "center";
+      div.style.justifyContent = "center";
+      div.onclick = () => setVisible((v) => !v);
+      return div;
+    };
+
+    control.addTo(map);
+    controlRef.current = control;
+
+    return () => {
+      map.removeControl(control);
+    };
+  }, [map]);
+
+  useEffect(() => {
+    if (visible && panelRef.current) {
+      L.DomEvent.disableClickPropagation(panelRef.current);
+      L.DomEvent.disableScrollPropagation(panelRef.current);
+    }
+  }, [visible]);
+
+  // Depth overlay for the latest run
+  useEffect(() => {
+    if (!result) return;
+    const maxDepth = Math.max(0, ...result.overlays.map((o) => o.maxs[0]));
+    const layers = result.overlays.map((overlay) =>
+      new GeoRasterLayer({
+        georaster: overlay,
+        pixelValuesToColorFn: ([depth]) => (isNaN(depth) ? null : depthColor(depth, maxDepth)),
+        resolution: 256,
+      }).addTo(map)
+    );
+    return () => layers.forEach((layer) => map.removeLayer(layer));
+  }, [result, map]);
+
+  const wardOptions = useMemo(
+    () =>
+      (wardData?.features || [])
+        .map((f) => ({ code: wardKey(f), number: Number(f.properties?.KGISWardNo), name: f.properties?.KGISWardName }))
+        .sort((a, b) => a.number - b.number),
+    [wardData]
+  );
+
+  const run = () => {
+    const options = { mode, threshold, minDepth, scope: scope || null, noData };
+    const extent = lowLyingExtent(wardData, options);
+    setRunning(true);
+    // Only the DEM pixels under the wards in scope are read
+    (extent ? readRasterWindows(rasters, extent) : Promise.resolve([]))
+      .then((windows) => setResult(analyseLowLying(windows, wardData, options)))
+      .catch((error) => console.error("Error running the low-lying analysis:", error))
+      .finally(() => setRunning(false));
+  };
+
+  const zoomToWard = (code) => {
+    const feature = wardData?.features.find((f) => wardKey(f) === code);
+    if (feature) map.fitBounds(L.geoJSON(feature).getBounds());
+  };
+
+  const downloadCsv = () => {
+    const rows = result.wards.map((w) => [
+      w.number,
+      w.code,
+      w.name,
+      w.sampledKm2.toFixed(4),
+      w.affectedKm2.toFixed(4),
+      (w.share * 100).toFixed(1),
+    ]);
+    downloadFile(
+      "low-lying-areas.csv",
+      toCsv(["ward_no", "ward_code", "ward_name", "area_km2", "affected_km2", "affected_pct"], rows),
+      "text/csv"
+    );
+  };
+
+  if (!visible) return null;
+
+  const ready = rasters?.length > 0 && wardData;
+
+  return (
+    <div className="lowlying-popup leaflet-control" ref={panelRef}>
+      <h4>Low-lying Areas</h4>
+      {!ready ? (
+        <p className="lowlying-note">Turn on the Digital Elevation Model and Wards layers to run the analysis.</p>
+      ) : (
+        <>
+          <label>
+            Find
+            <select value={mode} onChange={(e) => setMode(e.target.value)}>
+              {Object.entries(LOW_LYING_MODES).map(([key, label]) => (
+                <option key={key} value={key}>{label}</option>
+              ))}
+            </select>
+          </label>
+          {mode === "threshold" ? (
+            <label>
+              Water level (m above sea level)
+              <input type="number" step="1" value={threshold} onChange={(e) => setThreshold(Number(e.target.value))} />
+            </label>
+          ) : (
+            <label>
+              Minimum depth (m)
+              <input
+                type="number"
+                min="0"
+                step="0.5"
+                value={minDepth}
+                onChange={(e) => setMinDepth(Number(e.target.value))}
+              />
+            </label>
+          )}
+          <label>
+            Area
+            <select value={scope} onChange={(e) => setScope(e.target.value)}>
+              <option value="">Whole city</option>
+              {wardOptions.map((w) => (
+                <option key={w.code} value={w.code}>{w.number}. {w.name}</option>
+              ))}
+            </select>
+          </label>
+          <div className="lowlying-actions">
+            <button disabled={running} onClick={run}>{running ? "Analysing…" : "Run"}</button>
+            <button disabled={!result} onClick={() => setResult(null)}>Clear</button>
+          </div>
+
+          {result && (
+            <>
+              <p className="lowlying-total">
+                {formatKm2(result.affectedKm2)} of {formatKm2(result.sampledKm2)} affected
+                {result.sampledKm2 > 0 && ` (${((result.affectedKm2 / result.sampledKm2) * 100).toFixed(1)}%)`}
+              </p>
+              <div className="lowlying-ramp" style={{ background: `linear-gradient(to right, ${DEPTH_COLORS.join(", ")})` }} />
+              <div className="legend-ramp-labels">
+                <span>Shallow</span>
+                <span>Deep</span>
+              </div>
+              <div className="lowlying-table">
+                <table>
+                  <thead>
+                    <tr><th>Ward</th><th>Affected</th><th>%</th></tr>
+                  </thead>
+                  <tbody>
+                    {result.wards
+                      .filter((w) => w.affectedKm2 > 0)
+                      .map((w) => (
+                        <tr key={w.code} onClick={() => zoomToWard(w.code)} title="Zoom to ward">
+                          <td>{w.number}. {w.name}</td>
+                          <td>{formatKm2(w.affectedKm2)}</td>
+                          <td>{(w.share * 100).toFixed(1)}</td>
+                        </tr>
+                      ))}
+                  </tbody>
+                </table>
+              </div>
+              {result.sampledKm2 === 0 && (
+                <p className="lowlying-note">The DEM doesn't cover the selected area.</p>
+              )}
+              <button className="lowlying-download" onClick={downloadCsv}>Download CSV</button>
+            </>
+          )}
+        </>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,283 @@
+// src/MeasureWidget.js
+import React, { useEffect, useMemo, useRef, useState } from "react";
+import { useMap } from "react-leaflet";
+import L from "leaflet";
+import {
+  MEASURE_MODES,
+  measureCoords,
+  describeMeasurement,
+  formatLength,
+  formatMetricArea,
+  createVertexSnapper,
+  measurementsToGeoJSON,
+} from "./measure";
+import { downloadFile } from "./fileUtils";
+import { startDrawCapture } from "./drawCapture";
+
+const SNAP_PIXELS = 12; // Snap radius on screen
+
+const DRAFT_STYLE = { color: "#e67e22", weight: 3, fillOpacity: 0.15 };
+const RESULT_STYLE = { color: "#d35400", weight: 3, fillOpacity: 0.2 };
+const toLatLngs = (coords) => coords.map(([lng, lat]) => [lat, lng]);
+
+// Measurement toolbar: distances along a line, or area and perimeter of a
+// polygon, optionally snapping to ward boundary vertices. Finished
+// measurements stay on the map for the session and export as GeoJSON.
+export default function MeasureWidget({ wardData }) {
+  const map = useMap();
+  const panelRef = useRef(null);
+  const [visible, setVisible] = useState(false);
+  const [mode, setMode] = useState(null); // Mode being drawn, null when idle
+  const [snap, setSnap] = useState(true);
+  const [coords, setCoords] = useState([]);
+  const [measurements, setMeasurements] = useState([]);
+  const coordsRef = useRef([]);
+  const draftRef = useRef(null); // { shape, vertices, guide, cursor } while drawing
+  const resultsRef = useRef(null);
+  const resultLayersRef = useRef(new Map()); // measurement id -> layer
+  const countRef = useRef(0);
+  const finishRef = useRef(null);
+
+  const snapper = useMemo(() => (wardData ? createVertexSnapper(wardData.features) : null), [wardData]);
+  const snapRef = useRef(null);
+  snapRef.current = snap ? snapper : null;
+
+  useEffect(() => {
+    const control = L.control({ position: "topleft" });
+
+    control.onAdd = () => {
+      const div = L.DomUtil.create("div", "leaflet-control-layers leaflet-bar");
+      div.innerHTML = '<button title="Measure">📏</button>';
+      div.style.cursor = "pointer";
+      div.style.width = "34px";
+      div.style.height = "34px";
+      div.style.display = "flex";
+      div.style.alignItems = "center";
+      div.style.justifyContent = "center";
+      div.onclick = () => setVisible((v) => !v);
+      return div;
+    };
+
+    control.addTo(map);
+    resultsRef.current = L.featureGroup().addTo(map);
+    const resultLayers = resultLayersRef.current;
+
+    return () => {
+      map.removeControl(control);
+      map.removeLayer(resultsRef.current);
+      resultLayers.clear();
+    };
+  }, [map]);
+
+  useEffect(() => {
+    if (visible && panelRef.current) {
+      L.DomEvent.disableClickPropagation(panelRef.current);
+      L.DomEvent.disableScrollPropagation(panelRef.current);
+    }
+    // Closing the panel abandons a measurement in progress
+    if (!visible) setMode(null);
+  }, [visible]);
+
+  const updateCoords = (next) => {
+    coordsRef.current = next;
+    setCoords(next);
+  };
+
+  useEffect(() => {
+    if (!mode) return;
+    const group = L.layerGroup().addTo(map);
+    const draft = {
+      shape: (mode === "area" ? L.polygon([], DRAFT_STYLE) : L.polyline([], DRAFT_STYLE)).addTo(group),
+      vertices: L.layerGroup().addTo(group),
+      guide: L.polyline([], { ...DRAFT_STYLE, weight: 2, dashArray: "4 6" }).addTo(group),
+      cursor: L.circleMarker([0, 0], { radius: 5, color: "#e67e22", weight: 2, fillOpacity: 0 }),
+    };
+    draftRef.current = draft;
+
+    // Pointer position, moved onto a ward vertex when one is close enough
+    const pointFor = ({ latlng, containerPoint }) => {
+      const point = [latlng.lng, latlng.lat];
+      const snapper = snapRef.current;
+      if (!snapper) return { point, snapped: false };
+      const tolerance = map.distance(latlng, map.containerPointToLatLng(containerPoint.add([SNAP_PIXELS, 0])));
+      const vertex = snapper.nearest(point, tolerance);
+      return vertex ? { point: vertex, snapped: true } : { point, snapped: false };
+    };
+
+    const stop = startDrawCapture(map, {
+      className: "measure-capture",
+      onClick: (pointer) => {
+        const { point } = pointFor(pointer);
+        const last = coordsRef.current[coordsRef.current.length - 1];
+        // The clicks of a double-click land on the same spot
+        if (last && last[0] === point[0] && last[1] === point[1]) return;
+        updateCoords([...coordsRef.current, point]);
+      },
+      onDoubleClick: () => finishRef.current(),
+      onMove: (pointer) => {
+        const { point, snapped } = pointFor(pointer);
+        const latlng = [point[1], point[0]];
+        draft.cursor.setLatLng(latlng).setStyle({ color: snapped ? "#1a3ed4" : "#e67e22" });
+        if (!group.hasLayer(draft.cursor)) draft.cursor.addTo(group);
+        const current = coordsRef.current;
+        if (current.length === 0) return;
+        const guide = [[current[current.length - 1][1], current[current.length - 1][0]], latlng];
+        if (mode === "area" && current.length > 1) guide.push([current[0][1], current[0][0]]);
+        draft.guide.setLatLngs(guide);
+      },
+      onKeyDown: (e) => {
+        if (e.key === "Escape") {
+          updateCoords([]);
+          setMode(null);
+        } else if (e.key === "Enter") {
+          finishRef.current();
+        }
+      },
+    });
+
+    return () => {
+      stop();
+      map.removeLayer(group);
+      draftRef.current = null;
+    };
+  }, [mode, map]);
+
+  // Redraw the draft shape as vertices are added or undone
+  useEffect(() => {
+    const draft = draftRef.current;
+    if (!draft) return;
+    draft.shape.setLatLngs(toLatLngs(coords));
+    draft.vertices.clearLayers();
+    coords.forEach(([lng, lat]) =>
+      L.circleMarker([lat, lng], { radius: 4, color: "#fff", weight: 1, fillColor: "#e67e22", fillOpacity: 1 }).addTo(
+        draft.vertices
+      )
+    );
+    if (coords.length === 0) draft.guide.setLatLngs([]);
+  }, [coords]);
+
+  const addResultLayer = (measurement) => {
+    const latlngs = toLatLngs(measurement.coords);
+    const layer = measurement.mode === "area" ? L.polygon(latlngs, RESULT_STYLE) : L.polyline(latlngs, RESULT_STYLE);
+    const { result } = measurement;
+    const label = measurement.mode === "area" ? formatMetricArea(result.areaM2) : formatLength(result.lengthM);
+    layer
+      .bindTooltip(`${measurement.name}: ${label}`, { permanent: true, className: "measure-label" })
+      .bindPopup(`<strong>${measurement.name}</strong><br/>${describeMeasurement(result).join("<br/>")}`)
+      .addTo(resultsRef.current);
+    resultLayersRef.current.set(measurement.id, layer);
+  };
+
+  const finish = () => {
+    const result = measureCoords(mode, coordsRef.current);
+    if (result) {
+      countRef.current += 1;
+      const measurement = {
+        id: countRef.current,
+        name: `${mode === "area" ? "Area" : "Distance"} ${countRef.current}`,
+        mode,
+        coords: coordsRef.current,
+        result,
+        created: new Date().toISOString(),
+      };
+      addResultLayer(measurement);
+      setMeasurements((prev) => [...prev, measurement]);
+    }
+    updateCoords([]);
+    setMode(null);
+  };
+  finishRef.current = finish;
+
+  const start = (next) => {
+    updateCoords([]);
+    setMode(next);
+  };
+
+  const remove = (id) => {
+    const layer = resultLayersRef.current.get(id);
+    if (layer) resultsRef.current.removeLayer(layer);
+    resultLayersRef.current.delete(id);
+    setMeasurements((prev) => prev.filter((m) => m.id !== id));
+  };
+
+  const clearAll = () => {
+    resultsRef.current.clearLayers();
+    resultLayersRef.current.clear();
+    setMeasurements([]);
+  };
+
+  const zoomTo = (id) => {
+    const layer = resultLayersRef.current.get(id);
+    if (layer) map.fitBounds(layer.getBounds(), { padding: [30, 30], maxZoom: 18 });
+  };
+
+  const exportGeoJSON = () =>
+    downloadFile(
+      "measurements.geojson",
+      JSON.stringify(measurementsToGeoJSON(measurements), null, 2),
+      "application/geo+json"
+    );
+
+  if (!visible) return null;
+
+  const live = mode ? describeMeasurement(measureCoords(mode, coords)) : [];
+
+  return (
+    <div className="measure-popup leaflet-control" ref={panelRef}>
+      <h4>Measure</h4>
+      <div className="measure-modes">
+        {Object.entries(MEASURE_MODES).map(([key, label]) => (
+          <button key={key} className={mode === key ? "active" : ""} onClick={() => start(key)}>
+            {label}
+          </button>
+        ))}
+      </div>
+      <label className="measure-snap">
+        <input type="checkbox" checked={snap} disabled={!snapper} onChange={(e) => setSnap(e.target.checked)} />
+        Snap to ward boundary vertices
+      </label>
+
+      {mode && (
+        <div className="measure-live">
+          <p className="measure-hint">
+            Click to add points, double-click or Enter to finish, Esc to cancel.
+          </p>
+          {live.map((line) => (
+            <div key={line}>{line}</div>
+          ))}
+          <div className="measure-actions">
+            <button disabled={coords.length === 0} onClick={() => updateCoords(coords.slice(0, -1))}>Undo</button>
+            <button onClick={finish}>Finish</button>
+            <button onClick={() => start(null)}>Cancel</button>
+          </div>
+        </div>
+      )}
+
+      {measurements.length > 0 && (
+        <>
+          <h5>This session</h5>
+          <ul className="measure-list">
+            {measurements.map((m) => (
+              <li key={m.id}>
+                <div className="measure-list-header">
+                  <strong>{m.name}</strong>
+                  <span>
+                    <button onClick={() => zoomTo(m.id)} title="Zoom to">🔍</button>
+                    <button onClick={() => remove(m.id)} title="Delete">×</button>
+                  </span>
+                </div>
+                {describeMeasurement(m.result).map((line) => (
+                  <div key={line} className="measure-figure">{line}</div>
+                ))}
+              </li>
+            ))}
+          </ul>
+          <div className="measure-actions">
+            <button onClick={exportGeoJSON}>Export GeoJSON</button>
+            <button onClick={clearAll}>Clear all</button>
+          </div>
+        </>
+      )}
+    </div>
+  );
+}
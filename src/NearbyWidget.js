@@ -0,0 +1,161 @@
+// src/NearbyWidget.js
+import React, { useEffect, useMemo, useRef, useState } from "react";
+import { useMap } from "react-leaflet";
+import L from "leaflet";
+import { LocateControl } from "leaflet.locatecontrol";
+import "leaflet.locatecontrol/dist/L.Control.Locate.min.css";
+import { NEARBY_RADII, DEFAULT_NEARBY_RADIUS, nearestFeatures, compassPoint, formatDistance } from "./nearby";
+import { schoolName } from "./schools";
+import { wardLabel } from "./wardLookup";
+
+const NEARBY_LIMIT = 10;
+const MAX_WARD_TOLERANCE = 200; // metres
+
+function NearbyList({ title, entries, nameOf, onPick, emptyText }) {
+  return (
+    <>
+      <h5>
+        {title} <span className="nearby-count">({entries.length})</span>
+      </h5>
+      {entries.length === 0 ? (
+        <p className="nearby-note">{emptyText}</p>
+      ) : (
+        <ul className="nearby-list">
+          {entries.map((entry, i) => (
+            <li key={i} onClick={() => onPick(entry)} title="Fly to and open its popup">
+              <span className="nearby-name">{nameOf(entry.feature)}</span>
+              <span className="nearby-distance">
+                {formatDistance(entry.distanceM)}{" "}
+                <span className="nearby-arrow" style={{ transform: `rotate(${entry.bearing}deg)` }}>↑</span>{" "}
+                {compassPoint(entry.bearing)}
+              </span>
+            </li>
+          ))}
+        </ul>
+      )}
+    </>
+  );
+}
+
+// My-location control plus a panel of the closest schools and trees. The
+// locate button is the plugin's own; the panel opens when it is switched on.
+export default function NearbyWidget({ schoolData, treeData, treeFilter, wardLookup, onSelectFeature }) {
+  const map = useMap();
+  const panelRef = useRef(null);
+  const [visible, setVisible] = useState(false);
+  const [fix, setFix] = useState(null); // { lat, lng, accuracy }
+  const [error, setError] = useState(null);
+  const [radius, setRadius] = useState(DEFAULT_NEARBY_RADIUS);
+
+  useEffect(() => {
+    const control = new LocateControl({
+      position: "topleft",
+      flyTo: true,
+      drawCircle: true, // Accuracy circle around the fix
+      showPopup: false,
+      strings: { title: "Show my location and what's nearby" },
+      locateOptions: { enableHighAccuracy: true, maxZoom: 17 },
+      // The panel reports errors instead of the plugin's alert()
+      onLocationError: (err) => setError(err.message),
+    });
+    control.addTo(map);
+
+    const onActivate = () => {
+      setError(null);
+      setVisible(true);
+    };
+    const onDeactivate = () => {
+      setFix(null);
+      setVisible(false);
+    };
+    const onFound = (e) => setFix({ lat: e.latlng.lat, lng: e.latlng.lng, accuracy: e.accuracy });
+    map.on("locateactivate", onActivate);
+    map.on("locatedeactivate", onDeactivate);
+    map.on("locationfound", onFound);
+
+    return () => {
+      map.off("locateactivate", onActivate);
+      map.off("locatedeactivate", onDeactivate);
+      map.off("locationfound", onFound);
+      control.stop();
+      map.removeControl(control);
+    };
+  }, [map]);
+
+  useEffect(() => {
+    if (visible && panelRef.current) {
+      L.DomEvent.disableClickPropagation(panelRef.current);
+      L.DomEvent.disableScrollPropagation(panelRef.current);
+    }
+  }, [visible]);
+
+  const origin = useMemo(() => (fix ? [fix.lng, fix.lat] : null), [fix]);
+  const schools = useMemo(
+    () => nearestFeatures(schoolData, origin, { radiusM: radius, limit: NEARBY_LIMIT }),
+    [schoolData, origin, radius]
+  );
+  const trees = useMemo(
+    () => nearestFeatures(treeData, origin, { radiusM: radius, limit: NEARBY_LIMIT, filter: treeFilter }),
+    [treeData, treeFilter, origin, radius]
+  );
+
+  // A fix just over a ward edge, within its accuracy (capped so a coarse
+  // network fix doesn't claim a ward), counts as in the nearest ward
+  const ward =
+    fix && wardLookup ? wardLookup.wardAt(origin, { toleranceM: Math.min(fix.accuracy, MAX_WARD_TOLERANCE) }) : undefined;
+
+  // Fly first, then let the layer open the popup once its markers are drawn
+  const pick = ({ feature, point }) => {
+    map.once("moveend", () => onSelectFeature(feature));
+    map.flyTo([point[1], point[0]], 18);
+  };
+
+  if (!visible) return null;
+
+  return (
+    <div className="nearby-popup leaflet-control" ref={panelRef}>
+      <h4>
+        Near me
+        <button className="nearby-close" onClick={() => setVisible(false)} title="Hide panel">×</button>
+      </h4>
+      {error ? (
+        <p className="nearby-note nearby-error">Could not get your location: {error}</p>
+      ) : !fix ? (
+        <p className="nearby-note">Finding your location…</p>
+      ) : (
+        <>
+          <p className="nearby-where">
+            {ward !== undefined && <strong>{wardLabel(ward)}</strong>}
+            {ward?.approximate && " (nearest)"}
+            <br />
+            <span className="nearby-note">
+              {fix.lat.toFixed(5)}, {fix.lng.toFixed(5)} · ±{formatDistance(fix.accuracy)}
+            </span>
+          </p>
+          <label>
+            Within
+            <select value={radius} onChange={(e) => setRadius(Number(e.target.value))}>
+              {NEARBY_RADII.map((r) => (
+                <option key={r} value={r}>{formatDistance(r)}</option>
+              ))}
+            </select>
+          </label>
+          <NearbyList
+            title="Schools"
+            entries={schools}
+            nameOf={schoolName}
+            onPick={pick}
+            emptyText={schoolData ? "No schools within this distance." : "Turn on the Schools layer to list schools."}
+          />
+          <NearbyList
+            title="Trees"
+            entries={trees}
+            nameOf={(feature) => feature.properties?.TreeName || "Unnamed Tree"}
+            onPick={pick}
+            emptyText={treeData ? "No trees within this distance." : "Turn on the Tree Census layer to list trees."}
+          />
+        </>
+      )}
+    </div>
+  );
+}
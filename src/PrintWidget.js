@@ -0,0 +1,401 @@
+// src/PrintWidget.js
+import React, { useEffect, useRef, useState } from "react";
+import { useMap } from "react-leaflet";
+import L from "leaflet";
+import {
+  PAPER_SIZES,
+  PRINT_DPIS,
+  PAGE_GRIDS,
+  SCREEN_DPI,
+  paperDimensions,
+  layoutFrames,
+  mmToPt,
+  niceScaleBar,
+  scaleLabel,
+  printScale,
+  pageOffsets,
+  readLegend,
+  attributionText,
+  exportFileName,
+} from "./printLayout";
+import { renderMapToCanvas, waitForTiles, svgImage, loadImage } from "./mapRender";
+import { createPdf, setPngDpi } from "./pdf";
+import { downloadFile } from "./fileUtils";
+
+const DEFAULT_TITLE = "Bengaluru GeoInsights";
+const FONT = '"Segoe UI", Tahoma, Geneva, Verdana, sans-serif';
+const JPEG_QUALITY = 0.92;
+
+function canvasBytes(canvas, type, quality) {
+  return new Promise((resolve, reject) => {
+    canvas.toBlob(
+      (blob) => {
+        if (!blob) reject(new Error("The page is too large to export"));
+        else blob.arrayBuffer().then((buffer) => resolve(new Uint8Array(buffer)), reject);
+      },
+      type,
+      quality
+    );
+  });
+}
+
+// Ground metres per CSS pixel across the middle of the map
+function metresPerPixel(map) {
+  const { x, y } = map.getSize();
+  const west = map.containerPointToLatLng([0, y / 2]);
+  const east = map.containerPointToLatLng([x, y / 2]);
+  return map.distance(west, east) / x;
+}
+
+function drawNorthArrow(ctx, x, y, size) {
+  ctx.save();
+  ctx.fillStyle = "rgba(255,255,255,0.85)";
+  ctx.beginPath();
+  ctx.arc(x, y + size * 0.55, size * 0.62, 0, 2 * Math.PI);
+  ctx.fill();
+  ctx.fillStyle = "#222";
+  ctx.strokeStyle = "#222";
+  ctx.lineWidth = size / 25;
+  ctx.beginPath();
+  ctx.moveTo(x, y + size * 0.25);
+  ctx.lineTo(x + size * 0.25, y + size);
+  ctx.lineTo(x, y + size * 0.8);
+  ctx.closePath();
+  ctx.fill();
+  ctx.beginPath();
+  ctx.moveTo(x, y + size * 0.25);
+  ctx.lineTo(x - size * 0.25, y + size);
+  ctx.lineTo(x, y + size * 0.8);
+  ctx.closePath();
+  ctx.stroke();
+  ctx.font = `bold ${size * 0.3}px ${FONT}`;
+  ctx.textAlign = "center";
+  ctx.textBaseline = "alphabetic";
+  ctx.fillText("N", x, y + size * 0.2);
+  ctx.restore();
+}
+
+// Alternating black and white bar with 0, middle and end labels
+function drawScaleBar(ctx, bar, x, y, unit) {
+  const height = unit * 1.2;
+  ctx.save();
+  ctx.lineWidth = unit / 8;
+  ctx.strokeStyle = "#222";
+  [0, 1, 2, 3].forEach((i) => {
+    ctx.fillStyle = i % 2 ? "#fff" : "#222";
+    ctx.fillRect(x + (bar.px / 4) * i, y, bar.px / 4, height);
+  });
+  ctx.strokeRect(x, y, bar.px, height);
+  ctx.fillStyle = "#222";
+  ctx.font = `${unit * 2}px ${FONT}`;
+  ctx.textBaseline = "top";
+  ctx.textAlign = "left";
+  ctx.fillText("0", x, y + height + unit / 2);
+  ctx.textAlign = "center";
+  ctx.fillText(scaleLabel(bar.metres / 2), x + bar.px / 2, y + height + unit / 2);
+  ctx.textAlign = "right";
+  ctx.fillText(bar.label, x + bar.px, y + height + unit / 2);
+  ctx.restore();
+}
+
+// Draws legend entries top-down in the frame, stopping when it is full
+async function drawLegend(ctx, entries, frame, unit) {
+  const lineHeight = unit * 3.2;
+  const swatch = unit * 2.2;
+  const bottom = frame.y + frame.height;
+  let y = frame.y;
+  ctx.save();
+  ctx.fillStyle = "#222";
+  ctx.textBaseline = "middle";
+  ctx.font = `bold ${unit * 2.6}px ${FONT}`;
+  ctx.fillText("Legend", frame.x, y + lineHeight / 2);
+  y += lineHeight * 1.3;
+
+  for (const entry of entries) {
+    const height = entry.type === "ramp" ? lineHeight * 1.6 : lineHeight;
+    if (y + height > bottom) {
+      ctx.font = `italic ${unit * 2}px ${FONT}`;
+      ctx.fillText("…", frame.x, bottom - lineHeight / 2);
+      break;
+    }
+    const middle = y + lineHeight / 2;
+    if (entry.type === "title") {
+      ctx.font = `bold ${unit * 2.2}px ${FONT}`;
+      ctx.fillText(entry.text, frame.x, middle, frame.width);
+    } else if (entry.type === "note") {
+      ctx.font = `italic ${unit * 2}px ${FONT}`;
+      ctx.fillText(entry.text, frame.x, middle, frame.width);
+    } else if (entry.type === "ramp") {
+      const gradient = ctx.createLinearGradient(frame.x, 0, frame.x + frame.width, 0);
+      entry.colors.forEach((color, i) => gradient.addColorStop(i / Math.max(1, entry.colors.length - 1), color));
+      ctx.fillStyle = gradient;
+      ctx.fillRect(frame.x, y, frame.width, unit * 1.6);
+      ctx.fillStyle = "#222";
+      ctx.font = `${unit * 1.8}px ${FONT}`;
+      ctx.textBaseline = "top";
+      const labelY = y + unit * 2;
+      entry.labels.forEach((label, i) => {
+        ctx.textAlign = i === 0 ? "left" : i === entry.labels.length - 1 ? "right" : "center";
+        ctx.fillText(label, frame.x + (frame.width * i) / Math.max(1, entry.labels.length - 1), labelY);
+      });
+      ctx.textAlign = "left";
+      ctx.textBaseline = "middle";
+    } else {
+      const top = middle - swatch / 2;
+      if (entry.swatch?.kind === "dot") {
+        ctx.fillStyle = entry.swatch.color;
+        ctx.beginPath();
+        ctx.arc(frame.x + swatch / 2, middle, swatch / 2.5, 0, 2 * Math.PI);
+        ctx.fill();
+        ctx.fillStyle = "#222";
+      } else if (entry.swatch) {
+        try {
+          const image = await (entry.swatch.kind === "svg" ? svgImage(entry.swatch.markup) : loadImage(entry.swatch.src));
+          ctx.drawImage(image, frame.x, top, swatch, swatch);
+        } catch (err) {
+          console.warn("Legend swatch skipped:", err);
+        }
+      }
+      ctx.font = `${unit * 2}px ${FONT}`;
+      const textX = frame.x + swatch + unit;
+      const countWidth = entry.count ? ctx.measureText(entry.count).width + unit : 0;
+      ctx.fillText(entry.text, textX, middle, frame.width - swatch - unit - countWidth);
+      if (entry.count) {
+        ctx.fillStyle = "#666";
+        ctx.textAlign = "right";
+        ctx.fillText(entry.count, frame.x + frame.width, middle);
+        ctx.textAlign = "left";
+        ctx.fillStyle = "#222";
+      }
+    }
+    y += height;
+  }
+  ctx.restore();
+}
+
+// Print Widget: lays the current view out on paper with a title, legend,
+// scale bar, north arrow, attribution and date, as a PNG or a PDF of one
+// or more sheets
+export default function PrintWidget() {
+  const map = useMap();
+  const panelRef = useRef(null);
+  const [visible, setVisible] = useState(false);
+  const [title, setTitle] = useState(DEFAULT_TITLE);
+  const [paper, setPaper] = useState("a4");
+  const [orientation, setOrientation] = useState("landscape");
+  const [dpi, setDpi] = useState(150);
+  const [format, setFormat] = useState("pdf");
+  const [grid, setGrid] = useState("1x1");
+  const [includeLegend, setIncludeLegend] = useState(true);
+  const [status, setStatus] = useState(null); // Progress text while exporting
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    const control = L.control({ position: "topleft" });
+
+    control.onAdd = () => {
+      const div = L.DomUtil.create("div", "leaflet-control-layers leaflet-bar");
+      div.innerHTML = '<button title="Print / export">🖨️</button>';
+      div.style.cursor = "pointer";
+      div.style.width = "34px";
+      div.style.height = "34px";
+      div.style.display = "flex";
+      div.style.alignItems = "center";
+      div.style.justifyContent = "center";
+      div.onclick = () => setVisible((v) => !v);
+      return div;
+    };
+
+    control.addTo(map);
+
+    return () => {
+      map.removeControl(control);
+    };
+  }, [map]);
+
+  useEffect(() => {
+    if (visible && panelRef.current) {
+      L.DomEvent.disableClickPropagation(panelRef.current);
+      L.DomEvent.disableScrollPropagation(panelRef.current);
+    }
+  }, [visible]);
+
+  const sheets = format === "pdf" ? grid : "1x1";
+  const { widthMm, heightMm } = paperDimensions(paper, orientation);
+
+  // One page canvas with the map of the current view and its furniture
+  const composePage = async (frames, legend, mapCanvas, mpp, pageLabel, date) => {
+    const unit = (frames.page.width + frames.page.height) / 700; // Base size for text and lines
+    const page = document.createElement("canvas");
+    page.width = frames.page.width;
+    page.height = frames.page.height;
+    const ctx = page.getContext("2d");
+    ctx.fillStyle = "#fff";
+    ctx.fillRect(0, 0, page.width, page.height);
+
+    ctx.fillStyle = "#222";
+    ctx.font = `bold ${frames.title.height * 0.55}px ${FONT}`;
+    ctx.textBaseline = "middle";
+    ctx.fillText(title || DEFAULT_TITLE, frames.title.x, frames.title.y + frames.title.height / 2, frames.title.width);
+
+    const frame = frames.map;
+    ctx.drawImage(mapCanvas, frame.x, frame.y, frame.width, frame.height);
+    ctx.lineWidth = unit / 4;
+    ctx.strokeStyle = "#222";
+    ctx.strokeRect(frame.x, frame.y, frame.width, frame.height);
+    drawNorthArrow(ctx, frame.x + frame.width - unit * 5, frame.y + unit * 2, unit * 6);
+
+    if (frames.legend) await drawLegend(ctx, legend, frames.legend, unit);
+
+    const footer = frames.footer;
+    const bar = niceScaleBar(mpp, frame.width / 4);
+    drawScaleBar(ctx, bar, footer.x, footer.y + unit * 1.5, unit);
+    ctx.fillStyle = "#222";
+    ctx.font = `${unit * 2}px ${FONT}`;
+    ctx.textBaseline = "top";
+    ctx.fillText(`Scale ${printScale(mpp, dpi)} at ${PAPER_SIZES[paper].name}`, footer.x + bar.px + unit * 4, footer.y + unit * 1.5);
+
+    const attribution = attributionText(map.attributionControl?.getContainer().innerHTML);
+    ctx.textAlign = "right";
+    ctx.fillStyle = "#555";
+    ctx.font = `${unit * 1.7}px ${FONT}`;
+    ctx.fillText(attribution, footer.x + footer.width, footer.y + unit * 1.5, footer.width / 2);
+    ctx.fillText(
+      [date.toLocaleDateString(undefined, { year: "numeric", month: "long", day: "numeric" }), pageLabel].filter(Boolean).join(" · "),
+      footer.x + footer.width,
+      footer.y + unit * 4.5
+    );
+    return page;
+  };
+
+  const exportMap = async () => {
+    setError(null);
+    setStatus("Preparing…");
+    const container = map.getContainer();
+    const saved = { width: container.style.width, height: container.style.height };
+    const view = { center: map.getCenter(), zoom: map.getZoom() };
+    const legend = includeLegend ? readLegend(container.querySelector(".legend")) : [];
+    const frames = layoutFrames({ paper, orientation, dpi, legend: includeLegend && legend.length > 0 });
+    const scale = dpi / SCREEN_DPI;
+    const date = new Date();
+
+    try {
+      // Size the map like the printed frame at screen resolution, so the
+      // sheet shows the same ground at the same zoom as the screen
+      container.style.width = `${Math.round(frames.map.width / scale)}px`;
+      container.style.height = `${Math.round(frames.map.height / scale)}px`;
+      map.invalidateSize({ pan: false });
+
+      const size = map.getSize();
+      const centre = map.project(view.center, view.zoom);
+      const offsets = pageOffsets(sheets, size.x, size.y);
+      const pages = [];
+      for (const [i, { row, col, dx, dy }] of offsets.entries()) {
+        setStatus(`Rendering page ${i + 1} of ${offsets.length}…`);
+        map.setView(map.unproject(centre.add([dx, dy]), view.zoom), view.zoom, { animate: false });
+        await waitForTiles(map);
+        const mapCanvas = await renderMapToCanvas(map, scale);
+        const label = offsets.length > 1 ? `Sheet ${i + 1} of ${offsets.length} (row ${row + 1}, column ${col + 1})` : "";
+        pages.push(await composePage(frames, legend, mapCanvas, metresPerPixel(map) / scale, label, date));
+      }
+
+      setStatus("Encoding…");
+      if (format === "png") {
+        const png = await canvasBytes(pages[0], "image/png");
+        downloadFile(exportFileName(title, "png", date), setPngDpi(png, dpi), "image/png");
+      } else {
+        const pdfPages = [];
+        for (const page of pages) {
+          pdfPages.push({
+            widthPt: mmToPt(widthMm),
+            heightPt: mmToPt(heightMm),
+            jpeg: await canvasBytes(page, "image/jpeg", JPEG_QUALITY),
+            pixelWidth: page.width,
+            pixelHeight: page.height,
+          });
+        }
+        downloadFile(exportFileName(title, "pdf", date), createPdf(pdfPages, { title: title || DEFAULT_TITLE }), "application/pdf");
+      }
+    } catch (err) {
+      console.error("Print export failed:", err);
+      setError(
+        err.name === "SecurityError"
+          ? "A map layer's tiles can't be exported because its server doesn't allow cross-origin use. Switch the basemap or hide that layer and try again."
+          : `Export failed: ${err.message}`
+      );
+    } finally {
+      container.style.width = saved.width;
+      container.style.height = saved.height;
+      map.invalidateSize({ pan: false });
+      map.setView(view.center, view.zoom, { animate: false });
+      setStatus(null);
+    }
+  };
+
+  if (!visible) return null;
+
+  const frames = layoutFrames({ paper, orientation, dpi, legend: includeLegend });
+  const [cols, rows] = PAGE_GRIDS[sheets];
+
+  return (
+    <div className="print-popup leaflet-control" ref={panelRef}>
+      <h4>Print / Export</h4>
+      <label>
+        Title
+        <input type="text" value={title} onChange={(e) => setTitle(e.target.value)} />
+      </label>
+      <label>
+        Paper
+        <select value={paper} onChange={(e) => setPaper(e.target.value)}>
+          {Object.entries(PAPER_SIZES).map(([key, { name }]) => (
+            <option key={key} value={key}>{name}</option>
+          ))}
+        </select>
+        <select value={orientation} onChange={(e) => setOrientation(e.target.value)}>
+          <option value="landscape">Landscape</option>
+          <option value="portrait">Portrait</option>
+        </select>
+      </label>
+      <label>
+        Resolution
+        <select value={dpi} onChange={(e) => setDpi(Number(e.target.value))}>
+          {PRINT_DPIS.map((d) => (
+            <option key={d} value={d}>{d} dpi</option>
+          ))}
+        </select>
+      </label>
+      <div className="print-formats">
+        {["pdf", "png"].map((f) => (
+          <label key={f}>
+            <input type="radio" name="print-format" checked={format === f} onChange={() => setFormat(f)} />
+            {f.toUpperCase()}
+          </label>
+        ))}
+      </div>
+      {format === "pdf" && (
+        <label>
+          Sheets
+          <select value={grid} onChange={(e) => setGrid(e.target.value)}>
+            {Object.entries(PAGE_GRIDS).map(([key, [c, r]]) => (
+              <option key={key} value={key}>
+                {c * r === 1 ? "1 page (current view)" : `${c * r} pages, ${c} across × ${r} down`}
+              </option>
+            ))}
+          </select>
+        </label>
+      )}
+      <label>
+        <input type="checkbox" checked={includeLegend} onChange={(e) => setIncludeLegend(e.target.checked)} />
+        Include legend
+      </label>
+      <p className="print-note">
+        {PAPER_SIZES[paper].name} {widthMm} × {heightMm} mm · map {frames.map.width} × {frames.map.height} px
+        {cols * rows > 1 && ` per sheet, ${cols * rows} sheets extending the view`}
+      </p>
+      <button className="print-export" disabled={Boolean(status)} onClick={exportMap}>
+        {status || `Export ${format.toUpperCase()}`}
+      </button>
+      {error && <p className="print-error">{error}</p>}
+    </div>
+  );
+}
@@ -0,0 +1,366 @@
+// src/SketchWidget.js
+import React, { useEffect, useRef, useState } from "react";
+import { useMap } from "react-leaflet";
+import L from "leaflet";
+import {
+  SKETCH_KINDS,
+  SKETCH_COLORS,
+  DEFAULT_SKETCH_COLOR,
+  normaliseSketch,
+  sketchesToGeoJSON,
+  sketchesToKml,
+  parseSketchFile,
+} from "./sketches";
+import { startDrawCapture } from "./drawCapture";
+import { downloadFile } from "./fileUtils";
+
+const KIND_ICONS = { Point: "📍", LineString: "〰️", Polygon: "⬠" };
+
+const toLatLngs = (coords) => coords.map(([lng, lat]) => [lat, lng]);
+
+// Path style for a sketch; heavier outline when selected
+function sketchStyle({ geometry, color }, selected) {
+  const style = { color, weight: selected ? 5 : 3, fillColor: color, fillOpacity: 0.25 };
+  if (geometry.type === "Point") return { ...style, radius: selected ? 9 : 7, color: "#fff", weight: 2, fillOpacity: 0.9 };
+  return style;
+}
+
+// Leaflet layer for a sketch
+function sketchLayer(sketch, selected) {
+  const { geometry } = sketch;
+  const style = sketchStyle(sketch, selected);
+  if (geometry.type === "Point") {
+    const [lng, lat] = geometry.coordinates;
+    return L.circleMarker([lat, lng], style);
+  }
+  if (geometry.type === "LineString") return L.polyline(toLatLngs(geometry.coordinates), style);
+  return L.polygon(geometry.coordinates.map(toLatLngs), style);
+}
+
+// Built as DOM nodes: imported titles and descriptions are never parsed as HTML
+function sketchPopup(sketch) {
+  const content = document.createElement("div");
+  const title = document.createElement("strong");
+  title.textContent = sketch.title;
+  content.appendChild(title);
+  if (sketch.description) {
+    const description = document.createElement("div");
+    description.className = "sketch-popup-description";
+    description.textContent = sketch.description;
+    content.appendChild(description);
+  }
+  return content;
+}
+
+// Sketch Widget: draws points, lines and polygons with a title, description
+// and colour. The sketches live in App (saved to localStorage) and are shown
+// as the "My Sketches" layer.
+export default function SketchWidget({ sketches, onChange, layerVisible, onShowLayer }) {
+  const map = useMap();
+  const panelRef = useRef(null);
+  const fileInputRef = useRef(null);
+  const [visible, setVisible] = useState(false);
+  const [tool, setTool] = useState(null); // Geometry type being drawn
+  const [coords, setCoords] = useState([]);
+  const [selectedId, setSelectedId] = useState(null);
+  const [message, setMessage] = useState(null);
+  const coordsRef = useRef([]);
+  const finishRef = useRef(null);
+  const groupRef = useRef(null); // "My Sketches" layer while it is shown
+  const drawnRef = useRef(new Map()); // Sketch id -> { sketch, layer } on the map
+
+  useEffect(() => {
+    const control = L.control({ position: "topleft" });
+
+    control.onAdd = () => {
+      const div = L.DomUtil.create("div", "leaflet-control-layers leaflet-bar");
+      div.innerHTML = '<button title="Sketches">✏️</button>';
+      div.style.cursor = "pointer";
+      div.style.width = "34px";
+      div.style.height = "34px";
+      div.style.display = "flex";
+      div.style.alignItems = "center";
+      div.style.justifyContent = "center";
+      div.onclick = () => setVisible((v) => !v);
+      return div;
+    };
+
+    control.addTo(map);
+
+    return () => {
+      map.removeControl(control);
+    };
+  }, [map]);
+
+  useEffect(() => {
+    if (visible && panelRef.current) {
+      L.DomEvent.disableClickPropagation(panelRef.current);
+      L.DomEvent.disableScrollPropagation(panelRef.current);
+    }
+    if (!visible) setTool(null);
+  }, [visible]);
+
+  // The saved sketches: one layer per sketch, kept while the layer is shown
+  useEffect(() => {
+    if (!layerVisible) return;
+    const group = L.featureGroup().addTo(map);
+    const drawn = drawnRef.current;
+    groupRef.current = group;
+    return () => {
+      map.removeLayer(group);
+      groupRef.current = null;
+      drawn.clear();
+    };
+  }, [layerVisible, map]);
+
+  // Sketches are added or removed as the list changes and restyled in place
+  // otherwise, so an open popup survives selecting or editing its sketch
+  useEffect(() => {
+    const group = groupRef.current;
+    if (!group) return;
+    const drawn = drawnRef.current;
+    const ids = new Set(sketches.map((s) => s.id));
+    drawn.forEach(({ layer }, id) => {
+      if (ids.has(id)) return;
+      group.removeLayer(layer);
+      drawn.delete(id);
+    });
+
+    sketches.forEach((sketch) => {
+      const selected = sketch.id === selectedId;
+      const entry = drawn.get(sketch.id);
+      if (!entry || entry.sketch.geometry !== sketch.geometry) {
+        if (entry) group.removeLayer(entry.layer);
+        const layer = sketchLayer(sketch, selected)
+          .bindPopup(sketchPopup(sketch))
+          .on("click", () => setSelectedId(sketch.id))
+          .addTo(group);
+        drawn.set(sketch.id, { sketch, layer, selected });
+        return;
+      }
+      if (entry.selected !== selected || entry.sketch.color !== sketch.color) {
+        entry.layer.setStyle(sketchStyle(sketch, selected));
+      }
+      if (entry.sketch.title !== sketch.title || entry.sketch.description !== sketch.description) {
+        entry.layer.setPopupContent(sketchPopup(sketch));
+      }
+      Object.assign(entry, { sketch, selected });
+    });
+  }, [layerVisible, sketches, selectedId]);
+
+  const updateCoords = (next) => {
+    coordsRef.current = next;
+    setCoords(next);
+  };
+
+  const addSketch = (geometry) => {
+    const sketch = normaliseSketch({
+      title: `${SKETCH_KINDS[geometry.type]} ${sketches.length + 1}`,
+      color: sketches.find((s) => s.id === selectedId)?.color || DEFAULT_SKETCH_COLOR,
+      geometry,
+    });
+    onChange([...sketches, sketch]);
+    setSelectedId(sketch.id);
+    if (!layerVisible) onShowLayer();
+  };
+
+  const finish = () => {
+    const current = coordsRef.current;
+    if (tool === "LineString" && current.length >= 2) {
+      addSketch({ type: "LineString", coordinates: current });
+    } else if (tool === "Polygon" && current.length >= 3) {
+      addSketch({ type: "Polygon", coordinates: [[...current, current[0]]] });
+    }
+    updateCoords([]);
+    setTool(null);
+  };
+  finishRef.current = finish;
+  const addSketchRef = useRef(null);
+  addSketchRef.current = addSketch;
+
+  // Drawing: a point is placed with one click, lines and polygons finish on
+  // double-click or Enter
+  useEffect(() => {
+    if (!tool) return;
+    const group = L.layerGroup().addTo(map);
+    const style = { color: "#333", weight: 2, dashArray: "4 6", fillOpacity: 0.1 };
+    const shape = tool === "Polygon" ? L.polygon([], style) : L.polyline([], style);
+    if (tool !== "Point") shape.addTo(group);
+    const guide = L.polyline([], style).addTo(group);
+
+    const stop = startDrawCapture(map, {
+      onClick: ({ latlng }) => {
+        const point = [latlng.lng, latlng.lat];
+        if (tool === "Point") {
+          addSketchRef.current({ type: "Point", coordinates: point });
+          setTool(null);
+          return;
+        }
+        const last = coordsRef.current[coordsRef.current.length - 1];
+        if (last && last[0] === point[0] && last[1] === point[1]) return;
+        updateCoords([...coordsRef.current, point]);
+        shape.setLatLngs(toLatLngs(coordsRef.current));
+      },
+      onDoubleClick: () => finishRef.current(),
+      onMove: ({ latlng }) => {
+        const current = coordsRef.current;
+        if (current.length === 0) return;
+        const points = [[current[current.length - 1][1], current[current.length - 1][0]], latlng];
+        if (tool === "Polygon" && current.length > 1) points.push([current[0][1], current[0][0]]);
+        guide.setLatLngs(points);
+      },
+      onKeyDown: (e) => {
+        if (e.key === "Escape") {
+          updateCoords([]);
+          setTool(null);
+        } else if (e.key === "Enter") {
+          finishRef.current();
+        }
+      },
+    });
+
+    return () => {
+      stop();
+      map.removeLayer(group);
+    };
+  }, [tool, map]);
+
+  const startTool = (next) => {
+    updateCoords([]);
+    setTool(next === tool ? null : next);
+  };
+
+  const updateSketch = (id, changes) => onChange(sketches.map((s) => (s.id === id ? { ...s, ...changes } : s)));
+
+  const deleteSketch = (id) => {
+    onChange(sketches.filter((s) => s.id !== id));
+    if (selectedId === id) setSelectedId(null);
+  };
+
+  const zoomTo = (sketch) => {
+    const layer = sketchLayer(sketch, false);
+    if (layer.getBounds) map.fitBounds(layer.getBounds(), { padding: [30, 30], maxZoom: 18 });
+    else map.setView(layer.getLatLng(), Math.max(map.getZoom(), 17));
+  };
+
+  const importFile = (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = ""; // Allow importing the same file again
+    if (!file) return;
+    file
+      .text()
+      .then((text) => {
+        const { sketches: imported, skipped } = parseSketchFile(file.name, text);
+        // Imported ids may clash with ours
+        const fresh = imported.map((s) => normaliseSketch({ ...s, id: undefined }));
+        onChange([...sketches, ...fresh]);
+        if (!layerVisible) onShowLayer();
+        setMessage(`${fresh.length} imported${skipped ? `, ${skipped} skipped (unsupported geometry)` : ""}`);
+      })
+      .catch((error) => {
+        console.error("Error importing sketches:", error);
+        setMessage(`Could not import ${file.name}: ${error.message}`);
+      });
+  };
+
+  if (!visible) return null;
+
+  const selected = sketches.find((s) => s.id === selectedId);
+
+  return (
+    <div className="sketch-popup leaflet-control" ref={panelRef}>
+      <h4>Sketches</h4>
+      <div className="sketch-tools">
+        {Object.entries(SKETCH_KINDS).map(([type, label]) => (
+          <button key={type} className={tool === type ? "active" : ""} onClick={() => startTool(type)}>
+            {KIND_ICONS[type]} {label}
+          </button>
+        ))}
+      </div>
+      {tool && (
+        <p className="sketch-hint">
+          {tool === "Point"
+            ? "Click the map to place the point."
+            : `Click to add points (${coords.length} so far), double-click or Enter to finish, Esc to cancel.`}
+        </p>
+      )}
+
+      {selected && (
+        <div className="sketch-form">
+          <input
+            type="text"
+            value={selected.title}
+            placeholder="Title"
+            onChange={(e) => updateSketch(selected.id, { title: e.target.value })}
+          />
+          <textarea
+            rows={3}
+            value={selected.description}
+            placeholder="Description"
+            onChange={(e) => updateSketch(selected.id, { description: e.target.value })}
+          />
+          <div className="sketch-colors">
+            {SKETCH_COLORS.map((color) => (
+              <button
+                key={color}
+                className={`sketch-swatch ${selected.color === color ? "active" : ""}`}
+                style={{ background: color }}
+                title={color}
+                onClick={() => updateSketch(selected.id, { color })}
+              />
+            ))}
+            <input
+              type="color"
+              value={selected.color}
+              title="Other colour"
+              onChange={(e) => updateSketch(selected.id, { color: e.target.value })}
+            />
+          </div>
+        </div>
+      )}
+
+      {sketches.length === 0 ? (
+        <p className="sketch-hint">No sketches yet. Pick a tool above to draw one.</p>
+      ) : (
+        <ul className="sketch-list">
+          {sketches.map((sketch) => (
+            <li key={sketch.id} className={sketch.id === selectedId ? "active" : ""}>
+              <span className="sketch-color-dot" style={{ background: sketch.color }} />
+              <span className="sketch-title" onClick={() => setSelectedId(sketch.id)} title="Edit">
+                {KIND_ICONS[sketch.geometry.type]} {sketch.title}
+              </span>
+              <button onClick={() => zoomTo(sketch)} title="Zoom to">🔍</button>
+              <button onClick={() => deleteSketch(sketch.id)} title="Delete">×</button>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      <div className="sketch-actions">
+        <button
+          disabled={sketches.length === 0}
+          onClick={() =>
+            downloadFile("sketches.geojson", JSON.stringify(sketchesToGeoJSON(sketches), null, 2), "application/geo+json")
+          }
+        >
+          GeoJSON
+        </button>
+        <button
+          disabled={sketches.length === 0}
+          onClick={() => downloadFile("sketches.kml", sketchesToKml(sketches), "application/vnd.google-earth.kml+xml")}
+        >
+          KML
+        </button>
+        <button onClick={() => fileInputRef.current?.click()}>Import</button>
+        <input
+          ref={fileInputRef}
+          type="file"
+          accept=".geojson,.json,.kml,application/geo+json,application/vnd.google-earth.kml+xml"
+          hidden
+          onChange={importFile}
+        />
+      </div>
+      {message && <p className="sketch-hint">{message}</p>}
+    </div>
+  );
+}
@@ -0,0 +1,175 @@
+// src/TreeFilterWidget.js
+import React, { useEffect, useMemo, useRef, useState } from "react";
+import { useMap } from "react-leaflet";
+import L from "leaflet";
+import { TREE_FILTER_FIELDS, EMPTY_TREE_FILTER, distinctValues } from "./treeFilter";
+
+const MAX_LISTED_VALUES = 100;
+
+// One "field is one of ..." row of the filter builder
+function FilterCondition({ condition, options, onChange, onRemove }) {
+  const [search, setSearch] = useState("");
+  const selected = new Set(condition.values);
+
+  const listed = options
+    .filter((o) => selected.has(o.key) || o.label.toLowerCase().includes(search.toLowerCase()))
+    .slice(0, MAX_LISTED_VALUES);
+
+  const toggleValue = (key) => {
+    const values = selected.has(key)
+      ? condition.values.filter((v) => v !== key)
+      : [...condition.values, key];
+    onChange({ ...condition, values });
+  };
+
+  return (
+    <div className="treefilter-condition">
+      <div className="treefilter-condition-header">
+        <select
+          value={condition.field}
+          onChange={(e) => onChange({ ...condition, field: e.target.value, values: [] })}
+        >
+          {Object.entries(TREE_FILTER_FIELDS).map(([field, label]) => (
+            <option key={field} value={field}>{label}</option>
+          ))}
+        </select>
+        <span>is one of</span>
+        <button className="treefilter-remove" title="Remove condition" onClick={onRemove}>
+          &times;
+        </button>
+      </div>
+      <input
+        type="text"
+        placeholder={`Find ${TREE_FILTER_FIELDS[condition.field].toLowerCase()}...`}
+        value={search}
+        onChange={(e) => setSearch(e.target.value)}
+      />
+      <ul className="treefilter-values">
+        {listed.map((option) => (
+          <li key={option.key}>
+            <label>
+              <input
+                type="checkbox"
+                checked={selected.has(option.key)}
+                onChange={() => toggleValue(option.key)}
+              />
+              {option.label} <span className="treefilter-count">({option.count})</span>
+            </label>
+          </li>
+        ))}
+        {listed.length === 0 && <li className="treefilter-empty">No matching values</li>}
+      </ul>
+    </div>
+  );
+}
+
+// Tree Filter Widget: builds an AND/OR attribute filter for the tree census
+export default function TreeFilterWidget({ treeData, filter, onChange, matchCount }) {
+  const map = useMap();
+  const controlRef = useRef();
+  const [visible, setVisible] = useState(false);
+
+  useEffect(() => {
+    const control = L.control({ position: "topright" });
+
+    control.onAdd = () => {
+      const div = L.DomUtil.create("div", "leaflet-control-layers leaflet-bar");
+      div.innerHTML = '<button title="Filter Trees">🌳</button>';
+      div.style.cursor = "pointer";
+      div.style.width = "34px";
+      div.style.height = "34px";
+      div.style.display = "flex";
+      div.style.alignItems = "center";
+      div.style.justifyContent = "center";
+      div.onclick = () => setVisible((v) => !v);
+      return div;
+    };
+
+    control.addTo(map);
+    controlRef.current = control;
+
+    return () => {
+      map.removeControl(control);
+    };
+  }, [map]);
+
+  // Distinct values per field, only worked out while the panel is open
+  const fieldOptions = useMemo(() => {
+    if (!visible || !treeData) return {};
+    const options = {};
+    Object.keys(TREE_FILTER_FIELDS).forEach((field) => {
+      options[field] = distinctValues(treeData.features, field);
+    });
+    return options;
+  }, [visible, treeData]);
+
+  if (!visible) return null;
+
+  const updateCondition = (index, condition) =>
+    onChange({
+      ...filter,
+      conditions: filter.conditions.map((c, i) => (i === index ? condition : c)),
+    });
+
+  return (
+    <div className="treefilter-popup leaflet-control">
+      <h4>Filter Trees</h4>
+      {!treeData ? (
+        <p className="treefilter-empty">Turn on the Tree Census layer to filter trees.</p>
+      ) : (
+        <>
+          <div className="treefilter-combinator">
+            Match
+            <label>
+              <input
+                type="radio"
+                checked={filter.combinator === "and"}
+                onChange={() => onChange({ ...filter, combinator: "and" })}
+              />
+              all (AND)
+            </label>
+            <label>
+              <input
+                type="radio"
+                checked={filter.combinator === "or"}
+                onChange={() => onChange({ ...filter, combinator: "or" })}
+              />
+              any (OR)
+            </label>
+          </div>
+
+          {filter.conditions.map((condition, i) => (
+            <FilterCondition
+              key={condition.id}
+              condition={condition}
+              options={fieldOptions[condition.field] || []}
+              onChange={(c) => updateCondition(i, c)}
+              onRemove={() =>
+                onChange({ ...filter, conditions: filter.conditions.filter((_, j) => j !== i) })
+              }
+            />
+          ))}
+
+          <div className="treefilter-actions">
+            <button
+              onClick={() =>
+                onChange({
+                  ...filter,
+                  conditions: [...filter.conditions, { id: Date.now(), field: "TreeName", values: [] }],
+                })
+              }
+            >
+              + Add condition
+            </button>
+            <button onClick={() => onChange(EMPTY_TREE_FILTER)}>Clear</button>
+          </div>
+
+          <p className="treefilter-summary">
+            <strong>{matchCount.toLocaleString()}</strong> of{" "}
+            {treeData.features.length.toLocaleString()} trees match
+          </p>
+        </>
+      )}
+    </div>
+  );
+}
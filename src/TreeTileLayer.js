@@ -0,0 +1,159 @@
+// src/TreeTileLayer.js
+// City-wide tree rendering: below TREE_MARKER_MIN_ZOOM the census is cut into
+// tiles on the client and drawn as canvas dots; from that zoom on only the
+// trees in view get individual markers.
+import { useEffect, useMemo, useRef } from "react";
+import { useMap } from "react-leaflet";
+import L from "leaflet";
+import { createPointTileIndex } from "./pointTiles";
+import { speciesKey, treeIcon } from "./treeSpecies";
+import { treePopupContent } from "./popups";
+
+export const TREE_MARKER_MIN_ZOOM = 17;
+
+// Popup for a tree, with its ward once the boundaries have loaded
+const popupFor = (feature, wardLookup) => treePopupContent(feature, wardLookup?.wardAt(feature.geometry.coordinates));
+
+// Stand-alone popup for a tree that has no marker drawn
+function openPointPopup(map, feature, wardLookup, onSelect) {
+  const [lng, lat] = feature.geometry.coordinates;
+  L.popup()
+    .setLatLng([lat, lng])
+    .setContent(popupFor(feature, wardLookup))
+    .on("remove", () => onSelect?.(null))
+    .openOn(map);
+  onSelect?.(feature);
+}
+
+const dotRadius = (zoom) => (zoom < 12 ? 1.5 : zoom < 14 ? 2.5 : 3.5);
+
+// Canvas tile layer drawing the points of a tile index
+const TreeCanvasLayer = L.GridLayer.extend({
+  createTile(coords) {
+    const tile = L.DomUtil.create("canvas", "leaflet-tile");
+    const size = this.getTileSize();
+    const ratio = window.devicePixelRatio || 1;
+    tile.width = size.x * ratio;
+    tile.height = size.y * ratio;
+    tile.style.width = `${size.x}px`;
+    tile.style.height = `${size.y}px`;
+
+    const { index, colorFor } = this.options;
+    if (!index) return tile;
+
+    const ctx = tile.getContext("2d");
+    ctx.scale(ratio, ratio);
+    ctx.globalAlpha = 0.8;
+    const scale = 2 ** coords.z;
+    const radius = dotRadius(coords.z);
+
+    index.getTile(coords.z, coords.x, coords.y).forEach((p) => {
+      ctx.beginPath();
+      ctx.arc((p.x * scale - coords.x) * size.x, (p.y * scale - coords.y) * size.y, radius, 0, 2 * Math.PI);
+      ctx.fillStyle = colorFor(p.key);
+      ctx.fill();
+    });
+    return tile;
+  },
+});
+
+export default function TreeTileLayer({ visible, treeData, filter, speciesColors, wardLookup, openPopupFeature, onSelect }) {
+  const map = useMap();
+  const markerCacheRef = useRef(new WeakMap());
+  const wardLookupRef = useRef(wardLookup);
+  wardLookupRef.current = wardLookup;
+  const onSelectRef = useRef(onSelect);
+  onSelectRef.current = onSelect;
+
+  // Re-tiled whenever the data or the filter changes
+  const index = useMemo(() => {
+    if (!treeData?.features) return null;
+    return createPointTileIndex(treeData.features, { getKey: speciesKey, projected: treeData.points, filter });
+  }, [treeData, filter]);
+
+  useEffect(() => {
+    if (!visible || !index) return;
+
+    const canvasLayer = new TreeCanvasLayer({ index, colorFor: speciesColors.colorFor, zIndex: 10 });
+    const markerLayer = L.layerGroup();
+
+    // Individual markers for just the trees in view
+    const showViewportMarkers = () => {
+      const zoom = map.getZoom();
+      const bounds = map.getPixelBounds();
+      const tileSize = index.tileSize;
+      const markers = [];
+      for (let x = Math.floor(bounds.min.x / tileSize); x <= Math.floor(bounds.max.x / tileSize); x++) {
+        for (let y = Math.floor(bounds.min.y / tileSize); y <= Math.floor(bounds.max.y / tileSize); y++) {
+          index.getTile(zoom, x, y).forEach((p) => {
+            let marker = markerCacheRef.current.get(p.feature);
+            if (!marker) {
+              const [lng, lat] = p.feature.geometry.coordinates;
+              marker = L.marker([lat, lng], { icon: treeIcon(speciesColors.colorFor(p.key)) });
+              marker.bindPopup(() => popupFor(p.feature, wardLookupRef.current));
+              marker.on({
+                popupopen: () => onSelectRef.current?.(p.feature),
+                popupclose: () => onSelectRef.current?.(null),
+              });
+              markerCacheRef.current.set(p.feature, marker);
+            } else {
+              marker.setIcon(treeIcon(speciesColors.colorFor(p.key)));
+            }
+            markers.push(marker);
+          });
+        }
+      }
+      // Diff rather than clear, so an open popup survives the pan it causes
+      const wanted = new Set(markers);
+      markerLayer.eachLayer((marker) => {
+        if (!wanted.has(marker)) markerLayer.removeLayer(marker);
+      });
+      markers.forEach((marker) => {
+        if (!markerLayer.hasLayer(marker)) markerLayer.addLayer(marker);
+      });
+    };
+
+    const update = () => {
+      if (map.getZoom() >= TREE_MARKER_MIN_ZOOM) {
+        map.removeLayer(canvasLayer);
+        map.addLayer(markerLayer);
+        showViewportMarkers();
+      } else {
+        map.removeLayer(markerLayer);
+        map.addLayer(canvasLayer);
+      }
+    };
+
+    // Spatial hit test stands in for per-tree click handlers on the canvas
+    const onClick = (e) => {
+      if (map.getZoom() >= TREE_MARKER_MIN_ZOOM) return;
+      const hit = index.hitTest([e.latlng.lng, e.latlng.lat], map.getZoom());
+      if (hit) openPointPopup(map, hit.feature, wardLookupRef.current, onSelectRef.current);
+    };
+
+    update();
+    map.on("moveend", update);
+    map.on("click", onClick);
+
+    return () => {
+      map.off("moveend", update);
+      map.off("click", onClick);
+      map.removeLayer(canvasLayer);
+      map.removeLayer(markerLayer);
+    };
+  }, [visible, index, speciesColors, map]);
+
+  // Selected from search or the nearby panel: its marker if drawn, else a
+  // popup at the point
+  useEffect(() => {
+    if (!visible || !openPopupFeature) return;
+    const marker = markerCacheRef.current.get(openPopupFeature);
+    if (marker && map.hasLayer(marker)) {
+      marker.openPopup();
+    } else {
+      openPointPopup(map, openPopupFeature, wardLookupRef.current, onSelectRef.current);
+    }
+  }, [visible, openPopupFeature, map]);
+
+  return null;
+}
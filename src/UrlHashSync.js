@@ -0,0 +1,85 @@
+// src/UrlHashSync.js
+import { useEffect, useRef } from "react";
+import { useMap } from "react-leaflet";
+import { encodeHash, decodeHash } from "./urlState";
+
+// Keeps the URL hash in step with the map, both ways. Switching basemap,
+// layers, selection or the wards in the dashboard adds a history entry so
+// back/forward steps through them; panning, zooming, closing a popup or the
+// dashboard only update the current entry.
+export default function UrlHashSync({ basemap, layersVisibility, selection, dashboard, basemapKeys, onRestore }) {
+  const map = useMap();
+  const stateRef = useRef();
+  stateRef.current = { basemap, layers: layersVisibility, selection, dashboard };
+  const previousRef = useRef(null);
+  const onRestoreRef = useRef(onRestore);
+  onRestoreRef.current = onRestore;
+  const decodeOptionsRef = useRef();
+  decodeOptionsRef.current = { basemaps: basemapKeys, layerIds: Object.keys(layersVisibility) };
+
+  useEffect(() => {
+    const currentHash = () => {
+      const center = map.getCenter();
+      return encodeHash({ center: [center.lat, center.lng], zoom: map.getZoom(), ...stateRef.current });
+    };
+
+    const onMove = () => {
+      const hash = currentHash();
+      if (hash !== window.location.hash) window.history.replaceState(null, "", hash);
+    };
+
+    // Back/forward or an edited URL: apply whatever the new hash describes
+    const onNavigate = () => {
+      if (window.location.hash === currentHash()) return;
+      const restored = decodeHash(window.location.hash, decodeOptionsRef.current);
+      // The map moves before React re-renders, so record the restored state
+      // first or onMove would write the old one back into the URL
+      stateRef.current = {
+        basemap: restored.basemap || stateRef.current.basemap,
+        layers: restored.layers || stateRef.current.layers,
+        selection: restored.selection || null,
+        dashboard: restored.dashboard || null,
+      };
+      previousRef.current = stateRef.current;
+      if (!restored.selection) map.closePopup();
+      if (restored.view) map.setView(restored.view.center, restored.view.zoom);
+      onRestoreRef.current(restored);
+    };
+
+    map.on("moveend", onMove);
+    window.addEventListener("popstate", onNavigate);
+    window.addEventListener("hashchange", onNavigate);
+    return () => {
+      map.off("moveend", onMove);
+      window.removeEventListener("popstate", onNavigate);
+      window.removeEventListener("hashchange", onNavigate);
+    };
+  }, [map]);
+
+  useEffect(() => {
+    const center = map.getCenter();
+    const hash = encodeHash({
+      center: [center.lat, center.lng],
+      zoom: map.getZoom(),
+      basemap,
+      layers: layersVisibility,
+      selection,
+      dashboard,
+    });
+    const previous = previousRef.current;
+    previousRef.current = { basemap, layers: layersVisibility, selection, dashboard };
+    if (hash === window.location.hash) return;
+
+    const sameLayers = previous && encodeHash({ layers: previous.layers }) === encodeHash({ layers: layersVisibility });
+    const sameDashboard = previous && encodeHash({ dashboard: previous.dashboard }) === encodeHash({ dashboard });
+    const onlyClosed = !selection && (sameDashboard || !dashboard?.length);
+    const onlyDeselected = previous && previous.basemap === basemap && sameLayers && onlyClosed;
+    if (!previous || onlyDeselected) {
+      window.history.replaceState(null, "", hash);
+    } else {
+      window.history.pushState(null, "", hash);
+    }
+  }, [basemap, layersVisibility, selection, dashboard, map]);
+
+  return null;
+}
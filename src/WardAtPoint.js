@@ -0,0 +1,18 @@
+// src/WardAtPoint.js
+// Right-click anywhere on the map to see which ward the point falls in.
+import { useMapEvent } from "react-leaflet";
+import L from "leaflet";
+import { wardPopupLines } from "./popups";
+import { formatLatLng } from "./coordinates";
+
+export default function WardAtPoint({ wardLookup }) {
+  const map = useMapEvent("contextmenu", (e) => {
+    if (!wardLookup) return; // Wards still loading
+    const ward = wardLookup.wardAt([e.latlng.lng, e.latlng.lat]);
+    L.popup()
+      .setLatLng(e.latlng)
+      .setContent(`${wardPopupLines(ward)}<small>${formatLatLng(e.latlng)}</small>`)
+      .openOn(map);
+  });
+  return null;
+}
@@ -0,0 +1,334 @@
+// src/WardDashboard.js
+import React, { useEffect, useMemo, useRef, useState } from "react";
+import { useMap } from "react-leaflet";
+import L from "leaflet";
+import { wardSummary, compareRows } from "./wardDashboardStats";
+import { wardKey } from "./wardStats";
+import { wardInfo } from "./wardLookup";
+import { readRasterWindows } from "./demSources";
+import { geometryBounds } from "./geoUtils";
+import { schoolId, schoolName } from "./schools";
+import { formatMetricArea, formatLength } from "./measure";
+import { startDrawCapture } from "./drawCapture";
+import { DEFAULT_TREE_COLOR } from "./treeSpecies";
+
+const WARD_COLORS = ["#e67e22", "#8e44ad"]; // Outline of the ward and the one compared with it
+
+const wardName = (feature) => {
+  const { name, number } = wardInfo(feature);
+  return number ? `${number}. ${name}` : name;
+};
+
+// Horizontal bars of the most common species, the rest as "Other"
+function SpeciesChart({ summary, colorFor }) {
+  if (summary.trees === null) {
+    return <p className="dashboard-note">Turn on the Tree Census layer to count trees.</p>;
+  }
+  if (summary.trees === 0) return <p className="dashboard-note">No trees recorded in this ward.</p>;
+  const rows = [...summary.species];
+  if (summary.otherSpecies > 0) {
+    rows.push({ key: "__other__", label: `Other (${summary.speciesCount - summary.species.length} species)`, count: summary.otherSpecies });
+  }
+  const max = Math.max(...rows.map((r) => r.count));
+  return (
+    <ul className="dashboard-chart">
+      {rows.map((row) => (
+        <li key={row.key} title={`${row.label}: ${row.count.toLocaleString()} (${((row.count / summary.trees) * 100).toFixed(1)}%)`}>
+          <span className="dashboard-chart-label">{row.label}</span>
+          <span className="dashboard-chart-bar">
+            <span
+              style={{
+                width: `${(row.count / max) * 100}%`,
+                background: row.key === "__other__" ? "#bbb" : colorFor?.(row.key) || DEFAULT_TREE_COLOR,
+              }}
+            />
+          </span>
+          <span className="dashboard-chart-count">{row.count.toLocaleString()}</span>
+        </li>
+      ))}
+    </ul>
+  );
+}
+
+function ElevationFigures({ summary, demLoaded, loading }) {
+  if (!demLoaded) return <p className="dashboard-note">Turn on the DEM layer for elevation.</p>;
+  if (loading) return <p className="dashboard-note">Reading elevations…</p>;
+  if (!summary.elevation) return <p className="dashboard-note">The DEM doesn't cover this ward.</p>;
+  const { mean, min, max } = summary.elevation;
+  return (
+    <div className="dashboard-figures">
+      <div><strong>{mean.toFixed(1)} m</strong>mean</div>
+      <div><strong>{min.toFixed(1)} m</strong>min</div>
+      <div><strong>{max.toFixed(1)} m</strong>max</div>
+    </div>
+  );
+}
+
+// Ward Dashboard: slide-out panel with the figures for one ward, or two side
+// by side in compare mode. `codes` are the KGISWardCodes shown (also in the
+// URL); onChange replaces them and [] closes the panel.
+export default function WardDashboard({
+  codes,
+  onChange,
+  wardData,
+  schoolData,
+  treeData,
+  treeFilter,
+  speciesColors,
+  rasters,
+  noData,
+  wardLookup,
+  onSelectFeature,
+}) {
+  const map = useMap();
+  const panelRef = useRef(null);
+  const [picking, setPicking] = useState(false);
+  const open = codes.length > 0;
+
+  const wardsByCode = useMemo(
+    () => new Map((wardData?.features || []).map((f) => [String(wardKey(f)), f])),
+    [wardData]
+  );
+  const wards = codes.map((code) => wardsByCode.get(String(code)) || null);
+  const [primary, other] = wards;
+  const sortedWards = useMemo(
+    () => (wardData?.features || []).slice().sort((a, b) => wardInfo(a).name.localeCompare(wardInfo(b).name)),
+    [wardData]
+  );
+
+  // DEM pixels under the wards shown, read when they or the DEM change
+  const [demWindows, setDemWindows] = useState(null); // { rasters, primary, other, windows }
+  useEffect(() => {
+    const bounds = [primary, other].filter(Boolean).map((f) => geometryBounds(f.geometry));
+    if (!rasters?.length || bounds.length === 0) return;
+    const extent = [
+      Math.min(...bounds.map((b) => b[0])),
+      Math.min(...bounds.map((b) => b[1])),
+      Math.max(...bounds.map((b) => b[2])),
+      Math.max(...bounds.map((b) => b[3])),
+    ];
+    let current = true;
+    readRasterWindows(rasters, extent)
+      .then((windows) => current && setDemWindows({ rasters, primary, other, windows }))
+      .catch((error) => console.error("Error reading the DEM for the dashboard:", error));
+    return () => {
+      current = false;
+    };
+  }, [primary, other, rasters]);
+  const demRasters =
+    demWindows && demWindows.rasters === rasters && demWindows.primary === primary && demWindows.other === other
+      ? demWindows.windows
+      : null;
+  const demLoading = Boolean(rasters?.length) && !demRasters;
+
+  const summaryA = useMemo(
+    () => (primary ? wardSummary(primary, { wardData, schoolData, treeData, treeFilter, rasters: demRasters, noData }) : null),
+    [primary, wardData, schoolData, treeData, treeFilter, demRasters, noData]
+  );
+  const summaryB = useMemo(
+    () => (other ? wardSummary(other, { wardData, schoolData, treeData, treeFilter, rasters: demRasters, noData }) : null),
+    [other, wardData, schoolData, treeData, treeFilter, demRasters, noData]
+  );
+
+  useEffect(() => {
+    if (open && panelRef.current) {
+      L.DomEvent.disableClickPropagation(panelRef.current);
+      L.DomEvent.disableScrollPropagation(panelRef.current);
+    }
+  }, [open]);
+
+  // Outline the wards shown
+  useEffect(() => {
+    const group = L.layerGroup().addTo(map);
+    [primary, other].forEach((feature, i) => {
+      if (!feature) return;
+      L.geoJSON(feature, {
+        style: { color: WARD_COLORS[i], weight: 4, fill: false, dashArray: i ? "8 6" : null },
+        interactive: false,
+      }).addTo(group);
+    });
+    return () => map.removeLayer(group);
+  }, [primary, other, map]);
+
+  // Bring the ward (or both) into view when the dashboard opens or changes ward
+  useEffect(() => {
+    const shown = [primary, other].filter(Boolean);
+    if (shown.length === 0) return;
+    map.fitBounds(L.geoJSON({ type: "FeatureCollection", features: shown }).getBounds(), {
+      paddingBottomRight: [360, 0],
+      maxZoom: 16,
+    });
+  }, [primary, other, map]);
+
+  // Pick the ward to compare with by clicking the map
+  useEffect(() => {
+    if (!picking || !wardLookup) return;
+    const stop = startDrawCapture(map, {
+      onClick: ({ latlng }) => {
+        const ward = wardLookup.wardAt([latlng.lng, latlng.lat]);
+        if (ward && String(ward.code) !== String(codes[0])) onChange([codes[0], String(ward.code)]);
+        setPicking(false);
+      },
+      onKeyDown: (e) => {
+        if (e.key === "Escape") setPicking(false);
+      },
+    });
+    return stop;
+  }, [picking, wardLookup, codes, onChange, map]);
+
+  if (!open) return null;
+
+  const close = () => {
+    setPicking(false);
+    onChange([]);
+  };
+  const compareWith = (code) => onChange(code && String(code) !== String(codes[0]) ? [codes[0], String(code)] : [codes[0]]);
+
+  if (!wardData || !primary) {
+    return (
+      <div className="ward-dashboard leaflet-control" ref={panelRef}>
+        <div className="dashboard-header">
+          <h4>Ward Dashboard</h4>
+          <button className="dashboard-close" onClick={close} title="Close">×</button>
+        </div>
+        <p className="dashboard-note">
+          {wardData ? `No ward with KGIS code ${codes[0]}.` : "Loading ward boundaries…"}
+        </p>
+      </div>
+    );
+  }
+
+  const comparing = Boolean(summaryB);
+  const adjacent = comparing && summaryA.neighbours.some((n) => n.feature === other);
+
+  return (
+    <div className="ward-dashboard leaflet-control" ref={panelRef}>
+      <div className="dashboard-header">
+        <h4>
+          <span className="dashboard-swatch" style={{ borderColor: WARD_COLORS[0] }} />
+          {wardName(primary)}
+          {comparing && (
+            <>
+              {" "}vs{" "}
+              <span className="dashboard-swatch dashed" style={{ borderColor: WARD_COLORS[1] }} />
+              {wardName(other)}
+            </>
+          )}
+        </h4>
+        <button className="dashboard-close" onClick={close} title="Close">×</button>
+      </div>
+      <p className="dashboard-code">
+        KGIS {summaryA.code}
+        {comparing && ` · KGIS ${summaryB.code}`}
+      </p>
+
+      <div className="dashboard-compare">
+        <select value={codes[1] || ""} onChange={(e) => compareWith(e.target.value)}>
+          <option value="">Compare with another ward…</option>
+          {sortedWards
+            .filter((f) => f !== primary)
+            .map((f) => (
+              <option key={wardKey(f)} value={wardKey(f)}>{wardName(f)}</option>
+            ))}
+        </select>
+        <button disabled={!wardLookup} onClick={() => setPicking((p) => !p)} className={picking ? "active" : ""}>
+          {picking ? "Click a ward…" : "Pick on map"}
+        </button>
+        {comparing && (
+          <>
+            <button onClick={() => onChange([codes[1], codes[0]])} title="Swap the wards">⇄</button>
+            <button onClick={() => compareWith(null)} title="Stop comparing">×</button>
+          </>
+        )}
+      </div>
+
+      {comparing ? (
+        <>
+          {adjacent && <p className="dashboard-note">These wards share a boundary.</p>}
+          <table className="dashboard-table">
+            <thead>
+              <tr>
+                <th />
+                <th style={{ color: WARD_COLORS[0] }}>{summaryA.name}</th>
+                <th style={{ color: WARD_COLORS[1] }}>{summaryB.name}</th>
+                <th>Difference</th>
+              </tr>
+            </thead>
+            <tbody>
+              {compareRows(summaryA, summaryB).map((row) => (
+                <tr key={row.label}>
+                  <td>{row.label}</td>
+                  <td>{row.a}</td>
+                  <td>{row.b}</td>
+                  <td>{row.diff}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+          {[summaryA, summaryB].map((summary, i) => (
+            <section key={summary.code}>
+              <h5 style={{ color: WARD_COLORS[i] }}>Top species – {summary.name}</h5>
+              <SpeciesChart summary={summary} colorFor={speciesColors?.colorFor} />
+            </section>
+          ))}
+        </>
+      ) : (
+        <>
+          <section>
+            <h5>Size</h5>
+            <div className="dashboard-figures">
+              <div><strong>{formatMetricArea(summaryA.areaM2)}</strong>area</div>
+              <div><strong>{formatLength(summaryA.perimeterM)}</strong>perimeter</div>
+            </div>
+          </section>
+
+          <section>
+            <h5>Schools{summaryA.schools && ` (${summaryA.schools.length})`}</h5>
+            {summaryA.schools === null ? (
+              <p className="dashboard-note">Turn on the Schools layer to list schools.</p>
+            ) : summaryA.schools.length === 0 ? (
+              <p className="dashboard-note">No schools in this ward.</p>
+            ) : (
+              <ul className="dashboard-list">
+                {summaryA.schools.map((school) => (
+                  <li key={schoolId(school)} onClick={() => onSelectFeature?.(school)} title="Show on map">
+                    {schoolName(school)}
+                  </li>
+                ))}
+              </ul>
+            )}
+          </section>
+
+          <section>
+            <h5>
+              Trees
+              {summaryA.trees !== null &&
+                ` (${summaryA.trees.toLocaleString()} · ${(summaryA.trees / (summaryA.areaM2 / 1e6)).toFixed(0)} per km²)`}
+            </h5>
+            <SpeciesChart summary={summaryA} colorFor={speciesColors?.colorFor} />
+          </section>
+
+          <section>
+            <h5>Elevation</h5>
+            <ElevationFigures summary={summaryA} demLoaded={Boolean(rasters?.length)} loading={demLoading} />
+          </section>
+
+          <section>
+            <h5>Neighbouring wards ({summaryA.neighbours.length})</h5>
+            <ul className="dashboard-list">
+              {summaryA.neighbours.map(({ feature, sharedM }) => (
+                <li key={wardKey(feature)}>
+                  <span onClick={() => onChange([String(wardKey(feature))])} title="Open this ward">
+                    {wardName(feature)}
+                  </span>
+                  <span className="dashboard-shared">{sharedM > 0 ? formatLength(sharedM) : "corner"}</span>
+                  <button onClick={() => compareWith(String(wardKey(feature)))} title="Compare">⇄</button>
+                </li>
+              ))}
+            </ul>
+          </section>
+        </>
+      )}
+    </div>
+  );
+}
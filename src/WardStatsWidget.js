@@ -0,0 +1,88 @@
+// src/WardStatsWidget.js
+import React, { useEffect, useRef, useState } from "react";
+import { useMap } from "react-leaflet";
+import L from "leaflet";
+import { WARD_METRICS, CLASS_METHODS, classLabel } from "./wardStats";
+
+// Ward Statistics Widget: picks the choropleth metric and class-break method
+export default function WardStatsWidget({ theme, onChange, choropleth, treesLoaded, schoolsLoaded }) {
+  const map = useMap();
+  const controlRef = useRef();
+  const [visible, setVisible] = useState(false);
+
+  useEffect(() => {
+    const control = L.control({ position: "topright" });
+
+    control.onAdd = () => {
+      const div = L.DomUtil.create("div", "leaflet-control-layers leaflet-bar");
+      div.innerHTML = '<button title="Ward Statistics">📊</button>';
+      div.style.cursor = "pointer";
+      div.style.width = "34px";
+      div.style.height = "34px";
+      div.style.display = "flex";
+      div.style.alignItems = "center";
+      div.style.justifyContent = "center";
+      div.onclick = () => setVisible((v) => !v);
+      return div;
+    };
+
+    control.addTo(map);
+    controlRef.current = control;
+
+    return () => {
+      map.removeControl(control);
+    };
+  }, [map]);
+
+  if (!visible) return null;
+
+  const needsTrees = theme.metric === "trees" || theme.metric === "treeDensity";
+  const needsSchools = theme.metric === "schools" || theme.metric === "schoolDensity";
+
+  return (
+    <div className="wardstats-popup leaflet-control">
+      <h4>Ward Statistics</h4>
+      <label>
+        Colour wards by
+        <select
+          value={theme.metric || ""}
+          onChange={(e) => onChange({ ...theme, metric: e.target.value || null })}
+        >
+          <option value="">None (uniform fill)</option>
+          {Object.entries(WARD_METRICS).map(([key, { label }]) => (
+            <option key={key} value={key}>{label}</option>
+          ))}
+        </select>
+      </label>
+      <label>
+        Class breaks
+        <select
+          value={theme.method}
+          onChange={(e) => onChange({ ...theme, method: e.target.value })}
+        >
+          {Object.entries(CLASS_METHODS).map(([key, label]) => (
+            <option key={key} value={key}>{label}</option>
+          ))}
+        </select>
+      </label>
+
+      {needsTrees && !treesLoaded && (
+        <p className="wardstats-note">Turn on the Tree Census layer to include trees.</p>
+      )}
+      {needsSchools && !schoolsLoaded && (
+        <p className="wardstats-note">Turn on the Schools layer to include schools.</p>
+      )}
+
+      {choropleth && choropleth.breaks.length > 0 && (
+        <ul className="wardstats-classes">
+          {choropleth.breaks.map((_, i) => (
+            <li key={i}>
+              <span className="wardstats-swatch" style={{ backgroundColor: choropleth.colors[i] }} />
+              {classLabel(choropleth.breaks, i)}
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,446 @@
+// src/WardVintageWidget.js
+import React, { useEffect, useMemo, useRef, useState } from "react";
+import { useMap } from "react-leaflet";
+import L from "leaflet";
+import { guessWardFields, normalizeVintage, wardCrosswalk, crosswalkToCsv } from "./wardVintages";
+import { computeWardStats, wardKey } from "./wardStats";
+import { wardInfo } from "./wardLookup";
+import { downloadFile, toCsv } from "./fileUtils";
+
+const OLD_COLOR = "#1f78b4";
+const NEW_COLOR = "#e31a1c";
+const PANES = { old: "vintageOld", new: "vintageNew" };
+
+const wardName = (feature) => {
+  const { name, number } = wardInfo(feature);
+  return number ? `${number}. ${name}` : name;
+};
+
+const percent = (share) => `${(share * 100).toFixed(share < 0.1 ? 1 : 0)}%`;
+
+// Ward Vintage Widget: the ward boundary vintages side by side. Picks the
+// active one (which the map, ward statistics and analyses use), imports
+// more from GeoJSON, and compares two with an overlay or swipe view, a
+// crosswalk of area shares and tree and school counts under each.
+export default function WardVintageWidget({ vintages, activeId, onActivate, onAdd, onRemove, treeData, schoolData }) {
+  const map = useMap();
+  const panelRef = useRef(null);
+  const fileInputRef = useRef(null);
+  const swipeRef = useRef(0.5); // Divider position across the map
+  const [visible, setVisible] = useState(false);
+  const [pending, setPending] = useState(null); // { name, geojson, keys, fields } being imported
+  const [message, setMessage] = useState(null);
+  const [oldId, setOldId] = useState(null);
+  const [newId, setNewId] = useState(null);
+  const [view, setView] = useState("off"); // "off" | "overlay" | "swipe"
+  const [crosswalk, setCrosswalk] = useState(null); // { oldId, newId, rows }
+  const [counts, setCounts] = useState(null); // { [vintageId]: computeWardStats result }
+  const [countsFor, setCountsFor] = useState(null); // Vintage id shown in the counts table
+  const [running, setRunning] = useState(null); // "crosswalk" | "counts"
+
+  const loaded = vintages.filter((v) => v.data);
+  const oldVintage = loaded.find((v) => v.id === oldId) || loaded[0] || null;
+  const newVintage = loaded.find((v) => v.id === newId && v !== oldVintage) || loaded.find((v) => v !== oldVintage) || null;
+  const canCompare = Boolean(oldVintage && newVintage);
+
+  useEffect(() => {
+    const control = L.control({ position: "topleft" });
+
+    control.onAdd = () => {
+      const div = L.DomUtil.create("div", "leaflet-control-layers leaflet-bar");
+      div.innerHTML = '<button title="Ward boundary vintages">🗂️</button>';
+      div.style.cursor = "pointer";
+      div.style.width = "34px";
+      div.style.height = "34px";
+      div.style.display = "flex";
+      div.style.alignItems = "center";
+      div.style.justifyContent = "center";
+      div.onclick = () => setVisible((v) => !v);
+      return div;
+    };
+
+    control.addTo(map);
+
+    return () => {
+      map.removeControl(control);
+    };
+  }, [map]);
+
+  useEffect(() => {
+    if (visible && panelRef.current) {
+      L.DomEvent.disableClickPropagation(panelRef.current);
+      L.DomEvent.disableScrollPropagation(panelRef.current);
+    }
+  }, [visible]);
+
+  useEffect(() => {
+    Object.values(PANES).forEach((name) => {
+      if (!map.getPane(name)) map.createPane(name).style.zIndex = 420;
+    });
+  }, [map]);
+
+  // Both vintages' outlines; in swipe mode each pane is clipped to its side
+  // of a draggable divider (old on the left, new on the right)
+  useEffect(() => {
+    if (view === "off" || !canCompare) return;
+    const group = L.layerGroup().addTo(map);
+    [
+      [oldVintage, PANES.old, { color: OLD_COLOR, weight: 2, fillOpacity: 0.05 }],
+      [newVintage, PANES.new, { color: NEW_COLOR, weight: 2, dashArray: "6 4", fillOpacity: 0.05 }],
+    ].forEach(([vintage, pane, style]) =>
+      L.geoJSON(vintage.data, { pane, style, interactive: false }).addTo(group)
+    );
+    if (view !== "swipe") return () => map.removeLayer(group);
+
+    const oldPane = map.getPane(PANES.old);
+    const newPane = map.getPane(PANES.new);
+    const divider = L.DomUtil.create("div", "vintage-swipe", map.getContainer());
+    divider.innerHTML = `<span class="vintage-swipe-label old">◀ ${oldVintage.name}</span>
+      <span class="vintage-swipe-handle" title="Drag to compare"></span>
+      <span class="vintage-swipe-label new">${newVintage.name} ▶</span>`;
+    L.DomEvent.disableClickPropagation(divider);
+
+    const update = () => {
+      const size = map.getSize();
+      const nw = map.containerPointToLayerPoint([0, 0]);
+      const se = map.containerPointToLayerPoint(size);
+      const x = nw.x + size.x * swipeRef.current;
+      oldPane.style.clip = `rect(${nw.y}px, ${x}px, ${se.y}px, ${nw.x}px)`;
+      newPane.style.clip = `rect(${nw.y}px, ${se.x}px, ${se.y}px, ${x}px)`;
+      divider.style.left = `${size.x * swipeRef.current}px`;
+    };
+    const onDrag = (e) => {
+      const rect = map.getContainer().getBoundingClientRect();
+      swipeRef.current = Math.min(1, Math.max(0, (e.clientX - rect.left) / rect.width));
+      update();
+    };
+    const onDragEnd = () => {
+      document.removeEventListener("mousemove", onDrag);
+      document.removeEventListener("mouseup", onDragEnd);
+      map.dragging.enable();
+    };
+    divider.onmousedown = (e) => {
+      e.preventDefault();
+      map.dragging.disable();
+      document.addEventListener("mousemove", onDrag);
+      document.addEventListener("mouseup", onDragEnd);
+    };
+
+    map.on("move zoom resize", update);
+    update();
+    return () => {
+      onDragEnd();
+      map.off("move zoom resize", update);
+      divider.remove();
+      oldPane.style.clip = "";
+      newPane.style.clip = "";
+      map.removeLayer(group);
+    };
+  }, [view, canCompare, oldVintage, newVintage, map]);
+
+  // Results are for the pair (and points) they were built from
+  useEffect(() => setCrosswalk(null), [oldVintage, newVintage]);
+  useEffect(() => setCounts(null), [vintages, treeData, schoolData]);
+
+  const countRows = useMemo(() => {
+    const vintage = loaded.find((v) => v.id === countsFor);
+    if (!counts?.[countsFor] || !vintage) return [];
+    return vintage.data.features
+      .map((feature) => ({ feature, ...counts[countsFor][wardKey(feature)] }))
+      .sort((a, b) => wardName(a.feature).localeCompare(wardName(b.feature), undefined, { numeric: true }));
+  }, [counts, countsFor, loaded]);
+
+  const importFile = (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = ""; // Allow importing the same file again
+    if (!file) return;
+    file
+      .text()
+      .then((text) => {
+        const geojson = JSON.parse(text);
+        const polygon = geojson?.features?.find((f) => /Polygon$/.test(f?.geometry?.type || ""));
+        if (!polygon) throw new Error("no ward polygons found");
+        setPending({
+          name: file.name.replace(/\.(geo)?json$/i, ""),
+          geojson,
+          keys: Object.keys(polygon.properties || {}),
+          fields: guessWardFields(geojson),
+        });
+        setMessage(null);
+      })
+      .catch((error) => {
+        console.error("Error importing ward vintage:", error);
+        setMessage(`Could not import ${file.name}: ${error.message}`);
+      });
+  };
+
+  const addPending = () => {
+    const base = pending.name.toLowerCase().replace(/[^a-z0-9]+/g, "-") || "vintage";
+    const taken = new Set(vintages.map((v) => v.id));
+    let id = base;
+    for (let n = 2; taken.has(id); n++) id = `${base}-${n}`;
+    const data = normalizeVintage(pending.geojson, { id, ...pending.fields });
+    onAdd({ id, name: pending.name || id, imported: true, data, error: null });
+    setMessage(`${pending.name}: ${data.features.length} wards added`);
+    setPending(null);
+  };
+
+  const runCrosswalk = () => {
+    setRunning("crosswalk");
+    // Let the panel show the busy state before the (synchronous) overlay
+    setTimeout(() => {
+      setCrosswalk({
+        oldId: oldVintage.id,
+        newId: newVintage.id,
+        rows: wardCrosswalk(oldVintage.data, newVintage.data),
+      });
+      setRunning(null);
+    }, 0);
+  };
+
+  const runCounts = () => {
+    setRunning("counts");
+    setTimeout(() => {
+      const pair = [oldVintage, newVintage].filter(Boolean);
+      setCounts(Object.fromEntries(pair.map((v) => [v.id, computeWardStats(v.data, treeData, schoolData)])));
+      setCountsFor((prev) => (pair.some((v) => v.id === prev) ? prev : pair[pair.length - 1].id));
+      setRunning(null);
+    }, 0);
+  };
+
+  const countTotals = (vintageId) => {
+    const stats = Object.values(counts?.[vintageId] || {});
+    return {
+      wards: stats.length,
+      trees: stats.reduce((sum, s) => sum + s.trees, 0),
+      schools: stats.reduce((sum, s) => sum + s.schools, 0),
+    };
+  };
+
+  const downloadCounts = () => {
+    const vintage = loaded.find((v) => v.id === countsFor);
+    const rows = countRows.map(({ feature, areaKm2, trees, schools }) => {
+      const { number, code, name } = wardInfo(feature);
+      return [number, code, name, areaKm2.toFixed(4), treeData ? trees : "", schoolData ? schools : ""];
+    });
+    downloadFile(
+      `ward-counts-${vintage.id}.csv`,
+      toCsv(["ward_no", "ward_code", "ward_name", "area_km2", "trees", "schools"], rows),
+      "text/csv"
+    );
+  };
+
+  const zoomToWard = (feature) => map.fitBounds(L.geoJSON(feature).getBounds());
+
+  if (!visible) return null;
+
+  const vintageName = (id) => vintages.find((v) => v.id === id)?.name || id;
+
+  return (
+    <div className="vintage-popup leaflet-control" ref={panelRef}>
+      <h4>Ward Boundary Vintages</h4>
+      <ul className="vintage-list">
+        {vintages.map((v) => (
+          <li key={v.id}>
+            <label title={v.error || "Use for the map and analyses"}>
+              <input
+                type="radio"
+                name="active-vintage"
+                disabled={!v.data}
+                checked={v.id === activeId}
+                onChange={() => onActivate(v.id)}
+              />
+              {v.name}
+            </label>
+            <span className="vintage-figure">{v.data ? `${v.data.features.length} wards` : "failed"}</span>
+            {v.imported && (
+              <button onClick={() => onRemove(v.id)} title="Remove">×</button>
+            )}
+          </li>
+        ))}
+      </ul>
+      <button className="vintage-import" onClick={() => fileInputRef.current?.click()}>Import GeoJSON vintage…</button>
+      <input ref={fileInputRef} type="file" accept=".geojson,.json,application/geo+json" hidden onChange={importFile} />
+      {pending && (
+        <div className="vintage-pending">
+          <label>
+            Name
+            <input type="text" value={pending.name} onChange={(e) => setPending({ ...pending, name: e.target.value })} />
+          </label>
+          {[
+            ["codeField", "Ward code"],
+            ["nameField", "Ward name"],
+            ["numberField", "Ward number"],
+          ].map(([field, label]) => (
+            <label key={field}>
+              {label}
+              <select
+                value={pending.fields[field] || ""}
+                onChange={(e) => setPending({ ...pending, fields: { ...pending.fields, [field]: e.target.value || null } })}
+              >
+                <option value="">(none)</option>
+                {pending.keys.map((key) => (
+                  <option key={key} value={key}>{key}</option>
+                ))}
+              </select>
+            </label>
+          ))}
+          <div className="vintage-actions">
+            <button onClick={addPending}>Add vintage</button>
+            <button onClick={() => setPending(null)}>Cancel</button>
+          </div>
+        </div>
+      )}
+      {message && <p className="vintage-note">{message}</p>}
+
+      <h5>Compare</h5>
+      {!canCompare ? (
+        <p className="vintage-note">Import or list a second vintage in ward-vintages.json to compare boundaries.</p>
+      ) : (
+        <>
+          <label>
+            <span className="vintage-swatch" style={{ borderColor: OLD_COLOR }} />
+            Old
+            <select value={oldVintage.id} onChange={(e) => setOldId(e.target.value)}>
+              {loaded.map((v) => (
+                <option key={v.id} value={v.id}>{v.name}</option>
+              ))}
+            </select>
+          </label>
+          <label>
+            <span className="vintage-swatch dashed" style={{ borderColor: NEW_COLOR }} />
+            New
+            <select value={newVintage.id} onChange={(e) => setNewId(e.target.value)}>
+              {loaded
+                .filter((v) => v !== oldVintage)
+                .map((v) => (
+                  <option key={v.id} value={v.id}>{v.name}</option>
+                ))}
+            </select>
+          </label>
+          <div className="vintage-views">
+            {[
+              ["off", "Off"],
+              ["overlay", "Overlay"],
+              ["swipe", "Swipe"],
+            ].map(([key, label]) => (
+              <label key={key}>
+                <input type="radio" name="vintage-view" checked={view === key} onChange={() => setView(key)} />
+                {label}
+              </label>
+            ))}
+          </div>
+          {view === "swipe" && (
+            <p className="vintage-note">Drag the divider across the map. Hide the Ward Boundaries layer for a clean swipe.</p>
+          )}
+
+          <div className="vintage-actions">
+            <button disabled={Boolean(running)} onClick={runCrosswalk}>
+              {running === "crosswalk" ? "Overlaying…" : "Build crosswalk"}
+            </button>
+            <button
+              disabled={!crosswalk}
+              onClick={() =>
+                downloadFile(`ward-crosswalk-${crosswalk.oldId}-to-${crosswalk.newId}.csv`, crosswalkToCsv(crosswalk.rows), "text/csv")
+              }
+            >
+              Download CSV
+            </button>
+          </div>
+          {crosswalk && (
+            <>
+              <p className="vintage-total">
+                Each {vintageName(crosswalk.newId)} ward by the {vintageName(crosswalk.oldId)} wards its area came from
+              </p>
+              <div className="vintage-table">
+                <table>
+                  <thead>
+                    <tr><th>New ward</th><th>From old wards (share of area)</th></tr>
+                  </thead>
+                  <tbody>
+                    {crosswalk.rows.map(({ feature, areaM2, sources, unmatchedM2 }) => (
+                      <tr key={wardKey(feature)} onClick={() => zoomToWard(feature)} title="Zoom to ward">
+                        <td>{wardName(feature)}</td>
+                        <td>
+                          {sources.map((s) => `${wardName(s.feature)} ${percent(s.shareOfNew)}`).join(", ") || "–"}
+                          {areaM2 > 0 && unmatchedM2 / areaM2 >= 0.001 && (
+                            <span className="vintage-unmatched"> · outside old wards {percent(unmatchedM2 / areaM2)}</span>
+                          )}
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            </>
+          )}
+        </>
+      )}
+
+      <h5>Tree and school counts</h5>
+      {!treeData && !schoolData ? (
+        <p className="vintage-note">Turn on the Tree Census or Schools layer to count them by ward.</p>
+      ) : (
+        <>
+          <button className="vintage-import" disabled={Boolean(running) || !oldVintage} onClick={runCounts}>
+            {running === "counts" ? "Counting…" : canCompare ? "Count under both vintages" : "Count by ward"}
+          </button>
+          {counts && (
+            <>
+              <table className="vintage-summary">
+                <thead>
+                  <tr><th /><th>Wards</th><th>Trees</th><th>Schools</th></tr>
+                </thead>
+                <tbody>
+                  {Object.keys(counts).map((id) => {
+                    const totals = countTotals(id);
+                    return (
+                      <tr key={id}>
+                        <td>{vintageName(id)}</td>
+                        <td>{totals.wards}</td>
+                        <td>{treeData ? totals.trees.toLocaleString() : "–"}</td>
+                        <td>{schoolData ? totals.schools.toLocaleString() : "–"}</td>
+                      </tr>
+                    );
+                  })}
+                </tbody>
+              </table>
+              <p className="vintage-note">
+                Points outside every ward of a vintage aren't counted
+                {treeData && ` (of ${treeData.features.length.toLocaleString()} trees)`}
+                {schoolData && ` (of ${schoolData.features.length.toLocaleString()} schools)`}.
+              </p>
+              <label>
+                By ward under
+                <select value={countsFor || ""} onChange={(e) => setCountsFor(e.target.value)}>
+                  {Object.keys(counts).map((id) => (
+                    <option key={id} value={id}>{vintageName(id)}</option>
+                  ))}
+                </select>
+              </label>
+              <div className="vintage-table">
+                <table>
+                  <thead>
+                    <tr><th>Ward</th><th>Trees</th><th>Schools</th></tr>
+                  </thead>
+                  <tbody>
+                    {countRows.map(({ feature, trees, schools }) => (
+                      <tr key={wardKey(feature)} onClick={() => zoomToWard(feature)} title="Zoom to ward">
+                        <td>{wardName(feature)}</td>
+                        <td>{treeData ? trees.toLocaleString() : "–"}</td>
+                        <td>{schoolData ? schools : "–"}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+              <button className="vintage-import" disabled={countRows.length === 0} onClick={downloadCounts}>
+                Download CSV
+              </button>
+            </>
+          )}
+        </>
+      )}
+    </div>
+  );
+}
@@ -1,12 +1,26 @@
 // src/Widget.js
-import { useEffect, useRef } from "react";
+import { useEffect, useRef, useState } from "react";
+import { createPortal } from "react-dom";
 import { useMap } from "react-leaflet";
 import L from "leaflet";
+import { classLabel } from "./wardStats";
 
-// Legend Widget
-export function LegendWidget() {
+const TOP_N_OPTIONS = [5, 10, 15, 20, 25];
+
+// Legend Widget: lists the symbology of every visible layer
+export function LegendWidget({
+  layersVisibility = {},
+  wardChoropleth,
+  speciesColors,
+  hiddenSpecies,
+  onToggleSpecies,
+  speciesTopN,
+  onSpeciesTopNChange,
+  demLegend,
+}) {
   const map = useMap();
   const controlRef = useRef();
+  const [container, setContainer] = useState(null);
 
   useEffect(() => {
     const control = L.control({ position: "bottomright" });
@@ -17,30 +31,127 @@ export function LegendWidget() {
       div.style.padding = "10px";
       div.style.borderRadius = "5px";
       div.style.boxShadow = "0 0 15px rgba(0,0,0,0.2)";
-      div.innerHTML = `
-        <h4>Legend</h4>
-        <div>
-          <svg width="20" height="20">
-            <rect width="20" height="20" fill="#a6d8ff" stroke="#0066cc" stroke-width="2"/>
-          </svg> Ward Boundaries
-        </div>
-        <div style="margin-top:5px;">
-          <img src="/icons/school.png" alt="School Icon" width="20" height="20" style="vertical-align:middle;"/>
-          Schools
-        </div>
-      `;
+      // Keep legend clicks and scrolling from reaching the map
+      L.DomEvent.disableClickPropagation(div);
+      L.DomEvent.disableScrollPropagation(div);
       return div;
     };
 
     control.addTo(map);
     controlRef.current = control;
+    setContainer(control.getContainer());
 
     return () => {
       map.removeControl(control);
+      setContainer(null);
     };
   }, [map]);
 
-  return null;
+  if (!container) return null;
+
+  const speciesRow = (entry, keys) => {
+    const hidden = keys.every((key) => hiddenSpecies?.has(key));
+    return (
+      <li
+        key={entry.key}
+        className={`legend-species ${hidden ? "hidden" : ""}`}
+        onClick={() => onToggleSpecies?.(keys)}
+        title={hidden ? "Show on map" : "Hide from map"}
+      >
+        <span className="legend-dot" style={{ backgroundColor: entry.color }} />
+        <span className="legend-species-name">{entry.label}</span>
+        <span className="legend-count">{entry.count.toLocaleString()}</span>
+      </li>
+    );
+  };
+
+  const anyVisible = Object.values(layersVisibility).some(Boolean);
+
+  return createPortal(
+    <>
+      <h4>Legend</h4>
+      {!anyVisible && <div className="legend-empty">No visible layers</div>}
+
+      {layersVisibility.ward && (
+        <div className="legend-section">
+          {wardChoropleth ? (
+            <>
+              <div className="legend-title">Wards – {wardChoropleth.label}</div>
+              {wardChoropleth.breaks.map((_, i) => (
+                <div key={i} className="legend-row">
+                  <svg width="20" height="14">
+                    <rect width="20" height="14" fill={wardChoropleth.colors[i]} stroke="#0066cc" strokeWidth="2" />
+                  </svg>{" "}
+                  {classLabel(wardChoropleth.breaks, i)}
+                </div>
+              ))}
+            </>
+          ) : (
+            <div className="legend-row">
+              <svg width="20" height="20">
+                <rect width="20" height="20" fill="#a6d8ff" stroke="#0066cc" strokeWidth="2" />
+              </svg>{" "}
+              Ward Boundaries
+            </div>
+          )}
+        </div>
+      )}
+
+      {layersVisibility.schools && (
+        <div className="legend-section">
+          <div className="legend-row">
+            <img src="/icons/school.png" alt="School Icon" width="20" height="20" style={{ verticalAlign: "middle" }} />{" "}
+            Schools
+          </div>
+          <div className="legend-row">
+            <svg width="20" height="20">
+              <rect width="20" height="20" fill="#f5b041" fillOpacity="0.25" stroke="#d35400" strokeWidth="2" />
+            </svg>{" "}
+            School campuses (zoom 16+)
+          </div>
+        </div>
+      )}
+
+      {layersVisibility.trees && (
+        <div className="legend-section">
+          <div className="legend-title">Tree species</div>
+          {!speciesColors ? (
+            <div className="legend-empty">Loading trees…</div>
+          ) : (
+            <>
+              <select
+                className="legend-topn"
+                value={speciesTopN || ""}
+                onChange={(e) => onSpeciesTopNChange?.(e.target.value ? Number(e.target.value) : null)}
+              >
+                <option value="">Colour every species</option>
+                {TOP_N_OPTIONS.map((n) => (
+                  <option key={n} value={n}>Top {n} species, rest as Other</option>
+                ))}
+              </select>
+              <ul className="legend-species-list">
+                {speciesColors.entries.map((entry) => speciesRow(entry, [entry.key]))}
+                {speciesColors.other && speciesRow(speciesColors.other, speciesColors.other.members)}
+              </ul>
+            </>
+          )}
+        </div>
+      )}
+
+      {layersVisibility.dem && demLegend && (
+        <div className="legend-section">
+          <div className="legend-title">{demLegend.title}</div>
+          <div className="legend-ramp" style={{ background: demLegend.gradient }} />
+          <div className="legend-ramp-labels">
+            <span>{demLegend.minLabel}</span>
+            {demLegend.midLabel && <span>{demLegend.midLabel}</span>}
+            <span>{demLegend.maxLabel}</span>
+          </div>
+        </div>
+      )}
+    </>,
+    container
+  );
 }
 
 // Home Button Widget
@@ -76,3 +187,18 @@ export function HomeButton({ center, zoom }) {
 
   return null;
 }
+
+// Progress bar shown over the map while a dataset streams in
+export function LoadProgress({ label, loaded, total, detail }) {
+  const percent = total > 0 ? Math.round((loaded / total) * 100) : 0;
+  return (
+    <div className="load-progress leaflet-control">
+      <div className="load-progress-label">
+        {label} <span>{detail}</span>
+      </div>
+      <div className="load-progress-track">
+        <div className="load-progress-bar" style={{ width: `${percent}%` }} />
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,183 @@
+// src/attributeTable.js
+// Rows, columns, filters and spatial selection for the attribute table. Rows
+// are indices into a layer's feature array, so a selection survives sorting
+// and filtering.
+import { distance, pointInGeometry, featurePoint } from "./geoUtils";
+import { toCsv } from "./fileUtils";
+
+export const TABLE_LAYERS = { ward: "Wards", schools: "Schools", trees: "Trees" };
+export const TABLE_PAGE_SIZE = 100;
+export const SELECT_MODES = { replace: "New selection", add: "Add to selection", remove: "Remove from selection" };
+
+const COLUMN_SAMPLE = 2000; // Features scanned for column names
+const isHidden = (key) => key.startsWith("__");
+
+// Property names, most common first, skipping nested objects and internal keys
+export function tableColumns(features, { max = 30 } = {}) {
+  const counts = new Map();
+  (features || []).slice(0, COLUMN_SAMPLE).forEach((feature) => {
+    Object.entries(feature?.properties || {}).forEach(([key, value]) => {
+      if (isHidden(key) || (value !== null && typeof value === "object")) return;
+      counts.set(key, (counts.get(key) || 0) + 1);
+    });
+  });
+  // Map keeps first-seen order, which the stable sort preserves for ties
+  return [...counts.entries()]
+    .sort((a, b) => b[1] - a[1])
+    .slice(0, max)
+    .map(([key]) => key);
+}
+
+export const cellText = (value) => (value === undefined || value === null ? "" : String(value));
+
+const asNumber = (value) => {
+  if (typeof value === "number") return value;
+  const text = cellText(value).trim();
+  return text !== "" && isFinite(text) ? Number(text) : NaN;
+};
+
+// Numbers numerically, text naturally ("Ward 2" before "Ward 10"); blanks last
+export function compareValues(a, b) {
+  const blankA = cellText(a) === "";
+  const blankB = cellText(b) === "";
+  if (blankA || blankB) return blankA - blankB;
+  const na = asNumber(a);
+  const nb = asNumber(b);
+  if (!isNaN(na) && !isNaN(nb)) return na - nb;
+  return cellText(a).localeCompare(cellText(b), undefined, { numeric: true, sensitivity: "base" });
+}
+
+const OPERATORS = {
+  ">=": (a, b) => a >= b,
+  "<=": (a, b) => a <= b,
+  "!=": (a, b) => a !== b,
+  ">": (a, b) => a > b,
+  "<": (a, b) => a < b,
+  "=": (a, b) => a === b,
+};
+
+// Column filter text as a value test: ">10", "<=5", "=3" or "!=0" compare
+// numbers, "=text" matches exactly and anything else is a case-insensitive
+// substring. Empty text gives null (no filter).
+export function parseColumnFilter(text) {
+  const trimmed = String(text || "").trim();
+  if (!trimmed) return null;
+  const op = Object.keys(OPERATORS).find((o) => trimmed.startsWith(o));
+  if (op) {
+    const operand = trimmed.slice(op.length).trim();
+    const number = asNumber(operand);
+    if (!isNaN(number)) {
+      return (value) => {
+        const n = asNumber(value);
+        return !isNaN(n) && OPERATORS[op](n, number);
+      };
+    }
+    if (op === "=") return (value) => cellText(value).toLowerCase() === operand.toLowerCase();
+    if (op === "!=") return (value) => cellText(value).toLowerCase() !== operand.toLowerCase();
+  }
+  const needle = trimmed.toLowerCase();
+  return (value) => cellText(value).toLowerCase().includes(needle);
+}
+
+// Row indices after the column filters, an optional set of indices to keep,
+// and the sort ({ column, direction: "asc" | "desc" })
+export function queryTable(features, { filters = {}, only = null, sort = null } = {}) {
+  const tests = Object.entries(filters)
+    .map(([column, text]) => [column, parseColumnFilter(text)])
+    .filter(([, test]) => test);
+
+  const rows = [];
+  (features || []).forEach((feature, index) => {
+    if (only && !only.has(index)) return;
+    const props = feature?.properties || {};
+    if (tests.every(([column, test]) => test(props[column]))) rows.push(index);
+  });
+
+  if (sort?.column) {
+    const sign = sort.direction === "desc" ? -1 : 1;
+    const value = (index) => features[index]?.properties?.[sort.column];
+    rows.sort((a, b) => {
+      const va = value(a);
+      const vb = value(b);
+      // Blanks stay last whichever way the column is sorted
+      if (cellText(va) === "" || cellText(vb) === "") return compareValues(va, vb);
+      return sign * compareValues(va, vb) || a - b;
+    });
+  }
+  return rows;
+}
+
+// Selection shapes, in [lng, lat]:
+//   { type: "rectangle", bounds: [minLng, minLat, maxLng, maxLat] }
+//   { type: "lasso", ring: [[lng, lat], ...] }
+//   { type: "buffer", center: [lng, lat], radiusM }
+//   { type: "ward", feature }
+export function shapeContains(shape) {
+  switch (shape?.type) {
+    case "rectangle": {
+      const [minX, minY, maxX, maxY] = shape.bounds;
+      return ([x, y]) => x >= minX && x <= maxX && y >= minY && y <= maxY;
+    }
+    case "lasso": {
+      const geometry = { type: "Polygon", coordinates: [[...shape.ring, shape.ring[0]]] };
+      return (point) => pointInGeometry(point, geometry);
+    }
+    case "buffer":
+      return (point) => distance(shape.center, point) <= shape.radiusM;
+    case "ward":
+      return (point) => pointInGeometry(point, shape.feature.geometry);
+    default:
+      return () => false;
+  }
+}
+
+// Indices of the features inside a shape. Features are tested by their
+// representative point, so a ward counts when its centroid is inside; a
+// picked ward always selects itself.
+export function selectFeatures(features, shape) {
+  const contains = shapeContains(shape);
+  const indices = [];
+  (features || []).forEach((feature, index) => {
+    if (shape.type === "ward" && feature === shape.feature) {
+      indices.push(index);
+      return;
+    }
+    const point = featurePoint(feature);
+    if (point && contains(point)) indices.push(index);
+  });
+  return indices;
+}
+
+export function combineSelection(current, indices, mode = "replace") {
+  if (mode === "replace") return new Set(indices);
+  const next = new Set(current);
+  indices.forEach((index) => (mode === "remove" ? next.delete(index) : next.add(index)));
+  return next;
+}
+
+const sortedIndices = (selection) => [...selection].sort((a, b) => a - b);
+
+// The chosen columns plus the representative point of each selected feature
+export function selectionToCsv(features, selection, columns) {
+  const rows = sortedIndices(selection).map((index) => {
+    const feature = features[index];
+    const point = featurePoint(feature);
+    return [
+      ...columns.map((column) => feature?.properties?.[column]),
+      point ? point[1].toFixed(6) : "",
+      point ? point[0].toFixed(6) : "",
+    ];
+  });
+  return toCsv([...columns, "latitude", "longitude"], rows);
+}
+
+export function selectionToGeoJSON(features, selection) {
+  return {
+    type: "FeatureCollection",
+    features: sortedIndices(selection).map((index) => {
+      const { type, id, properties, geometry } = features[index];
+      const kept = Object.fromEntries(Object.entries(properties || {}).filter(([key]) => !isHidden(key)));
+      return { type, ...(id !== undefined ? { id } : {}), properties: kept, geometry };
+    }),
+  };
+}
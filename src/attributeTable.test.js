@@ -0,0 +1,112 @@
+import {
+  tableColumns,
+  compareValues,
+  parseColumnFilter,
+  queryTable,
+  shapeContains,
+  selectFeatures,
+  combineSelection,
+  selectionToCsv,
+  selectionToGeoJSON,
+} from "./attributeTable";
+
+const tree = (lng, lat, properties) => ({
+  type: "Feature",
+  properties,
+  geometry: { type: "Point", coordinates: [lng, lat] },
+});
+
+const square = (minX, minY, size) => [
+  [minX, minY],
+  [minX + size, minY],
+  [minX + size, minY + size],
+  [minX, minY + size],
+  [minX, minY],
+];
+
+const trees = [
+  tree(77.59, 12.97, { TreeName: "Neem", Girth: "120", Ward: "Ward 10" }),
+  tree(77.6, 12.98, { TreeName: "Rain Tree", Girth: 95, Ward: "Ward 2", __index: 1 }),
+  tree(77.61, 12.99, { TreeName: "Neem", Girth: null, Ward: "Ward 2", tags: { a: 1 } }),
+  tree(77.7, 13.05, { TreeName: "Gulmohar", Girth: "300" }),
+];
+
+test("tableColumns orders by frequency and skips nested and internal keys", () => {
+  expect(tableColumns(trees)).toEqual(["TreeName", "Girth", "Ward"]);
+  expect(tableColumns(trees, { max: 1 })).toEqual(["TreeName"]);
+  expect(tableColumns(null)).toEqual([]);
+});
+
+test("compareValues sorts numbers numerically, text naturally and blanks last", () => {
+  expect(["10", 9, "100"].sort(compareValues)).toEqual([9, "10", "100"]);
+  expect(["Ward 10", "Ward 2"].sort(compareValues)).toEqual(["Ward 2", "Ward 10"]);
+  expect([null, "b", "", "a"].sort(compareValues)).toEqual(["a", "b", null, ""]);
+});
+
+test("parseColumnFilter handles comparisons, exact matches and substrings", () => {
+  expect(parseColumnFilter("  ")).toBeNull();
+  expect(parseColumnFilter(">100")("120")).toBe(true);
+  expect(parseColumnFilter(">100")(95)).toBe(false);
+  expect(parseColumnFilter(">100")(null)).toBe(false);
+  expect(parseColumnFilter("<= 95")(95)).toBe(true);
+  expect(parseColumnFilter("!=0")(0)).toBe(false);
+  expect(parseColumnFilter("=neem")("Neem")).toBe(true);
+  expect(parseColumnFilter("=neem")("Neem tree")).toBe(false);
+  expect(parseColumnFilter("tree")("Rain Tree")).toBe(true);
+});
+
+test("queryTable filters, restricts and sorts row indices", () => {
+  expect(queryTable(trees)).toEqual([0, 1, 2, 3]);
+  expect(queryTable(trees, { filters: { TreeName: "neem" } })).toEqual([0, 2]);
+  expect(queryTable(trees, { filters: { Girth: ">100" } })).toEqual([0, 3]);
+  expect(queryTable(trees, { only: new Set([1, 3]) })).toEqual([1, 3]);
+  expect(queryTable(trees, { sort: { column: "Girth", direction: "asc" } })).toEqual([1, 0, 3, 2]);
+  expect(queryTable(trees, { sort: { column: "Girth", direction: "desc" } })).toEqual([3, 0, 1, 2]);
+  expect(queryTable(trees, { sort: { column: "Ward", direction: "asc" } })).toEqual([1, 2, 0, 3]);
+});
+
+test("shapeContains for rectangles, lassos and buffers", () => {
+  const rectangle = shapeContains({ type: "rectangle", bounds: [77.58, 12.96, 77.605, 12.985] });
+  expect(rectangle([77.59, 12.97])).toBe(true);
+  expect(rectangle([77.61, 12.97])).toBe(false);
+
+  const lasso = shapeContains({ type: "lasso", ring: [[77.58, 12.96], [77.62, 12.96], [77.58, 13.0]] });
+  expect(lasso([77.59, 12.97])).toBe(true);
+  expect(lasso([77.61, 12.99])).toBe(false);
+
+  const buffer = shapeContains({ type: "buffer", center: [77.59, 12.97], radiusM: 1000 });
+  expect(buffer([77.595, 12.97])).toBe(true);
+  expect(buffer([77.61, 12.99])).toBe(false);
+});
+
+test("selectFeatures uses representative points and picked wards select themselves", () => {
+  expect(selectFeatures(trees, { type: "buffer", center: [77.6, 12.98], radiusM: 2000 })).toEqual([0, 1, 2]);
+
+  const ward = { type: "Feature", properties: { name: "A" }, geometry: { type: "Polygon", coordinates: [square(77.585, 12.965, 0.02)] } };
+  const other = { type: "Feature", properties: { name: "B" }, geometry: { type: "Polygon", coordinates: [square(77.7, 13.0, 0.1)] } };
+  expect(selectFeatures(trees, { type: "ward", feature: ward })).toEqual([0, 1]);
+  expect(selectFeatures([ward, other], { type: "ward", feature: ward })).toEqual([0]);
+  expect(selectFeatures([ward, other], { type: "rectangle", bounds: [77.5, 12.9, 77.7, 13.0] })).toEqual([0]);
+});
+
+test("combineSelection replaces, adds and removes", () => {
+  const current = new Set([0, 1]);
+  expect([...combineSelection(current, [2])]).toEqual([2]);
+  expect([...combineSelection(current, [1, 2], "add")]).toEqual([0, 1, 2]);
+  expect([...combineSelection(current, [1, 2], "remove")]).toEqual([0]);
+  expect([...current]).toEqual([0, 1]);
+});
+
+test("selection exports as CSV and GeoJSON", () => {
+  const selection = new Set([2, 0]);
+  expect(selectionToCsv(trees, selection, ["TreeName", "Girth"]).split("\n")).toEqual([
+    "TreeName,Girth,latitude,longitude",
+    "Neem,120,12.970000,77.590000",
+    "Neem,,12.990000,77.610000",
+  ]);
+
+  const geojson = selectionToGeoJSON(trees, new Set([1]));
+  expect(geojson.features).toHaveLength(1);
+  expect(geojson.features[0].properties).toEqual({ TreeName: "Rain Tree", Girth: 95, Ward: "Ward 2" });
+  expect(geojson.features[0].geometry).toEqual(trees[1].geometry);
+});
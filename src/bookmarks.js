@@ -0,0 +1,139 @@
+// src/bookmarks.js
+// Bookmark sets: folders plus an ordered list of saved views. A view keeps the
+// basemap and visible layers as well as the centre and zoom. Older saves (a
+// flat array of { id, name, center, zoom }) are upgraded when read.
+import { newId } from "./ids";
+
+export const BOOKMARKS_STORAGE_KEY = "mapBookmarks";
+export const BOOKMARKS_VERSION = 2;
+export const EMPTY_BOOKMARK_SET = { version: BOOKMARKS_VERSION, folders: [], bookmarks: [] };
+
+export const MERGE_STRATEGIES = {
+  keep: "Keep mine",
+  replace: "Use imported",
+  both: "Keep both",
+};
+
+const isLatLng = (c) => Array.isArray(c) && c.length === 2 && c.every((v) => typeof v === "number" && isFinite(v));
+
+function normaliseBookmark(entry, folderIds) {
+  if (!entry || !isLatLng(entry.center) || typeof entry.zoom !== "number") return null;
+  return {
+    id: entry.id ?? newId(),
+    name: String(entry.name || "Untitled view").trim(),
+    center: entry.center,
+    zoom: entry.zoom,
+    basemap: typeof entry.basemap === "string" ? entry.basemap : null,
+    layers: entry.layers && typeof entry.layers === "object" ? { ...entry.layers } : null,
+    note: typeof entry.note === "string" ? entry.note : "",
+    folderId: folderIds.has(entry.folderId) ? entry.folderId : null,
+  };
+}
+
+// Accepts a current set, a legacy flat array or an imported file; drops
+// anything unusable. Throws if the input isn't a bookmark set at all.
+export function normaliseBookmarkSet(data) {
+  if (Array.isArray(data)) data = { folders: [], bookmarks: data };
+  if (!data || typeof data !== "object" || !Array.isArray(data.bookmarks)) {
+    throw new Error("Not a bookmark file");
+  }
+  const folders = (Array.isArray(data.folders) ? data.folders : [])
+    .filter((f) => f && f.id !== undefined && f.id !== null)
+    .map((f) => ({ id: f.id, name: String(f.name || "Folder").trim() }));
+  const folderIds = new Set(folders.map((f) => f.id));
+  const bookmarks = data.bookmarks.map((b) => normaliseBookmark(b, folderIds)).filter(Boolean);
+  return { version: BOOKMARKS_VERSION, folders, bookmarks };
+}
+
+export function loadBookmarks(storage = window.localStorage) {
+  const stored = storage.getItem(BOOKMARKS_STORAGE_KEY);
+  return stored ? normaliseBookmarkSet(JSON.parse(stored)) : EMPTY_BOOKMARK_SET;
+}
+
+export function saveBookmarks(set, storage = window.localStorage) {
+  storage.setItem(BOOKMARKS_STORAGE_KEY, JSON.stringify(set));
+}
+
+export const exportBookmarks = (set) =>
+  JSON.stringify({ ...set, exportedAt: new Date().toISOString() }, null, 2);
+
+const sameName = (a, b) => a.trim().toLowerCase() === b.trim().toLowerCase();
+
+// Bookmarks in `incoming` that clash with `current`: same id, or same name in
+// a folder of the same name
+export function findConflicts(current, incoming) {
+  const folderName = (set, id) => set.folders.find((f) => f.id === id)?.name || "";
+  return incoming.bookmarks.filter((b) =>
+    current.bookmarks.some(
+      (c) =>
+        c.id === b.id ||
+        (sameName(c.name, b.name) && sameName(folderName(current, c.folderId), folderName(incoming, b.folderId)))
+    )
+  );
+}
+
+// Merges an imported set into the current one. Folders are matched by name;
+// conflicting bookmarks are kept, replaced or added alongside per `strategy`.
+export function mergeBookmarkSets(current, incoming, strategy = "keep") {
+  const folders = [...current.folders];
+  const folderMap = new Map();
+  incoming.folders.forEach((folder) => {
+    const match = folders.find((f) => sameName(f.name, folder.name));
+    if (match) {
+      folderMap.set(folder.id, match.id);
+    } else {
+      const id = folders.some((f) => f.id === folder.id) ? newId() : folder.id;
+      folders.push({ ...folder, id });
+      folderMap.set(folder.id, id);
+    }
+  });
+
+  const bookmarks = [...current.bookmarks];
+  const summary = { added: 0, replaced: 0, skipped: 0 };
+  const conflicts = new Set(findConflicts(current, incoming));
+
+  incoming.bookmarks.forEach((bookmark) => {
+    const mapped = { ...bookmark, folderId: bookmark.folderId === null ? null : folderMap.get(bookmark.folderId) ?? null };
+    if (!conflicts.has(bookmark)) {
+      bookmarks.push(bookmarks.some((b) => b.id === mapped.id) ? { ...mapped, id: newId() } : mapped);
+      summary.added++;
+      return;
+    }
+    if (strategy === "keep") {
+      summary.skipped++;
+    } else if (strategy === "replace") {
+      const index = bookmarks.findIndex(
+        (b) => b.id === bookmark.id || (sameName(b.name, bookmark.name) && b.folderId === mapped.folderId)
+      );
+      if (index === -1) {
+        bookmarks.push(mapped);
+      } else {
+        bookmarks[index] = { ...mapped, id: bookmarks[index].id };
+      }
+      summary.replaced++;
+    } else {
+      bookmarks.push({ ...mapped, id: newId(), name: `${mapped.name} (imported)` });
+      summary.added++;
+    }
+  });
+
+  return { set: { version: BOOKMARKS_VERSION, folders, bookmarks }, summary };
+}
+
+// Moves a bookmark into `folderId` (null = no folder), before `beforeId` or to
+// the end of that folder
+export function moveBookmark(set, id, { folderId = null, beforeId = null } = {}) {
+  const moving = set.bookmarks.find((b) => b.id === id);
+  if (!moving || id === beforeId) return set;
+  const rest = set.bookmarks.filter((b) => b.id !== id);
+  const moved = { ...moving, folderId };
+
+  let index = beforeId === null ? -1 : rest.findIndex((b) => b.id === beforeId);
+  if (index === -1) {
+    // After the last bookmark already in the target folder
+    const lastInFolder = rest.map((b) => b.folderId).lastIndexOf(folderId);
+    index = lastInFolder === -1 ? rest.length : lastInFolder + 1;
+  }
+  rest.splice(index, 0, moved);
+  return { ...set, bookmarks: rest };
+}
@@ -0,0 +1,56 @@
+import { normaliseBookmarkSet, findConflicts, mergeBookmarkSets, moveBookmark } from "./bookmarks";
+
+const view = { center: [12.97, 77.59], zoom: 12 };
+
+test("normaliseBookmarkSet upgrades the old flat list", () => {
+  const set = normaliseBookmarkSet([{ id: 1, name: "Lalbagh ", ...view }, { id: 2, name: "Broken" }]);
+  expect(set.folders).toEqual([]);
+  expect(set.bookmarks).toEqual([
+    { id: 1, name: "Lalbagh", ...view, basemap: null, layers: null, note: "", folderId: null },
+  ]);
+  expect(() => normaliseBookmarkSet({ type: "FeatureCollection" })).toThrow("Not a bookmark file");
+});
+
+const current = normaliseBookmarkSet({
+  folders: [{ id: "f1", name: "Survey" }],
+  bookmarks: [
+    { id: 1, name: "Lakes", folderId: "f1", note: "mine", ...view },
+    { id: 2, name: "Home", ...view },
+  ],
+});
+const incoming = normaliseBookmarkSet({
+  folders: [{ id: "x", name: "survey" }, { id: "y", name: "Parks" }],
+  bookmarks: [
+    { id: 10, name: "lakes", folderId: "x", note: "lead's", ...view },
+    { id: 11, name: "Cubbon", folderId: "y", ...view },
+    { id: 2, name: "Office", ...view },
+  ],
+});
+
+test("findConflicts matches by id or by name within a same-named folder", () => {
+  expect(findConflicts(current, incoming).map((b) => b.id)).toEqual([10, 2]);
+});
+
+test("mergeBookmarkSets applies the chosen conflict strategy", () => {
+  const keep = mergeBookmarkSets(current, incoming, "keep");
+  expect(keep.summary).toEqual({ added: 1, replaced: 0, skipped: 2 });
+  expect(keep.set.folders.map((f) => f.name)).toEqual(["Survey", "Parks"]);
+  expect(keep.set.bookmarks.find((b) => b.name === "Cubbon").folderId).toBe("y");
+
+  const replace = mergeBookmarkSets(current, incoming, "replace");
+  expect(replace.summary).toEqual({ added: 1, replaced: 2, skipped: 0 });
+  expect(replace.set.bookmarks.find((b) => b.id === 1)).toMatchObject({ name: "lakes", note: "lead's", folderId: "f1" });
+  expect(replace.set.bookmarks.find((b) => b.id === 2).name).toBe("Office");
+
+  const both = mergeBookmarkSets(current, incoming, "both");
+  expect(both.set.bookmarks).toHaveLength(5);
+  expect(both.set.bookmarks.filter((b) => b.name.endsWith("(imported)"))).toHaveLength(2);
+  expect(new Set(both.set.bookmarks.map((b) => b.id)).size).toBe(5);
+});
+
+test("moveBookmark reorders and changes folders", () => {
+  const moved = moveBookmark(current, 2, { folderId: "f1", beforeId: 1 });
+  expect(moved.bookmarks.map((b) => [b.id, b.folderId])).toEqual([[2, "f1"], [1, "f1"]]);
+  const out = moveBookmark(moved, 1, { folderId: null });
+  expect(out.bookmarks.map((b) => [b.id, b.folderId])).toEqual([[2, "f1"], [1, null]]);
+});
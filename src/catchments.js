@@ -0,0 +1,258 @@
+// src/catchments.js
+// School catchments: circular buffers around chosen schools, merged where
+// they overlap, with the wards and trees they cover, and "school deserts" —
+// the parts of each ward farther than a given distance from every school.
+// Areas come from sampling a regular grid, with wards rasterised by scanline.
+import { distance, geometryBounds, geometryArea, createGridIndex } from "./geoUtils";
+import { rowSpans } from "./lowLying";
+
+export const CATCHMENT_RADII = [500, 1000, 2000];
+export const DESERT_DISTANCES = [500, 1000, 1500, 2000, 3000];
+
+const METRES_PER_DEGREE = 111320;
+const DEG_TO_RAD = Math.PI / 180;
+const EARTH_RADIUS = 6378137;
+
+const degreesLat = (metres) => metres / METRES_PER_DEGREE;
+const degreesLng = (metres, lat) => metres / (METRES_PER_DEGREE * Math.cos(lat * DEG_TO_RAD));
+
+// Bucketed [lng, lat] points for "is anything within radiusM" queries.
+// find(point) gives the index of the closest point within the radius, or -1.
+export function createProximityIndex(points, radiusM) {
+  const cellSize = Math.max(degreesLat(radiusM), 1e-4);
+  const cells = new Map();
+  const cellKey = (cx, cy) => `${cx}:${cy}`;
+  points.forEach((point, index) => {
+    if (!point) return;
+    const key = cellKey(Math.floor(point[0] / cellSize), Math.floor(point[1] / cellSize));
+    if (!cells.has(key)) cells.set(key, []);
+    cells.get(key).push(index);
+  });
+
+  return {
+    find(point) {
+      const reachX = degreesLng(radiusM, point[1]);
+      const reachY = degreesLat(radiusM);
+      let best = -1;
+      let bestDistance = radiusM;
+      for (let cx = Math.floor((point[0] - reachX) / cellSize); cx <= Math.floor((point[0] + reachX) / cellSize); cx++) {
+        for (let cy = Math.floor((point[1] - reachY) / cellSize); cy <= Math.floor((point[1] + reachY) / cellSize); cy++) {
+          for (const index of cells.get(cellKey(cx, cy)) || []) {
+            const d = distance(point, points[index]);
+            if (d <= bestDistance) {
+              best = index;
+              bestDistance = d;
+            }
+          }
+        }
+      }
+      return best;
+    },
+  };
+}
+
+// Groups of centre indices whose circles overlap, directly or through others
+export function mergeCatchments(centers, radiusM) {
+  const parent = centers.map((_, i) => i);
+  const root = (i) => (parent[i] === i ? i : (parent[i] = root(parent[i])));
+  for (let i = 0; i < centers.length; i++) {
+    for (let j = i + 1; j < centers.length; j++) {
+      if (distance(centers[i], centers[j]) <= 2 * radiusM) parent[root(j)] = root(i);
+    }
+  }
+  const groups = new Map();
+  centers.forEach((_, i) => {
+    if (!groups.has(root(i))) groups.set(root(i), []);
+    groups.get(root(i)).push(i);
+  });
+  return [...groups.values()];
+}
+
+// Point at a distance and bearing (degrees) from a [lng, lat] centre
+function destination([lng, lat], metres, bearingDeg) {
+  const delta = metres / EARTH_RADIUS;
+  const theta = bearingDeg * DEG_TO_RAD;
+  const phi1 = lat * DEG_TO_RAD;
+  const phi2 = Math.asin(Math.sin(phi1) * Math.cos(delta) + Math.cos(phi1) * Math.sin(delta) * Math.cos(theta));
+  const lambda =
+    lng * DEG_TO_RAD +
+    Math.atan2(Math.sin(theta) * Math.sin(delta) * Math.cos(phi1), Math.cos(delta) - Math.sin(phi1) * Math.sin(phi2));
+  return [lambda / DEG_TO_RAD, phi2 / DEG_TO_RAD];
+}
+
+// Closed ring approximating a circle
+export function circleRing(center, radiusM, segments = 64) {
+  const ring = [];
+  for (let i = 0; i < segments; i++) ring.push(destination(center, radiusM, (360 * i) / segments));
+  ring.push(ring[0]);
+  return ring;
+}
+
+// Outline of the union of equal circles: the arcs of each circle that no
+// other circle covers, as [lng, lat] paths
+export function catchmentOutline(centers, radiusM, { segments = 96 } = {}) {
+  const paths = [];
+  centers.forEach((center, i) => {
+    const others = centers.filter((other, j) => j !== i && distance(center, other) < 2 * radiusM);
+    const ring = circleRing(center, radiusM, segments).slice(0, -1);
+    const outside = ring.map((vertex) => others.every((other) => distance(vertex, other) >= radiusM));
+    if (outside.every(Boolean)) {
+      paths.push([...ring, ring[0]]);
+      return;
+    }
+    // Start from a covered vertex so no run wraps around the end
+    const start = outside.indexOf(false);
+    let run = [];
+    for (let k = 1; k <= ring.length; k++) {
+      const v = (start + k) % ring.length;
+      if (outside[v]) {
+        run.push(ring[v]);
+      } else if (run.length > 0) {
+        paths.push(run);
+        run = [];
+      }
+    }
+  });
+  return paths.filter((path) => path.length >= 2);
+}
+
+// Centres of the cellM grid cells inside a polygon geometry, row by row, as
+// { point, row, col } with the grid's cell size in degrees
+export function geometryCells(geometry, cellM) {
+  const [minX, minY, , maxY] = geometryBounds(geometry);
+  if (!isFinite(minX)) return { cells: [], dLng: 0, dLat: 0 };
+  const dLat = degreesLat(cellM);
+  const dLng = degreesLng(cellM, (minY + maxY) / 2);
+  const cells = [];
+  for (let row = 0; minY + (row + 0.5) * dLat < maxY; row++) {
+    const lat = minY + (row + 0.5) * dLat;
+    rowSpans(geometry, lat).forEach(([start, end]) => {
+      for (let col = Math.max(0, Math.ceil((start - minX) / dLng - 0.5)); minX + (col + 0.5) * dLng <= end; col++) {
+        cells.push({ point: [minX + (col + 0.5) * dLng, lat], row, col });
+      }
+    });
+  }
+  return { cells, dLng, dLat };
+}
+
+// Area of the union of equal circles, sampled on a grid
+function unionArea(centers, radiusM) {
+  const cellM = Math.max(radiusM / 25, 10);
+  const lats = centers.map((c) => c[1]);
+  const lngs = centers.map((c) => c[0]);
+  const minY = Math.min(...lats) - degreesLat(radiusM);
+  const maxY = Math.max(...lats) + degreesLat(radiusM);
+  const minLng = Math.min(...lngs);
+  const maxLng = Math.max(...lngs);
+  const dLat = degreesLat(cellM);
+  const index = createProximityIndex(centers, radiusM);
+  let area = 0;
+  for (let lat = minY + dLat / 2; lat < maxY; lat += dLat) {
+    const dLng = degreesLng(cellM, lat);
+    const reach = degreesLng(radiusM, lat);
+    for (let lng = minLng - reach + dLng / 2; lng < maxLng + reach; lng += dLng) {
+      if (index.find([lng, lat]) !== -1) area += cellM * cellM;
+    }
+  }
+  return area;
+}
+
+const boundsOverlap = (a, b) => a[0] <= b[2] && b[0] <= a[2] && a[1] <= b[3] && b[1] <= a[3];
+
+// Merged catchments of the given school points:
+//   catchments: [{ members: [centre indices], areaM2, trees }]
+//   wards: [{ feature, areaM2, coveredM2, share, trees }] for the wards they
+//     touch, most covered first
+//   trees: total trees inside any catchment
+// Tree counts are null when no tree points are given.
+export function analyseCatchments({ centers, radiusM, wards = [], trees = null, cellM = 100 }) {
+  const groups = mergeCatchments(centers, radiusM);
+  const groupOf = [];
+  groups.forEach((members, g) => members.forEach((i) => (groupOf[i] = g)));
+  const catchments = groups.map((members) => ({
+    members,
+    areaM2: unionArea(members.map((i) => centers[i]), radiusM),
+    trees: trees ? 0 : null,
+  }));
+  const index = createProximityIndex(centers, radiusM);
+
+  const wardTrees = new Map();
+  let treeTotal = trees ? 0 : null;
+  if (trees) {
+    const wardIndex = createGridIndex(wards);
+    trees.forEach((point) => {
+      if (!point) return;
+      const center = index.find(point);
+      if (center === -1) return;
+      catchments[groupOf[center]].trees++;
+      treeTotal++;
+      const ward = wardIndex.find(point);
+      if (ward) wardTrees.set(ward, (wardTrees.get(ward) || 0) + 1);
+    });
+  }
+
+  const reach = degreesLat(radiusM);
+  const lngs = centers.map((c) => c[0]);
+  const lats = centers.map((c) => c[1]);
+  const extent = [
+    Math.min(...lngs) - 2 * reach,
+    Math.min(...lats) - reach,
+    Math.max(...lngs) + 2 * reach,
+    Math.max(...lats) + reach,
+  ];
+  const covered = [];
+  if (centers.length > 0) {
+    wards.forEach((feature) => {
+      if (!boundsOverlap(geometryBounds(feature.geometry), extent)) return;
+      const { cells } = geometryCells(feature.geometry, cellM);
+      const inside = cells.filter((cell) => index.find(cell.point) !== -1).length;
+      if (inside === 0) return;
+      const areaM2 = geometryArea(feature.geometry);
+      const share = inside / cells.length;
+      covered.push({ feature, areaM2, coveredM2: share * areaM2, share, trees: trees ? wardTrees.get(feature) || 0 : null });
+    });
+  }
+  covered.sort((a, b) => b.coveredM2 - a.coveredM2);
+
+  return { catchments, wards: covered, trees: treeTotal };
+}
+
+// Wards by their area farther than distanceM from every school:
+//   wards: [{ feature, areaM2, desertM2, share }], largest desert first
+//   cells: desert cells merged along rows, as [minLng, minLat, maxLng, maxLat]
+//   desertM2: the total
+export function findSchoolDeserts(wards, schoolPoints, distanceM, { cellM = 200 } = {}) {
+  const index = createProximityIndex(schoolPoints, distanceM);
+  const cells = [];
+  const results = wards.map((feature) => {
+    const { cells: samples, dLng, dLat } = geometryCells(feature.geometry, cellM);
+    const areaM2 = geometryArea(feature.geometry);
+    let desert = 0;
+    let run = null;
+    const closeRun = () => {
+      if (run) cells.push(run);
+      run = null;
+    };
+    samples.forEach(({ point, row, col }, i) => {
+      const previous = samples[i - 1];
+      if (!previous || previous.row !== row || previous.col !== col - 1) closeRun();
+      if (index.find(point) !== -1) {
+        closeRun();
+        return;
+      }
+      desert++;
+      const [lng, lat] = point;
+      if (run) run[2] = lng + dLng / 2;
+      else run = [lng - dLng / 2, lat - dLat / 2, lng + dLng / 2, lat + dLat / 2];
+    });
+    closeRun();
+    const share = samples.length ? desert / samples.length : 0;
+    return { feature, areaM2, desertM2: share * areaM2, share };
+  });
+
+  return {
+    wards: results.filter((r) => r.desertM2 > 0).sort((a, b) => b.desertM2 - a.desertM2),
+    cells,
+    desertM2: results.reduce((sum, r) => sum + r.desertM2, 0),
+  };
+}
@@ -0,0 +1,98 @@
+import {
+  createProximityIndex,
+  mergeCatchments,
+  circleRing,
+  catchmentOutline,
+  geometryCells,
+  analyseCatchments,
+  findSchoolDeserts,
+} from "./catchments";
+import { distance, geometryArea } from "./geoUtils";
+
+const square = (minX, minY, size) => ({
+  type: "Polygon",
+  coordinates: [[[minX, minY], [minX + size, minY], [minX + size, minY + size], [minX, minY + size], [minX, minY]]],
+});
+const ward = (name, geometry) => ({ type: "Feature", properties: { KGISWardName: name }, geometry });
+
+// Two wards side by side and one farther out, each about 2.2 km across
+const west = ward("West", square(77.58, 12.96, 0.02));
+const east = ward("East", square(77.6, 12.96, 0.02));
+const far = ward("Far", square(77.7, 13.05, 0.02));
+
+test("createProximityIndex finds the closest point within the radius", () => {
+  const points = [[77.59, 12.97], [77.595, 12.97], null, [77.7, 13.0]];
+  const index = createProximityIndex(points, 1000);
+  expect(index.find([77.594, 12.97])).toBe(1);
+  expect(index.find([77.589, 12.97])).toBe(0);
+  expect(index.find([77.65, 12.97])).toBe(-1);
+});
+
+test("mergeCatchments groups overlapping circles transitively", () => {
+  const centers = [[77.59, 12.97], [77.6, 12.97], [77.61, 12.97], [77.7, 12.97]];
+  // About 1.08 km apart: 500 m circles just miss, 1 km circles chain together
+  expect(mergeCatchments(centers, 500)).toEqual([[0], [1], [2], [3]]);
+  expect(mergeCatchments(centers, 1000)).toEqual([[0, 1, 2], [3]]);
+});
+
+test("circleRing and catchmentOutline", () => {
+  const ring = circleRing([77.59, 12.97], 500, 32);
+  expect(ring).toHaveLength(33);
+  ring.forEach((vertex) => expect(distance([77.59, 12.97], vertex)).toBeCloseTo(500, 0));
+
+  expect(catchmentOutline([[77.59, 12.97]], 500)).toHaveLength(1);
+  // Two overlapping circles: one open arc each, none inside the other circle
+  const centers = [[77.59, 12.97], [77.597, 12.97]];
+  const paths = catchmentOutline(centers, 500);
+  expect(paths).toHaveLength(2);
+  paths.flat().forEach((vertex) => centers.forEach((c) => expect(distance(c, vertex)).toBeGreaterThan(499)));
+});
+
+test("geometryCells samples the inside of a polygon", () => {
+  const { cells } = geometryCells(west.geometry, 100);
+  // Roughly area / 100 m²
+  expect(cells.length / (geometryArea(west.geometry) / 10000)).toBeGreaterThan(0.95);
+  expect(cells.length / (geometryArea(west.geometry) / 10000)).toBeLessThan(1.05);
+  expect(geometryCells(null, 100).cells).toEqual([]);
+});
+
+test("analyseCatchments reports merged areas, covered wards and trees", () => {
+  const centers = [[77.6, 12.97], [77.605, 12.97]];
+  const trees = [[77.6, 12.971], [77.604, 12.97], [77.59, 12.97], [77.75, 13.06], null];
+  const result = analyseCatchments({ centers, radiusM: 500, wards: [west, east, far], trees });
+
+  expect(result.catchments).toHaveLength(1);
+  const [catchment] = result.catchments;
+  expect(catchment.members).toEqual([0, 1]);
+  // Less than two full circles because they overlap
+  expect(catchment.areaM2).toBeGreaterThan(Math.PI * 500 * 500);
+  expect(catchment.areaM2).toBeLessThan(2 * Math.PI * 500 * 500);
+  expect(catchment.trees).toBe(2);
+  expect(result.trees).toBe(2);
+
+  expect(result.wards.map((w) => w.feature.properties.KGISWardName)).toEqual(["East", "West"]);
+  const coveredTotal = result.wards.reduce((sum, w) => sum + w.coveredM2, 0);
+  expect(coveredTotal / catchment.areaM2).toBeGreaterThan(0.9);
+  expect(coveredTotal / catchment.areaM2).toBeLessThan(1.1);
+  expect(result.wards[0].trees).toBe(2);
+
+  expect(analyseCatchments({ centers, radiusM: 500, wards: [west] }).catchments[0].trees).toBeNull();
+});
+
+test("findSchoolDeserts measures ward area beyond the distance", () => {
+  // One school in the middle of West, about 1.08 km from East's nearest edge
+  const schools = [[77.59, 12.97]];
+  const result = findSchoolDeserts([west, east, far], schools, 1000, { cellM: 100 });
+  const byName = Object.fromEntries(result.wards.map((w) => [w.feature.properties.KGISWardName, w]));
+
+  expect(byName.Far.share).toBe(1);
+  expect(byName.East.share).toBe(1);
+  // West minus a 1 km circle
+  const expected = geometryArea(west.geometry) - Math.PI * 1000 * 1000;
+  expect(byName.West.desertM2 / expected).toBeGreaterThan(0.9);
+  expect(byName.West.desertM2 / expected).toBeLessThan(1.1);
+  expect(result.wards.map((w) => w.desertM2)).toEqual(result.wards.map((w) => w.desertM2).sort((a, b) => b - a));
+
+  expect(result.cells.every(([minX, minY, maxX, maxY]) => maxX > minX && maxY > minY)).toBe(true);
+  expect(findSchoolDeserts([west], [[77.59, 12.97]], 5000).wards).toEqual([]);
+});
@@ -0,0 +1,69 @@
+// src/colorRamps.js
+// Continuous colour ramps for raster styling. Stops are [position, [r, g, b]].
+
+export const COLOR_RAMPS = {
+  grayscale: {
+    name: "Grayscale",
+    stops: [[0, [0, 0, 0]], [1, [255, 255, 255]]],
+  },
+  // Matplotlib "terrain", the colormap the NASADEM TileJSON endpoints use
+  terrain: {
+    name: "Terrain",
+    stops: [
+      [0, [51, 51, 153]],
+      [0.15, [0, 153, 255]],
+      [0.25, [0, 204, 102]],
+      [0.5, [255, 255, 153]],
+      [0.75, [128, 92, 84]],
+      [1, [255, 255, 255]],
+    ],
+  },
+  viridis: {
+    name: "Viridis",
+    stops: [
+      [0, [68, 1, 84]],
+      [0.11, [72, 40, 120]],
+      [0.22, [62, 73, 137]],
+      [0.33, [49, 104, 142]],
+      [0.44, [38, 130, 142]],
+      [0.56, [31, 158, 137]],
+      [0.67, [53, 183, 121]],
+      [0.78, [110, 206, 88]],
+      [0.89, [181, 222, 43]],
+      [1, [253, 231, 37]],
+    ],
+  },
+  magma: {
+    name: "Magma",
+    stops: [
+      [0, [0, 0, 4]],
+      [0.2, [59, 15, 112]],
+      [0.4, [140, 41, 129]],
+      [0.6, [222, 73, 104]],
+      [0.8, [254, 159, 109]],
+      [1, [252, 253, 191]],
+    ],
+  },
+};
+
+// [r, g, b] at position t (clamped to 0–1) along a ramp
+export function rampRgb(rampKey, t) {
+  const { stops } = COLOR_RAMPS[rampKey] || COLOR_RAMPS.grayscale;
+  const x = Math.max(0, Math.min(1, isNaN(t) ? 0 : t));
+  let i = 1;
+  while (i < stops.length - 1 && stops[i][0] < x) i++;
+  const [p0, c0] = stops[i - 1];
+  const [p1, c1] = stops[i];
+  const f = p1 === p0 ? 0 : (x - p0) / (p1 - p0);
+  return c0.map((c, k) => Math.round(c + (c1[k] - c) * f));
+}
+
+export const rampColor = (rampKey, t) => `rgb(${rampRgb(rampKey, t).join(", ")})`;
+
+// CSS gradient for legends
+export function rampGradient(rampKey) {
+  const { stops } = COLOR_RAMPS[rampKey] || COLOR_RAMPS.grayscale;
+  return `linear-gradient(to right, ${stops
+    .map(([p, rgb]) => `rgb(${rgb.join(", ")}) ${Math.round(p * 100)}%`)
+    .join(", ")})`;
+}
@@ -0,0 +1,188 @@
+// src/coordinates.js
+// Recognises coordinates typed into the search box: decimal degrees
+// ("12.9716, 77.5946", "12.97N 77.59E"), degrees-minutes-seconds
+// (12°58'17.8"N 77°35'40.4"E) and Open Location Codes ("7J4VXHCQ+X9", or
+// the short "XHCQ+X9" resolved near a reference point).
+
+const NUMBER = "(-?\\d{1,3}(?:\\.\\d+)?)";
+const DECIMAL_PAIR = new RegExp(
+  `^([NSEW])?\\s*${NUMBER}\\s*°?\\s*([NSEW])?\\s*[,;\\s]\\s*([NSEW])?\\s*${NUMBER}\\s*°?\\s*([NSEW])?$`
+);
+
+const isLat = (v) => Math.abs(v) <= 90;
+const isLng = (v) => Math.abs(v) <= 180;
+
+// Unicode primes and quotes as plain ' and "
+function normaliseSymbols(text) {
+  return String(text || "")
+    .trim()
+    .toUpperCase()
+    .replace(/[″“”]|''/g, '"')
+    .replace(/[′’‘]/g, "'")
+    .replace(/º/g, "°");
+}
+
+// Applies hemisphere letters and works out which value is the latitude
+function orderPair(a, aHemi, b, bHemi) {
+  const sign = (value, hemi) => (hemi === "S" || hemi === "W" ? -Math.abs(value) : value);
+  const first = { value: sign(a, aHemi), hemi: aHemi };
+  const second = { value: sign(b, bHemi), hemi: bHemi };
+  let lat = first;
+  let lng = second;
+  if (first.hemi === "E" || first.hemi === "W" || second.hemi === "N" || second.hemi === "S") {
+    [lat, lng] = [second, first];
+  } else if (!first.hemi && !second.hemi && !isLat(first.value) && isLat(second.value)) {
+    // "77.59, 12.97" can only be longitude first
+    [lat, lng] = [second, first];
+  }
+  if (!isLat(lat.value) || !isLng(lng.value)) return null;
+  return { lat: lat.value, lng: lng.value };
+}
+
+function parseDecimal(text) {
+  const match = text.match(DECIMAL_PAIR);
+  if (!match) return null;
+  const [, h1, a, h2, h3, b, h4] = match;
+  // Two bare integers are more likely a search than a position
+  if (!text.includes(".") && !/[NSEW°]/.test(text)) return null;
+  if ((h1 && h2) || (h3 && h4)) return null;
+  return orderPair(Number(a), h1 || h2, Number(b), h3 || h4);
+}
+
+// "12°58'17.8\"N" -> { value, hemi }
+function parseDmsPart(part) {
+  const hemi = (part.match(/[NSEW]/) || [])[0] || null;
+  const numbers = (part.match(/-?\d+(?:\.\d+)?/g) || []).map(Number);
+  if (numbers.length === 0 || numbers.length > 3) return null;
+  const [deg, min = 0, sec = 0] = numbers;
+  if (min < 0 || min >= 60 || sec < 0 || sec >= 60) return null;
+  const negative = deg < 0 || /^\s*-/.test(part);
+  const value = Math.abs(deg) + min / 60 + sec / 3600;
+  return { value: negative ? -value : value, hemi };
+}
+
+function parseDms(text) {
+  if (!/[°'"]/.test(text) && (text.match(/\d+(?:\.\d+)?/g) || []).length < 4) return null;
+  let parts = text.split(/[,;]/);
+  if (parts.length !== 2) {
+    // Split after a trailing hemisphere letter ("…N 77°…") or before a leading one ("N12… E77…")
+    const trailing = text.match(/^(.*?[NS])\s*(.+)$/);
+    const leading = text.match(/^([NS].*?)\s+([EW].*)$/);
+    if (leading) parts = [leading[1], leading[2]];
+    else if (trailing && /\d/.test(trailing[2])) parts = [trailing[1], trailing[2]];
+    else {
+      const numbers = text.match(/-?\d+(?:\.\d+)?/g) || [];
+      if (numbers.length !== 4 && numbers.length !== 6) return null;
+      const half = numbers.length / 2;
+      parts = [numbers.slice(0, half).join(" "), numbers.slice(half).join(" ")];
+    }
+  }
+  const a = parseDmsPart(parts[0]);
+  const b = parseDmsPart(parts[1]);
+  if (!a || !b) return null;
+  return orderPair(a.value, a.hemi, b.value, b.hemi);
+}
+
+// --- Open Location Code ---------------------------------------------------
+
+const OLC_ALPHABET = "23456789CFGHJMPQRVWX";
+const OLC_SEPARATOR_POSITION = 8;
+const OLC_PAIR_RESOLUTIONS = [20, 1, 0.05, 0.0025, 0.000125];
+const OLC_PATTERN = /^([23456789CFGHJMPQRVWX0]{2,8})\+([23456789CFGHJMPQRVWX]{0,7})$/;
+
+// Encodes just the pair digits, enough to borrow a prefix for short codes
+function encodeOlcPrefix(lat, lng) {
+  let latRemainder = Math.min(179.999999, Math.max(0, lat + 90));
+  let lngRemainder = (((lng + 180) % 360) + 360) % 360;
+  let code = "";
+  OLC_PAIR_RESOLUTIONS.forEach((resolution) => {
+    const latDigit = Math.floor(latRemainder / resolution);
+    const lngDigit = Math.floor(lngRemainder / resolution);
+    latRemainder -= latDigit * resolution;
+    lngRemainder -= lngDigit * resolution;
+    code += OLC_ALPHABET[latDigit] + OLC_ALPHABET[lngDigit];
+  });
+  return `${code.slice(0, OLC_SEPARATOR_POSITION)}+${code.slice(OLC_SEPARATOR_POSITION)}`;
+}
+
+// Decodes a full code to its centre and cell size
+export function decodeOlc(code) {
+  const digits = code.replace("+", "").replace(/0+$/, "");
+  let lat = -90;
+  let lng = -180;
+  let latRes = 0;
+  let lngRes = 0;
+  for (let i = 0; i < Math.min(digits.length, 10); i += 2) {
+    latRes = OLC_PAIR_RESOLUTIONS[i / 2];
+    lngRes = latRes;
+    lat += OLC_ALPHABET.indexOf(digits[i]) * latRes;
+    lng += OLC_ALPHABET.indexOf(digits[i + 1] ?? "2") * lngRes;
+  }
+  // Grid refinement: each further digit picks one of 4 x 5 sub-cells
+  for (let i = 10; i < digits.length; i++) {
+    latRes /= 5;
+    lngRes /= 4;
+    const value = OLC_ALPHABET.indexOf(digits[i]);
+    lat += Math.floor(value / 4) * latRes;
+    lng += (value % 4) * lngRes;
+  }
+  return { lat: lat + latRes / 2, lng: lng + lngRes / 2, latRes, lngRes };
+}
+
+export function parsePlusCode(text, reference = null) {
+  const code = text.split(/[\s,]+/)[0]; // Ignore a trailing locality
+  const match = code.match(OLC_PATTERN);
+  if (!match) return null;
+  const separator = match[1].length;
+  if (separator % 2 !== 0 || match[2].length === 1) return null;
+
+  if (separator === OLC_SEPARATOR_POSITION) {
+    if (OLC_ALPHABET.indexOf(code[0]) > 8 || OLC_ALPHABET.indexOf(code[1]) > 17) return null;
+    return { ...decodeOlc(code), full: code };
+  }
+
+  // Short code: borrow the leading digits from the reference and pick the
+  // matching cell nearest to it
+  if (!reference || match[1].includes("0")) return null;
+  const padding = OLC_SEPARATOR_POSITION - separator;
+  const resolution = Math.pow(20, 2 - padding / 2);
+  const full = encodeOlcPrefix(reference.lat, reference.lng).slice(0, padding) + code;
+  const area = decodeOlc(full);
+  let { lat, lng } = area;
+  if (reference.lat + resolution / 2 < lat && lat - resolution >= -90) lat -= resolution;
+  else if (reference.lat - resolution / 2 > lat && lat + resolution <= 90) lat += resolution;
+  if (reference.lng + resolution / 2 < lng) lng -= resolution;
+  else if (reference.lng - resolution / 2 > lng) lng += resolution;
+  return { ...area, lat, lng, full };
+}
+
+// { lat, lng, format, bounds? } for anything that looks like a position.
+// `reference` ({ lat, lng }, usually the map centre) resolves short plus codes.
+export function parseCoordinates(input, { reference = null } = {}) {
+  const text = normaliseSymbols(input);
+  if (!text) return null;
+
+  const plus = text.includes("+") ? parsePlusCode(text, reference) : null;
+  if (plus) {
+    return {
+      lat: plus.lat,
+      lng: plus.lng,
+      format: "Plus code",
+      code: plus.full,
+      bounds: [
+        [plus.lat - plus.latRes / 2, plus.lng - plus.lngRes / 2],
+        [plus.lat + plus.latRes / 2, plus.lng + plus.lngRes / 2],
+      ],
+    };
+  }
+
+  const decimal = parseDecimal(text);
+  if (decimal) return { ...decimal, format: "Decimal degrees" };
+
+  const dms = parseDms(text);
+  if (dms) return { ...dms, format: "DMS" };
+
+  return null;
+}
+
+export const formatLatLng = ({ lat, lng }) => `${lat.toFixed(5)}, ${lng.toFixed(5)}`;
@@ -0,0 +1,64 @@
+import { parseCoordinates, parsePlusCode, decodeOlc, formatLatLng } from "./coordinates";
+
+const near = (result, lat, lng, digits = 4) => {
+  expect(result).not.toBeNull();
+  expect(result.lat).toBeCloseTo(lat, digits);
+  expect(result.lng).toBeCloseTo(lng, digits);
+};
+
+test("parses decimal degrees in the usual orders and notations", () => {
+  near(parseCoordinates("12.9716, 77.5946"), 12.9716, 77.5946);
+  near(parseCoordinates("12.9716 77.5946"), 12.9716, 77.5946);
+  near(parseCoordinates("12.9716N 77.5946E"), 12.9716, 77.5946);
+  near(parseCoordinates("N 12.9716, E 77.5946"), 12.9716, 77.5946);
+  near(parseCoordinates("77.5946E, 12.9716N"), 12.9716, 77.5946);
+  // Only a longitude can exceed 90
+  near(parseCoordinates("77.5946, 112.9716"), 77.5946, 112.9716);
+  near(parseCoordinates("112.9716, 77.5946"), 77.5946, 112.9716);
+  near(parseCoordinates("-33.8688, 151.2093"), -33.8688, 151.2093);
+  near(parseCoordinates("33.8688S 151.2093E"), -33.8688, 151.2093);
+  expect(parseCoordinates("12.97, 77.59").format).toBe("Decimal degrees");
+});
+
+test("parses degrees, minutes and seconds", () => {
+  near(parseCoordinates(`12°58'17.8"N 77°35'40.4"E`), 12.971611, 77.594556);
+  near(parseCoordinates("12°58′17.8″N, 77°35′40.4″E"), 12.971611, 77.594556);
+  near(parseCoordinates("N12 58 17.8 E77 35 40.4"), 12.971611, 77.594556);
+  near(parseCoordinates("12 58 17.8 77 35 40.4"), 12.971611, 77.594556);
+  near(parseCoordinates("12°58.297'N 77°35.673'E"), 12.971617, 77.59455);
+  near(parseCoordinates(`33°52'7.7"S 151°12'33.5"E`), -33.868806, 151.209306);
+  expect(parseCoordinates(`12°58'17.8"N 77°35'40.4"E`).format).toBe("DMS");
+  // Minutes and seconds stop at 59
+  expect(parseCoordinates(`12°75'17.8"N 77°35'40.4"E`)).toBeNull();
+});
+
+test("decodes full and short plus codes", () => {
+  const full = decodeOlc("8FVC9G8F+6X");
+  expect(Math.abs(full.lat - 47.36559)).toBeLessThan(full.latRes);
+  expect(Math.abs(full.lng - 8.524997)).toBeLessThan(full.lngRes);
+
+  // Short codes are recovered relative to the reference point
+  const short = parsePlusCode("CJ+2VX", { lat: 51.3701125, lng: -1.217765625 });
+  expect(short.full).toBe("9C3W9QCJ+2VX");
+
+  const bengaluru = { lat: 12.9716, lng: 77.5946 };
+  const code = parseCoordinates("XHCQ+X9 Bengaluru", { reference: bengaluru });
+  expect(code.format).toBe("Plus code");
+  expect(code.code).toBe("7J4VXHCQ+X9");
+  expect(Math.abs(code.lat - bengaluru.lat)).toBeLessThan(0.01);
+  expect(Math.abs(code.lng - bengaluru.lng)).toBeLessThan(0.01);
+  expect(code.bounds[0][0]).toBeLessThan(code.lat);
+
+  // A short code can't be placed without a reference
+  expect(parseCoordinates("XHCQ+X9")).toBeNull();
+});
+
+test("leaves ordinary searches alone", () => {
+  ["Malleshwaram", "ward 12", "12 77", "Neem", "", "91.5, 200.1", "12.97"].forEach((text) =>
+    expect(parseCoordinates(text)).toBeNull()
+  );
+});
+
+test("formatLatLng rounds to five decimals", () => {
+  expect(formatLatLng({ lat: 12.971598, lng: 77.594562 })).toBe("12.97160, 77.59456");
+});
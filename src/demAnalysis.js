@@ -0,0 +1,172 @@
+// src/demAnalysis.js
+// Terrain derivatives (hillshade, slope, aspect) and styling for the DEM layer.
+import { rampColor, rampGradient } from "./colorRamps";
+
+export const DEM_MODES = {
+  elevation: "Elevation (hypsometric tint)",
+  hillshade: "Hillshade",
+  slope: "Slope (degrees)",
+  aspect: "Aspect",
+};
+
+export const DEFAULT_DEM_STYLE = {
+  mode: "elevation",
+  ramp: "grayscale",
+  azimuth: 315, // degrees clockwise from north
+  altitude: 45, // degrees above the horizon
+  stretchMin: null, // null = automatic
+  stretchMax: null,
+  opacity: 0.7,
+  noData: null, // null = the value stored in the GeoTIFF
+};
+
+const METRES_PER_DEGREE_LAT = 110574;
+const METRES_PER_DEGREE_LNG = 111320;
+const RAD = Math.PI / 180;
+
+export const effectiveNoData = (georaster, style) =>
+  style?.noData ?? georaster?.noDataValue ?? null;
+
+// Nodata value to hide when drawing: the user's value is an elevation, so it
+// only applies in elevation mode; derived rasters keep their own (NaN) cells
+export const renderNoData = (georaster, style) =>
+  style?.mode === "elevation" ? effectiveNoData(georaster, style) : georaster?.noDataValue ?? null;
+
+export const isNoData = (value, noData) =>
+  value === undefined || value === null || isNaN(value) || value === noData;
+
+// Horn's method over the 3x3 window around every cell. Returns a copy of the
+// georaster whose single band holds the derivative (NaN where undefined).
+export function deriveTerrain(georaster, kind, { azimuth = 315, altitude = 45, noData = null } = {}) {
+  const { width, height, pixelWidth, pixelHeight, ymax } = georaster;
+  const source = georaster.values[0];
+  const rows = [];
+  let min = Infinity;
+  let max = -Infinity;
+
+  const zenith = (90 - altitude) * RAD;
+  const azimuthMath = ((360 - azimuth + 90) % 360) * RAD;
+  const cellY = pixelHeight * METRES_PER_DEGREE_LAT;
+
+  for (let r = 0; r < height; r++) {
+    const row = new Float32Array(width).fill(NaN);
+    rows.push(row);
+    if (r === 0 || r === height - 1) continue;
+
+    const lat = ymax - (r + 0.5) * pixelHeight;
+    const cellX = pixelWidth * METRES_PER_DEGREE_LNG * Math.cos(lat * RAD);
+    const above = source[r - 1];
+    const here = source[r];
+    const below = source[r + 1];
+
+    for (let c = 1; c < width - 1; c++) {
+      const a = above[c - 1], b = above[c], cc = above[c + 1];
+      const d = here[c - 1], f = here[c + 1];
+      const g = below[c - 1], h = below[c], i = below[c + 1];
+      if ([a, b, cc, d, here[c], f, g, h, i].some((v) => isNoData(v, noData))) continue;
+
+      const dzdx = (cc + 2 * f + i - (a + 2 * d + g)) / (8 * cellX);
+      const dzdy = (g + 2 * h + i - (a + 2 * b + cc)) / (8 * cellY);
+      const slope = Math.atan(Math.hypot(dzdx, dzdy));
+
+      let value;
+      if (kind === "slope") {
+        value = slope / RAD;
+      } else {
+        // Aspect in radians, measured the way ESRI's hillshade expects
+        let aspect = 0;
+        if (dzdx !== 0) {
+          aspect = Math.atan2(dzdy, -dzdx);
+          if (aspect < 0) aspect += 2 * Math.PI;
+        } else if (dzdy > 0) {
+          aspect = Math.PI / 2;
+        } else if (dzdy < 0) {
+          aspect = 1.5 * Math.PI;
+        }
+
+        if (kind === "aspect") {
+          // Compass bearing of the downslope direction; -1 marks flat cells
+          value = slope === 0 ? -1 : (450 - aspect / RAD) % 360;
+        } else {
+          value = Math.max(
+            0,
+            255 *
+              (Math.cos(zenith) * Math.cos(slope) +
+                Math.sin(zenith) * Math.sin(slope) * Math.cos(azimuthMath - aspect))
+          );
+        }
+      }
+
+      row[c] = value;
+      if (value < min) min = value;
+      if (value > max) max = value;
+    }
+  }
+
+  if (min === Infinity) {
+    min = 0;
+    max = 0;
+  }
+  return {
+    ...georaster,
+    values: [rows],
+    noDataValue: null,
+    mins: [min],
+    maxs: [max],
+    ranges: [max - min],
+  };
+}
+
+// Stretch used when the user hasn't set one
+export function autoStretch(mode, rasters) {
+  if (mode === "hillshade") return { min: 0, max: 255 };
+  if (mode === "aspect") return { min: 0, max: 360 };
+  const mins = rasters.map((r) => r.mins?.[0]).filter((v) => typeof v === "number");
+  const maxs = rasters.map((r) => r.maxs?.[0]).filter((v) => typeof v === "number");
+  return {
+    min: mode === "slope" ? 0 : Math.min(...mins),
+    max: Math.max(...maxs),
+  };
+}
+
+export function effectiveStretch(style, auto) {
+  return {
+    min: style.stretchMin ?? auto.min,
+    max: style.stretchMax ?? auto.max,
+  };
+}
+
+// pixelValuesToColorFn for GeoRasterLayer
+export function demColorFn(style, stretch, noData) {
+  const span = stretch.max - stretch.min || 1;
+  return (pixelValues) => {
+    const value = pixelValues[0];
+    if (isNoData(value, noData)) return null; // Don't render no-data values
+
+    if (style.mode === "aspect") {
+      return value < 0 ? "rgb(200, 200, 200)" : `hsl(${Math.round(value)}, 75%, 50%)`;
+    }
+    return rampColor(style.ramp, (value - stretch.min) / span);
+  };
+}
+
+// Title, gradient and end labels for the legend
+export function demLegend(style, stretch) {
+  if (style.mode === "aspect") {
+    return {
+      title: "Aspect",
+      gradient:
+        "linear-gradient(to right, hsl(0, 75%, 50%), hsl(90, 75%, 50%), hsl(180, 75%, 50%), hsl(270, 75%, 50%), hsl(360, 75%, 50%))",
+      minLabel: "N",
+      maxLabel: "N",
+      midLabel: "S",
+    };
+  }
+  const titles = { elevation: "Elevation (m)", hillshade: "Hillshade", slope: "Slope (°)" };
+  return {
+    title: titles[style.mode],
+    gradient: rampGradient(style.ramp),
+    minLabel: stretch ? String(Math.round(stretch.min)) : "…",
+    maxLabel: stretch ? String(Math.round(stretch.max)) : "…",
+  };
+}
@@ -0,0 +1,84 @@
+import { deriveTerrain, autoStretch, effectiveStretch, demColorFn, demLegend, renderNoData } from "./demAnalysis";
+import { rampRgb } from "./colorRamps";
+
+// 4x4 raster of ~100 m cells near the equator, sloping down towards the east
+const cell = 100 / 111320;
+const makeRaster = (values) => ({
+  xmin: 77,
+  ymax: cell * 4,
+  pixelWidth: cell,
+  pixelHeight: cell,
+  width: 4,
+  height: 4,
+  noDataValue: -32768,
+  values: [values],
+});
+const eastward = makeRaster([
+  [300, 200, 100, 0],
+  [300, 200, 100, 0],
+  [300, 200, 100, 0],
+  [300, 200, 100, 0],
+]);
+
+test("deriveTerrain computes slope and aspect with Horn's method", () => {
+  const slope = deriveTerrain(eastward, "slope");
+  expect(slope.values[0][1][1]).toBeCloseTo(45, 0);
+  expect(slope.values[0][0][0]).toBeNaN(); // Edges have no full window
+  expect(slope.mins[0]).toBeCloseTo(45, 0);
+
+  // Downslope faces east
+  const aspect = deriveTerrain(eastward, "aspect");
+  expect(aspect.values[0][1][1]).toBeCloseTo(90, 0);
+});
+
+test("deriveTerrain lights slopes facing the sun", () => {
+  const fromEast = deriveTerrain(eastward, "hillshade", { azimuth: 90, altitude: 45 });
+  const fromWest = deriveTerrain(eastward, "hillshade", { azimuth: 270, altitude: 45 });
+  expect(fromEast.values[0][1][1]).toBeCloseTo(255, 0);
+  expect(fromWest.values[0][1][1]).toBe(0);
+});
+
+test("deriveTerrain skips windows touching nodata", () => {
+  const holed = makeRaster([
+    [300, 200, 100, 0],
+    [300, 200, 100, 0],
+    [300, 200, 100, 0],
+    [300, 200, -32768, 0],
+  ]);
+  const slope = deriveTerrain(holed, "slope", { noData: -32768 });
+  expect(slope.values[0][2][1]).toBeNaN();
+  expect(slope.values[0][1][1]).toBeCloseTo(45, 0);
+});
+
+test("user stretch limits override the automatic range", () => {
+  const auto = autoStretch("elevation", [eastward, { mins: [-50], maxs: [150] }]);
+  expect(auto).toEqual({ min: -50, max: 150 });
+  expect(effectiveStretch({ stretchMin: null, stretchMax: 100 }, auto)).toEqual({ min: -50, max: 100 });
+  expect(autoStretch("hillshade", [])).toEqual({ min: 0, max: 255 });
+});
+
+test("demColorFn maps the stretch onto the ramp and hides nodata", () => {
+  const color = demColorFn({ mode: "elevation", ramp: "grayscale" }, { min: 0, max: 100 }, 0);
+  expect(color([0])).toBeNull();
+  expect(color([50])).toBe("rgb(128, 128, 128)");
+  expect(color([500])).toBe("rgb(255, 255, 255)");
+  expect(rampRgb("viridis", 0)).toEqual([68, 1, 84]);
+  expect(demLegend({ mode: "slope", ramp: "magma" }, { min: 0, max: 12.4 }).maxLabel).toBe("12");
+});
+
+test("a user nodata value hides elevations but not flat derived cells", () => {
+  const flat = makeRaster([
+    [50, 50, 50, 50],
+    [50, 50, 50, 50],
+    [50, 50, 50, 50],
+    [50, 50, 50, 50],
+  ]);
+  expect(renderNoData(flat, { mode: "elevation", noData: 0 })).toBe(0);
+  expect(renderNoData(flat, { mode: "elevation", noData: null })).toBe(-32768);
+
+  const slope = deriveTerrain(flat, "slope", { noData: 0 });
+  expect(slope.values[0][1][1]).toBe(0);
+  const color = demColorFn({ mode: "slope", ramp: "grayscale" }, { min: 0, max: 45 }, renderNoData(slope, { mode: "slope", noData: 0 }));
+  expect(color([slope.values[0][1][1]])).toBe("rgb(0, 0, 0)");
+  expect(color([slope.values[0][0][0]])).toBeNull();
+});
@@ -0,0 +1,188 @@
+// src/demSources.js
+// DEM raster source registry. A manifest lists the sources; each is either a
+// GeoTIFF/COG (opened by URL so geotiff.js reads it with range requests) or a
+// TileJSON XYZ endpoint that can only be displayed, not queried. A GeoTIFF can
+// name a TileJSON source to show instead when the file is missing.
+import parseGeoraster from "georaster";
+
+export const DEM_MANIFEST_URL = process.env.REACT_APP_DEM_MANIFEST_URL || "/data/dem-manifest.json";
+export const SOURCE_TYPES = ["geotiff", "tilejson"];
+
+const isBounds = (b) => Array.isArray(b) && b.length === 4 && b.every((v) => typeof v === "number");
+
+// Splits a manifest into usable sources and { id, error } problems
+export function validateManifest(manifest) {
+  const sources = [];
+  const problems = [];
+  const seen = new Set();
+
+  (Array.isArray(manifest?.sources) ? manifest.sources : []).forEach((entry, i) => {
+    const id = entry?.id || `source-${i + 1}`;
+    let error = null;
+    if (!entry?.id) error = "missing id";
+    else if (seen.has(id)) error = "duplicate id";
+    else if (!SOURCE_TYPES.includes(entry.type)) error = `unknown type "${entry.type}"`;
+    else if (!entry.url) error = "missing url";
+    else if (entry.bounds !== undefined && !isBounds(entry.bounds)) error = "bounds must be [west, south, east, north]";
+
+    if (error) {
+      problems.push({ id, error });
+      return;
+    }
+    seen.add(id);
+    sources.push({ name: id, ...entry });
+  });
+
+  // Fallbacks must point at a TileJSON source in the same manifest
+  sources.forEach((source) => {
+    if (!source.fallback) return;
+    const target = sources.find((s) => s.id === source.fallback);
+    if (!target || target.type !== "tilejson") {
+      problems.push({ id: source.id, error: `fallback "${source.fallback}" is not a TileJSON source` });
+      delete source.fallback;
+    }
+  });
+
+  if (!Array.isArray(manifest?.sources)) problems.push({ id: "manifest", error: "no sources listed" });
+  return { sources, problems };
+}
+
+export async function fetchManifest(url = DEM_MANIFEST_URL) {
+  const res = await fetch(url);
+  if (!res.ok) throw new Error(`HTTP error! status: ${res.status} for ${url}`);
+  const manifest = await res.json();
+  return { ...validateManifest(manifest), attribution: manifest?.attribution || null };
+}
+
+export const boundsOverlap = (a, b) => a[0] <= b[2] && a[2] >= b[0] && a[1] <= b[3] && a[3] >= b[1];
+
+// Primary sources (not someone's fallback) that overlap the [w, s, e, n] view.
+// Sources without bounds are always included.
+export function sourcesInView(sources, viewBounds) {
+  const fallbacks = new Set(sources.map((s) => s.fallback).filter(Boolean));
+  return sources.filter(
+    (s) => !fallbacks.has(s.id) && (!s.bounds || !viewBounds || boundsOverlap(s.bounds, viewBounds))
+  );
+}
+
+// The dev server answers unknown paths with index.html, so a 200 isn't proof
+async function checkExists(url) {
+  const res = await fetch(url, { method: "HEAD" });
+  if (!res.ok) throw new Error(`HTTP ${res.status}`);
+  if ((res.headers.get("content-type") || "").includes("text/html")) throw new Error("file not found");
+}
+
+const WINDOW_MAX_CELLS = 2048 * 2048; // Larger windows are read resampled
+const OVERVIEW_SIZE = 256; // Pixels across the overview the band range comes from
+
+// Opens a GeoTIFF by URL. Only the header is read here: the layer fetches the
+// tiles in view with range requests, and the tools read the pixels they need
+// with readRasterWindow. The band range (for the legend and stretch) comes
+// from a small overview.
+export async function openGeoTiffSource(source) {
+  await checkExists(source.url);
+  const georaster = await parseGeoraster(source.url);
+  if (!georaster.mins?.length || typeof georaster.mins[0] !== "number") {
+    const { xmin, ymin, xmax, ymax } = georaster;
+    const overview = await readRasterWindow(georaster, [xmin, ymin, xmax, ymax], { maxCells: OVERVIEW_SIZE ** 2 });
+    Object.assign(georaster, bandRange(overview || georaster));
+  }
+  return georaster;
+}
+
+// The part of a georaster over [west, south, east, north] with its values in
+// memory, for identify and the analyses; null if the raster doesn't cover it.
+// Rasters already in memory are returned as they are. A GeoTIFF opened by URL
+// reads just that window (plus a pixel around it for bilinear sampling),
+// resampled when it would be more than `maxCells` pixels.
+export async function readRasterWindow(georaster, [minX, minY, maxX, maxY], { maxCells = WINDOW_MAX_CELLS } = {}) {
+  const { xmin, xmax, ymin, ymax, pixelWidth, pixelHeight, width, height } = georaster;
+  if (!boundsOverlap([xmin, ymin, xmax, ymax], [minX, minY, maxX, maxY])) return null;
+  if (georaster.values) return georaster;
+
+  const left = Math.max(0, Math.floor((minX - xmin) / pixelWidth) - 1);
+  const right = Math.min(width, Math.ceil((maxX - xmin) / pixelWidth) + 1);
+  const top = Math.max(0, Math.floor((ymax - maxY) / pixelHeight) - 1);
+  const bottom = Math.min(height, Math.ceil((ymax - minY) / pixelHeight) + 1);
+  if (right <= left || bottom <= top) return null;
+
+  const scale = Math.min(1, Math.sqrt(maxCells / ((right - left) * (bottom - top))));
+  const cols = Math.max(1, Math.round((right - left) * scale));
+  const rows = Math.max(1, Math.round((bottom - top) * scale));
+  const values = await georaster.getValues({ left, top, right, bottom, width: cols, height: rows });
+  return {
+    ...georaster,
+    xmin: xmin + left * pixelWidth,
+    xmax: xmin + right * pixelWidth,
+    ymin: ymax - bottom * pixelHeight,
+    ymax: ymax - top * pixelHeight,
+    pixelWidth: ((right - left) * pixelWidth) / cols,
+    pixelHeight: ((bottom - top) * pixelHeight) / rows,
+    width: cols,
+    height: rows,
+    values,
+  };
+}
+
+// Windows of the rasters that cover the bounds, in the same order
+export async function readRasterWindows(rasters, bounds, options) {
+  const windows = await Promise.all((rasters || []).map((georaster) => readRasterWindow(georaster, bounds, options)));
+  return windows.filter(Boolean);
+}
+
+// mins/maxs/ranges of the first band, skipping nodata
+export function bandRange(georaster) {
+  let min = Infinity;
+  let max = -Infinity;
+  (georaster.values?.[0] || []).forEach((row) => {
+    for (let i = 0; i < row.length; i++) {
+      const v = row[i];
+      if (v === georaster.noDataValue || isNaN(v)) continue;
+      if (v < min) min = v;
+      if (v > max) max = v;
+    }
+  });
+  if (min === Infinity) return { mins: [], maxs: [], ranges: [] };
+  return { mins: [min], maxs: [max], ranges: [max - min] };
+}
+
+// { url, minZoom, maxNativeZoom, bounds, attribution } for L.tileLayer
+export async function loadTileJson(source) {
+  const res = await fetch(source.url);
+  if (!res.ok) throw new Error(`HTTP ${res.status}`);
+  const tilejson = await res.json();
+  if (!Array.isArray(tilejson?.tiles) || tilejson.tiles.length === 0) throw new Error("TileJSON lists no tiles");
+  const bounds = source.bounds || tilejson.bounds;
+  return {
+    url: tilejson.tiles[0],
+    minZoom: tilejson.minzoom ?? 0,
+    maxNativeZoom: tilejson.maxzoom ?? 18,
+    bounds: isBounds(bounds) ? bounds : null,
+    attribution: tilejson.attribution || source.attribution || "",
+  };
+}
+
+// Short summary for the layer list from { [id]: { state, error, via } }, where
+// state is "loading", "ready" (queryable), "tiles" (display only) or "missing"
+export function describeDemSources(status) {
+  const entries = Object.values(status || {});
+  if (entries.length === 0) return null;
+  const count = (state) => entries.filter((s) => s.state === state).length;
+  if (count("loading") > 0) return `Loading elevation… (${count("ready") + count("tiles")}/${entries.length})`;
+  const parts = [];
+  if (count("ready")) parts.push(`${count("ready")} GeoTIFF`);
+  if (count("tiles")) parts.push(`${count("tiles")} display-only tiles`);
+  return parts.length ? `Showing ${parts.join(" + ")}` : null;
+}
+
+// Lists the sources that could not be loaded, e.g. "Missing: n14e077 (HTTP 404)"
+export function describeDemProblems(status, problems = []) {
+  const missing = Object.entries(status || {})
+    .filter(([, s]) => s.error)
+    .map(([id, s]) => `${id} (${s.error}${s.via ? `, showing ${s.via}` : ""})`);
+  const invalid = problems.map((p) => `${p.id} (${p.error})`);
+  const lines = [];
+  if (missing.length) lines.push(`Missing: ${missing.join(", ")}`);
+  if (invalid.length) lines.push(`Manifest problems: ${invalid.join(", ")}`);
+  return lines.length ? lines.join(". ") : null;
+}
@@ -0,0 +1,94 @@
+import {
+  validateManifest,
+  sourcesInView,
+  describeDemSources,
+  describeDemProblems,
+  readRasterWindow,
+  readRasterWindows,
+} from "./demSources";
+
+const manifest = {
+  sources: [
+    { id: "a", type: "geotiff", url: "/a.tif", bounds: [77, 12, 78, 13], fallback: "a-tiles" },
+    { id: "b", type: "geotiff", url: "/b.tif", bounds: [77, 13, 78, 14] },
+    { id: "a-tiles", type: "tilejson", url: "/a.json" },
+    { id: "c", type: "wms", url: "/c" },
+    { id: "b", type: "geotiff", url: "/b2.tif" },
+    { id: "d", type: "geotiff", url: "/d.tif", fallback: "b" },
+  ],
+};
+
+test("validateManifest keeps good sources and reports the rest", () => {
+  const { sources, problems } = validateManifest(manifest);
+  expect(sources.map((s) => s.id)).toEqual(["a", "b", "a-tiles", "d"]);
+  expect(sources.find((s) => s.id === "d").fallback).toBeUndefined();
+  expect(problems).toEqual([
+    { id: "c", error: 'unknown type "wms"' },
+    { id: "b", error: "duplicate id" },
+    { id: "d", error: 'fallback "b" is not a TileJSON source' },
+  ]);
+  expect(validateManifest({}).problems).toEqual([{ id: "manifest", error: "no sources listed" }]);
+});
+
+test("sourcesInView skips fallbacks and sources outside the view", () => {
+  const { sources } = validateManifest(manifest);
+  expect(sourcesInView(sources, [77.4, 12.8, 77.8, 12.9]).map((s) => s.id)).toEqual(["a", "d"]);
+  expect(sourcesInView(sources, [77.4, 12.8, 77.8, 13.1]).map((s) => s.id)).toEqual(["a", "b", "d"]);
+});
+
+test("source status is summarised for the layer list", () => {
+  const status = {
+    a: { state: "tiles", error: "file not found", via: "A tiles" },
+    b: { state: "ready" },
+    n14: { state: "missing", error: "HTTP 404" },
+  };
+  expect(describeDemSources(status)).toBe("Showing 1 GeoTIFF + 1 display-only tiles");
+  expect(describeDemSources({ ...status, c: { state: "loading" } })).toBe("Loading elevation… (2/4)");
+  expect(describeDemProblems(status)).toBe("Missing: a (file not found, showing A tiles), n14 (HTTP 404)");
+  expect(describeDemProblems({ b: { state: "ready" } })).toBeNull();
+});
+
+// 100x100 raster of 0.01° pixels over [77, 12]–[78, 13], read by URL
+const remoteRaster = () => ({
+  xmin: 77,
+  xmax: 78,
+  ymin: 12,
+  ymax: 13,
+  pixelWidth: 0.01,
+  pixelHeight: 0.01,
+  width: 100,
+  height: 100,
+  noDataValue: -32768,
+  getValues: jest.fn(async ({ width, height }) => [Array.from({ length: height }, () => new Array(width).fill(900))]),
+});
+
+test("readRasterWindow reads only the pixels around the bounds", async () => {
+  const georaster = remoteRaster();
+  const win = await readRasterWindow(georaster, [77.505, 12.705, 77.525, 12.715]);
+  expect(georaster.getValues).toHaveBeenCalledWith({ left: 49, top: 27, right: 54, bottom: 31, width: 5, height: 4 });
+  expect(win).toMatchObject({ width: 5, height: 4, noDataValue: -32768 });
+  expect(win.xmin).toBeCloseTo(77.49);
+  expect(win.xmax).toBeCloseTo(77.54);
+  expect(win.ymax).toBeCloseTo(12.73);
+  expect(win.ymin).toBeCloseTo(12.69);
+  expect(win.pixelWidth).toBeCloseTo(0.01);
+  expect(win.values[0]).toHaveLength(4);
+
+  // A point still gets the pixels around it for bilinear sampling
+  await readRasterWindow(georaster, [77.005, 12.995, 77.005, 12.995]);
+  expect(georaster.getValues).toHaveBeenLastCalledWith({ left: 0, top: 0, right: 2, bottom: 2, width: 2, height: 2 });
+});
+
+test("readRasterWindow resamples large windows and skips rasters elsewhere", async () => {
+  const georaster = remoteRaster();
+  const win = await readRasterWindow(georaster, [77, 12, 78, 13], { maxCells: 50 * 50 });
+  expect(georaster.getValues).toHaveBeenCalledWith({ left: 0, top: 0, right: 100, bottom: 100, width: 50, height: 50 });
+  expect(win.pixelWidth).toBeCloseTo(0.02);
+  expect(win.xmax).toBeCloseTo(78);
+
+  expect(await readRasterWindow(georaster, [79, 12, 80, 13])).toBeNull();
+  const inMemory = { ...remoteRaster(), values: [[]] };
+  expect(await readRasterWindow(inMemory, [77.5, 12.5, 77.6, 12.6])).toBe(inMemory);
+  expect(inMemory.getValues).not.toHaveBeenCalled();
+  expect(await readRasterWindows([georaster, { ...remoteRaster(), xmin: 80, xmax: 81 }], [77.5, 12.5, 77.6, 12.6])).toHaveLength(1);
+});
@@ -0,0 +1,49 @@
+// src/drawCapture.js
+// Pointer capture for the drawing tools (measure, sketch, elevation). A
+// transparent layer over the map takes the clicks so ward, school and tree
+// popups don't open while drawing; drags and wheel zoom still reach the map
+// underneath.
+import L from "leaflet";
+
+const CLICK_SLOP = 5; // Pixels a click may move before it counts as a drag
+
+// Handlers get { latlng, containerPoint }; onKeyDown gets the KeyboardEvent.
+// Returns a function that ends the capture and restores double-click zoom.
+export function startDrawCapture(map, { onClick, onDoubleClick, onMove, onKeyDown, className = "" }) {
+  const capture = L.DomUtil.create("div", `draw-capture ${className}`.trim(), map.getContainer());
+  const doubleClickZoom = map.doubleClickZoom.enabled();
+  map.doubleClickZoom.disable();
+  let downAt = null;
+
+  const pointer = (e) => {
+    const containerPoint = map.mouseEventToContainerPoint(e);
+    return { latlng: map.containerPointToLatLng(containerPoint), containerPoint };
+  };
+
+  const handlers = {
+    mousedown: (e) => {
+      downAt = [e.clientX, e.clientY];
+    },
+    click: (e) => {
+      L.DomEvent.stop(e);
+      if (downAt && Math.hypot(e.clientX - downAt[0], e.clientY - downAt[1]) > CLICK_SLOP) return;
+      onClick?.(pointer(e));
+    },
+    dblclick: (e) => {
+      L.DomEvent.stop(e);
+      onDoubleClick?.(pointer(e));
+    },
+    mousemove: (e) => onMove?.(pointer(e)),
+  };
+  const keyHandler = (e) => onKeyDown?.(e);
+
+  L.DomEvent.on(capture, handlers);
+  document.addEventListener("keydown", keyHandler);
+
+  return () => {
+    document.removeEventListener("keydown", keyHandler);
+    L.DomEvent.off(capture, handlers);
+    L.DomUtil.remove(capture);
+    if (doubleClickZoom) map.doubleClickZoom.enable();
+  };
+}
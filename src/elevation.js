@@ -0,0 +1,98 @@
+// src/elevation.js
+// Point and profile queries against DEM georasters with their values in
+// memory (the windows readRasterWindow reads from the layer's GeoTIFFs).
+import { distance } from "./geoUtils";
+import { toCsv } from "./fileUtils";
+
+export const isValidElevation = (value, noDataValue) =>
+  typeof value === "number" && !isNaN(value) && value !== noDataValue;
+
+function rasterValue(georaster, col, row, noData) {
+  const value = georaster.values?.[0]?.[row]?.[col];
+  return isValidElevation(value, noData ?? georaster.noDataValue) ? value : null;
+}
+
+// Bilinear elevation at [lng, lat] from the first raster that covers it.
+// `noData` overrides the value stored in the GeoTIFF.
+export function sampleElevation(rasters, [lng, lat], noData = null) {
+  for (const georaster of rasters || []) {
+    const { xmin, xmax, ymin, ymax, pixelWidth, pixelHeight } = georaster;
+    if (lng < xmin || lng > xmax || lat < ymin || lat > ymax) continue;
+
+    // Pixel-centre coordinates
+    const fx = (lng - xmin) / pixelWidth - 0.5;
+    const fy = (ymax - lat) / pixelHeight - 0.5;
+    const col = Math.max(0, Math.min(georaster.width - 1, Math.floor(fx)));
+    const row = Math.max(0, Math.min(georaster.height - 1, Math.floor(fy)));
+    const col1 = Math.min(georaster.width - 1, col + 1);
+    const row1 = Math.min(georaster.height - 1, row + 1);
+    const tx = Math.max(0, Math.min(1, fx - col));
+    const ty = Math.max(0, Math.min(1, fy - row));
+
+    const corners = [
+      [rasterValue(georaster, col, row, noData), (1 - tx) * (1 - ty)],
+      [rasterValue(georaster, col1, row, noData), tx * (1 - ty)],
+      [rasterValue(georaster, col, row1, noData), (1 - tx) * ty],
+      [rasterValue(georaster, col1, row1, noData), tx * ty],
+    ].filter(([value, w]) => value !== null && w > 0);
+    if (corners.length === 0) continue;
+
+    // Re-weight around any nodata corners
+    const weight = corners.reduce((sum, [, w]) => sum + w, 0);
+    return corners.reduce((sum, [value, w]) => sum + value * w, 0) / weight;
+  }
+  return null;
+}
+
+// Elevation samples every `step` metres along a [lng, lat] polyline
+export function elevationProfile(rasters, coords, step = 30, noData = null) {
+  const samples = [];
+  let travelled = 0;
+  const push = (point, at) =>
+    samples.push({ distance: at, lng: point[0], lat: point[1], elevation: sampleElevation(rasters, point, noData) });
+
+  if (coords.length > 0) push(coords[0], 0);
+  for (let i = 1; i < coords.length; i++) {
+    const [a, b] = [coords[i - 1], coords[i]];
+    const length = distance(a, b);
+    const steps = Math.max(1, Math.ceil(length / step));
+    for (let s = 1; s <= steps; s++) {
+      const t = s / steps;
+      push([a[0] + (b[0] - a[0]) * t, a[1] + (b[1] - a[1]) * t], travelled + length * t);
+    }
+    travelled += length;
+  }
+  return samples;
+}
+
+// Length, extremes and cumulative climb of a profile
+export function profileSummary(samples) {
+  const valid = samples.filter((s) => s.elevation !== null);
+  let ascent = 0;
+  let descent = 0;
+  for (let i = 1; i < valid.length; i++) {
+    const delta = valid[i].elevation - valid[i - 1].elevation;
+    if (delta > 0) ascent += delta;
+    else descent -= delta;
+  }
+  return {
+    length: samples.length ? samples[samples.length - 1].distance : 0,
+    min: valid.length ? Math.min(...valid.map((s) => s.elevation)) : null,
+    max: valid.length ? Math.max(...valid.map((s) => s.elevation)) : null,
+    ascent,
+    descent,
+    missing: samples.length - valid.length,
+  };
+}
+
+export function profileToCsv(samples) {
+  return toCsv(
+    ["distance_m", "longitude", "latitude", "elevation_m"],
+    samples.map((s) => [
+      s.distance.toFixed(1),
+      s.lng.toFixed(6),
+      s.lat.toFixed(6),
+      s.elevation === null ? "" : s.elevation.toFixed(1),
+    ])
+  );
+}
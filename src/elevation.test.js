@@ -0,0 +1,46 @@
+import { sampleElevation, elevationProfile, profileSummary, profileToCsv } from "./elevation";
+
+// 3x3 raster over [77, 12]–[77.3, 12.3], rising eastwards, with one nodata cell
+const raster = {
+  xmin: 77,
+  xmax: 77.3,
+  ymin: 12,
+  ymax: 12.3,
+  pixelWidth: 0.1,
+  pixelHeight: 0.1,
+  width: 3,
+  height: 3,
+  noDataValue: -32768,
+  values: [
+    [
+      [900, 910, 920],
+      [900, 910, 920],
+      [900, -32768, 920],
+    ],
+  ],
+};
+
+test("sampleElevation interpolates between pixel centres and skips nodata", () => {
+  expect(sampleElevation([raster], [77.05, 12.25])).toBeCloseTo(900);
+  expect(sampleElevation([raster], [77.1, 12.25])).toBeCloseTo(905);
+  // Next to the nodata cell only the valid neighbours contribute
+  expect(sampleElevation([raster], [77.14, 12.06])).toBeCloseTo(171.9 / 0.19);
+  expect(sampleElevation([raster], [78, 12.1])).toBeNull();
+});
+
+test("profileSummary reports length, extremes and climb", () => {
+  const samples = elevationProfile([raster], [[77.05, 12.15], [77.25, 12.15]], 1000);
+  const summary = profileSummary(samples);
+  expect(summary.length).toBeGreaterThan(21000);
+  expect(summary.min).toBeCloseTo(900);
+  expect(summary.max).toBeCloseTo(920);
+  expect(summary.ascent).toBeCloseTo(20);
+  expect(summary.descent).toBe(0);
+  expect(profileToCsv(samples.slice(0, 1))).toBe("distance_m,longitude,latitude,elevation_m\n0.0,77.050000,12.150000,900.0");
+});
+
+test("sampleElevation honours a custom nodata value", () => {
+  // Treating 900 as nodata leaves only the middle column near the west edge
+  expect(sampleElevation([raster], [77.05, 12.25], 900)).toBeNull();
+  expect(sampleElevation([raster], [77.1, 12.25], 900)).toBeCloseTo(910);
+});
@@ -0,0 +1,177 @@
+// src/geoUtils.js
+// Small geometry helpers shared by the analysis widgets. Coordinates are
+// GeoJSON order ([lng, lat]) throughout.
+
+const EARTH_RADIUS = 6378137; // metres (WGS84 semi-major axis)
+const DEG_TO_RAD = Math.PI / 180;
+
+// Great-circle distance between two [lng, lat] points in metres
+export function distance([lng1, lat1], [lng2, lat2]) {
+  const dLat = (lat2 - lat1) * DEG_TO_RAD;
+  const dLng = (lng2 - lng1) * DEG_TO_RAD;
+  const a =
+    Math.sin(dLat / 2) ** 2 +
+    Math.cos(lat1 * DEG_TO_RAD) * Math.cos(lat2 * DEG_TO_RAD) * Math.sin(dLng / 2) ** 2;
+  return 2 * EARTH_RADIUS * Math.asin(Math.min(1, Math.sqrt(a)));
+}
+
+// Ray-casting test of a point against a single linear ring
+function pointInRing([x, y], ring) {
+  let inside = false;
+  for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+    const [xi, yi] = ring[i];
+    const [xj, yj] = ring[j];
+    if ((yi > y) !== (yj > y) && x < ((xj - xi) * (y - yi)) / (yj - yi) + xi) {
+      inside = !inside;
+    }
+  }
+  return inside;
+}
+
+function pointInPolygonRings(point, rings) {
+  if (!rings.length || !pointInRing(point, rings[0])) return false;
+  // Any further rings are holes
+  for (let i = 1; i < rings.length; i++) {
+    if (pointInRing(point, rings[i])) return false;
+  }
+  return true;
+}
+
+// Point-in-polygon for Polygon and MultiPolygon geometries
+export function pointInGeometry(point, geometry) {
+  if (!point || !geometry) return false;
+  if (geometry.type === "Polygon") {
+    return pointInPolygonRings(point, geometry.coordinates);
+  }
+  if (geometry.type === "MultiPolygon") {
+    return geometry.coordinates.some((rings) => pointInPolygonRings(point, rings));
+  }
+  return false;
+}
+
+// [minLng, minLat, maxLng, maxLat] of any geometry
+export function geometryBounds(geometry) {
+  const bounds = [Infinity, Infinity, -Infinity, -Infinity];
+  const visit = (coords) => {
+    if (typeof coords[0] === "number") {
+      bounds[0] = Math.min(bounds[0], coords[0]);
+      bounds[1] = Math.min(bounds[1], coords[1]);
+      bounds[2] = Math.max(bounds[2], coords[0]);
+      bounds[3] = Math.max(bounds[3], coords[1]);
+      return;
+    }
+    coords.forEach(visit);
+  };
+  if (geometry?.coordinates) visit(geometry.coordinates);
+  return bounds;
+}
+
+// Geodesic area of a ring in m² (same approximation as Leaflet.draw)
+export function ringArea(ring) {
+  let area = 0;
+  for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+    const [x1, y1] = ring[j];
+    const [x2, y2] = ring[i];
+    area += (x2 - x1) * DEG_TO_RAD * (2 + Math.sin(y1 * DEG_TO_RAD) + Math.sin(y2 * DEG_TO_RAD));
+  }
+  return Math.abs((area * EARTH_RADIUS * EARTH_RADIUS) / 2);
+}
+
+function polygonArea(rings) {
+  return rings.reduce(
+    (sum, ring, i) => (i === 0 ? sum + ringArea(ring) : sum - ringArea(ring)),
+    0
+  );
+}
+
+// Area of a Polygon or MultiPolygon in m²
+export function geometryArea(geometry) {
+  if (geometry?.type === "Polygon") return polygonArea(geometry.coordinates);
+  if (geometry?.type === "MultiPolygon") {
+    return geometry.coordinates.reduce((sum, rings) => sum + polygonArea(rings), 0);
+  }
+  return 0;
+}
+
+// Area-weighted centroid of a polygon's outer ring, with its planar area
+function ringCentroid(ring) {
+  let area = 0;
+  let cx = 0;
+  let cy = 0;
+  for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+    const [x1, y1] = ring[j];
+    const [x2, y2] = ring[i];
+    const cross = x1 * y2 - x2 * y1;
+    area += cross;
+    cx += (x1 + x2) * cross;
+    cy += (y1 + y2) * cross;
+  }
+  if (area === 0) {
+    // Degenerate ring: fall back to the vertex average
+    const n = ring.length || 1;
+    return { point: [ring.reduce((s, c) => s + c[0], 0) / n, ring.reduce((s, c) => s + c[1], 0) / n], area: 0 };
+  }
+  return { point: [cx / (3 * area), cy / (3 * area)], area: Math.abs(area / 2) };
+}
+
+// Centroid of a geometry; polygons are area-weighted, lines use their vertices
+export function geometryCentroid(geometry) {
+  if (!geometry?.coordinates) return null;
+  switch (geometry.type) {
+    case "Point":
+      return geometry.coordinates;
+    case "Polygon":
+      return ringCentroid(geometry.coordinates[0]).point;
+    case "MultiPolygon": {
+      const parts = geometry.coordinates.map((rings) => ringCentroid(rings[0]));
+      const total = parts.reduce((s, p) => s + p.area, 0);
+      if (total === 0) return parts[0]?.point || null;
+      return [
+        parts.reduce((s, p) => s + p.point[0] * p.area, 0) / total,
+        parts.reduce((s, p) => s + p.point[1] * p.area, 0) / total,
+      ];
+    }
+    default: {
+      const [minX, minY, maxX, maxY] = geometryBounds(geometry);
+      return isFinite(minX) ? [(minX + maxX) / 2, (minY + maxY) / 2] : null;
+    }
+  }
+}
+
+// Representative [lng, lat] for a feature (its centroid), or null if it has none
+export function featurePoint(feature) {
+  const geometry = feature?.geometry;
+  if (geometry?.type === "Point") {
+    return geometry.coordinates?.length === 2 ? geometry.coordinates : null;
+  }
+  return geometryCentroid(geometry);
+}
+
+// Uniform grid over feature bounding boxes, so point lookups only run the
+// exact polygon test against a handful of candidates.
+export function createGridIndex(features, cellSize = 0.01) {
+  const cells = new Map();
+  const cellKey = (cx, cy) => `${cx}:${cy}`;
+
+  features.forEach((feature) => {
+    const [minX, minY, maxX, maxY] = geometryBounds(feature.geometry);
+    if (!isFinite(minX)) return;
+    for (let cx = Math.floor(minX / cellSize); cx <= Math.floor(maxX / cellSize); cx++) {
+      for (let cy = Math.floor(minY / cellSize); cy <= Math.floor(maxY / cellSize); cy++) {
+        const key = cellKey(cx, cy);
+        if (!cells.has(key)) cells.set(key, []);
+        cells.get(key).push(feature);
+      }
+    }
+  });
+
+  return {
+    candidates([x, y]) {
+      return cells.get(cellKey(Math.floor(x / cellSize), Math.floor(y / cellSize))) || [];
+    },
+    // First feature whose polygon contains the point
+    find(point) {
+      return this.candidates(point).find((f) => pointInGeometry(point, f.geometry)) || null;
+    },
+  };
+}
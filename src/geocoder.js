@@ -0,0 +1,65 @@
+// src/geocoder.js
+// Address lookup for the search box. A geocoder is any object with a `name`
+// and `search(query, { signal, limit })` resolving to
+// [{ name, detail, lat, lng, bounds? }] where bounds is [[s, w], [n, e]].
+// Nominatim is the default; createLocalGeocoder stands in for it in tests and
+// offline use.
+import { normaliseText } from "./searchIndex";
+
+export const NOMINATIM_URL = process.env.REACT_APP_GEOCODER_URL || "https://nominatim.openstreetmap.org/search";
+
+// Results near Bengaluru rank first, but places outside aren't excluded
+export const BENGALURU_VIEWBOX = [77.3, 12.7, 77.9, 13.2]; // [west, south, east, north]
+
+// Nominatim asks for at most one request a second, so lookups run only when
+// the user asks for them and never while typing
+export function createNominatimGeocoder({
+  endpoint = NOMINATIM_URL,
+  viewbox = BENGALURU_VIEWBOX,
+  countryCodes = "in",
+  email = process.env.REACT_APP_GEOCODER_EMAIL,
+} = {}) {
+  return {
+    name: "OpenStreetMap Nominatim",
+    async search(query, { signal, limit = 5 } = {}) {
+      const params = new URLSearchParams({ q: query, format: "jsonv2", limit: String(limit) });
+      if (viewbox) params.set("viewbox", viewbox.join(","));
+      if (countryCodes) params.set("countrycodes", countryCodes);
+      if (email) params.set("email", email);
+      const res = await fetch(`${endpoint}?${params}`, { signal, headers: { Accept: "application/json" } });
+      if (!res.ok) throw new Error(`HTTP error! status: ${res.status}`);
+      const places = await res.json();
+      return (Array.isArray(places) ? places : []).map((place) => {
+        const [name, ...rest] = String(place.display_name || "").split(", ");
+        // boundingbox is [south, north, west, east] as strings
+        const bb = (place.boundingbox || []).map(Number);
+        return {
+          name: place.name || name || query,
+          detail: rest.slice(0, 3).join(", "),
+          lat: Number(place.lat),
+          lng: Number(place.lon),
+          bounds: bb.length === 4 && bb.every(isFinite) ? [[bb[0], bb[2]], [bb[1], bb[3]]] : null,
+        };
+      });
+    },
+  };
+}
+
+// Matches a fixed list of { name, detail?, lat, lng, bounds? } by words
+export function createLocalGeocoder(entries = [], { name = "Local places" } = {}) {
+  const indexed = entries.map((entry) => ({ entry, text: normaliseText(`${entry.name} ${entry.detail || ""}`) }));
+  return {
+    name,
+    async search(query, { signal, limit = 5 } = {}) {
+      if (signal?.aborted) throw new DOMException("Aborted", "AbortError");
+      const words = normaliseText(query).split(" ").filter(Boolean);
+      if (words.length === 0) return [];
+      return indexed
+        .filter(({ text }) => words.every((word) => text.includes(word)))
+        .slice(0, limit)
+        .map(({ entry }) => ({ detail: "", bounds: null, ...entry }));
+    },
+  };
+}
+
+export const defaultGeocoder = createNominatimGeocoder();
@@ -0,0 +1,48 @@
+import { createLocalGeocoder, createNominatimGeocoder } from "./geocoder";
+
+const places = [
+  { name: "Vidhana Soudha", detail: "Ambedkar Veedhi, Bengaluru", lat: 12.9796, lng: 77.5906 },
+  { name: "Lalbagh Botanical Garden", detail: "Mavalli, Bengaluru", lat: 12.9507, lng: 77.5848 },
+];
+
+test("local geocoder matches every word of the query", async () => {
+  const geocoder = createLocalGeocoder(places);
+  expect((await geocoder.search("lalbagh bengaluru")).map((p) => p.name)).toEqual(["Lalbagh Botanical Garden"]);
+  expect(await geocoder.search("lalbagh mysuru")).toEqual([]);
+  expect(await geocoder.search("  ")).toEqual([]);
+  expect(await geocoder.search("bengaluru", { limit: 1 })).toHaveLength(1);
+});
+
+test("nominatim geocoder builds the request and maps results", async () => {
+  const originalFetch = global.fetch;
+  global.fetch = jest.fn().mockResolvedValue({
+    ok: true,
+    json: async () => [
+      {
+        name: "Vidhana Soudha",
+        display_name: "Vidhana Soudha, Ambedkar Veedhi, Sampangi Rama Nagara, Bengaluru, Karnataka, India",
+        lat: "12.9796",
+        lon: "77.5906",
+        boundingbox: ["12.978", "12.981", "77.589", "77.592"],
+      },
+    ],
+  });
+  try {
+    const geocoder = createNominatimGeocoder({ endpoint: "https://geo.example/search", email: "" });
+    const [place] = await geocoder.search("vidhana soudha", { limit: 3 });
+    const url = new URL(global.fetch.mock.calls[0][0]);
+    expect(url.origin + url.pathname).toBe("https://geo.example/search");
+    expect(url.searchParams.get("q")).toBe("vidhana soudha");
+    expect(url.searchParams.get("limit")).toBe("3");
+    expect(url.searchParams.get("viewbox")).toBe("77.3,12.7,77.9,13.2");
+    expect(place).toEqual({
+      name: "Vidhana Soudha",
+      detail: "Ambedkar Veedhi, Sampangi Rama Nagara, Bengaluru",
+      lat: 12.9796,
+      lng: 77.5906,
+      bounds: [[12.978, 77.589], [12.981, 77.592]],
+    });
+  } finally {
+    global.fetch = originalFetch;
+  }
+});
@@ -0,0 +1,10 @@
+// src/ids.js
+// Ids for things the user saves (bookmarks, folders, sketches).
+
+let lastId = 0;
+// Date.now() ids like the original bookmarks widget, but never repeated
+// within a session
+export function newId() {
+  lastId = Math.max(Date.now(), lastId + 1);
+  return lastId;
+}
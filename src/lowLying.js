@@ -0,0 +1,281 @@
+// src/lowLying.js
+// Low-lying and depression analysis over the DEM georasters, summarised per
+// ward. Wards are rasterised row by row (scanline spans) rather than testing
+// every pixel against every polygon.
+import { geometryBounds } from "./geoUtils";
+import { wardKey } from "./wardStats";
+import { isNoData } from "./demAnalysis";
+
+export const LOW_LYING_MODES = {
+  threshold: "Below a water level",
+  sinks: "Depressions (sink fill)",
+};
+
+const METRES_PER_DEGREE_LAT = 110574;
+const METRES_PER_DEGREE_LNG = 111320;
+const SINK_PADDING = 0.01; // degrees
+
+// Sorted [startLng, endLng] spans where a horizontal line at `lat` is inside
+// the geometry. Even-odd filling handles holes and multipolygon parts alike.
+export function rowSpans(geometry, lat) {
+  const polygons =
+    geometry?.type === "Polygon" ? [geometry.coordinates] :
+    geometry?.type === "MultiPolygon" ? geometry.coordinates : [];
+  const crossings = [];
+  polygons.forEach((rings) =>
+    rings.forEach((ring) => {
+      for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+        const [xi, yi] = ring[i];
+        const [xj, yj] = ring[j];
+        if ((yi > lat) !== (yj > lat)) {
+          crossings.push(xi + ((lat - yi) / (yj - yi)) * (xj - xi));
+        }
+      }
+    })
+  );
+  crossings.sort((a, b) => a - b);
+  const spans = [];
+  for (let i = 0; i + 1 < crossings.length; i += 2) spans.push([crossings[i], crossings[i + 1]]);
+  return spans;
+}
+
+// Pixel window of a georaster covering [minLng, minLat, maxLng, maxLat]
+export function rasterWindow(georaster, [minX, minY, maxX, maxY]) {
+  const { xmin, ymax, pixelWidth, pixelHeight, width, height } = georaster;
+  const col0 = Math.max(0, Math.floor((minX - xmin) / pixelWidth));
+  const col1 = Math.min(width - 1, Math.ceil((maxX - xmin) / pixelWidth));
+  const row0 = Math.max(0, Math.floor((ymax - maxY) / pixelHeight));
+  const row1 = Math.min(height - 1, Math.ceil((ymax - minY) / pixelHeight));
+  if (col0 > col1 || row0 > row1) return null;
+  return { col0, col1, row0, row1 };
+}
+
+// Minimal binary min-heap of [priority, index] pairs for the priority flood
+function createHeap() {
+  const items = [];
+  const swap = (a, b) => ([items[a], items[b]] = [items[b], items[a]]);
+  return {
+    get size() {
+      return items.length;
+    },
+    push(item) {
+      items.push(item);
+      let i = items.length - 1;
+      while (i > 0) {
+        const parent = (i - 1) >> 1;
+        if (items[parent][0] <= items[i][0]) break;
+        swap(i, parent);
+        i = parent;
+      }
+    },
+    pop() {
+      const top = items[0];
+      const last = items.pop();
+      if (items.length > 0) {
+        items[0] = last;
+        let i = 0;
+        for (;;) {
+          const l = 2 * i + 1;
+          const r = l + 1;
+          let smallest = i;
+          if (l < items.length && items[l][0] < items[smallest][0]) smallest = l;
+          if (r < items.length && items[r][0] < items[smallest][0]) smallest = r;
+          if (smallest === i) break;
+          swap(i, smallest);
+          i = smallest;
+        }
+      }
+      return top;
+    },
+  };
+}
+
+// Priority-flood depression filling (Wang & Liu) of a width x height grid.
+// Nodata cells (NaN) act as outlets, like the grid edge.
+export function fillSinks(grid, width, height) {
+  const filled = Float32Array.from(grid);
+  const closed = new Uint8Array(grid.length);
+  const heap = createHeap();
+
+  const seed = (i) => {
+    if (closed[i] || isNaN(filled[i])) return;
+    closed[i] = 1;
+    heap.push([filled[i], i]);
+  };
+  for (let c = 0; c < width; c++) {
+    seed(c);
+    seed((height - 1) * width + c);
+  }
+  for (let r = 0; r < height; r++) {
+    seed(r * width);
+    seed(r * width + width - 1);
+  }
+  // Cells next to nodata are outlets too
+  for (let i = 0; i < grid.length; i++) {
+    if (!isNaN(filled[i])) continue;
+    closed[i] = 1;
+    const r = Math.floor(i / width);
+    const c = i % width;
+    for (let rr = Math.max(0, r - 1); rr <= Math.min(height - 1, r + 1); rr++) {
+      for (let cc = Math.max(0, c - 1); cc <= Math.min(width - 1, c + 1); cc++) seed(rr * width + cc);
+    }
+  }
+
+  while (heap.size > 0) {
+    const [level, i] = heap.pop();
+    const r = Math.floor(i / width);
+    const c = i % width;
+    for (let dr = -1; dr <= 1; dr++) {
+      for (let dc = -1; dc <= 1; dc++) {
+        const rr = r + dr;
+        const cc = c + dc;
+        if ((dr || dc) && rr >= 0 && cc >= 0 && rr < height && cc < width) {
+          const j = rr * width + cc;
+          if (!closed[j]) {
+            closed[j] = 1;
+            if (filled[j] < level) filled[j] = level;
+            heap.push([filled[j], j]);
+          }
+        }
+      }
+    }
+  }
+  return filled;
+}
+
+// [w, s, e, n] the analysis reads for the wards in scope, or null if there
+// are none. Depressions can spill past the wards, so sink filling looks a
+// little wider.
+export function lowLyingExtent(wards, { mode = "threshold", scope = null } = {}) {
+  const bounds = (wards?.features || [])
+    .filter((f) => !scope || wardKey(f) === scope)
+    .map((f) => geometryBounds(f.geometry));
+  if (bounds.length === 0) return null;
+  const pad = mode === "sinks" ? SINK_PADDING : 0;
+  return [
+    Math.min(...bounds.map((b) => b[0])) - pad,
+    Math.min(...bounds.map((b) => b[1])) - pad,
+    Math.max(...bounds.map((b) => b[2])) + pad,
+    Math.max(...bounds.map((b) => b[3])) + pad,
+  ];
+}
+
+// Runs the analysis for the wards in scope (all wards when `scope` is null).
+// Returns per-ward areas and one overlay georaster per DEM tile whose single
+// band is the depth of water (metres) over each affected pixel.
+export function analyseLowLying(
+  rasters,
+  wards,
+  { mode = "threshold", threshold = 900, minDepth = 0.5, scope = null, noData = null } = {}
+) {
+  const features = (wards?.features || []).filter((f) => !scope || wardKey(f) === scope);
+  const results = new Map(
+    features.map((f) => [
+      wardKey(f),
+      {
+        code: wardKey(f),
+        name: f.properties?.KGISWardName || "Unnamed Ward",
+        number: f.properties?.KGISWardNo,
+        sampledKm2: 0,
+        affectedKm2: 0,
+      },
+    ])
+  );
+  const bounds = features.map((f) => geometryBounds(f.geometry));
+  const overlays = [];
+  if (features.length === 0) return { wards: [], overlays, sampledKm2: 0, affectedKm2: 0 };
+
+  const extent = lowLyingExtent(wards, { mode, scope });
+
+  (rasters || []).forEach((georaster, index) => {
+    const win = rasterWindow(georaster, extent);
+    if (!win) return;
+    const { xmin, ymax, pixelWidth, pixelHeight } = georaster;
+    const source = georaster.values[0];
+    const nodata = noData ?? georaster.noDataValue;
+    const w = win.col1 - win.col0 + 1;
+    const h = win.row1 - win.row0 + 1;
+
+    // Neighbouring tiles share an edge; earlier tiles own the overlap
+    const earlier = rasters.slice(0, index);
+    const ownedByEarlier = (lng, lat) =>
+      earlier.some((r) => lng >= r.xmin && lng <= r.xmax && lat >= r.ymin && lat <= r.ymax);
+
+    // Elevation window, NaN for nodata
+    const grid = new Float32Array(w * h);
+    for (let r = 0; r < h; r++) {
+      const row = source[win.row0 + r];
+      for (let c = 0; c < w; c++) {
+        const value = row[win.col0 + c];
+        grid[r * w + c] = isNoData(value, nodata) ? NaN : value;
+      }
+    }
+    const filled = mode === "sinks" ? fillSinks(grid, w, h) : null;
+    const depthAt = (i) => {
+      const z = grid[i];
+      if (isNaN(z)) return 0;
+      const depth = mode === "sinks" ? filled[i] - z : threshold - z;
+      return mode === "sinks" ? (depth >= minDepth ? depth : 0) : depth > 0 ? depth : 0;
+    };
+
+    const depthRows = Array.from({ length: h }, () => new Float32Array(w).fill(NaN));
+    let maxDepth = 0;
+
+    for (let r = 0; r < h; r++) {
+      const lat = ymax - (win.row0 + r + 0.5) * pixelHeight;
+      const pixelKm2 =
+        (pixelWidth * METRES_PER_DEGREE_LNG * Math.cos((lat * Math.PI) / 180) *
+          pixelHeight * METRES_PER_DEGREE_LAT) / 1e6;
+
+      for (let k = 0; k < features.length; k++) {
+        const [minX, minY, maxX, maxY] = bounds[k];
+        if (lat < minY || lat > maxY) continue;
+        const result = results.get(wardKey(features[k]));
+        for (const [x0, x1] of rowSpans(features[k].geometry, lat)) {
+          // Pixel centres in [x0, x1), so shared ward edges aren't counted twice
+          const c0 = Math.max(0, Math.ceil((Math.max(x0, minX) - xmin) / pixelWidth - 0.5) - win.col0);
+          const c1 = Math.min(w - 1, Math.ceil((Math.min(x1, maxX) - xmin) / pixelWidth - 0.5) - 1 - win.col0);
+          for (let c = c0; c <= c1; c++) {
+            const lng = xmin + (win.col0 + c + 0.5) * pixelWidth;
+            if (index > 0 && ownedByEarlier(lng, lat)) continue;
+            const i = r * w + c;
+            if (isNaN(grid[i])) continue;
+            result.sampledKm2 += pixelKm2;
+            const depth = depthAt(i);
+            if (depth > 0) {
+              result.affectedKm2 += pixelKm2;
+              depthRows[r][c] = depth;
+              if (depth > maxDepth) maxDepth = depth;
+            }
+          }
+        }
+      }
+    }
+
+    overlays.push({
+      ...georaster,
+      xmin: xmin + win.col0 * pixelWidth,
+      xmax: xmin + (win.col1 + 1) * pixelWidth,
+      ymax: ymax - win.row0 * pixelHeight,
+      ymin: ymax - (win.row1 + 1) * pixelHeight,
+      width: w,
+      height: h,
+      noDataValue: null,
+      values: [depthRows],
+      mins: [0],
+      maxs: [maxDepth],
+      ranges: [maxDepth],
+    });
+  });
+
+  const wardResults = [...results.values()]
+    .map((ward) => ({ ...ward, share: ward.sampledKm2 ? ward.affectedKm2 / ward.sampledKm2 : 0 }))
+    .sort((a, b) => b.affectedKm2 - a.affectedKm2);
+
+  return {
+    wards: wardResults,
+    overlays,
+    sampledKm2: wardResults.reduce((sum, ward) => sum + ward.sampledKm2, 0),
+    affectedKm2: wardResults.reduce((sum, ward) => sum + ward.affectedKm2, 0),
+  };
+}
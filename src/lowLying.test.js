@@ -0,0 +1,94 @@
+import { rowSpans, fillSinks, analyseLowLying, lowLyingExtent } from "./lowLying";
+
+const square = (x0, y0, x1, y1) => [[x0, y0], [x1, y0], [x1, y1], [x0, y1], [x0, y0]];
+
+// 5x5 raster of 0.1° pixels over [77, 12]–[77.5, 12.5] with a pit in the middle
+const raster = {
+  xmin: 77,
+  xmax: 77.5,
+  ymin: 12,
+  ymax: 12.5,
+  pixelWidth: 0.1,
+  pixelHeight: 0.1,
+  width: 5,
+  height: 5,
+  noDataValue: -32768,
+  values: [
+    [
+      [905, 905, 905, 905, 905],
+      [905, 903, 903, 903, 905],
+      [905, 903, 898, 903, 905],
+      [905, 903, 903, 903, 905],
+      [905, 905, 905, 905, 900],
+    ],
+  ],
+};
+
+// West and east halves of the raster
+const wards = {
+  type: "FeatureCollection",
+  features: [
+    {
+      type: "Feature",
+      properties: { KGISWardCode: "W", KGISWardName: "West", KGISWardNo: "1" },
+      geometry: { type: "Polygon", coordinates: [square(77, 12, 77.25, 12.5)] },
+    },
+    {
+      type: "Feature",
+      properties: { KGISWardCode: "E", KGISWardName: "East", KGISWardNo: "2" },
+      geometry: { type: "Polygon", coordinates: [square(77.25, 12, 77.5, 12.5)] },
+    },
+  ],
+};
+
+test("rowSpans treats holes as gaps", () => {
+  const geometry = { type: "Polygon", coordinates: [square(0, 0, 10, 10), square(4, 4, 6, 6)] };
+  expect(rowSpans(geometry, 5)).toEqual([[0, 4], [6, 10]]);
+  expect(rowSpans(geometry, 2)).toEqual([[0, 10]]);
+  expect(rowSpans(geometry, 12)).toEqual([]);
+});
+
+test("fillSinks raises pits to their spill level and drains through nodata", () => {
+  const grid = Float32Array.from([5, 5, 5, 5, 1, 5, 5, 5, 5]);
+  expect(fillSinks(grid, 3, 3)[4]).toBe(5);
+  const leaky = Float32Array.from([5, NaN, 5, 5, 1, 5, 5, 5, 5]);
+  expect(fillSinks(leaky, 3, 3)[4]).toBe(1);
+});
+
+test("analyseLowLying reports the area below a water level per ward", () => {
+  const result = analyseLowLying([raster], wards, { threshold: 904 });
+  const west = result.wards.find((w) => w.code === "W");
+  const east = result.wards.find((w) => w.code === "E");
+  // Pixel centres at 77.05, 77.15 are west; 77.25 is on the shared edge and goes east
+  expect(west.affectedKm2 / west.sampledKm2).toBeCloseTo(3 / 10);
+  expect(east.affectedKm2 / east.sampledKm2).toBeCloseTo(7 / 15);
+  expect(result.affectedKm2).toBeCloseTo(west.affectedKm2 + east.affectedKm2);
+  expect(result.overlays[0].values[0][2][2]).toBeCloseTo(6);
+  expect(result.overlays[0].values[0][0][0]).toBeNaN();
+});
+
+test("analyseLowLying can be limited to one ward", () => {
+  const result = analyseLowLying([raster], wards, { threshold: 904, scope: "E" });
+  expect(result.wards.map((w) => w.code)).toEqual(["E"]);
+  expect(result.wards[0].affectedKm2 / result.wards[0].sampledKm2).toBeCloseTo(7 / 15);
+  // The overlay only covers the ward's window of the raster
+  expect(result.overlays[0].xmin).toBeCloseTo(77.2);
+  expect(result.overlays[0].values[0][2][0]).toBeCloseTo(6);
+});
+
+test("analyseLowLying finds depressions deeper than the minimum", () => {
+  const result = analyseLowLying([raster], wards, { mode: "sinks", minDepth: 1 });
+  const depth = result.overlays[0].values[0];
+  // The pit fills to the 903 m ring, which itself spills out through the low corner
+  expect(depth[2][2]).toBeCloseTo(5);
+  expect(depth[1][1]).toBeNaN();
+  expect(depth[4][4]).toBeNaN();
+  expect(result.wards.find((w) => w.code === "E").affectedKm2).toBeGreaterThan(0);
+});
+
+test("lowLyingExtent covers the wards in scope, wider for sink filling", () => {
+  expect(lowLyingExtent(wards)).toEqual([77, 12, 77.5, 12.5]);
+  expect(lowLyingExtent(wards, { scope: "E" })).toEqual([77.25, 12, 77.5, 12.5]);
+  expect(lowLyingExtent(wards, { mode: "sinks", scope: "W" })).toEqual([76.99, 11.99, 77.26, 12.51]);
+  expect(lowLyingExtent(wards, { scope: "nope" })).toBeNull();
+});
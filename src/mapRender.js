@@ -0,0 +1,136 @@
+// src/mapRender.js
+// Draws what Leaflet has on screen into a canvas for export, pane by pane:
+// tile and icon images, canvas renderers and GeoRaster tiles, SVG vector
+// layers and HTML (div) icons. Tiles have to come from CORS-enabled servers
+// with crossOrigin set on their layers, or the canvas can't be exported.
+import L from "leaflet";
+
+const SKIPPED_PANES = ["mapPane", "tooltipPane", "popupPane"];
+const TRANSPARENT = /^(transparent|rgba\(.*,\s*0\))$/;
+
+export function loadImage(src) {
+  return new Promise((resolve, reject) => {
+    const img = new Image();
+    img.crossOrigin = "anonymous";
+    img.onload = () => resolve(img);
+    img.onerror = () => reject(new Error(`Could not load image ${src.slice(0, 60)}`));
+    img.src = src;
+  });
+}
+
+export const svgImage = (markup) => loadImage(`data:image/svg+xml;charset=utf-8,${encodeURIComponent(markup)}`);
+
+// Product of the CSS opacities from the element up to the map container
+function effectiveOpacity(el, container) {
+  let opacity = 1;
+  for (let node = el; node && node !== container; node = node.parentElement) {
+    opacity *= Number(getComputedStyle(node).opacity);
+  }
+  return opacity;
+}
+
+// Waits until no grid layer (basemap, DEM tiles) is still loading, then two
+// frames more for the last tiles to paint
+export function waitForTiles(map, timeoutMs = 20000) {
+  return new Promise((resolve) => {
+    const started = Date.now();
+    const check = () => {
+      let loading = false;
+      map.eachLayer((layer) => {
+        if (layer instanceof L.GridLayer && layer.isLoading()) loading = true;
+      });
+      if (loading && Date.now() - started < timeoutMs) {
+        setTimeout(check, 150);
+      } else {
+        requestAnimationFrame(() => requestAnimationFrame(resolve));
+      }
+    };
+    check();
+  });
+}
+
+// Div icons (tree dots, cluster bubbles): an inner SVG as is, otherwise
+// each coloured box with its border, and the label text
+async function drawHtmlIcon(ctx, icon, origin) {
+  const svg = icon.querySelector("svg");
+  if (svg) {
+    const rect = svg.getBoundingClientRect();
+    const image = await svgImage(new XMLSerializer().serializeToString(svg));
+    ctx.drawImage(image, rect.left - origin.left, rect.top - origin.top, rect.width, rect.height);
+    return;
+  }
+  [icon, ...icon.querySelectorAll("*")].forEach((el) => {
+    const style = getComputedStyle(el);
+    const rect = el.getBoundingClientRect();
+    const x = rect.left - origin.left;
+    const y = rect.top - origin.top;
+    const radius = Math.min(parseFloat(style.borderTopLeftRadius) || 0, rect.width / 2, rect.height / 2);
+    const border = parseFloat(style.borderTopWidth) || 0;
+    ctx.save();
+    ctx.globalAlpha *= Number(style.opacity);
+    ctx.beginPath();
+    ctx.roundRect(x + border / 2, y + border / 2, rect.width - border, rect.height - border, radius);
+    if (!TRANSPARENT.test(style.backgroundColor)) {
+      ctx.fillStyle = style.backgroundColor;
+      ctx.fill();
+    }
+    if (border > 0 && style.borderTopStyle !== "none") {
+      ctx.lineWidth = border;
+      ctx.strokeStyle = style.borderTopColor;
+      ctx.stroke();
+    }
+    if (el.children.length === 0 && el.textContent.trim()) {
+      ctx.fillStyle = style.color;
+      ctx.font = `${style.fontWeight} ${style.fontSize} ${style.fontFamily}`;
+      ctx.textAlign = "center";
+      ctx.textBaseline = "middle";
+      ctx.fillText(el.textContent.trim(), x + rect.width / 2, y + rect.height / 2);
+    }
+    ctx.restore();
+  });
+}
+
+// A canvas of the map's current view, `scale` times its CSS pixel size.
+// SVG layers are redrawn at the full scale; tiles and canvases are stretched.
+export async function renderMapToCanvas(map, scale = 1) {
+  const container = map.getContainer();
+  const origin = container.getBoundingClientRect();
+  const size = map.getSize();
+  const canvas = document.createElement("canvas");
+  canvas.width = Math.round(size.x * scale);
+  canvas.height = Math.round(size.y * scale);
+  const ctx = canvas.getContext("2d");
+  ctx.scale(scale, scale);
+
+  const panes = Object.entries(map.getPanes())
+    .filter(([name]) => !SKIPPED_PANES.includes(name))
+    .map(([, pane]) => pane)
+    .sort((a, b) => (Number(getComputedStyle(a).zIndex) || 0) - (Number(getComputedStyle(b).zIndex) || 0));
+
+  for (const pane of panes) {
+    for (const el of pane.querySelectorAll("img, canvas, svg, div.leaflet-marker-icon")) {
+      const icon = el.closest(".leaflet-marker-icon");
+      if (icon && icon !== el) continue; // Drawn with its div icon
+      const rect = el.getBoundingClientRect();
+      const x = rect.left - origin.left;
+      const y = rect.top - origin.top;
+      if (rect.width === 0 || rect.height === 0) continue;
+      if (x > size.x || y > size.y || x + rect.width < 0 || y + rect.height < 0) continue;
+
+      ctx.save();
+      ctx.globalAlpha = effectiveOpacity(el, container);
+      if (el.tagName === "IMG") {
+        if (el.complete && el.naturalWidth > 0) ctx.drawImage(el, x, y, rect.width, rect.height);
+      } else if (el.tagName === "CANVAS") {
+        ctx.drawImage(el, x, y, rect.width, rect.height);
+      } else if (el.tagName.toLowerCase() === "svg") {
+        const image = await svgImage(new XMLSerializer().serializeToString(el));
+        ctx.drawImage(image, x, y, rect.width, rect.height);
+      } else {
+        await drawHtmlIcon(ctx, el, origin);
+      }
+      ctx.restore();
+    }
+  }
+  return canvas;
+}
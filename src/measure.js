@@ -0,0 +1,131 @@
+// src/measure.js
+// Distance, area and perimeter for the measurement toolbar, the local land
+// units (acres and guntas) and snapping to ward boundary vertices.
+import { distance, ringArea } from "./geoUtils";
+
+export const MEASURE_MODES = {
+  distance: "Distance",
+  area: "Area & perimeter",
+};
+
+export const SQ_METRES_PER_ACRE = 4046.8564224;
+export const GUNTAS_PER_ACRE = 40; // 1 gunta = 33 ft x 33 ft ≈ 101.17 m²
+
+// Length of a [lng, lat] path in metres
+export function pathLength(coords) {
+  let total = 0;
+  for (let i = 1; i < coords.length; i++) total += distance(coords[i - 1], coords[i]);
+  return total;
+}
+
+// { lengthM } for a distance, { areaM2, perimeterM } for an area; null until
+// there are enough vertices
+export function measureCoords(mode, coords) {
+  if (mode === "area") {
+    if (coords.length < 3) return null;
+    const ring = [...coords, coords[0]];
+    return { areaM2: ringArea(ring), perimeterM: pathLength(ring) };
+  }
+  if (coords.length < 2) return null;
+  return { lengthM: pathLength(coords) };
+}
+
+export const formatLength = (metres) =>
+  metres < 1000 ? `${metres.toFixed(1)} m` : `${(metres / 1000).toFixed(3)} km`;
+
+export const formatMetricArea = (m2) =>
+  m2 < 10000 ? `${Math.round(m2).toLocaleString()} m²` : `${(m2 / 10000).toFixed(2)} ha (${(m2 / 1e6).toFixed(3)} km²)`;
+
+// Whole acres plus guntas to one decimal, e.g. { acres: 2, guntas: 15.3 }
+export function toAcresGuntas(m2) {
+  const totalGuntas = Math.round((m2 / SQ_METRES_PER_ACRE) * GUNTAS_PER_ACRE * 10) / 10;
+  const acres = Math.floor(totalGuntas / GUNTAS_PER_ACRE);
+  return { acres, guntas: Math.round((totalGuntas - acres * GUNTAS_PER_ACRE) * 10) / 10 };
+}
+
+export function formatAcresGuntas(m2) {
+  const { acres, guntas } = toAcresGuntas(m2);
+  const parts = [];
+  if (acres > 0) parts.push(`${acres.toLocaleString()} ${acres === 1 ? "acre" : "acres"}`);
+  if (guntas > 0 || acres === 0) parts.push(`${guntas} ${guntas === 1 ? "gunta" : "guntas"}`);
+  return parts.join(" ");
+}
+
+// Display lines for a measureCoords() result
+export function describeMeasurement(result) {
+  if (!result) return [];
+  if (result.lengthM !== undefined) return [`Distance: ${formatLength(result.lengthM)}`];
+  return [
+    `Area: ${formatMetricArea(result.areaM2)}`,
+    `Land units: ${formatAcresGuntas(result.areaM2)}`,
+    `Perimeter: ${formatLength(result.perimeterM)}`,
+  ];
+}
+
+// Vertex index over polygon features. nearest(point, toleranceM) returns the
+// closest boundary vertex within the tolerance, or null.
+export function createVertexSnapper(features, { cellSize = 0.002 } = {}) {
+  const cells = new Map();
+  const cellKey = (cx, cy) => `${cx}:${cy}`;
+  const add = ([x, y]) => {
+    const key = cellKey(Math.floor(x / cellSize), Math.floor(y / cellSize));
+    if (!cells.has(key)) cells.set(key, []);
+    cells.get(key).push([x, y]);
+  };
+
+  (features || []).forEach((feature) => {
+    const geometry = feature.geometry;
+    if (geometry?.type === "Polygon") geometry.coordinates.forEach((ring) => ring.forEach(add));
+    if (geometry?.type === "MultiPolygon") geometry.coordinates.forEach((rings) => rings.forEach((ring) => ring.forEach(add)));
+  });
+
+  return {
+    nearest(point, toleranceM) {
+      const reachY = toleranceM / 111320;
+      const reachX = reachY / Math.cos((point[1] * Math.PI) / 180);
+      let best = null;
+      let bestDistance = toleranceM;
+      for (let cx = Math.floor((point[0] - reachX) / cellSize); cx <= Math.floor((point[0] + reachX) / cellSize); cx++) {
+        for (let cy = Math.floor((point[1] - reachY) / cellSize); cy <= Math.floor((point[1] + reachY) / cellSize); cy++) {
+          for (const vertex of cells.get(cellKey(cx, cy)) || []) {
+            const d = distance(point, vertex);
+            if (d <= bestDistance) {
+              best = vertex;
+              bestDistance = d;
+            }
+          }
+        }
+      }
+      return best;
+    },
+  };
+}
+
+// Session measurements as a FeatureCollection, with the figures as properties
+export function measurementsToGeoJSON(measurements) {
+  return {
+    type: "FeatureCollection",
+    features: measurements.map((m) => {
+      const properties = { name: m.name, mode: m.mode, created: m.created };
+      if (m.mode === "area") {
+        const { acres, guntas } = toAcresGuntas(m.result.areaM2);
+        Object.assign(properties, {
+          area_m2: Math.round(m.result.areaM2 * 100) / 100,
+          perimeter_m: Math.round(m.result.perimeterM * 100) / 100,
+          acres,
+          guntas,
+        });
+      } else {
+        properties.length_m = Math.round(m.result.lengthM * 100) / 100;
+      }
+      return {
+        type: "Feature",
+        properties,
+        geometry:
+          m.mode === "area"
+            ? { type: "Polygon", coordinates: [[...m.coords, m.coords[0]]] }
+            : { type: "LineString", coordinates: m.coords },
+      };
+    }),
+  };
+}
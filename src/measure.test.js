@@ -0,0 +1,92 @@
+import {
+  measureCoords,
+  toAcresGuntas,
+  formatAcresGuntas,
+  formatLength,
+  formatMetricArea,
+  describeMeasurement,
+  createVertexSnapper,
+  measurementsToGeoJSON,
+  SQ_METRES_PER_ACRE,
+} from "./measure";
+
+// ~111 m per 0.001° of latitude
+const line = [[77.59, 12.97], [77.59, 12.971], [77.591, 12.971]];
+
+test("measureCoords handles distances and areas", () => {
+  expect(measureCoords("distance", [line[0]])).toBeNull();
+  const { lengthM } = measureCoords("distance", line);
+  expect(lengthM).toBeGreaterThan(215);
+  expect(lengthM).toBeLessThan(225);
+
+  expect(measureCoords("area", line.slice(0, 2))).toBeNull();
+  const square = [[77.59, 12.97], [77.591, 12.97], [77.591, 12.971], [77.59, 12.971]];
+  const { areaM2, perimeterM } = measureCoords("area", square);
+  expect(areaM2).toBeGreaterThan(11800);
+  expect(areaM2).toBeLessThan(12300);
+  expect(perimeterM).toBeGreaterThan(435);
+  expect(perimeterM).toBeLessThan(450);
+});
+
+test("acres and guntas", () => {
+  expect(toAcresGuntas(SQ_METRES_PER_ACRE)).toEqual({ acres: 1, guntas: 0 });
+  expect(toAcresGuntas(SQ_METRES_PER_ACRE * 2.5)).toEqual({ acres: 2, guntas: 20 });
+  // Rounding up to a whole acre carries over
+  expect(toAcresGuntas(SQ_METRES_PER_ACRE * 0.99999)).toEqual({ acres: 1, guntas: 0 });
+  expect(formatAcresGuntas(SQ_METRES_PER_ACRE * 2.5)).toBe("2 acres 20 guntas");
+  expect(formatAcresGuntas(SQ_METRES_PER_ACRE / 40)).toBe("1 gunta");
+  expect(formatAcresGuntas(0)).toBe("0 guntas");
+  expect(formatAcresGuntas(SQ_METRES_PER_ACRE)).toBe("1 acre");
+});
+
+test("formatting", () => {
+  expect(formatLength(12.34)).toBe("12.3 m");
+  expect(formatLength(1234.5)).toBe("1.234 km");
+  expect(formatMetricArea(950.4)).toBe("950 m²");
+  expect(formatMetricArea(25000)).toBe("2.50 ha (0.025 km²)");
+  expect(describeMeasurement({ lengthM: 50 })).toEqual(["Distance: 50.0 m"]);
+  expect(describeMeasurement({ areaM2: SQ_METRES_PER_ACRE, perimeterM: 260 })).toEqual([
+    "Area: 4,047 m²",
+    "Land units: 1 acre",
+    "Perimeter: 260.0 m",
+  ]);
+  expect(describeMeasurement(null)).toEqual([]);
+});
+
+test("createVertexSnapper finds the nearest boundary vertex within the tolerance", () => {
+  const ward = {
+    type: "Feature",
+    properties: {},
+    geometry: { type: "Polygon", coordinates: [[[77.59, 12.97], [77.6, 12.97], [77.6, 12.98], [77.59, 12.97]]] },
+  };
+  const snapper = createVertexSnapper([ward]);
+  // ~22 m east of the first vertex
+  expect(snapper.nearest([77.5902, 12.97], 30)).toEqual([77.59, 12.97]);
+  expect(snapper.nearest([77.5902, 12.97], 10)).toBeNull();
+  // Across a cell boundary
+  expect(snapper.nearest([77.5999, 12.9801], 30)).toEqual([77.6, 12.98]);
+  expect(createVertexSnapper(null).nearest([77.59, 12.97], 100)).toBeNull();
+});
+
+test("measurementsToGeoJSON exports lines and closed polygons", () => {
+  const square = [[77.59, 12.97], [77.591, 12.97], [77.591, 12.971]];
+  const geojson = measurementsToGeoJSON([
+    { name: "Distance 1", mode: "distance", coords: line, result: { lengthM: 221.456 }, created: "2024-01-01T00:00:00Z" },
+    {
+      name: "Area 2",
+      mode: "area",
+      coords: square,
+      result: { areaM2: SQ_METRES_PER_ACRE * 1.5, perimeterM: 400.123 },
+      created: "2024-01-01T00:00:00Z",
+    },
+  ]);
+  expect(geojson.features[0].geometry).toEqual({ type: "LineString", coordinates: line });
+  expect(geojson.features[0].properties).toEqual({
+    name: "Distance 1",
+    mode: "distance",
+    created: "2024-01-01T00:00:00Z",
+    length_m: 221.46,
+  });
+  expect(geojson.features[1].geometry.coordinates[0]).toEqual([...square, square[0]]);
+  expect(geojson.features[1].properties).toMatchObject({ acres: 1, guntas: 20, perimeter_m: 400.12 });
+});
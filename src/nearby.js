@@ -0,0 +1,49 @@
+// src/nearby.js
+// Closest schools and trees to a location, with distance and bearing, for the
+// my-location panel. Points are [lng, lat] like the rest of geoUtils.
+import { distance, featurePoint } from "./geoUtils";
+
+export const NEARBY_RADII = [250, 500, 1000, 2000, 5000]; // metres
+export const DEFAULT_NEARBY_RADIUS = 1000;
+
+const DEG_TO_RAD = Math.PI / 180;
+const METRES_PER_DEGREE = 111320;
+const COMPASS_POINTS = ["N", "NE", "E", "SE", "S", "SW", "W", "NW"];
+
+// Initial great-circle bearing from `from` to `to`, degrees clockwise from north
+export function bearing([lng1, lat1], [lng2, lat2]) {
+  const phi1 = lat1 * DEG_TO_RAD;
+  const phi2 = lat2 * DEG_TO_RAD;
+  const dLng = (lng2 - lng1) * DEG_TO_RAD;
+  const y = Math.sin(dLng) * Math.cos(phi2);
+  const x = Math.cos(phi1) * Math.sin(phi2) - Math.sin(phi1) * Math.cos(phi2) * Math.cos(dLng);
+  return (Math.atan2(y, x) / DEG_TO_RAD + 360) % 360;
+}
+
+export const compassPoint = (degrees) => COMPASS_POINTS[Math.round(degrees / 45) % 8];
+
+export const formatDistance = (metres) =>
+  metres < 1000 ? `${Math.round(metres)} m` : `${(metres / 1000).toFixed(metres < 10000 ? 1 : 0)} km`;
+
+// Features of a collection within `radiusM` of `origin`, nearest first, as
+// [{ feature, point, distanceM, bearing }]. A degree box around the origin
+// rules out most of a large census before any distance is computed.
+export function nearestFeatures(collection, origin, { radiusM = DEFAULT_NEARBY_RADIUS, limit = 10, filter = null } = {}) {
+  if (!collection?.features || !origin) return [];
+  const dLat = radiusM / METRES_PER_DEGREE;
+  const dLng = dLat / Math.max(0.01, Math.cos(origin[1] * DEG_TO_RAD));
+  const found = [];
+
+  collection.features.forEach((feature) => {
+    const point = featurePoint(feature);
+    if (!point || Math.abs(point[0] - origin[0]) > dLng || Math.abs(point[1] - origin[1]) > dLat) return;
+    if (filter && !filter(feature)) return;
+    const distanceM = distance(origin, point);
+    if (distanceM <= radiusM) found.push({ feature, point, distanceM });
+  });
+
+  return found
+    .sort((a, b) => a.distanceM - b.distanceM)
+    .slice(0, limit)
+    .map((entry) => ({ ...entry, bearing: bearing(origin, entry.point) }));
+}
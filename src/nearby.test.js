@@ -0,0 +1,53 @@
+import { bearing, compassPoint, formatDistance, nearestFeatures } from "./nearby";
+
+const point = (lng, lat, name) => ({
+  type: "Feature",
+  properties: { name },
+  geometry: { type: "Point", coordinates: [lng, lat] },
+});
+
+const origin = [77.5946, 12.9716];
+
+test("bearing and compassPoint", () => {
+  expect(bearing(origin, [77.5946, 12.98])).toBeCloseTo(0, 5);
+  expect(bearing(origin, [77.6, 12.9716])).toBeCloseTo(90, 1);
+  expect(bearing(origin, [77.5946, 12.96])).toBeCloseTo(180, 5);
+  expect(bearing(origin, [77.59, 12.9716])).toBeCloseTo(270, 1);
+  expect(compassPoint(0)).toBe("N");
+  expect(compassPoint(44)).toBe("NE");
+  expect(compassPoint(200)).toBe("S");
+  expect(compassPoint(350)).toBe("N");
+});
+
+test("formatDistance", () => {
+  expect(formatDistance(42.4)).toBe("42 m");
+  expect(formatDistance(1530)).toBe("1.5 km");
+  expect(formatDistance(12400)).toBe("12 km");
+});
+
+test("nearestFeatures keeps features within the radius, nearest first", () => {
+  const collection = {
+    type: "FeatureCollection",
+    features: [
+      point(77.5946, 12.9806, "1 km north"),
+      point(77.5956, 12.9716, "110 m east"),
+      point(77.5946, 12.9626, "1 km south"),
+      point(77.7, 12.9716, "11 km east"),
+      { type: "Feature", properties: {}, geometry: null },
+    ],
+  };
+  const names = (results) => results.map((r) => r.feature.properties.name);
+
+  const within = nearestFeatures(collection, origin, { radiusM: 2000 });
+  expect(names(within)).toEqual(["110 m east", "1 km north", "1 km south"]);
+  expect(within[0].distanceM).toBeCloseTo(108, -1);
+  expect(compassPoint(within[0].bearing)).toBe("E");
+  expect(within[0].point).toEqual([77.5956, 12.9716]);
+
+  expect(names(nearestFeatures(collection, origin, { radiusM: 500 }))).toEqual(["110 m east"]);
+  expect(nearestFeatures(collection, origin, { radiusM: 2000, limit: 1 })).toHaveLength(1);
+  expect(
+    names(nearestFeatures(collection, origin, { radiusM: 2000, filter: (f) => f.properties.name.includes("south") }))
+  ).toEqual(["1 km south"]);
+  expect(nearestFeatures(null, origin)).toEqual([]);
+});
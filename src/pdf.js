@@ -0,0 +1,112 @@
+// src/pdf.js
+// Just enough PDF and PNG writing for map exports: a PDF whose pages are
+// each one full-page JPEG, and a PNG pHYs chunk so image viewers and print
+// dialogs know the intended DPI.
+
+// Strings here are all ASCII (or Latin-1 in the PDF header), one byte per char
+const bytesOf = (text) => Uint8Array.from(text, (c) => c.charCodeAt(0) & 0xff);
+
+function concatBytes(parts) {
+  const total = parts.reduce((sum, part) => sum + part.length, 0);
+  const bytes = new Uint8Array(total);
+  let offset = 0;
+  parts.forEach((part) => {
+    bytes.set(part, offset);
+    offset += part.length;
+  });
+  return bytes;
+}
+
+// PDF bytes from pages of { widthPt, heightPt, jpeg (Uint8Array), pixelWidth,
+// pixelHeight }; each JPEG is stretched over its whole page
+export function createPdf(pages, { title = "" } = {}) {
+  const parts = [];
+  const offsets = [];
+  let length = 0;
+  const write = (chunk) => {
+    const bytes = typeof chunk === "string" ? bytesOf(chunk) : chunk;
+    parts.push(bytes);
+    length += bytes.length;
+  };
+  const object = (id, ...body) => {
+    offsets[id] = length;
+    write(`${id} 0 obj\n`);
+    body.forEach(write);
+    write("\nendobj\n");
+  };
+
+  // 1 catalog, 2 page tree, 3 info, then page, contents and image per page
+  const pageIds = pages.map((_, i) => 4 + i * 3);
+  write("%PDF-1.4\n%\xE2\xE3\xCF\xD3\n");
+  object(1, "<< /Type /Catalog /Pages 2 0 R >>");
+  object(2, `<< /Type /Pages /Kids [${pageIds.map((id) => `${id} 0 R`).join(" ")}] /Count ${pages.length} >>`);
+  const escaped = title.replace(/[\\()]/g, (c) => `\\${c}`).replace(/[^\x20-\x7e]/g, "?");
+  object(3, `<< /Title (${escaped}) /Producer (Bengaluru GeoInsights) >>`);
+
+  pages.forEach((page, i) => {
+    const id = pageIds[i];
+    const width = page.widthPt.toFixed(2);
+    const height = page.heightPt.toFixed(2);
+    const content = `q ${width} 0 0 ${height} 0 0 cm /Im0 Do Q`;
+    object(
+      id,
+      `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${width} ${height}] ` +
+        `/Resources << /XObject << /Im0 ${id + 2} 0 R >> >> /Contents ${id + 1} 0 R >>`
+    );
+    object(id + 1, `<< /Length ${content.length} >>\nstream\n${content}\nendstream`);
+    object(
+      id + 2,
+      `<< /Type /XObject /Subtype /Image /Width ${page.pixelWidth} /Height ${page.pixelHeight} ` +
+        `/ColorSpace /DeviceRGB /BitsPerComponent 8 /Filter /DCTDecode /Length ${page.jpeg.length} >>\nstream\n`,
+      page.jpeg,
+      "\nendstream"
+    );
+  });
+
+  const count = 4 + pages.length * 3;
+  const xref = length;
+  write(`xref\n0 ${count}\n0000000000 65535 f \n`);
+  for (let id = 1; id < count; id++) write(`${String(offsets[id]).padStart(10, "0")} 00000 n \n`);
+  write(`trailer\n<< /Size ${count} /Root 1 0 R /Info 3 0 R >>\nstartxref\n${xref}\n%%EOF\n`);
+  return concatBytes(parts);
+}
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  return c >>> 0;
+});
+
+export function crc32(bytes) {
+  let crc = 0xffffffff;
+  for (let i = 0; i < bytes.length; i++) crc = CRC_TABLE[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+// The PNG with a pHYs chunk for the DPI after its header, replacing any
+// existing one
+export function setPngDpi(png, dpi) {
+  const view = new DataView(png.buffer, png.byteOffset, png.byteLength);
+  const chunks = [png.subarray(0, 8)];
+  let offset = 8;
+  while (offset < png.length) {
+    const size = view.getUint32(offset);
+    const type = String.fromCharCode(...png.subarray(offset + 4, offset + 8));
+    const end = offset + 12 + size;
+    if (type !== "pHYs") chunks.push(png.subarray(offset, end));
+    if (type === "IHDR") {
+      const pixelsPerMetre = Math.round(dpi / 0.0254);
+      const chunk = new Uint8Array(21);
+      const chunkView = new DataView(chunk.buffer);
+      chunkView.setUint32(0, 9);
+      chunk.set(bytesOf("pHYs"), 4);
+      chunkView.setUint32(8, pixelsPerMetre);
+      chunkView.setUint32(12, pixelsPerMetre);
+      chunk[16] = 1; // Unit: metre
+      chunkView.setUint32(17, crc32(chunk.subarray(4, 17)));
+      chunks.push(chunk);
+    }
+    offset = end;
+  }
+  return concatBytes(chunks);
+}
@@ -0,0 +1,69 @@
+import { createPdf, crc32, setPngDpi } from "./pdf";
+
+const bytes = (text) => Uint8Array.from(text, (c) => c.charCodeAt(0));
+const text = (data) => Array.from(data, (b) => String.fromCharCode(b)).join("");
+
+function chunk(type, data = new Uint8Array(0)) {
+  const out = new Uint8Array(12 + data.length);
+  const view = new DataView(out.buffer);
+  view.setUint32(0, data.length);
+  out.set(bytes(type), 4);
+  out.set(data, 8);
+  view.setUint32(8 + data.length, crc32(out.subarray(4, 8 + data.length)));
+  return out;
+}
+
+const signature = Uint8Array.from([137, 80, 78, 71, 13, 10, 26, 10]);
+const png = Uint8Array.from([...signature, ...chunk("IHDR", new Uint8Array(13)), ...chunk("IEND")]);
+
+// [type, data] of each chunk
+function chunks(data) {
+  const view = new DataView(data.buffer, data.byteOffset, data.byteLength);
+  const found = [];
+  for (let offset = 8; offset < data.length; ) {
+    const size = view.getUint32(offset);
+    found.push([text(data.subarray(offset + 4, offset + 8)), data.subarray(offset + 8, offset + 8 + size)]);
+    expect(view.getUint32(offset + 8 + size)).toBe(crc32(data.subarray(offset + 4, offset + 8 + size)));
+    offset += 12 + size;
+  }
+  return found;
+}
+
+test("crc32 matches the PNG reference", () => {
+  expect(crc32(bytes("IEND"))).toBe(0xae426082);
+});
+
+test("setPngDpi adds a single pHYs chunk after IHDR", () => {
+  const withDpi = setPngDpi(png, 300);
+  const found = chunks(withDpi);
+  expect(found.map(([type]) => type)).toEqual(["IHDR", "pHYs", "IEND"]);
+  const phys = new DataView(found[1][1].buffer, found[1][1].byteOffset, 9);
+  expect(phys.getUint32(0)).toBe(11811); // 300 dpi in pixels per metre
+  expect(phys.getUint32(4)).toBe(11811);
+  expect(phys.getUint8(8)).toBe(1);
+
+  expect(chunks(setPngDpi(withDpi, 150)).map(([type]) => type)).toEqual(["IHDR", "pHYs", "IEND"]);
+});
+
+test("createPdf writes one image page per input with a valid xref table", () => {
+  const jpeg = Uint8Array.from([0xff, 0xd8, 0x00, 0x0a, 0xff, 0xd9]);
+  const page = { widthPt: 841.89, heightPt: 595.28, jpeg, pixelWidth: 3508, pixelHeight: 2480 };
+  const pdf = text(createPdf([page, page], { title: "Ward (12)" }));
+
+  expect(pdf.startsWith("%PDF-1.4\n")).toBe(true);
+  expect(pdf.endsWith("%%EOF\n")).toBe(true);
+  expect(pdf).toContain("/Count 2");
+  expect(pdf.match(/\/Type \/Page /g)).toHaveLength(2);
+  expect(pdf).toContain("/MediaBox [0 0 841.89 595.28]");
+  expect(pdf).toContain("/Width 3508 /Height 2480");
+  expect(pdf).toContain("/Title (Ward \\(12\\))");
+
+  const startxref = Number(pdf.match(/startxref\n(\d+)/)[1]);
+  expect(pdf.slice(startxref, startxref + 4)).toBe("xref");
+  const entries = pdf.slice(startxref).match(/^\d{10} 00000 n $/gm);
+  expect(entries).toHaveLength(9);
+  entries.forEach((entry, i) => {
+    const offset = Number(entry.slice(0, 10));
+    expect(pdf.slice(offset, offset + `${i + 1} 0 obj`.length)).toBe(`${i + 1} 0 obj`);
+  });
+});
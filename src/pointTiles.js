@@ -0,0 +1,111 @@
+// src/pointTiles.js
+// Client-side tiling of point features, in the spirit of geojson-vt: points are
+// projected to Web Mercator once, and each z/x/y tile is cut lazily from its
+// nearest cached ancestor. Only a bounded number of tiles are kept in memory.
+
+const TILE_SIZE = 256;
+
+// Web Mercator in the unit square ([0, 1] on both axes, y down)
+export function projectPoint([lng, lat]) {
+  const sin = Math.sin((lat * Math.PI) / 180);
+  const y = 0.5 - (0.25 * Math.log((1 + sin) / (1 - sin))) / Math.PI;
+  return [lng / 360 + 0.5, Math.min(1, Math.max(0, y))];
+}
+
+// Projected positions and keys of the features as { x, y, keys }, index for
+// index; x and y are NaN for anything that isn't a point. The tree worker
+// builds these so the main thread doesn't have to.
+export function projectPoints(features, getKey = () => null) {
+  const x = new Float64Array(features.length).fill(NaN);
+  const y = new Float64Array(features.length).fill(NaN);
+  const keys = new Array(features.length).fill(null);
+  features.forEach((feature, i) => {
+    const coords = feature.geometry?.coordinates;
+    if (feature.geometry?.type !== "Point" || !coords || coords.length !== 2) return;
+    [x[i], y[i]] = projectPoint(coords);
+    keys[i] = getKey(feature);
+  });
+  return { x, y, keys };
+}
+
+// Point arrays of two batches of features, one after the other
+export function appendPoints(a, b) {
+  if (!a) return b;
+  const join = (first, second) => {
+    const out = new Float64Array(first.length + second.length);
+    out.set(first);
+    out.set(second, first.length);
+    return out;
+  };
+  return { x: join(a.x, b.x), y: join(a.y, b.y), keys: a.keys.concat(b.keys) };
+}
+
+// `projected` takes point arrays from projectPoints for the same features;
+// `filter` leaves features out of the index without re-projecting the rest.
+export function createPointTileIndex(
+  features,
+  { getKey = () => null, projected = null, filter = null, maxCachedTiles = 512 } = {}
+) {
+  const { x: xs, y: ys, keys } = projected || projectPoints(features, getKey);
+  const points = [];
+  features.forEach((feature, i) => {
+    if (isNaN(xs[i]) || (filter && !filter(feature))) return;
+    points.push({ x: xs[i], y: ys[i], feature, key: keys[i] });
+  });
+
+  // Insertion-ordered Map doubles as an LRU cache
+  const cache = new Map();
+  const tileId = (z, x, y) => `${z}/${x}/${y}`;
+  const remember = (id, tilePoints) => {
+    cache.set(id, tilePoints);
+    if (cache.size > maxCachedTiles) cache.delete(cache.keys().next().value);
+  };
+
+  function getTile(z, x, y) {
+    const id = tileId(z, x, y);
+    if (cache.has(id)) {
+      const hit = cache.get(id);
+      cache.delete(id);
+      cache.set(id, hit);
+      return hit;
+    }
+    const parent = z === 0 ? points : getTile(z - 1, x >> 1, y >> 1);
+    const scale = 2 ** z;
+    const tilePoints = parent.filter(
+      (p) => Math.min(scale - 1, Math.floor(p.x * scale)) === x && Math.min(scale - 1, Math.floor(p.y * scale)) === y
+    );
+    remember(id, tilePoints);
+    return tilePoints;
+  }
+
+  // Nearest point to a [lng, lat] within `tolerance` screen pixels at zoom z
+  function hitTest(lngLat, z, tolerance = 6) {
+    const [px, py] = projectPoint(lngLat);
+    const worldSize = TILE_SIZE * 2 ** z;
+    const scale = 2 ** z;
+    const tx = Math.floor(px * scale);
+    const ty = Math.floor(py * scale);
+
+    const candidates = [];
+    for (let dx = -1; dx <= 1; dx++) {
+      for (let dy = -1; dy <= 1; dy++) {
+        const x = tx + dx;
+        const y = ty + dy;
+        if (x >= 0 && y >= 0 && x < scale && y < scale) candidates.push(...getTile(z, x, y));
+      }
+    }
+
+    let best = null;
+    let bestDistance = tolerance;
+    candidates.forEach((p) => {
+      const distance = Math.hypot((p.x - px) * worldSize, (p.y - py) * worldSize);
+      if (distance <= bestDistance) {
+        best = p;
+        bestDistance = distance;
+      }
+    });
+    return best;
+  }
+
+  return { size: points.length, getTile, hitTest, tileSize: TILE_SIZE };
+}
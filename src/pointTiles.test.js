@@ -0,0 +1,46 @@
+import { appendPoints, createPointTileIndex, projectPoint, projectPoints } from "./pointTiles";
+
+const tree = (lng, lat, name) => ({
+  type: "Feature",
+  properties: { TreeName: name },
+  geometry: { type: "Point", coordinates: [lng, lat] },
+});
+
+const features = [tree(77.5946, 12.9716, "Rain Tree"), tree(77.7, 13.05, "Neem"), tree(-10, 40, "Oak")];
+
+test("tiles hold exactly the points inside them at every zoom", () => {
+  const index = createPointTileIndex(features);
+  expect(index.size).toBe(3);
+  expect(index.getTile(0, 0, 0)).toHaveLength(3);
+
+  const z = 14;
+  const [x, y] = projectPoint([77.5946, 12.9716]).map((v) => Math.floor(v * 2 ** z));
+  const tile = index.getTile(z, x, y);
+  expect(tile.map((p) => p.feature.properties.TreeName)).toEqual(["Rain Tree"]);
+});
+
+test("hitTest finds the nearest point within the pixel tolerance", () => {
+  const index = createPointTileIndex(features, { getKey: (f) => f.properties.TreeName });
+  expect(index.hitTest([77.59461, 12.97161], 16).key).toBe("Rain Tree");
+  expect(index.hitTest([77.597, 12.975], 16)).toBeNull();
+});
+
+test("the index uses projected point arrays as given and filters without re-projecting", () => {
+  const getKey = (f) => f.properties.TreeName;
+  const projected = appendPoints(projectPoints(features.slice(0, 1), getKey), projectPoints(features.slice(1), getKey));
+  expect(Array.from(projected.x)).toEqual(features.map((f) => projectPoint(f.geometry.coordinates)[0]));
+  expect(projected.keys).toEqual(["Rain Tree", "Neem", "Oak"]);
+
+  const getKeySpy = jest.fn(getKey);
+  const index = createPointTileIndex(features, {
+    getKey: getKeySpy,
+    projected,
+    filter: (f) => f.properties.TreeName !== "Neem",
+  });
+  expect(getKeySpy).not.toHaveBeenCalled();
+  expect(index.getTile(0, 0, 0).map((p) => p.key)).toEqual(["Rain Tree", "Oak"]);
+
+  const line = { type: "Feature", properties: {}, geometry: { type: "LineString", coordinates: [[77, 12], [78, 13]] } };
+  expect(Number.isNaN(projectPoints([line]).x[0])).toBe(true);
+  expect(createPointTileIndex([line]).size).toBe(0);
+});
@@ -0,0 +1,26 @@
+// src/popups.js
+// Popup HTML shared by the layers that can show the same feature.
+import { wardLabel } from "./wardLookup";
+
+// Ward lines for a point's popup, from wardLookup's wardAt()
+export function wardPopupLines(ward) {
+  if (!ward) return `<strong>Ward:</strong> Outside BBMP wards<br/>`;
+  return `
+    <strong>Ward:</strong> ${wardLabel(ward)}<br/>
+    <strong>KGIS Ward Code:</strong> ${ward.code ?? "N/A"}<br/>
+    <strong>LGD Ward Code:</strong> ${ward.lgdCode ?? "N/A"}<br/>
+  `;
+}
+
+// Tree census popup. `ward` is the ward containing the tree, if known; the
+// census's own WardNumber is kept alongside it.
+export function treePopupContent(feature, ward) {
+  const props = feature.properties || {};
+  return `
+    <strong>Tree Name:</strong> ${props.TreeName || "N/A"}<br/>
+    <strong>Species:</strong> ${props.KGISTreeID || "N/A"}<br/>
+    ${ward !== undefined ? wardPopupLines(ward) : ""}
+    <strong>Census Ward No:</strong> ${props.WardNumber || "N/A"}<br/>
+    <strong>Location:</strong> ${props.KGISVillageID || "N/A"}
+  `;
+}
@@ -0,0 +1,151 @@
+// src/printLayout.js
+// Page geometry and content for printed maps: paper sizes, the frames of a
+// page at a given DPI, scale bars and the legend read back from the live
+// legend control. Sizes are in output pixels unless named otherwise.
+
+export const PAPER_SIZES = {
+  a4: { name: "A4", widthMm: 210, heightMm: 297 },
+  a3: { name: "A3", widthMm: 297, heightMm: 420 },
+  letter: { name: "Letter", widthMm: 215.9, heightMm: 279.4 },
+  legal: { name: "Legal", widthMm: 215.9, heightMm: 355.6 },
+};
+export const PRINT_DPIS = [96, 150, 200, 300];
+// Sheets across × down that the view is split over in a PDF
+export const PAGE_GRIDS = { "1x1": [1, 1], "2x1": [2, 1], "1x2": [1, 2], "2x2": [2, 2], "3x3": [3, 3] };
+
+export const SCREEN_DPI = 96;
+const MM_PER_INCH = 25.4;
+const MARGIN_MM = 10;
+const TITLE_MM = 14;
+const FOOTER_MM = 16;
+const LEGEND_MM = 55;
+const GAP_MM = 4;
+
+export const mmToPx = (mm, dpi) => (mm * dpi) / MM_PER_INCH;
+export const mmToPt = (mm) => (mm * 72) / MM_PER_INCH;
+
+// { widthMm, heightMm } turned for the orientation
+export function paperDimensions(paper, orientation = "landscape") {
+  const { widthMm, heightMm } = PAPER_SIZES[paper];
+  const long = Math.max(widthMm, heightMm);
+  const short = Math.min(widthMm, heightMm);
+  return orientation === "landscape" ? { widthMm: long, heightMm: short } : { widthMm: short, heightMm: long };
+}
+
+// Rectangles ({ x, y, width, height }) of the title band, map frame, legend
+// column (null without a legend) and footer on one page
+export function layoutFrames({ paper, orientation, dpi, legend = true }) {
+  const { widthMm, heightMm } = paperDimensions(paper, orientation);
+  const px = (mm) => Math.round(mmToPx(mm, dpi));
+  const page = { width: px(widthMm), height: px(heightMm) };
+  const inner = { x: px(MARGIN_MM), width: px(widthMm - 2 * MARGIN_MM) };
+  const title = { ...inner, y: px(MARGIN_MM), height: px(TITLE_MM) };
+  const bodyTop = px(MARGIN_MM + TITLE_MM);
+  const bodyHeight = px(heightMm - 2 * MARGIN_MM - TITLE_MM - FOOTER_MM);
+  const footer = { ...inner, y: px(heightMm - MARGIN_MM - FOOTER_MM), height: px(FOOTER_MM) };
+
+  if (!legend) {
+    return { page, title, map: { ...inner, y: bodyTop, height: bodyHeight }, legend: null, footer };
+  }
+  const legendWidth = px(LEGEND_MM);
+  const map = { x: inner.x, y: bodyTop, width: inner.width - legendWidth - px(GAP_MM), height: bodyHeight };
+  return {
+    page,
+    title,
+    map,
+    legend: { x: map.x + map.width + px(GAP_MM), y: bodyTop, width: legendWidth, height: bodyHeight },
+    footer,
+  };
+}
+
+export const scaleLabel = (metres) => (metres >= 1000 ? `${metres / 1000} km` : `${metres} m`);
+
+// Largest round length (1, 2 or 5 × 10ⁿ metres) that fits in maxPx:
+// { metres, px, label }
+export function niceScaleBar(metresPerPixel, maxPx) {
+  const maxMetres = metresPerPixel * maxPx;
+  const power = 10 ** Math.floor(Math.log10(maxMetres));
+  const step = [5, 2, 1].find((n) => n * power <= maxMetres) * power;
+  return {
+    metres: step,
+    px: step / metresPerPixel,
+    label: scaleLabel(step),
+  };
+}
+
+// Representative fraction, e.g. "1:25,000", for ground metres per printed pixel
+export function printScale(metresPerPixel, dpi) {
+  const denominator = (metresPerPixel * dpi) / (MM_PER_INCH / 1000);
+  const rounded = Number(denominator.toPrecision(3));
+  return `1:${rounded.toLocaleString("en-US")}`;
+}
+
+// Pixel offsets of each sheet's centre from the centre of the whole view, in
+// reading order: [{ row, col, dx, dy }]
+export function pageOffsets(grid, width, height) {
+  const [cols, rows] = PAGE_GRIDS[grid];
+  const offsets = [];
+  for (let row = 0; row < rows; row++) {
+    for (let col = 0; col < cols; col++) {
+      offsets.push({ row, col, dx: (col - (cols - 1) / 2) * width, dy: (row - (rows - 1) / 2) * height });
+    }
+  }
+  return offsets;
+}
+
+const COLOR_PATTERN = /#[0-9a-f]{3,8}\b|rgba?\([^)]*\)|hsla?\([^)]*\)/gi;
+
+// Legend entries from the live legend control's DOM, so the print matches
+// what is on screen (species hidden from the map are left out):
+//   { type: "title", text }
+//   { type: "item", text, count?, swatch: { kind: "svg", markup } |
+//     { kind: "img", src } | { kind: "dot", color } }
+//   { type: "ramp", colors, labels }
+//   { type: "note", text }
+export function readLegend(container) {
+  const entries = [];
+  if (!container) return entries;
+  container.querySelectorAll(".legend-title, .legend-row, .legend-species, .legend-ramp, .legend-empty").forEach((el) => {
+    const text = el.textContent.replace(/\s+/g, " ").trim();
+    if (el.classList.contains("legend-title")) {
+      entries.push({ type: "title", text });
+    } else if (el.classList.contains("legend-empty")) {
+      entries.push({ type: "note", text });
+    } else if (el.classList.contains("legend-ramp")) {
+      const labels = Array.from(el.nextElementSibling?.querySelectorAll("span") || []).map((s) => s.textContent.trim());
+      entries.push({ type: "ramp", colors: (el.getAttribute("style") || "").match(COLOR_PATTERN) || [], labels });
+    } else if (el.classList.contains("legend-species")) {
+      if (el.classList.contains("hidden")) return;
+      entries.push({
+        type: "item",
+        text: el.querySelector(".legend-species-name")?.textContent.trim() || text,
+        count: el.querySelector(".legend-count")?.textContent.trim(),
+        swatch: { kind: "dot", color: el.querySelector(".legend-dot")?.style.backgroundColor || "#999" },
+      });
+    } else {
+      const svg = el.querySelector("svg");
+      const img = el.querySelector("img");
+      entries.push({
+        type: "item",
+        text,
+        swatch: svg
+          ? { kind: "svg", markup: new XMLSerializer().serializeToString(svg) }
+          : img
+          ? { kind: "img", src: img.getAttribute("src") }
+          : null,
+      });
+    }
+  });
+  return entries;
+}
+
+// Plain text of attribution HTML
+export function attributionText(html) {
+  const doc = new DOMParser().parseFromString(`<div>${html || ""}</div>`, "text/html");
+  return doc.body.textContent.replace(/\s+/g, " ").trim();
+}
+
+export function exportFileName(title, extension, date = new Date()) {
+  const slug = (title || "map").toLowerCase().replace(/[^a-z0-9]+/g, "-").replace(/^-|-$/g, "") || "map";
+  return `${slug}-${date.toISOString().slice(0, 10)}.${extension}`;
+}
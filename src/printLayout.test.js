@@ -0,0 +1,105 @@
+import {
+  paperDimensions,
+  layoutFrames,
+  niceScaleBar,
+  printScale,
+  pageOffsets,
+  readLegend,
+  attributionText,
+  exportFileName,
+} from "./printLayout";
+
+test("paperDimensions turns the sheet for the orientation", () => {
+  expect(paperDimensions("a4", "landscape")).toEqual({ widthMm: 297, heightMm: 210 });
+  expect(paperDimensions("a4", "portrait")).toEqual({ widthMm: 210, heightMm: 297 });
+});
+
+test("layoutFrames fits the title, map, legend and footer inside the margins", () => {
+  const frames = layoutFrames({ paper: "a4", orientation: "landscape", dpi: 300 });
+  expect(frames.page).toEqual({ width: 3508, height: 2480 });
+
+  const { title, map, legend, footer, page } = frames;
+  [title, map, legend, footer].forEach((frame) => {
+    expect(frame.x).toBeGreaterThan(0);
+    expect(frame.y).toBeGreaterThan(0);
+    expect(frame.x + frame.width).toBeLessThan(page.width);
+    expect(frame.y + frame.height).toBeLessThan(page.height);
+  });
+  expect(title.y + title.height).toBeLessThanOrEqual(map.y);
+  expect(map.x + map.width).toBeLessThan(legend.x);
+  expect(map.y + map.height).toBeLessThanOrEqual(footer.y);
+
+  const noLegend = layoutFrames({ paper: "a4", orientation: "landscape", dpi: 300, legend: false });
+  expect(noLegend.legend).toBeNull();
+  expect(noLegend.map.width).toBe(title.width);
+});
+
+test("niceScaleBar picks a round length that fits", () => {
+  expect(niceScaleBar(2, 300)).toEqual({ metres: 500, px: 250, label: "500 m" });
+  expect(niceScaleBar(10, 300)).toEqual({ metres: 2000, px: 200, label: "2 km" });
+  expect(niceScaleBar(0.5, 150).label).toBe("50 m");
+});
+
+test("printScale gives the representative fraction", () => {
+  // 1 m per pixel at 96 dpi: 1 px = 0.2646 mm on paper
+  expect(printScale(1, 96)).toBe("1:3,780");
+  expect(printScale(10, 300)).toBe("1:118,000");
+});
+
+test("pageOffsets centres each sheet of the grid", () => {
+  expect(pageOffsets("1x1", 800, 600)).toEqual([{ row: 0, col: 0, dx: 0, dy: 0 }]);
+  expect(pageOffsets("2x2", 800, 600)).toEqual([
+    { row: 0, col: 0, dx: -400, dy: -300 },
+    { row: 0, col: 1, dx: 400, dy: -300 },
+    { row: 1, col: 0, dx: -400, dy: 300 },
+    { row: 1, col: 1, dx: 400, dy: 300 },
+  ]);
+});
+
+test("readLegend reads titles, swatches, species and ramps from the legend DOM", () => {
+  const container = document.createElement("div");
+  container.innerHTML = `
+    <h4>Legend</h4>
+    <div class="legend-section">
+      <div class="legend-row"><svg width="20" height="20"><rect width="20" height="20" fill="#a6d8ff"></rect></svg> Ward Boundaries</div>
+    </div>
+    <div class="legend-section">
+      <div class="legend-row"><img src="/icons/school.png" width="20"> Schools</div>
+    </div>
+    <div class="legend-section">
+      <div class="legend-title">Tree species</div>
+      <ul>
+        <li class="legend-species"><span class="legend-dot" style="background-color: rgb(255, 0, 0);"></span><span class="legend-species-name">Neem</span><span class="legend-count">1,204</span></li>
+        <li class="legend-species hidden"><span class="legend-dot"></span><span class="legend-species-name">Teak</span></li>
+      </ul>
+    </div>
+    <div class="legend-section">
+      <div class="legend-title">Elevation</div>
+      <div class="legend-ramp" style="background: linear-gradient(to right, rgb(0, 0, 255), #00ff00, rgba(255, 0, 0, 0.5))"></div>
+      <div class="legend-ramp-labels"><span>850 m</span><span>950 m</span></div>
+    </div>`;
+
+  const entries = readLegend(container);
+  expect(entries.map((e) => e.type)).toEqual(["item", "item", "title", "item", "title", "ramp"]);
+  expect(entries[0].text).toBe("Ward Boundaries");
+  expect(entries[0].swatch.kind).toBe("svg");
+  expect(entries[0].swatch.markup).toContain("#a6d8ff");
+  expect(entries[1].swatch).toEqual({ kind: "img", src: "/icons/school.png" });
+  expect(entries[3]).toEqual({ type: "item", text: "Neem", count: "1,204", swatch: { kind: "dot", color: "rgb(255, 0, 0)" } });
+  expect(entries[5]).toEqual({
+    type: "ramp",
+    colors: ["rgb(0, 0, 255)", "#00ff00", "rgba(255, 0, 0, 0.5)"],
+    labels: ["850 m", "950 m"],
+  });
+  expect(readLegend(null)).toEqual([]);
+});
+
+test("attributionText and exportFileName", () => {
+  expect(attributionText('&copy; <a href="https://www.openstreetmap.org/">OpenStreetMap</a>  contributors')).toBe(
+    "© OpenStreetMap contributors"
+  );
+  expect(exportFileName("Ward 12: Trees & Schools", "pdf", new Date("2024-03-05T10:00:00Z"))).toBe(
+    "ward-12-trees-schools-2024-03-05.pdf"
+  );
+  expect(exportFileName("", "png", new Date("2024-03-05T10:00:00Z"))).toBe("map-2024-03-05.png");
+});
@@ -0,0 +1,17 @@
+// src/schoolQuery.mjs
+// The Overpass query for Bengaluru's schools, shared by the app's live
+// fallback (schoolSource.js) and scripts/fetch-schools-snapshot.mjs, so the
+// bundled snapshot and live data always cover the same features. Plain ES
+// module with no imports so Node can load it outside the app build.
+export const SCHOOL_OVERPASS_QUERY = `
+  [out:json];
+  area["name"="Bengaluru"]["admin_level"=8]->.searchArea;
+  (
+    node["amenity"="school"](area.searchArea);
+    way["amenity"="school"](area.searchArea);
+    relation["amenity"="school"](area.searchArea);
+  );
+  out body;
+  >;
+  out skel qt;
+`;
@@ -0,0 +1,137 @@
+// src/schoolSource.js
+// School data source: bundled snapshot -> IndexedDB cache -> Overpass API.
+// The layer is fed from whatever local copy exists first, then refreshed from
+// Overpass when the cached copy is stale and the browser is online.
+import osmtogeojson from "osmtogeojson";
+import { SCHOOL_OVERPASS_QUERY } from "./schoolQuery.mjs";
+
+export const OVERPASS_ENDPOINT =
+  process.env.REACT_APP_OVERPASS_URL || "https://overpass-api.de/api/interpreter";
+export const SCHOOL_SNAPSHOT_URL = "/data/schools.geojson";
+export const CACHE_MAX_AGE = 7 * 24 * 60 * 60 * 1000; // one week
+
+const DB_NAME = "geoinsights";
+const STORE_NAME = "datasets";
+const CACHE_KEY = "schools";
+
+function openDb() {
+  return new Promise((resolve, reject) => {
+    if (typeof indexedDB === "undefined") {
+      reject(new Error("IndexedDB is not available"));
+      return;
+    }
+    const request = indexedDB.open(DB_NAME, 1);
+    request.onupgradeneeded = () => request.result.createObjectStore(STORE_NAME);
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+async function withStore(mode, fn) {
+  const db = await openDb();
+  try {
+    return await new Promise((resolve, reject) => {
+      const tx = db.transaction(STORE_NAME, mode);
+      const request = fn(tx.objectStore(STORE_NAME));
+      tx.oncomplete = () => resolve(request.result);
+      tx.onerror = () => reject(tx.error);
+    });
+  } finally {
+    db.close();
+  }
+}
+
+async function readCache() {
+  try {
+    return (await withStore("readonly", (store) => store.get(CACHE_KEY))) || null;
+  } catch (error) {
+    console.warn("School cache unavailable:", error);
+    return null;
+  }
+}
+
+async function writeCache(entry) {
+  try {
+    await withStore("readwrite", (store) => store.put(entry, CACHE_KEY));
+  } catch (error) {
+    console.warn("Could not cache school data:", error);
+  }
+}
+
+async function fetchSnapshot() {
+  try {
+    const res = await fetch(SCHOOL_SNAPSHOT_URL);
+    if (!res.ok) throw new Error(`HTTP error! status: ${res.status} for ${SCHOOL_SNAPSHOT_URL}`);
+    // The dev server answers missing files with the app's index.html
+    if (/text\/html/.test(res.headers?.get("content-type") || "")) {
+      throw new Error(`${SCHOOL_SNAPSHOT_URL} not found (run npm run snapshot:schools)`);
+    }
+    const data = await res.json();
+    if (data?.type !== "FeatureCollection") throw new Error("Invalid school snapshot");
+    return { data, fetchedAt: data.timestamp || null, source: "snapshot" };
+  } catch (error) {
+    console.warn("No bundled school snapshot:", error);
+    return null;
+  }
+}
+
+async function fetchOverpass(endpoint) {
+  const res = await fetch(endpoint, { method: "POST", body: SCHOOL_OVERPASS_QUERY });
+  if (!res.ok) throw new Error(`Overpass returned HTTP ${res.status}`);
+  const json = await res.json();
+  return {
+    data: osmtogeojson(json),
+    fetchedAt: json.osm3s?.timestamp_osm_base || new Date().toISOString(),
+    source: "overpass",
+  };
+}
+
+const isFresh = (entry, maxAge) =>
+  entry?.source === "cache" && Date.now() - new Date(entry.cachedAt).getTime() < maxAge;
+
+const indexedDbCache = { read: readCache, write: writeCache };
+
+// Loads schools, calling onUpdate({ data, source, fetchedAt, error }) each time
+// a better copy becomes available. Rejects only if no copy could be loaded.
+// `cache` ({ read, write }) defaults to IndexedDB.
+export async function loadSchools({
+  onUpdate,
+  forceRefresh = false,
+  endpoint = OVERPASS_ENDPOINT,
+  maxAge = CACHE_MAX_AGE,
+  cache = indexedDbCache,
+} = {}) {
+  let local = null;
+  if (!forceRefresh) {
+    const cached = await cache.read();
+    local = cached ? { ...cached, source: "cache" } : await fetchSnapshot();
+    if (local) onUpdate(local);
+    if (isFresh(local, maxAge)) return;
+  }
+
+  if (typeof navigator !== "undefined" && navigator.onLine === false) {
+    if (!local) throw new Error("Offline and no saved school data is available");
+    onUpdate({ ...local, error: "Offline – showing saved data" });
+    return;
+  }
+
+  try {
+    const remote = await fetchOverpass(endpoint);
+    await cache.write({ data: remote.data, fetchedAt: remote.fetchedAt, cachedAt: new Date().toISOString() });
+    onUpdate(remote);
+  } catch (error) {
+    if (!local) throw error;
+    onUpdate({ ...local, error: `Could not refresh from Overpass: ${error.message}` });
+  }
+}
+
+// Short human-readable description of where the school data came from
+export function describeSchoolSource(status) {
+  if (!status) return null;
+  if (status.loading) return "Loading schools…";
+  if (!status.source) return status.error || null;
+
+  const labels = { snapshot: "bundled snapshot", cache: "cached copy", overpass: "live Overpass" };
+  const date = status.fetchedAt ? new Date(status.fetchedAt).toLocaleDateString() : "unknown date";
+  return `OSM data as of ${date} (${labels[status.source]})`;
+}
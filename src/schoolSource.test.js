@@ -0,0 +1,120 @@
+import { loadSchools, SCHOOL_SNAPSHOT_URL } from "./schoolSource";
+
+const ENDPOINT = "https://overpass.test/api/interpreter";
+const DAY = 24 * 60 * 60 * 1000;
+
+const collection = (name) => ({
+  type: "FeatureCollection",
+  features: [{ type: "Feature", properties: { name }, geometry: { type: "Point", coordinates: [77.59, 12.97] } }],
+});
+
+const overpassJson = {
+  osm3s: { timestamp_osm_base: "2024-05-01T00:00:00Z" },
+  elements: [{ type: "node", id: 1, lat: 12.97, lon: 77.59, tags: { amenity: "school", name: "Live School" } }],
+};
+
+const memoryCache = (entry = null) => ({
+  entry,
+  read: jest.fn(async function () {
+    return this.entry;
+  }),
+  write: jest.fn(async function (value) {
+    this.entry = value;
+  }),
+});
+
+const json = (body) => ({ ok: true, headers: new Headers({ "content-type": "application/json" }), json: async () => body });
+
+// fetch answering the snapshot URL and the Overpass endpoint
+const mockFetch = ({ snapshot = null, overpass = overpassJson } = {}) =>
+  jest.fn(async (url) => {
+    if (url === SCHOOL_SNAPSHOT_URL) return snapshot ? json(snapshot) : { ok: false, status: 404 };
+    if (overpass instanceof Error) throw overpass;
+    return json(overpass);
+  });
+
+const load = async (options) => {
+  const updates = [];
+  await loadSchools({ endpoint: ENDPOINT, onUpdate: (u) => updates.push(u), ...options });
+  return updates;
+};
+
+let originalFetch;
+let online;
+beforeEach(() => {
+  originalFetch = global.fetch;
+  online = jest.spyOn(navigator, "onLine", "get").mockReturnValue(true);
+  jest.spyOn(console, "warn").mockImplementation(() => {});
+});
+afterEach(() => {
+  global.fetch = originalFetch;
+  jest.restoreAllMocks();
+});
+
+test("a fresh cached copy is used without touching the network", async () => {
+  global.fetch = mockFetch();
+  const cache = memoryCache({ data: collection("Cached"), fetchedAt: "2024-04-01", cachedAt: new Date().toISOString() });
+  const updates = await load({ cache });
+  expect(updates).toHaveLength(1);
+  expect(updates[0]).toMatchObject({ source: "cache", data: collection("Cached") });
+  expect(global.fetch).not.toHaveBeenCalled();
+});
+
+test("a stale cached copy is shown, then replaced and re-cached from Overpass", async () => {
+  global.fetch = mockFetch();
+  const cache = memoryCache({ data: collection("Cached"), cachedAt: new Date(Date.now() - 8 * DAY).toISOString() });
+  const updates = await load({ cache });
+  expect(updates.map((u) => u.source)).toEqual(["cache", "overpass"]);
+  expect(updates[1].fetchedAt).toBe("2024-05-01T00:00:00Z");
+  expect(updates[1].data.features[0].properties.name).toBe("Live School");
+  expect(cache.write).toHaveBeenCalledWith(expect.objectContaining({ data: updates[1].data }));
+});
+
+test("without a cache the bundled snapshot is shown first", async () => {
+  global.fetch = mockFetch({ snapshot: { ...collection("Snapshot"), timestamp: "2024-03-01T00:00:00Z" } });
+  const updates = await load({ cache: memoryCache() });
+  expect(updates.map((u) => u.source)).toEqual(["snapshot", "overpass"]);
+  expect(updates[0].fetchedAt).toBe("2024-03-01T00:00:00Z");
+});
+
+test("offline, saved data is kept with a note", async () => {
+  online.mockReturnValue(false);
+  global.fetch = mockFetch({ snapshot: collection("Snapshot") });
+  const updates = await load({ cache: memoryCache() });
+  expect(updates.map((u) => u.source)).toEqual(["snapshot", "snapshot"]);
+  expect(updates[1].error).toMatch(/Offline/);
+  expect(global.fetch).not.toHaveBeenCalledWith(ENDPOINT, expect.anything());
+});
+
+test("offline with no cache or snapshot rejects", async () => {
+  online.mockReturnValue(false);
+  global.fetch = mockFetch();
+  await expect(load({ cache: memoryCache() })).rejects.toThrow("Offline and no saved school data is available");
+});
+
+test("an HTML page in place of the snapshot counts as no snapshot", async () => {
+  online.mockReturnValue(false);
+  global.fetch = jest.fn(async () => ({
+    ok: true,
+    headers: new Headers({ "content-type": "text/html; charset=utf-8" }),
+    json: async () => {
+      throw new SyntaxError("Unexpected token '<'");
+    },
+  }));
+  await expect(load({ cache: memoryCache() })).rejects.toThrow(/Offline/);
+  expect(console.warn).toHaveBeenCalledWith("No bundled school snapshot:", expect.objectContaining({ message: expect.stringMatching(/not found/) }));
+});
+
+test("when Overpass fails the local copy stays, with the error", async () => {
+  global.fetch = mockFetch({ snapshot: collection("Snapshot"), overpass: new Error("timeout") });
+  const cache = memoryCache();
+  const updates = await load({ cache });
+  expect(updates.map((u) => u.source)).toEqual(["snapshot", "snapshot"]);
+  expect(updates[1].error).toBe("Could not refresh from Overpass: timeout");
+  expect(cache.write).not.toHaveBeenCalled();
+});
+
+test("when Overpass fails and nothing is saved the error is thrown", async () => {
+  global.fetch = mockFetch({ overpass: new Error("timeout") });
+  await expect(load({ cache: memoryCache() })).rejects.toThrow("timeout");
+});
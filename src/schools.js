@@ -0,0 +1,78 @@
+// src/schools.js
+// Helpers for OSM school features (as produced by osmtogeojson).
+
+// Tag lookup that works for both flattened and nested (`tags`) properties
+export function schoolTag(feature, key) {
+  const props = feature?.properties || {};
+  return props.tags?.[key] ?? props[key];
+}
+
+export function schoolName(feature) {
+  return schoolTag(feature, "name") || "Unnamed School";
+}
+
+// Campuses mapped as ways/relations come through as (Multi)Polygons
+export function isSchoolArea(feature) {
+  const type = feature?.geometry?.type;
+  return type === "Polygon" || type === "MultiPolygon";
+}
+
+const ISCED_LEVELS = {
+  0: "Pre-primary",
+  1: "Primary",
+  2: "Lower secondary",
+  3: "Upper secondary",
+  4: "Post-secondary",
+};
+
+const DETAIL_TAGS = [
+  { label: "Operator", keys: ["operator"] },
+  { label: "Operator type", keys: ["operator:type"] },
+  {
+    label: "Level",
+    keys: ["isced:level"],
+    format: (value) =>
+      value
+        .split(/[;,]/)
+        .map((level) => ISCED_LEVELS[level.trim()] || level.trim())
+        .join(", "),
+  },
+  { label: "Medium", keys: ["school:medium", "medium", "language:medium", "school:language"] },
+  { label: "Website", keys: ["website", "contact:website", "url"] },
+];
+
+// [{ label, value }] for the optional OSM tags worth showing in a popup
+export function schoolDetails(feature) {
+  return DETAIL_TAGS.reduce((details, { label, keys, format }) => {
+    const key = keys.find((k) => schoolTag(feature, k));
+    if (key) {
+      const value = String(schoolTag(feature, key));
+      details.push({ label, value: format ? format(value) : value });
+    }
+    return details;
+  }, []);
+}
+
+// True for features keyed by prepareSchoolData (e.g. a search selection)
+export function isSchoolFeature(feature) {
+  return typeof feature?.__key === "string" && feature.__key.startsWith("school-");
+}
+
+// OSM id such as "way/123" that survives reloads, unlike the __key index
+export function schoolId(feature) {
+  return feature?.id || feature?.properties?.id || feature?.__key || null;
+}
+
+// Keeps only amenity=school features (osmtogeojson also emits tagged member
+// nodes such as entrances) and gives each a key for popup lookups. The
+// features are copied: the input may be the cached or bundled data.
+export function prepareSchoolData(geojson) {
+  if (!geojson?.features) return geojson;
+  const features = geojson.features
+    .filter((feature) => {
+      const amenity = schoolTag(feature, "amenity");
+      return amenity === undefined || amenity === "school";
+    })
+    .map((feature, idx) => ({ ...feature, __key: `school-${idx}` }));
+  return { ...geojson, features };
+}
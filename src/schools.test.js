@@ -0,0 +1,77 @@
+import { schoolName, schoolDetails, schoolId, isSchoolArea, isSchoolFeature, prepareSchoolData } from "./schools";
+import { featurePoint } from "./geoUtils";
+
+const square = (x0, y0, x1, y1) => [[x0, y0], [x1, y0], [x1, y1], [x0, y1], [x0, y0]];
+
+const node = (id, properties) => ({
+  type: "Feature",
+  id,
+  properties,
+  geometry: { type: "Point", coordinates: [77.59, 12.97] },
+});
+
+const campus = {
+  type: "Feature",
+  id: "way/20",
+  properties: { tags: { amenity: "school", name: "Campus School" } },
+  geometry: { type: "Polygon", coordinates: [square(77.5, 12.9, 77.52, 12.92)] },
+};
+
+const osm = {
+  type: "FeatureCollection",
+  features: [
+    node("node/1", { amenity: "school", name: "Corner School" }),
+    node("node/2", { entrance: "main" }),
+    campus,
+    node("node/3", { amenity: "kindergarten", name: "Little Steps" }),
+  ],
+};
+
+test("schoolDetails formats ISCED levels and falls back through tag names", () => {
+  const feature = node("node/1", {
+    tags: { operator: "BBMP", "isced:level": "0; 1,3;9", "language:medium": "Kannada", "contact:website": "https://example.org" },
+  });
+  expect(schoolDetails(feature)).toEqual([
+    { label: "Operator", value: "BBMP" },
+    { label: "Level", value: "Pre-primary, Primary, Upper secondary, 9" },
+    { label: "Medium", value: "Kannada" },
+    { label: "Website", value: "https://example.org" },
+  ]);
+  // The first tag present wins; flat properties work as well as nested tags
+  expect(schoolDetails(node("node/2", { "school:medium": "English", medium: "Hindi" }))).toEqual([
+    { label: "Medium", value: "English" },
+  ]);
+  expect(schoolDetails(node("node/3", {}))).toEqual([]);
+  expect(schoolName(node("node/3", {}))).toBe("Unnamed School");
+});
+
+test("prepareSchoolData keeps schools only, keyed, without touching its input", () => {
+  const before = JSON.stringify(osm);
+  const prepared = prepareSchoolData(osm);
+  expect(JSON.stringify(osm)).toBe(before);
+  expect(prepared.features.map((f) => [f.id, f.__key])).toEqual([
+    ["node/1", "school-0"],
+    ["node/2", "school-1"],
+    ["way/20", "school-2"],
+  ]);
+  expect(prepared.features.every(isSchoolFeature)).toBe(true);
+  expect(isSchoolFeature(osm.features[0])).toBe(false);
+  expect(prepareSchoolData(null)).toBeNull();
+});
+
+test("campuses stay polygons and are placed at their centroid", () => {
+  const area = prepareSchoolData(osm).features[2];
+  expect(isSchoolArea(area)).toBe(true);
+  expect(area.geometry).toBe(campus.geometry);
+  const [lng, lat] = featurePoint(area);
+  expect(lng).toBeCloseTo(77.51);
+  expect(lat).toBeCloseTo(12.91);
+  expect(isSchoolArea(osm.features[0])).toBe(false);
+});
+
+test("schoolId prefers the OSM id over the session key", () => {
+  expect(schoolId(campus)).toBe("way/20");
+  expect(schoolId({ properties: { id: "node/5" } })).toBe("node/5");
+  expect(schoolId({ properties: {}, __key: "school-4" })).toBe("school-4");
+  expect(schoolId(null)).toBeNull();
+});
@@ -0,0 +1,186 @@
+// src/searchIndex.js
+// Search index for wards, schools and trees. Items are grouped by type and
+// normalised name, so thousands of trees of one species are scored once.
+// Names are also reduced to a phonetic key that folds the spelling variants
+// common in romanised Kannada place names (Malleshwaram / Malleswaram,
+// Yelahanka / Yalahanka, -halli / -hally), and short typos are tolerated.
+
+export const SEARCH_TYPES = ["Ward", "School", "Tree"];
+
+// Ties on score go to the more useful type
+const TYPE_BOOST = { Ward: 6, School: 3, Tree: 0 };
+
+export function normaliseText(text) {
+  return String(text || "")
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, " ")
+    .trim();
+}
+
+// Ordered rewrites applied to a normalised, space-free string
+const PHONETIC_RULES = [
+  [/halli|hally|hali|haly/g, "hali"],
+  [/ksh/g, "ks"],
+  [/sh|zh/g, "s"],
+  [/th/g, "t"],
+  [/dh/g, "d"],
+  [/bh/g, "b"],
+  [/ph/g, "p"],
+  [/kh/g, "k"],
+  [/gh/g, "g"],
+  [/jh/g, "j"],
+  [/ch/g, "c"],
+  [/w/g, "v"],
+  [/z/g, "j"],
+  [/q/g, "k"],
+  [/ee|ii|ie|ey/g, "i"],
+  [/oo|uu|ou/g, "u"],
+  [/aa/g, "a"],
+  [/ya|ye|yo/g, "e"],
+  [/e/g, "a"], // Yelahanka / Yalahanka, Marathahalli / Marthahalli
+  [/y$/g, "i"],
+  [/(.)\1+/g, "$1"], // Doubled letters
+];
+
+export function phoneticKey(text) {
+  let key = normaliseText(text).replace(/ /g, "");
+  PHONETIC_RULES.forEach(([pattern, replacement]) => {
+    key = key.replace(pattern, replacement);
+  });
+  return key;
+}
+
+// Damerau-Levenshtein (adjacent swaps) distance, giving up above `max`
+export function editDistance(a, b, max = Infinity) {
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+  let prevPrev = null;
+  let prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const row = [i];
+    let best = i;
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      let d = Math.min(prev[j] + 1, row[j - 1] + 1, prev[j - 1] + cost);
+      if (prevPrev && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        d = Math.min(d, prevPrev[j - 2] + 1);
+      }
+      row.push(d);
+      best = Math.min(best, d);
+    }
+    if (best > max) return max + 1;
+    prevPrev = prev;
+    prev = row;
+  }
+  return prev[b.length];
+}
+
+// Typos allowed for a query of this many letters
+const allowedTypos = (length) => (length < 4 ? 0 : length < 8 ? 1 : 2);
+
+// items: [{ type, name, codes?: [string] }, ...] -> index for searchIndex()
+export function buildSearchIndex(items) {
+  const groups = new Map();
+  const codes = new Map(); // exact code -> items
+
+  items.forEach((item) => {
+    const norm = normaliseText(item.name);
+    const groupKey = `${item.type}|${norm}`;
+    let group = groups.get(groupKey);
+    if (!group) {
+      const words = norm.split(" ").filter(Boolean);
+      group = {
+        type: item.type,
+        name: item.name,
+        norm,
+        key: phoneticKey(norm),
+        words: words.map((word) => ({ norm: word, key: phoneticKey(word) })),
+        items: [],
+      };
+      groups.set(groupKey, group);
+    }
+    group.items.push(item);
+
+    (item.codes || []).forEach((code) => {
+      const normCode = normaliseText(code);
+      if (!normCode) return;
+      if (!codes.has(normCode)) codes.set(normCode, []);
+      codes.get(normCode).push(item);
+    });
+  });
+
+  return { groups: [...groups.values()], codes, size: items.length };
+}
+
+// Match quality of a group name for a query, 0 for no match
+function scoreGroup(group, norm, key) {
+  if (group.norm === norm) return 100;
+  if (group.norm.startsWith(norm)) return 90;
+  if (group.words.some((w) => w.norm.startsWith(norm))) return 80;
+  if (group.norm.includes(norm)) return 70;
+  if (group.key === key) return 75;
+  if (key.length < 3) return 0; // Too short to match loosely
+  if (group.key.startsWith(key)) return 65;
+  if (group.words.some((w) => w.key.startsWith(key))) return 60;
+  if (group.key.includes(key)) return 50;
+
+  // Typos: compare against the same-length start of the name and each word
+  const max = allowedTypos(key.length);
+  if (max === 0) return 0;
+  const candidates = [group.key, ...group.words.map((w) => w.key)];
+  let best = max + 1;
+  candidates.forEach((candidate) => {
+    best = Math.min(
+      best,
+      editDistance(key, candidate.slice(0, key.length), max),
+      editDistance(key, candidate, max)
+    );
+  });
+  return best <= max ? 40 - 10 * best : 0;
+}
+
+// Ranked [{ item, score }] for a query. Ward numbers ("12", "ward 12") and
+// codes match exactly. `types` limits the result types; `perTypeLimit`
+// stops one type (usually trees) from filling the list.
+export function searchIndex(index, query, { types = SEARCH_TYPES, limit = 10, perTypeLimit = 5 } = {}) {
+  const norm = normaliseText(query);
+  if (!index || !norm) return [];
+  const key = phoneticKey(norm);
+  const allowed = new Set(types);
+  const results = [];
+  const seen = new Set();
+
+  const wardNumber = norm.match(/^(?:ward\s*(?:no\s*)?)?(\d+)$/)?.[1];
+  const codeMatches = [...(index.codes.get(norm) || []), ...(wardNumber ? index.codes.get(wardNumber) || [] : [])];
+  codeMatches.forEach((item) => {
+    if (!allowed.has(item.type) || seen.has(item)) return;
+    seen.add(item);
+    results.push({ item, score: 110 + TYPE_BOOST[item.type] });
+  });
+
+  index.groups.forEach((group) => {
+    if (!allowed.has(group.type)) return;
+    const score = scoreGroup(group, norm, key);
+    if (score === 0) return;
+    // Shorter names are closer matches for the same query
+    const ranked = score + TYPE_BOOST[group.type] - Math.min(5, group.norm.length / 20);
+    group.items.forEach((item) => {
+      if (!seen.has(item)) results.push({ item, score: ranked });
+    });
+  });
+
+  results.sort((a, b) => b.score - a.score || a.item.name.localeCompare(b.item.name));
+
+  // With a single type selected the whole list is theirs
+  const cap = allowed.size === 1 ? limit : perTypeLimit;
+  const perType = {};
+  const picked = [];
+  for (const result of results) {
+    const type = result.item.type;
+    perType[type] = (perType[type] || 0) + 1;
+    if (perType[type] <= cap) picked.push(result);
+    if (picked.length >= limit) break;
+  }
+  return picked;
+}
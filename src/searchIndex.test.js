@@ -0,0 +1,43 @@
+import { normaliseText, phoneticKey, editDistance, buildSearchIndex, searchIndex } from "./searchIndex";
+
+test("phoneticKey folds common romanisation variants", () => {
+  expect(phoneticKey("Malleshwaram")).toBe(phoneticKey("Malleswaram"));
+  expect(phoneticKey("Yelahanka")).toBe(phoneticKey("Yalahanka"));
+  expect(phoneticKey("Marathahalli")).toBe(phoneticKey("Marathahally"));
+  expect(phoneticKey("Basavanagudi")).toBe(phoneticKey("Basavana Gudi"));
+  expect(normaliseText("  Bommanahaḷḷi – East ")).toBe("bommanahalli east");
+});
+
+test("editDistance counts swaps as one edit and stops early", () => {
+  expect(editDistance("jayanagar", "jayangaar")).toBe(1);
+  expect(editDistance("jayanagar", "jyanagr")).toBe(2);
+  expect(editDistance("ab", "ba")).toBe(1);
+  expect(editDistance("kempegowda", "xyz", 2)).toBe(3);
+});
+
+const items = [
+  { type: "Ward", name: "Malleshwaram", codes: ["7", "2003007"] },
+  { type: "Ward", name: "Jayanagar", codes: ["12", "2003012"] },
+  { type: "School", name: "Malleswaram Public School" },
+  ...Array.from({ length: 20 }, () => ({ type: "Tree", name: "Mallige" })),
+];
+const index = buildSearchIndex(items);
+const names = (results) => results.map((r) => `${r.item.type}:${r.item.name}`);
+
+test("searchIndex ranks by match quality and type, capping each type", () => {
+  const results = searchIndex(index, "malles");
+  expect(names(results).slice(0, 2)).toEqual(["Ward:Malleshwaram", "School:Malleswaram Public School"]);
+  expect(index.groups).toHaveLength(4);
+
+  const trees = searchIndex(index, "mallig");
+  expect(trees).toHaveLength(5);
+  expect(searchIndex(index, "mallig", { types: ["Tree"] })).toHaveLength(10);
+});
+
+test("searchIndex tolerates typos and finds wards by number or code", () => {
+  expect(names(searchIndex(index, "jaynagar"))).toEqual(["Ward:Jayanagar"]);
+  expect(names(searchIndex(index, "Ward 12"))).toEqual(["Ward:Jayanagar"]);
+  expect(names(searchIndex(index, "2003007"))[0]).toBe("Ward:Malleshwaram");
+  expect(searchIndex(index, "malles", { types: ["School"] })).toHaveLength(1);
+  expect(searchIndex(index, "zzzz")).toEqual([]);
+});
@@ -0,0 +1,250 @@
+// src/sketches.js
+// User sketches: points, lines and polygons with a title, description and
+// colour, kept in localStorage and shared as GeoJSON or KML. A sketch is
+// { id, title, description, color, geometry, created } with a plain GeoJSON
+// Point, LineString or Polygon geometry.
+import { newId } from "./ids";
+
+export const SKETCHES_STORAGE_KEY = "mapSketches";
+export const SKETCH_KINDS = { Point: "Point", LineString: "Line", Polygon: "Polygon" };
+export const SKETCH_COLORS = ["#e6194b", "#f58231", "#ffe119", "#3cb44b", "#4363d8", "#911eb4", "#333333"];
+export const DEFAULT_SKETCH_COLOR = SKETCH_COLORS[0];
+
+const isPosition = (c) => Array.isArray(c) && c.length >= 2 && isFinite(c[0]) && isFinite(c[1]);
+const isColor = (c) => typeof c === "string" && /^#[0-9a-f]{6}$/i.test(c);
+
+// The geometry trimmed to 2D positions, or null if it can't be a sketch
+function normaliseGeometry(geometry) {
+  const position = (c) => [Number(c[0]), Number(c[1])];
+  switch (geometry?.type) {
+    case "Point":
+      return isPosition(geometry.coordinates) ? { type: "Point", coordinates: position(geometry.coordinates) } : null;
+    case "LineString": {
+      const coords = (geometry.coordinates || []).filter(isPosition).map(position);
+      return coords.length >= 2 ? { type: "LineString", coordinates: coords } : null;
+    }
+    case "Polygon": {
+      const rings = (geometry.coordinates || [])
+        .map((ring) => (Array.isArray(ring) ? ring.filter(isPosition).map(position) : []))
+        .filter((ring) => ring.length >= 4);
+      return rings.length > 0 ? { type: "Polygon", coordinates: rings } : null;
+    }
+    default:
+      return null;
+  }
+}
+
+export function normaliseSketch(entry) {
+  const geometry = normaliseGeometry(entry?.geometry);
+  if (!geometry) return null;
+  return {
+    id: entry.id ?? newId(),
+    title: String(entry.title || SKETCH_KINDS[geometry.type]).trim(),
+    description: typeof entry.description === "string" ? entry.description : "",
+    color: isColor(entry.color) ? entry.color.toLowerCase() : DEFAULT_SKETCH_COLOR,
+    geometry,
+    created: entry.created || new Date().toISOString(),
+  };
+}
+
+export function loadSketches(storage = window.localStorage) {
+  const stored = JSON.parse(storage.getItem(SKETCHES_STORAGE_KEY) || "[]");
+  return (Array.isArray(stored) ? stored : []).map(normaliseSketch).filter(Boolean);
+}
+
+export function saveSketches(sketches, storage = window.localStorage) {
+  storage.setItem(SKETCHES_STORAGE_KEY, JSON.stringify(sketches));
+}
+
+// --- GeoJSON --------------------------------------------------------------
+
+// Colours are also written as simplestyle keys so geojson.io and GitHub show them
+export function sketchesToGeoJSON(sketches) {
+  return {
+    type: "FeatureCollection",
+    features: sketches.map((s) => ({
+      type: "Feature",
+      properties: {
+        title: s.title,
+        description: s.description,
+        color: s.color,
+        created: s.created,
+        ...(s.geometry.type === "Point"
+          ? { "marker-color": s.color }
+          : { stroke: s.color, ...(s.geometry.type === "Polygon" ? { fill: s.color } : {}) }),
+      },
+      geometry: s.geometry,
+    })),
+  };
+}
+
+// Multi-part geometries become one sketch per part
+function splitGeometry(geometry) {
+  const single = { MultiPoint: "Point", MultiLineString: "LineString", MultiPolygon: "Polygon" }[geometry?.type];
+  if (single) return geometry.coordinates.map((coordinates) => ({ type: single, coordinates }));
+  if (geometry?.type === "GeometryCollection") return geometry.geometries.flatMap(splitGeometry);
+  return geometry ? [geometry] : [];
+}
+
+// { sketches, skipped } from a FeatureCollection, Feature or bare geometry
+export function sketchesFromGeoJSON(data) {
+  const features =
+    data?.type === "FeatureCollection"
+      ? data.features || []
+      : data?.type === "Feature"
+      ? [data]
+      : data?.type
+      ? [{ type: "Feature", properties: {}, geometry: data }]
+      : null;
+  if (!features) throw new Error("Not a GeoJSON file");
+
+  const sketches = [];
+  let skipped = 0;
+  features.forEach((feature) => {
+    const props = feature?.properties || {};
+    const parts = splitGeometry(feature?.geometry);
+    if (parts.length === 0) skipped++;
+    parts.forEach((geometry) => {
+      const sketch = normaliseSketch({
+        title: props.title || props.name,
+        description: props.description,
+        color: [props.color, props.stroke, props["marker-color"], props.fill].find(isColor),
+        created: props.created,
+        geometry,
+      });
+      if (sketch) sketches.push(sketch);
+      else skipped++;
+    });
+  });
+  return { sketches, skipped };
+}
+
+// --- KML ------------------------------------------------------------------
+
+const escapeXml = (text) =>
+  String(text).replace(/[<>&"']/g, (c) => ({ "<": "&lt;", ">": "&gt;", "&": "&amp;", '"': "&quot;", "'": "&apos;" })[c]);
+
+// KML colours are aabbggrr
+export function toKmlColor(hex, alpha = 1) {
+  const a = Math.round(alpha * 255).toString(16).padStart(2, "0");
+  return `${a}${hex.slice(5, 7)}${hex.slice(3, 5)}${hex.slice(1, 3)}`.toLowerCase();
+}
+
+export function fromKmlColor(kml) {
+  const text = String(kml || "").trim().toLowerCase();
+  return /^[0-9a-f]{8}$/.test(text) ? `#${text.slice(6, 8)}${text.slice(4, 6)}${text.slice(2, 4)}` : null;
+}
+
+const kmlCoords = (coords) => coords.map(([lng, lat]) => `${lng},${lat}`).join(" ");
+
+function kmlGeometry(geometry) {
+  if (geometry.type === "Point") return `<Point><coordinates>${kmlCoords([geometry.coordinates])}</coordinates></Point>`;
+  if (geometry.type === "LineString") return `<LineString><coordinates>${kmlCoords(geometry.coordinates)}</coordinates></LineString>`;
+  const [outer, ...holes] = geometry.coordinates;
+  const ring = (coords) => `<LinearRing><coordinates>${kmlCoords(coords)}</coordinates></LinearRing>`;
+  return (
+    `<Polygon><outerBoundaryIs>${ring(outer)}</outerBoundaryIs>` +
+    holes.map((hole) => `<innerBoundaryIs>${ring(hole)}</innerBoundaryIs>`).join("") +
+    `</Polygon>`
+  );
+}
+
+export function sketchesToKml(sketches, { name = "Sketches" } = {}) {
+  const placemarks = sketches.map(
+    (s) =>
+      `    <Placemark>
+      <name>${escapeXml(s.title)}</name>
+      <description>${escapeXml(s.description)}</description>
+      <Style>
+        <IconStyle><color>${toKmlColor(s.color)}</color></IconStyle>
+        <LineStyle><color>${toKmlColor(s.color)}</color><width>3</width></LineStyle>
+        <PolyStyle><color>${toKmlColor(s.color, 0.3)}</color></PolyStyle>
+      </Style>
+      ${kmlGeometry(s.geometry)}
+    </Placemark>`
+  );
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<kml xmlns="http://www.opengis.net/kml/2.2">
+  <Document>
+    <name>${escapeXml(name)}</name>
+${placemarks.join("\n")}
+  </Document>
+</kml>
+`;
+}
+
+const children = (node, tag) => Array.from(node.getElementsByTagName(tag));
+const childText = (node, tag) => node.getElementsByTagName(tag)[0]?.textContent.trim() || "";
+
+const parseKmlCoords = (text) =>
+  text
+    .trim()
+    .split(/\s+/)
+    .map((tuple) => tuple.split(",").map(Number))
+    .filter(isPosition);
+
+// Colour from a placemark's own style or the shared style its styleUrl names
+function placemarkColor(placemark, sharedStyles) {
+  const styleId = childText(placemark, "styleUrl").replace(/^#/, "");
+  const styles = [...children(placemark, "Style"), sharedStyles.get(styleId)].filter(Boolean);
+  for (const style of styles) {
+    for (const tag of ["LineStyle", "IconStyle", "PolyStyle"]) {
+      const color = fromKmlColor(style.getElementsByTagName(tag)[0] && childText(style.getElementsByTagName(tag)[0], "color"));
+      if (color) return color;
+    }
+  }
+  return null;
+}
+
+function placemarkGeometries(placemark) {
+  const geometries = [];
+  children(placemark, "Point").forEach((point) => {
+    const [coords] = parseKmlCoords(childText(point, "coordinates"));
+    if (coords) geometries.push({ type: "Point", coordinates: coords });
+  });
+  children(placemark, "LineString").forEach((line) =>
+    geometries.push({ type: "LineString", coordinates: parseKmlCoords(childText(line, "coordinates")) })
+  );
+  children(placemark, "Polygon").forEach((polygon) => {
+    const ring = (tag) => children(polygon, tag).map((boundary) => parseKmlCoords(childText(boundary, "coordinates")));
+    geometries.push({ type: "Polygon", coordinates: [...ring("outerBoundaryIs"), ...ring("innerBoundaryIs")] });
+  });
+  return geometries;
+}
+
+// { sketches, skipped } from KML text; MultiGeometry parts become separate sketches
+export function sketchesFromKml(text) {
+  const doc = new DOMParser().parseFromString(text, "application/xml");
+  if (doc.getElementsByTagName("parsererror").length > 0 || doc.getElementsByTagName("kml").length === 0) {
+    throw new Error("Not a KML file");
+  }
+  const sharedStyles = new Map(
+    children(doc, "Style")
+      .filter((style) => style.getAttribute("id"))
+      .map((style) => [style.getAttribute("id"), style])
+  );
+
+  const sketches = [];
+  let skipped = 0;
+  children(doc, "Placemark").forEach((placemark) => {
+    const geometries = placemarkGeometries(placemark);
+    if (geometries.length === 0) skipped++;
+    geometries.forEach((geometry) => {
+      const sketch = normaliseSketch({
+        title: childText(placemark, "name"),
+        description: childText(placemark, "description"),
+        color: placemarkColor(placemark, sharedStyles),
+        geometry,
+      });
+      if (sketch) sketches.push(sketch);
+      else skipped++;
+    });
+  });
+  return { sketches, skipped };
+}
+
+// Reads an imported file as KML or GeoJSON, by extension or by content
+export function parseSketchFile(filename, text) {
+  const isKml = /\.kml$/i.test(filename) || /^\s*</.test(text);
+  return isKml ? sketchesFromKml(text) : sketchesFromGeoJSON(JSON.parse(text));
+}
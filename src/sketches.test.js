@@ -0,0 +1,123 @@
+import {
+  normaliseSketch,
+  loadSketches,
+  saveSketches,
+  sketchesToGeoJSON,
+  sketchesFromGeoJSON,
+  sketchesToKml,
+  sketchesFromKml,
+  parseSketchFile,
+  toKmlColor,
+  fromKmlColor,
+  DEFAULT_SKETCH_COLOR,
+} from "./sketches";
+
+const point = { type: "Point", coordinates: [77.5946, 12.9716] };
+const line = { type: "LineString", coordinates: [[77.59, 12.97], [77.6, 12.98]] };
+const polygon = {
+  type: "Polygon",
+  coordinates: [[[77.59, 12.97], [77.6, 12.97], [77.6, 12.98], [77.59, 12.97]]],
+};
+
+const sketches = [
+  normaliseSketch({ id: 1, title: "Pothole", description: "Near <bus stop> & signal", color: "#E6194B", geometry: point }),
+  normaliseSketch({ id: 2, title: "Broken footpath", color: "#4363d8", geometry: line }),
+  normaliseSketch({ id: 3, title: "Encroachment", description: "Shop extension", color: "#3cb44b", geometry: polygon }),
+];
+
+test("normaliseSketch validates geometry and fills defaults", () => {
+  expect(sketches[0]).toMatchObject({ id: 1, color: "#e6194b", geometry: point });
+  const bare = normaliseSketch({ geometry: { type: "Point", coordinates: [77.5, 12.9, 900] } });
+  expect(bare).toMatchObject({ title: "Point", description: "", color: DEFAULT_SKETCH_COLOR });
+  expect(bare.geometry.coordinates).toEqual([77.5, 12.9]);
+  expect(normaliseSketch({ color: "red", geometry: line }).color).toBe(DEFAULT_SKETCH_COLOR);
+  expect(normaliseSketch({ geometry: { type: "LineString", coordinates: [[77.5, 12.9]] } })).toBeNull();
+  expect(normaliseSketch({ geometry: { type: "Polygon", coordinates: [[[77.5, 12.9], [77.6, 12.9]]] } })).toBeNull();
+  expect(normaliseSketch({ geometry: null })).toBeNull();
+});
+
+test("loadSketches and saveSketches round-trip through storage", () => {
+  const store = {};
+  const storage = { getItem: (k) => store[k] ?? null, setItem: (k, v) => (store[k] = v) };
+  expect(loadSketches(storage)).toEqual([]);
+  saveSketches(sketches, storage);
+  expect(loadSketches(storage)).toEqual(sketches);
+});
+
+test("GeoJSON export and import keep titles, descriptions and colours", () => {
+  const geojson = sketchesToGeoJSON(sketches);
+  expect(geojson.features[0].properties).toMatchObject({ title: "Pothole", "marker-color": "#e6194b" });
+  expect(geojson.features[2].properties).toMatchObject({ stroke: "#3cb44b", fill: "#3cb44b" });
+
+  const { sketches: imported, skipped } = sketchesFromGeoJSON(JSON.parse(JSON.stringify(geojson)));
+  expect(skipped).toBe(0);
+  expect(imported.map(({ title, description, color, geometry }) => ({ title, description, color, geometry }))).toEqual(
+    sketches.map(({ title, description, color, geometry }) => ({ title, description, color, geometry }))
+  );
+});
+
+test("GeoJSON import splits multi-part geometries and skips unusable features", () => {
+  const { sketches: imported, skipped } = sketchesFromGeoJSON({
+    type: "FeatureCollection",
+    features: [
+      {
+        type: "Feature",
+        properties: { name: "Trees at risk", stroke: "#911eb4" },
+        geometry: { type: "MultiPoint", coordinates: [[77.5, 12.9], [77.51, 12.91]] },
+      },
+      { type: "Feature", properties: {}, geometry: null },
+      { type: "Feature", properties: {}, geometry: { type: "LineString", coordinates: [[77.5, 12.9]] } },
+    ],
+  });
+  expect(imported).toHaveLength(2);
+  expect(imported[1]).toMatchObject({ title: "Trees at risk", color: "#911eb4" });
+  expect(skipped).toBe(2);
+  expect(() => sketchesFromGeoJSON({ hello: "world" })).toThrow("Not a GeoJSON file");
+});
+
+test("KML colours are aabbggrr", () => {
+  expect(toKmlColor("#e6194b")).toBe("ff4b19e6");
+  expect(toKmlColor("#e6194b", 0.3)).toBe("4d4b19e6");
+  expect(fromKmlColor("ff4b19e6")).toBe("#e6194b");
+  expect(fromKmlColor("blue")).toBeNull();
+});
+
+test("KML export and import round-trip", () => {
+  const kml = sketchesToKml(sketches, { name: "Ward 12 survey" });
+  expect(kml).toContain("<name>Ward 12 survey</name>");
+  expect(kml).toContain("Near &lt;bus stop&gt; &amp; signal");
+
+  const { sketches: imported, skipped } = sketchesFromKml(kml);
+  expect(skipped).toBe(0);
+  expect(imported.map(({ title, description, color, geometry }) => ({ title, description, color, geometry }))).toEqual(
+    sketches.map(({ title, description, color, geometry }) => ({ title, description, color, geometry }))
+  );
+});
+
+test("KML import reads shared styles and MultiGeometry", () => {
+  const kml = `<?xml version="1.0"?>
+    <kml xmlns="http://www.opengis.net/kml/2.2"><Document>
+      <Style id="risk"><LineStyle><color>ff00ff00</color></LineStyle></Style>
+      <Placemark>
+        <name>Drain</name>
+        <styleUrl>#risk</styleUrl>
+        <MultiGeometry>
+          <LineString><coordinates>77.5,12.9,0 77.51,12.91,0</coordinates></LineString>
+          <Point><coordinates>77.52,12.92</coordinates></Point>
+        </MultiGeometry>
+      </Placemark>
+      <Placemark><name>Empty</name></Placemark>
+    </Document></kml>`;
+  const { sketches: imported, skipped } = sketchesFromKml(kml);
+  expect(imported.map((s) => s.geometry.type)).toEqual(["Point", "LineString"]);
+  expect(imported[1]).toMatchObject({ title: "Drain", color: "#00ff00" });
+  expect(imported[1].geometry.coordinates).toEqual([[77.5, 12.9], [77.51, 12.91]]);
+  expect(skipped).toBe(1);
+  expect(() => sketchesFromKml("<html></html>")).toThrow("Not a KML file");
+});
+
+test("parseSketchFile picks the format", () => {
+  expect(parseSketchFile("marks.kml", sketchesToKml(sketches)).sketches).toHaveLength(3);
+  expect(parseSketchFile("marks.geojson", JSON.stringify(sketchesToGeoJSON(sketches))).sketches).toHaveLength(3);
+  expect(parseSketchFile("export", sketchesToKml(sketches)).sketches).toHaveLength(3);
+});
@@ -0,0 +1,46 @@
+// src/treeCensus.worker.js
+// Fetches and parses the tree census parts off the main thread. Each part is
+// posted back as soon as it is ready so the map can show it straight away,
+// with its points already projected for the tile index.
+/* eslint-disable no-restricted-globals */
+import { projectPoints } from "./pointTiles";
+import { speciesKey } from "./treeFilter";
+
+// Keeps point features with usable coordinates
+export function validTrees(data) {
+  if (!data || data.type !== "FeatureCollection" || !Array.isArray(data.features)) {
+    throw new Error("Invalid GeoJSON structure");
+  }
+  return data.features.filter((feature) => {
+    const coords = feature?.geometry?.coordinates;
+    return (
+      feature?.geometry?.type === "Point" &&
+      Array.isArray(coords) &&
+      coords.length === 2 &&
+      isFinite(coords[0]) &&
+      isFinite(coords[1])
+    );
+  });
+}
+
+self.onmessage = async ({ data }) => {
+  if (data?.type !== "load") return;
+
+  await Promise.all(
+    data.urls.map(async (url, index) => {
+      try {
+        const res = await fetch(url);
+        if (!res.ok) {
+          throw new Error(`HTTP error! status: ${res.status} for ${url}`);
+        }
+        const features = validTrees(await res.json());
+        const points = projectPoints(features, speciesKey);
+        self.postMessage({ type: "part", index, url, features, points }, [points.x.buffer, points.y.buffer]);
+      } catch (error) {
+        self.postMessage({ type: "error", index, url, message: error.message });
+      }
+    })
+  );
+
+  self.postMessage({ type: "done" });
+};
@@ -0,0 +1,62 @@
+import { validTrees } from "./treeCensus.worker";
+import { projectPoint } from "./pointTiles";
+
+const tree = (coordinates, id) => ({
+  type: "Feature",
+  properties: { id },
+  geometry: { type: "Point", coordinates },
+});
+
+const census = (features) => ({ type: "FeatureCollection", features });
+
+test("validTrees skips features without usable point coordinates", () => {
+  const features = [
+    tree([77.59, 12.97], "ok"),
+    { type: "Feature", properties: { id: "null" }, geometry: null },
+    { type: "Feature", properties: { id: "missing" } },
+    { type: "Feature", properties: { id: "line" }, geometry: { type: "LineString", coordinates: [[77, 12], [78, 13]] } },
+    tree([77.59], "short"),
+    tree([77.59, "north"], "text"),
+    tree([Infinity, 12.97], "infinite"),
+    null,
+  ];
+  expect(validTrees(census(features)).map((f) => f.properties.id)).toEqual(["ok"]);
+});
+
+test("validTrees rejects anything but a feature collection", () => {
+  expect(() => validTrees(null)).toThrow("Invalid GeoJSON structure");
+  expect(() => validTrees({ type: "Feature" })).toThrow("Invalid GeoJSON structure");
+  expect(() => validTrees({ type: "FeatureCollection" })).toThrow("Invalid GeoJSON structure");
+});
+
+test("the worker posts each part, reports failed parts and finishes", async () => {
+  const responses = {
+    "/a.geojson": { ok: true, json: async () => census([tree([77.5, 12.9], 1), { type: "Feature", geometry: null }]) },
+    "/b.geojson": { ok: false, status: 404 },
+    "/c.geojson": { ok: true, json: async () => ({ type: "Topology" }) },
+  };
+  const originalFetch = global.fetch;
+  global.fetch = jest.fn(async (url) => responses[url]);
+  const posted = jest.spyOn(window, "postMessage").mockImplementation(() => {});
+  try {
+    await window.onmessage({ data: { type: "load", urls: Object.keys(responses) } });
+    const messages = posted.mock.calls.map(([message]) => message);
+    const part = messages.find((m) => m.index === 0);
+    expect(part).toMatchObject({ type: "part", index: 0, url: "/a.geojson", features: [tree([77.5, 12.9], 1)] });
+    // Points come projected and keyed, ready for the tile index
+    expect([...part.points.x, ...part.points.y]).toEqual(projectPoint([77.5, 12.9]));
+    expect(part.points.keys).toEqual(["unknown"]);
+    expect(posted.mock.calls.find(([m]) => m === part)[1]).toEqual([part.points.x.buffer, part.points.y.buffer]);
+    expect(messages.find((m) => m.index === 1)).toEqual({
+      type: "error",
+      index: 1,
+      url: "/b.geojson",
+      message: "HTTP error! status: 404 for /b.geojson",
+    });
+    expect(messages.find((m) => m.index === 2)).toMatchObject({ type: "error", message: "Invalid GeoJSON structure" });
+    expect(messages[messages.length - 1]).toEqual({ type: "done" });
+  } finally {
+    posted.mockRestore();
+    global.fetch = originalFetch;
+  }
+});
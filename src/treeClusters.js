@@ -0,0 +1,95 @@
+// src/treeClusters.js
+// Donut-chart cluster icons showing the species make-up of each tree cluster.
+import L from "leaflet";
+
+// Species tally of a set of tree markers, most common first. Markers carry
+// their species in options (see LeafletTreeLayer).
+export function speciesBreakdown(markers) {
+  const tally = new Map();
+  markers.forEach(({ options }) => {
+    const entry = tally.get(options.speciesKey);
+    if (entry) {
+      entry.count += 1;
+    } else {
+      tally.set(options.speciesKey, {
+        key: options.speciesKey,
+        label: options.speciesLabel || "Unknown",
+        color: options.speciesColor,
+        count: 1,
+      });
+    }
+  });
+  return Array.from(tally.values()).sort((a, b) => b.count - a.count);
+}
+
+// Slices by colour, so species sharing a colour (e.g. "Other") share a slice
+function colorSlices(breakdown) {
+  const slices = new Map();
+  breakdown.forEach(({ color, count }) => slices.set(color, (slices.get(color) || 0) + count));
+  return Array.from(slices, ([color, count]) => ({ color, count }));
+}
+
+function arcPath(cx, cy, outer, inner, start, end) {
+  const point = (r, angle) => [cx + r * Math.sin(angle), cy - r * Math.cos(angle)];
+  const large = end - start > Math.PI ? 1 : 0;
+  const [x1, y1] = point(outer, start);
+  const [x2, y2] = point(outer, end);
+  const [x3, y3] = point(inner, end);
+  const [x4, y4] = point(inner, start);
+  return `M${x1},${y1} A${outer},${outer} 0 ${large} 1 ${x2},${y2} L${x3},${y3} A${inner},${inner} 0 ${large} 0 ${x4},${y4} Z`;
+}
+
+export function donutSvg(breakdown, total, size) {
+  const c = size / 2;
+  const outer = c - 1;
+  const inner = outer * 0.55;
+  const slices = colorSlices(breakdown);
+
+  let angle = 0;
+  const paths = slices.map(({ color, count }) => {
+    const sweep = (count / total) * 2 * Math.PI;
+    // A full circle can't be drawn as a single arc
+    const path =
+      slices.length === 1
+        ? `<circle cx="${c}" cy="${c}" r="${(outer + inner) / 2}" fill="none" stroke="${color}" stroke-width="${outer - inner}"/>`
+        : `<path d="${arcPath(c, c, outer, inner, angle, angle + sweep)}" fill="${color}" stroke="#fff" stroke-width="0.5"/>`;
+    angle += sweep;
+    return path;
+  });
+
+  return `<svg width="${size}" height="${size}" viewBox="0 0 ${size} ${size}">
+    ${paths.join("")}
+    <circle cx="${c}" cy="${c}" r="${inner}" fill="rgba(255,255,255,0.9)"/>
+    <text x="${c}" y="${c}" text-anchor="middle" dominant-baseline="central" font-size="${size < 40 ? 10 : 12}" font-weight="600" fill="#333">${total}</text>
+  </svg>`;
+}
+
+const clusterSize = (count) => (count < 10 ? 30 : count < 100 ? 36 : count < 1000 ? 42 : 50);
+
+export function createSpeciesClusterIcon(cluster) {
+  const markers = cluster.getAllChildMarkers();
+  const size = clusterSize(markers.length);
+  return L.divIcon({
+    className: "tree-cluster-icon",
+    html: donutSvg(speciesBreakdown(markers), markers.length, size),
+    iconSize: [size, size],
+  });
+}
+
+// Tooltip HTML with the top species of a cluster
+export function clusterTooltipContent(cluster, limit = 5) {
+  const markers = cluster.getAllChildMarkers();
+  const breakdown = speciesBreakdown(markers);
+  const rows = breakdown.slice(0, limit).map(
+    ({ label, color, count }) => `
+      <div class="tree-cluster-row">
+        <span class="legend-dot" style="background-color:${color}"></span>
+        ${label} – ${count} (${Math.round((count / markers.length) * 100)}%)
+      </div>`
+  );
+  const rest = breakdown.slice(limit).reduce((sum, { count }) => sum + count, 0);
+  if (rest > 0) {
+    rows.push(`<div class="tree-cluster-row">+ ${breakdown.length - limit} more species – ${rest}</div>`);
+  }
+  return `<strong>${markers.length} trees</strong>${rows.join("")}`;
+}
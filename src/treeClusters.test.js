@@ -0,0 +1,34 @@
+import { speciesBreakdown, donutSvg } from "./treeClusters";
+
+const marker = (speciesKey, speciesColor) => ({
+  options: { speciesKey, speciesLabel: speciesKey, speciesColor },
+});
+
+test("speciesBreakdown tallies markers by species, most common first", () => {
+  const breakdown = speciesBreakdown([
+    marker("rain tree", "#E6194B"),
+    marker("neem", "#3CB44B"),
+    marker("rain tree", "#E6194B"),
+  ]);
+  expect(breakdown.map(({ key, count }) => [key, count])).toEqual([
+    ["rain tree", 2],
+    ["neem", 1],
+  ]);
+});
+
+test("donutSvg draws one slice per colour and a ring for a single species", () => {
+  const mixed = donutSvg(
+    [
+      { color: "#E6194B", count: 2 },
+      { color: "#7F8C8D", count: 1 },
+      { color: "#7F8C8D", count: 1 },
+    ],
+    4,
+    36
+  );
+  expect(mixed.match(/<path /g)).toHaveLength(2);
+
+  const single = donutSvg([{ color: "#E6194B", count: 3 }], 3, 30);
+  expect(single).not.toContain("<path ");
+  expect(single).toContain('stroke="#E6194B"');
+});
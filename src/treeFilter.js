@@ -0,0 +1,55 @@
+// src/treeFilter.js
+// Attribute filters over the tree census: each condition is "field is one of
+// these values", and conditions are combined with AND or OR.
+
+export const TREE_FILTER_FIELDS = {
+  TreeName: "Tree name",
+  WardNumber: "Ward number",
+  KGISVillageID: "Village ID",
+};
+
+export const EMPTY_TREE_FILTER = { combinator: "and", conditions: [] };
+
+// Values are compared trimmed and case-insensitively ("Rain Tree " == "rain tree")
+export const normalizeValue = (value) =>
+  value === undefined || value === null ? "" : String(value).trim().toLowerCase();
+
+export const speciesKey = (feature) => normalizeValue(feature.properties?.TreeName) || "unknown";
+
+// Distinct values of a field as [{ key, label, count }], most common first
+export function distinctValues(features, field) {
+  const values = new Map();
+  features?.forEach((feature) => {
+    const raw = feature.properties?.[field];
+    const key = normalizeValue(raw);
+    if (!key) return;
+    const entry = values.get(key);
+    if (entry) {
+      entry.count += 1;
+    } else {
+      values.set(key, { key, label: String(raw).trim(), count: 1 });
+    }
+  });
+  return Array.from(values.values()).sort(
+    (a, b) => b.count - a.count || a.label.localeCompare(b.label, undefined, { numeric: true })
+  );
+}
+
+// Conditions without any selected value don't constrain anything
+const activeConditions = (filter) =>
+  (filter?.conditions || []).filter((c) => c.field && c.values?.length > 0);
+
+export const isFilterActive = (filter) => activeConditions(filter).length > 0;
+
+// Predicate for a filter, or null when the filter matches everything
+export function buildTreePredicate(filter) {
+  const conditions = activeConditions(filter).map(({ field, values }) => {
+    const allowed = new Set(values.map(normalizeValue));
+    return (feature) => allowed.has(normalizeValue(feature.properties?.[field]));
+  });
+  if (conditions.length === 0) return null;
+
+  return filter.combinator === "or"
+    ? (feature) => conditions.some((test) => test(feature))
+    : (feature) => conditions.every((test) => test(feature));
+}
@@ -0,0 +1,66 @@
+import { distinctValues, buildTreePredicate, isFilterActive, EMPTY_TREE_FILTER } from "./treeFilter";
+
+const tree = (TreeName, WardNumber, KGISVillageID) => ({
+  type: "Feature",
+  properties: { TreeName, WardNumber, KGISVillageID },
+  geometry: { type: "Point", coordinates: [77.59, 12.97] },
+});
+
+const trees = [
+  tree("Rain Tree", 12, "V1"),
+  tree("rain tree ", "12", "V2"),
+  tree("Neem", 7, "V1"),
+  tree("Honge", 7, "V3"),
+  tree("", 9, "V3"),
+];
+
+const names = (features) => features.map((f) => `${f.properties.TreeName.trim()}/${f.properties.WardNumber}`);
+
+test("distinctValues counts normalised values, most common first", () => {
+  expect(distinctValues(trees, "TreeName")).toEqual([
+    { key: "rain tree", label: "Rain Tree", count: 2 },
+    { key: "honge", label: "Honge", count: 1 },
+    { key: "neem", label: "Neem", count: 1 },
+  ]);
+  // Numbers and numeric text are the same value, and ties sort numerically
+  expect(distinctValues([...trees, tree("Neem", 10)], "WardNumber").map((v) => [v.label, v.count])).toEqual([
+    ["7", 2],
+    ["12", 2],
+    ["9", 1],
+    ["10", 1],
+  ]);
+  expect(distinctValues(undefined, "TreeName")).toEqual([]);
+});
+
+test("empty and partial conditions match everything", () => {
+  expect(buildTreePredicate(null)).toBeNull();
+  expect(buildTreePredicate(EMPTY_TREE_FILTER)).toBeNull();
+  const partial = { combinator: "and", conditions: [{ field: "TreeName", values: [] }, { field: "", values: ["neem"] }] };
+  expect(isFilterActive(partial)).toBe(false);
+  expect(buildTreePredicate(partial)).toBeNull();
+});
+
+test("a condition matches trimmed, case-insensitive text and numbers as text", () => {
+  const byName = buildTreePredicate({ combinator: "and", conditions: [{ field: "TreeName", values: ["RAIN TREE"] }] });
+  expect(names(trees.filter(byName))).toEqual(["Rain Tree/12", "rain tree/12"]);
+
+  const byWard = buildTreePredicate({ combinator: "and", conditions: [{ field: "WardNumber", values: ["7", 12] }] });
+  expect(trees.filter(byWard)).toHaveLength(4);
+  // Compared as text, not numerically
+  const padded = buildTreePredicate({ combinator: "and", conditions: [{ field: "WardNumber", values: ["07"] }] });
+  expect(trees.filter(padded)).toEqual([]);
+});
+
+test("conditions combine with AND or OR, ignoring unfinished ones", () => {
+  const conditions = [
+    { field: "WardNumber", values: ["7"] },
+    { field: "KGISVillageID", values: ["v1"] },
+    { field: "TreeName", values: [] },
+  ];
+  expect(names(trees.filter(buildTreePredicate({ combinator: "and", conditions })))).toEqual(["Neem/7"]);
+  expect(names(trees.filter(buildTreePredicate({ combinator: "or", conditions })))).toEqual([
+    "Rain Tree/12",
+    "Neem/7",
+    "Honge/7",
+  ]);
+});
@@ -0,0 +1,31 @@
+// src/treeLoader.js
+// Streams the tree census parts from a Web Worker.
+
+export const TREE_CENSUS_PARTS = Array.from(
+  { length: 6 },
+  (_, i) => `/data/tree_census_part_${String(i + 1).padStart(4, "0")}.geojson`
+);
+
+// Starts loading the given parts and reports each one as it arrives:
+//   onPart({ index, url, features, points }), onError({ index, url, message }), onDone()
+// Returns a function that cancels the load.
+export function loadTreeCensus(urls, { onPart, onError, onDone }) {
+  const worker = new Worker(new URL("./treeCensus.worker.js", import.meta.url));
+
+  worker.onmessage = ({ data }) => {
+    if (data.type === "part") onPart(data);
+    if (data.type === "error") onError(data);
+    if (data.type === "done") {
+      onDone();
+      worker.terminate();
+    }
+  };
+  worker.onerror = (event) => {
+    onError({ index: -1, url: null, message: event.message || "Tree loader crashed" });
+    onDone();
+    worker.terminate();
+  };
+
+  worker.postMessage({ type: "load", urls });
+  return () => worker.terminate();
+}
@@ -0,0 +1,81 @@
+// src/treeSpecies.js
+// Species colouring shared by the tree layer and the legend.
+import L from "leaflet";
+import { distinctValues, speciesKey } from "./treeFilter";
+
+export const SPECIES_COLORS = [
+  "#E6194B", "#3CB44B", "#FFE119", "#4363D8", "#F58231",
+  "#911EB4", "#46F0F0", "#F032E6", "#BCF60C", "#FABEBE",
+  "#008080", "#E6BEFF", "#9A6324", "#FFFAC8", "#AAFFC3",
+  "#800000", "#AA6E28", "#FFD700", "#FFC74D", "#90EE90",
+  "#C8C8A1", "#000075", "#A9A9A9", "#E0BBE4", "#957DAD"
+];
+export const DEFAULT_TREE_COLOR = "#2E8B57";
+export const OTHER_SPECIES_COLOR = "#7F8C8D";
+export const OTHER_SPECIES_KEY = "__other__";
+
+// Lives with the filter helpers so the tree worker can use it without Leaflet
+export { speciesKey };
+
+// Tree census points carry KGIS tree ids; schools and wards never do
+export const isTreeFeature = (feature) =>
+  feature?.geometry?.type === "Point" && feature.properties?.KGISTreeID !== undefined;
+
+// Colour assignment for the loaded species. Without topN every species gets a
+// palette colour by sorted name (colours repeat after 25 species); with topN
+// only the N most common keep their own colour and the rest share "Other".
+export function buildSpeciesColors(features, topN = null) {
+  const counts = distinctValues(features, "TreeName");
+  const colors = {};
+  const entries = [];
+  const other = { key: OTHER_SPECIES_KEY, label: "Other", count: 0, color: OTHER_SPECIES_COLOR, members: [] };
+
+  if (topN) {
+    counts.forEach((species, i) => {
+      if (i < topN) {
+        colors[species.key] = SPECIES_COLORS[i % SPECIES_COLORS.length];
+        entries.push({ ...species, color: colors[species.key] });
+      } else {
+        colors[species.key] = OTHER_SPECIES_COLOR;
+        other.count += species.count;
+        other.members.push(species.key);
+      }
+    });
+  } else {
+    const byName = [...counts].sort((a, b) => a.key.localeCompare(b.key));
+    byName.forEach((species, i) => {
+      colors[species.key] = SPECIES_COLORS[i % SPECIES_COLORS.length];
+    });
+    counts.forEach((species) => entries.push({ ...species, color: colors[species.key] }));
+  }
+
+  return {
+    entries,
+    other: other.count > 0 ? other : null,
+    colorFor: (key) => colors[key] || DEFAULT_TREE_COLOR,
+  };
+}
+
+// Tree marker icons are shared by every tree of the same colour
+const iconCache = new Map();
+export function treeIcon(color) {
+  if (!iconCache.has(color)) {
+    iconCache.set(
+      color,
+      L.divIcon({
+        className: "custom-tree-icon",
+        html: `<div style="
+          width: 10px;
+          height: 10px;
+          background-color: ${color};
+          border: 1px solid #333;
+          border-radius: 50%;
+          opacity: 0.8;
+        "></div>`,
+        iconSize: [10, 10],
+        iconAnchor: [5, 5],
+      })
+    );
+  }
+  return iconCache.get(color);
+}
@@ -0,0 +1,60 @@
+import {
+  buildSpeciesColors,
+  speciesKey,
+  SPECIES_COLORS,
+  DEFAULT_TREE_COLOR,
+  OTHER_SPECIES_COLOR,
+  OTHER_SPECIES_KEY,
+} from "./treeSpecies";
+
+const tree = (TreeName) => ({
+  type: "Feature",
+  properties: { TreeName, KGISTreeID: 1 },
+  geometry: { type: "Point", coordinates: [77.59, 12.97] },
+});
+
+// Species "s1".."sN", species i planted i times
+const forest = (n) => Array.from({ length: n }, (_, i) => Array.from({ length: i + 1 }, () => tree(`s${i + 1}`))).flat();
+
+test("with topN the rest of the species share Other", () => {
+  const { entries, other, colorFor } = buildSpeciesColors(forest(5), 2);
+  expect(entries.map((e) => [e.key, e.count, e.color])).toEqual([
+    ["s5", 5, SPECIES_COLORS[0]],
+    ["s4", 4, SPECIES_COLORS[1]],
+  ]);
+  expect(other).toEqual({
+    key: OTHER_SPECIES_KEY,
+    label: "Other",
+    count: 1 + 2 + 3,
+    color: OTHER_SPECIES_COLOR,
+    members: ["s3", "s2", "s1"],
+  });
+  expect(colorFor("s1")).toBe(OTHER_SPECIES_COLOR);
+  expect(colorFor("s5")).toBe(SPECIES_COLORS[0]);
+});
+
+test("there is no Other when every species fits in topN", () => {
+  const { entries, other } = buildSpeciesColors(forest(3), 10);
+  expect(entries).toHaveLength(3);
+  expect(other).toBeNull();
+});
+
+test("without topN colours follow species names and repeat after the palette", () => {
+  const { entries, other, colorFor } = buildSpeciesColors(forest(SPECIES_COLORS.length + 2));
+  expect(entries).toHaveLength(SPECIES_COLORS.length + 2);
+  expect(other).toBeNull();
+  // Sorted by name: s1, s10, s11, …
+  expect(colorFor("s1")).toBe(SPECIES_COLORS[0]);
+  expect(colorFor("s10")).toBe(SPECIES_COLORS[1]);
+  const byName = entries.map((e) => e.key).sort();
+  expect(colorFor(byName[SPECIES_COLORS.length])).toBe(SPECIES_COLORS[0]);
+  expect(colorFor(byName[SPECIES_COLORS.length + 1])).toBe(SPECIES_COLORS[1]);
+});
+
+test("unknown species fall back to the default colour", () => {
+  const { colorFor } = buildSpeciesColors([tree("Neem"), tree(null)]);
+  expect(colorFor("neem")).toBe(SPECIES_COLORS[0]);
+  expect(colorFor("banyan")).toBe(DEFAULT_TREE_COLOR);
+  expect(colorFor(speciesKey(tree(null)))).toBe(DEFAULT_TREE_COLOR);
+  expect(speciesKey(tree(" Neem "))).toBe("neem");
+});
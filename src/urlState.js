@@ -0,0 +1,69 @@
+// src/urlState.js
+// Map state <-> URL hash, e.g.
+//   #map=14/12.97160/77.59460&basemap=topo&layers=ward,schools&ward=2003001
+// plus the ward dashboard, one KGISWardCode or two when comparing:
+//   &dashboard=2003001,2003002
+// Parameters that are missing or invalid are left out of the decoded state so
+// the app keeps its own defaults for them. `layers=` is the complete list of
+// visible layers, so a layer it doesn't name is hidden, even one added to the
+// app after the link was made (a default-on layer can't be told apart from
+// one the user turned off).
+
+export const SELECTION_TYPES = ["ward", "school"];
+const MAX_DASHBOARD_WARDS = 2;
+
+// Enough decimals to place the centre to about a pixel at this zoom (as OSM does)
+const precisionFor = (zoom) => Math.max(0, Math.ceil(Math.log(Math.max(1, zoom)) / Math.LN2));
+
+// Keep "/" and "," readable in ids and lists
+const encodeValue = (value) =>
+  encodeURIComponent(String(value)).replace(/%2F/gi, "/").replace(/%2C/gi, ",");
+
+export function encodeHash({ center, zoom, basemap, layers, selection, dashboard }) {
+  const parts = [];
+  if (center && typeof zoom === "number") {
+    const precision = precisionFor(zoom);
+    parts.push(`map=${Math.round(zoom)}/${center[0].toFixed(precision)}/${center[1].toFixed(precision)}`);
+  }
+  if (basemap) parts.push(`basemap=${encodeValue(basemap)}`);
+  if (layers) {
+    const visible = Object.keys(layers).filter((id) => layers[id]);
+    parts.push(`layers=${visible.map(encodeValue).join(",")}`);
+  }
+  if (selection && SELECTION_TYPES.includes(selection.type) && selection.id) {
+    parts.push(`${selection.type}=${encodeValue(selection.id)}`);
+  }
+  if (dashboard?.length) parts.push(`dashboard=${dashboard.map(encodeValue).join(",")}`);
+  return `#${parts.join("&")}`;
+}
+
+// { view: { center, zoom }, basemap, layers, selection, dashboard }, each only
+// if present. `basemaps` and `layerIds` list the accepted keys.
+export function decodeHash(hash, { basemaps = [], layerIds = [] } = {}) {
+  const params = new URLSearchParams(String(hash || "").replace(/^#/, ""));
+  const state = {};
+
+  const view = (params.get("map") || "").split("/").map(Number);
+  if (view.length === 3 && view.every(Number.isFinite)) {
+    const [zoom, lat, lng] = view;
+    if (Math.abs(lat) <= 90 && Math.abs(lng) <= 180 && zoom >= 0) {
+      state.view = { center: [lat, lng], zoom };
+    }
+  }
+
+  const basemap = params.get("basemap");
+  if (basemap && basemaps.includes(basemap)) state.basemap = basemap;
+
+  if (params.has("layers")) {
+    const visible = params.get("layers").split(",").filter(Boolean);
+    state.layers = Object.fromEntries(layerIds.map((id) => [id, visible.includes(id)]));
+  }
+
+  const type = SELECTION_TYPES.find((t) => params.get(t));
+  if (type) state.selection = { type, id: params.get(type) };
+
+  const dashboard = (params.get("dashboard") || "").split(",").filter(Boolean);
+  if (dashboard.length) state.dashboard = [...new Set(dashboard)].slice(0, MAX_DASHBOARD_WARDS);
+
+  return state;
+}
@@ -0,0 +1,59 @@
+import { encodeHash, decodeHash } from "./urlState";
+
+const options = { basemaps: ["osm", "topo"], layerIds: ["ward", "schools", "trees", "dem"] };
+
+test("encodeHash writes view, basemap, layers and selection", () => {
+  expect(
+    encodeHash({
+      center: [12.971598, 77.594562],
+      zoom: 14,
+      basemap: "topo",
+      layers: { ward: true, schools: true, trees: false, dem: false },
+      selection: { type: "school", id: "way/123" },
+    })
+  ).toBe("#map=14/12.9716/77.5946&basemap=topo&layers=ward,schools&school=way/123");
+  expect(encodeHash({ layers: { ward: false } })).toBe("#layers=");
+});
+
+test("decodeHash round-trips and ignores invalid values", () => {
+  const hash = encodeHash({
+    center: [12.97, 77.59],
+    zoom: 12,
+    basemap: "osm",
+    layers: { ward: true, schools: false, trees: false, dem: true },
+    selection: { type: "ward", id: "2003001" },
+  });
+  expect(decodeHash(hash, options)).toEqual({
+    view: { center: [12.97, 77.59], zoom: 12 },
+    basemap: "osm",
+    layers: { ward: true, schools: false, trees: false, dem: true },
+    selection: { type: "ward", id: "2003001" },
+  });
+  expect(decodeHash("#map=12/abc/77&basemap=nope&tree=5", options)).toEqual({});
+  expect(decodeHash("", options)).toEqual({});
+  expect(decodeHash("#school=node%2F42", options).selection).toEqual({ type: "school", id: "node/42" });
+});
+
+test("the ward dashboard round-trips one or two ward codes", () => {
+  expect(encodeHash({ selection: { type: "ward", id: "2003001" }, dashboard: ["2003001", "2003002"] })).toBe(
+    "#ward=2003001&dashboard=2003001,2003002"
+  );
+  expect(encodeHash({ dashboard: [] })).toBe("#");
+  expect(decodeHash("#dashboard=2003001", options).dashboard).toEqual(["2003001"]);
+  expect(decodeHash("#dashboard=1,1,2,3", options).dashboard).toEqual(["1", "2"]);
+  expect(decodeHash("#dashboard=", options)).toEqual({});
+});
+
+test("layers missing from layers= are hidden, including ones added since", () => {
+  // A link from before the sketches layer existed
+  const layerIds = [...options.layerIds, "sketches"];
+  expect(decodeHash("#layers=ward,schools", { ...options, layerIds }).layers).toEqual({
+    ward: true,
+    schools: true,
+    trees: false,
+    dem: false,
+    sketches: false,
+  });
+  // Without layers= the app keeps its defaults
+  expect(decodeHash("#map=12/12.97/77.59", { ...options, layerIds }).layers).toBeUndefined();
+});
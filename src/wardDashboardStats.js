@@ -0,0 +1,188 @@
+// src/wardDashboardStats.js
+// Figures for the ward dashboard: size, schools and trees inside the ward,
+// DEM elevation over it and the wards it borders, plus the side-by-side rows
+// of compare mode.
+import { distance, featurePoint, geometryBounds, geometryArea, pointInGeometry } from "./geoUtils";
+import { wardInfo } from "./wardLookup";
+import { wardKey } from "./wardStats";
+import { rowSpans, rasterWindow } from "./lowLying";
+import { isNoData } from "./demAnalysis";
+import { distinctValues } from "./treeFilter";
+import { schoolName } from "./schools";
+import { pathLength } from "./measure";
+
+export const TOP_SPECIES = 8;
+// Ward boundaries come from one dataset, so neighbours share vertices; this
+// allows for rounding between them (about 11 m)
+const VERTEX_TOLERANCE = 0.0001; // degrees
+
+const polygonRings = (geometry) =>
+  geometry?.type === "Polygon" ? geometry.coordinates :
+  geometry?.type === "MultiPolygon" ? geometry.coordinates.flat() : [];
+
+// Length of every ring, holes and separate parts included, in metres
+export const wardPerimeter = (geometry) => polygonRings(geometry).reduce((sum, ring) => sum + pathLength(ring), 0);
+
+// { min, max, mean, cells } of the DEM pixels whose centres fall in the
+// geometry, or null when no DEM covers it. Where rasters overlap the earlier
+// one counts, as in the low-lying analysis.
+export function wardElevationStats(rasters, geometry, noData = null) {
+  const bounds = geometryBounds(geometry);
+  let cells = 0;
+  let sum = 0;
+  let min = Infinity;
+  let max = -Infinity;
+
+  (rasters || []).forEach((georaster, index) => {
+    const win = rasterWindow(georaster, bounds);
+    if (!win) return;
+    const { xmin, ymax, pixelWidth, pixelHeight } = georaster;
+    const nodata = noData ?? georaster.noDataValue;
+    const earlier = rasters.slice(0, index);
+    const ownedByEarlier = (lng, lat) =>
+      earlier.some((r) => lng >= r.xmin && lng <= r.xmax && lat >= r.ymin && lat <= r.ymax);
+
+    for (let row = win.row0; row <= win.row1; row++) {
+      const lat = ymax - (row + 0.5) * pixelHeight;
+      if (lat < bounds[1] || lat > bounds[3]) continue;
+      const values = georaster.values[0][row];
+      for (const [x0, x1] of rowSpans(geometry, lat)) {
+        const c0 = Math.max(win.col0, Math.ceil((x0 - xmin) / pixelWidth - 0.5));
+        const c1 = Math.min(win.col1, Math.ceil((x1 - xmin) / pixelWidth - 0.5) - 1);
+        for (let col = c0; col <= c1; col++) {
+          if (index > 0 && ownedByEarlier(xmin + (col + 0.5) * pixelWidth, lat)) continue;
+          const value = values[col];
+          if (isNoData(value, nodata)) continue;
+          cells += 1;
+          sum += value;
+          if (value < min) min = value;
+          if (value > max) max = value;
+        }
+      }
+    }
+  });
+
+  return cells > 0 ? { min, max, mean: sum / cells, cells } : null;
+}
+
+// Wards sharing boundary vertices with `ward`, longest shared boundary
+// first: [{ feature, sharedM }]. A ward meeting it at a single corner is a
+// neighbour with sharedM 0.
+export function wardNeighbours(wards, ward, { tolerance = VERTEX_TOLERANCE } = {}) {
+  const cellOf = ([x, y]) => [Math.floor(x / tolerance), Math.floor(y / tolerance)];
+  const cells = new Set();
+  polygonRings(ward.geometry).forEach((ring) =>
+    ring.forEach((point) => cells.add(cellOf(point).join(":")))
+  );
+  const near = (point) => {
+    const [cx, cy] = cellOf(point);
+    for (let dx = -1; dx <= 1; dx++) {
+      for (let dy = -1; dy <= 1; dy++) {
+        if (cells.has(`${cx + dx}:${cy + dy}`)) return true;
+      }
+    }
+    return false;
+  };
+
+  const [minX, minY, maxX, maxY] = geometryBounds(ward.geometry);
+  const neighbours = [];
+  (wards || []).forEach((other) => {
+    if (other === ward || wardKey(other) === wardKey(ward)) return;
+    const b = geometryBounds(other.geometry);
+    if (b[0] > maxX + tolerance || b[2] < minX - tolerance || b[1] > maxY + tolerance || b[3] < minY - tolerance) {
+      return;
+    }
+    let touches = false;
+    let sharedM = 0;
+    polygonRings(other.geometry).forEach((ring) => {
+      let previousNear = false;
+      ring.forEach((point, i) => {
+        const isNear = near(point);
+        if (isNear) touches = true;
+        if (isNear && previousNear && i > 0) sharedM += distance(ring[i - 1], point);
+        previousNear = isNear;
+      });
+    });
+    if (touches) neighbours.push({ feature: other, sharedM });
+  });
+  return neighbours.sort((a, b) => b.sharedM - a.sharedM);
+}
+
+// Features of a point collection inside the geometry
+function featuresInside(collection, geometry, filter) {
+  const [minX, minY, maxX, maxY] = geometryBounds(geometry);
+  return (collection?.features || []).filter((feature) => {
+    if (filter && !filter(feature)) return false;
+    const point = featurePoint(feature);
+    return (
+      point &&
+      point[0] >= minX && point[0] <= maxX && point[1] >= minY && point[1] <= maxY &&
+      pointInGeometry(point, geometry)
+    );
+  });
+}
+
+// Everything the dashboard shows for one ward. Schools, trees and elevation
+// are null when their layer hasn't loaded.
+export function wardSummary(ward, { wardData, schoolData, treeData, treeFilter, rasters, noData, topN = TOP_SPECIES } = {}) {
+  const { name, number, code } = wardInfo(ward);
+  const geometry = ward.geometry;
+  const trees = treeData ? featuresInside(treeData, geometry, treeFilter) : null;
+  const species = trees ? distinctValues(trees, "TreeName") : [];
+  const top = species.slice(0, topN);
+  const otherCount = species.slice(topN).reduce((sum, s) => sum + s.count, 0);
+
+  return {
+    code,
+    name,
+    number,
+    feature: ward,
+    areaM2: geometryArea(geometry),
+    perimeterM: wardPerimeter(geometry),
+    schools: schoolData
+      ? featuresInside(schoolData, geometry).sort((a, b) => schoolName(a).localeCompare(schoolName(b)))
+      : null,
+    trees: trees ? trees.length : null,
+    species: top,
+    otherSpecies: otherCount,
+    speciesCount: species.length,
+    elevation: rasters?.length ? wardElevationStats(rasters, geometry, noData) : null,
+    neighbours: wardNeighbours(wardData?.features, ward),
+  };
+}
+
+const areaKm2 = (s) => s.areaM2 / 1e6;
+
+// Rows of compare mode, shown to `digits` decimals
+const COMPARE_METRICS = [
+  { label: "Area (km²)", value: areaKm2, digits: 2 },
+  { label: "Perimeter (km)", value: (s) => s.perimeterM / 1000, digits: 2 },
+  { label: "Schools", value: (s) => s.schools?.length ?? null, digits: 0 },
+  { label: "Schools per 10 km²", value: (s) => (s.schools ? (s.schools.length / areaKm2(s)) * 10 : null), digits: 2 },
+  { label: "Trees", value: (s) => s.trees, digits: 0 },
+  { label: "Trees per km²", value: (s) => (s.trees === null ? null : s.trees / areaKm2(s)), digits: 1 },
+  { label: "Species", value: (s) => (s.trees === null ? null : s.speciesCount), digits: 0 },
+  { label: "Mean elevation (m)", value: (s) => s.elevation?.mean ?? null, digits: 1 },
+  { label: "Min elevation (m)", value: (s) => s.elevation?.min ?? null, digits: 1 },
+  { label: "Max elevation (m)", value: (s) => s.elevation?.max ?? null, digits: 1 },
+  { label: "Neighbouring wards", value: (s) => s.neighbours.length, digits: 0 },
+];
+
+const isValue = (v) => typeof v === "number" && isFinite(v);
+
+// [{ label, a, b, diff }] as display strings: each ward's value and the
+// difference b − a, "–" where a value is missing
+export function compareRows(a, b) {
+  return COMPARE_METRICS.map(({ label, value, digits }) => {
+    const format = (v) => v.toLocaleString("en-US", { minimumFractionDigits: digits, maximumFractionDigits: digits });
+    const va = value(a);
+    const vb = value(b);
+    const diff = isValue(va) && isValue(vb) ? Number((vb - va).toFixed(digits)) || 0 : null;
+    return {
+      label,
+      a: isValue(va) ? format(va) : "–",
+      b: isValue(vb) ? format(vb) : "–",
+      diff: diff === null ? "–" : `${diff > 0 ? "+" : ""}${format(diff)}`,
+    };
+  });
+}
@@ -0,0 +1,103 @@
+import { wardPerimeter, wardElevationStats, wardNeighbours, wardSummary, compareRows } from "./wardDashboardStats";
+
+const square = (x0, y0, x1, y1) => [[x0, y0], [x1, y0], [x1, y1], [x0, y1], [x0, y0]];
+const ward = (code, coords) => ({
+  type: "Feature",
+  properties: { KGISWardCode: code, KGISWardName: `Ward ${code}`, KGISWardNo: code },
+  geometry: { type: "Polygon", coordinates: [coords] },
+});
+const point = (lng, lat, properties = {}) => ({ type: "Feature", properties, geometry: { type: "Point", coordinates: [lng, lat] } });
+
+// A 2x2 block of 0.01° wards plus one detached ward
+const wards = [
+  ward("A", square(77.5, 12.9, 77.51, 12.91)),
+  ward("B", square(77.51, 12.9, 77.52, 12.91)),
+  ward("C", square(77.5, 12.91, 77.51, 12.92)),
+  ward("D", square(77.51, 12.91, 77.52, 12.92)),
+  ward("F", square(77.6, 12.9, 77.61, 12.91)),
+];
+
+// 4x4 raster of 0.005° pixels over ward A and its east neighbour B's west half
+const raster = {
+  xmin: 77.5,
+  xmax: 77.52,
+  ymin: 12.9,
+  ymax: 12.92,
+  pixelWidth: 0.005,
+  pixelHeight: 0.005,
+  width: 4,
+  height: 4,
+  noDataValue: -9999,
+  values: [
+    [
+      [900, 901, 902, 903],
+      [904, 905, 906, 907],
+      [910, 920, 930, 940],
+      [-9999, 930, 950, 960],
+    ],
+  ],
+};
+
+test("wardPerimeter adds up every ring", () => {
+  const one = wardPerimeter(wards[0].geometry);
+  expect(one).toBeGreaterThan(4300);
+  expect(one).toBeLessThan(4400);
+  const multi = { type: "MultiPolygon", coordinates: [wards[0].geometry.coordinates, wards[4].geometry.coordinates] };
+  expect(wardPerimeter(multi)).toBeCloseTo(one + wardPerimeter(wards[4].geometry), 6);
+});
+
+test("wardElevationStats reads the DEM pixels inside the ward, skipping nodata", () => {
+  // Ward A is the south-west quarter: rows 2–3, columns 0–1
+  expect(wardElevationStats([raster], wards[0].geometry)).toEqual({ min: 910, max: 930, mean: 920, cells: 3 });
+  expect(wardElevationStats([raster], wards[4].geometry)).toBeNull();
+  expect(wardElevationStats([], wards[0].geometry)).toBeNull();
+});
+
+test("wardNeighbours finds wards sharing edges and corners", () => {
+  const neighbours = wardNeighbours(wards, wards[0]);
+  expect(neighbours.map((n) => n.feature.properties.KGISWardCode)).toEqual(["B", "C", "D"]);
+  expect(neighbours[0].sharedM).toBeGreaterThan(1000);
+  expect(neighbours[2].sharedM).toBe(0);
+  expect(wardNeighbours(wards, wards[4])).toEqual([]);
+});
+
+test("wardSummary counts schools and trees inside and ranks species", () => {
+  const trees = {
+    features: [
+      point(77.501, 12.901, { TreeName: "Neem" }),
+      point(77.502, 12.902, { TreeName: "Neem" }),
+      point(77.503, 12.903, { TreeName: "Teak" }),
+      point(77.515, 12.905, { TreeName: "Neem" }), // In B
+    ],
+  };
+  const schools = { features: [point(77.505, 12.905, { name: "Zeta School" }), point(77.506, 12.906, { name: "Alpha School" })] };
+  const summary = wardSummary(wards[0], {
+    wardData: { features: wards },
+    schoolData: schools,
+    treeData: trees,
+    rasters: [raster],
+    topN: 1,
+  });
+  expect(summary.code).toBe("A");
+  expect(summary.schools.map((f) => f.properties.name)).toEqual(["Alpha School", "Zeta School"]);
+  expect(summary.trees).toBe(3);
+  expect(summary.species).toEqual([{ key: "neem", label: "Neem", count: 2 }]);
+  expect(summary.otherSpecies).toBe(1);
+  expect(summary.speciesCount).toBe(2);
+  expect(summary.elevation.mean).toBe(920);
+
+  const filtered = wardSummary(wards[0], { treeData: trees, treeFilter: (f) => f.properties.TreeName === "Teak" });
+  expect(filtered.trees).toBe(1);
+  expect(filtered.schools).toBeNull();
+  expect(filtered.elevation).toBeNull();
+});
+
+test("compareRows lines the two wards up with their difference", () => {
+  const a = wardSummary(wards[0], { wardData: { features: wards }, treeData: { features: [point(77.501, 12.901)] } });
+  const b = wardSummary(wards[4], { wardData: { features: wards }, treeData: { features: [] } });
+  const rows = Object.fromEntries(compareRows(a, b).map((row) => [row.label, row]));
+  expect(rows["Trees"]).toEqual({ label: "Trees", a: "1", b: "0", diff: "-1" });
+  expect(rows["Schools"]).toEqual({ label: "Schools", a: "–", b: "–", diff: "–" });
+  expect(rows["Neighbouring wards"].diff).toBe("-3");
+  expect(rows["Area (km²)"].diff).toBe("0.00");
+});
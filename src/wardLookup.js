@@ -0,0 +1,96 @@
+// src/wardLookup.js
+// "Which ward is this?" for any [lng, lat]: clicked points, searched
+// coordinates, GPS fixes and the tree and school popups. A grid index over the
+// ward bounding boxes narrows each lookup to the few wards that could contain
+// the point before the exact polygon test.
+import { createGridIndex, geometryBounds } from "./geoUtils";
+
+const METRES_PER_DEGREE = 111320;
+
+// The identifiers a ward is known by, from a ward-boundaries feature
+export function wardInfo(feature) {
+  const props = feature?.properties || {};
+  return {
+    name: props.KGISWardName || "Unnamed Ward",
+    number: props.KGISWardNo ?? null,
+    code: props.KGISWardCode ?? null,
+    lgdCode: props.LGD_WardCode ?? null,
+    feature,
+  };
+}
+
+// Distance in metres from a point to the nearest edge of a polygon, on a
+// local flat approximation (fine at ward scale)
+function distanceToEdges([x, y], geometry) {
+  const kx = Math.cos((y * Math.PI) / 180) * METRES_PER_DEGREE;
+  const ky = METRES_PER_DEGREE;
+  const polygons = geometry.type === "Polygon" ? [geometry.coordinates] : geometry.coordinates;
+  let best = Infinity;
+  polygons.forEach((rings) =>
+    rings.forEach((ring) => {
+      for (let i = 1; i < ring.length; i++) {
+        const ax = (ring[i - 1][0] - x) * kx;
+        const ay = (ring[i - 1][1] - y) * ky;
+        const dx = (ring[i][0] - x) * kx - ax;
+        const dy = (ring[i][1] - y) * ky - ay;
+        const len = dx * dx + dy * dy;
+        const t = len > 0 ? Math.max(0, Math.min(1, -(ax * dx + ay * dy) / len)) : 0;
+        best = Math.min(best, Math.hypot(ax + t * dx, ay + t * dy));
+      }
+    })
+  );
+  return best;
+}
+
+// Lookup service over a ward FeatureCollection. wardAt() returns
+// wardInfo() for the ward containing the point, or null outside every ward.
+// With `toleranceM`, a point that misses by less than that (a GPS fix just
+// over the city limit, a sliver between wards) gets the nearest ward, marked
+// `approximate` with its `distanceM`.
+export function createWardLookup(wardData, { cellSize = 0.01 } = {}) {
+  const features = (wardData?.features || []).filter(
+    (f) => f.geometry?.type === "Polygon" || f.geometry?.type === "MultiPolygon"
+  );
+  const index = createGridIndex(features, cellSize);
+  const infos = new Map(features.map((f) => [f, wardInfo(f)]));
+  const byCode = new Map(features.map((f) => [String(f.properties?.KGISWardCode), f]));
+
+  return {
+    size: features.length,
+    wardAt(point, { toleranceM = 0 } = {}) {
+      if (!Array.isArray(point) || !isFinite(point[0]) || !isFinite(point[1])) return null;
+      const hit = index.find(point);
+      if (hit) return infos.get(hit);
+      if (toleranceM <= 0) return null;
+
+      // Search the cells the tolerance reaches into
+      const reach = toleranceM / METRES_PER_DEGREE / Math.cos((point[1] * Math.PI) / 180);
+      const candidates = new Set();
+      const cell = (v) => Math.floor(v / cellSize);
+      for (let cx = cell(point[0] - reach); cx <= cell(point[0] + reach); cx++) {
+        for (let cy = cell(point[1] - reach); cy <= cell(point[1] + reach); cy++) {
+          index.candidates([(cx + 0.5) * cellSize, (cy + 0.5) * cellSize]).forEach((f) => candidates.add(f));
+        }
+      }
+      let nearest = null;
+      candidates.forEach((feature) => {
+        const [minX, minY, maxX, maxY] = geometryBounds(feature.geometry);
+        if (point[0] < minX - reach || point[0] > maxX + reach || point[1] < minY - reach || point[1] > maxY + reach) {
+          return;
+        }
+        const distanceM = distanceToEdges(point, feature.geometry);
+        if (distanceM <= toleranceM && (!nearest || distanceM < nearest.distanceM)) {
+          nearest = { ...infos.get(feature), approximate: true, distanceM };
+        }
+      });
+      return nearest;
+    },
+    byCode(code) {
+      const feature = byCode.get(String(code));
+      return feature ? infos.get(feature) : null;
+    },
+  };
+}
+
+// One-line label, e.g. "Kempegowda Ward (No. 1)"
+export const wardLabel = (ward) => (ward ? `${ward.name}${ward.number ? ` (No. ${ward.number})` : ""}` : "Outside BBMP wards");
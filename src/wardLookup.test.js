@@ -0,0 +1,54 @@
+import { createWardLookup, wardInfo, wardLabel } from "./wardLookup";
+
+const square = (no, x0, y0, size) => ({
+  type: "Feature",
+  properties: {
+    KGISWardNo: String(no),
+    KGISWardCode: `2003${String(no).padStart(3, "0")}`,
+    LGD_WardCode: 1303138 + no,
+    KGISWardName: `Ward ${no}`,
+  },
+  geometry: {
+    type: "Polygon",
+    coordinates: [[[x0, y0], [x0 + size, y0], [x0 + size, y0 + size], [x0, y0 + size], [x0, y0]]],
+  },
+});
+
+const wards = {
+  type: "FeatureCollection",
+  features: [square(1, 77.5, 12.9, 0.02), square(2, 77.52, 12.9, 0.02), square(3, 77.6, 13.0, 0.005)],
+};
+
+test("wardAt returns the identifiers of the containing ward", () => {
+  const lookup = createWardLookup(wards);
+  expect(lookup.size).toBe(3);
+  const ward = lookup.wardAt([77.51, 12.91]);
+  expect(ward).toMatchObject({ name: "Ward 1", number: "1", code: "2003001", lgdCode: 1303139 });
+  expect(ward.feature).toBe(wards.features[0]);
+  expect(lookup.wardAt([77.53, 12.91]).code).toBe("2003002");
+  expect(lookup.wardAt([77.6025, 13.0025]).code).toBe("2003003");
+  expect(lookup.wardAt([77.45, 12.91])).toBeNull();
+  expect(lookup.wardAt(null)).toBeNull();
+});
+
+test("wardAt snaps to the nearest ward within the tolerance", () => {
+  const lookup = createWardLookup(wards);
+  // ~55 m west of ward 1
+  const outside = [77.4995, 12.91];
+  expect(lookup.wardAt(outside)).toBeNull();
+  const near = lookup.wardAt(outside, { toleranceM: 100 });
+  expect(near).toMatchObject({ code: "2003001", approximate: true });
+  expect(near.distanceM).toBeGreaterThan(50);
+  expect(near.distanceM).toBeLessThan(60);
+  expect(lookup.wardAt(outside, { toleranceM: 30 })).toBeNull();
+});
+
+test("byCode, wardInfo and wardLabel", () => {
+  const lookup = createWardLookup(wards);
+  expect(lookup.byCode("2003002").name).toBe("Ward 2");
+  expect(lookup.byCode("nope")).toBeNull();
+  expect(wardInfo({ properties: {} })).toMatchObject({ name: "Unnamed Ward", number: null, code: null });
+  expect(wardLabel(lookup.wardAt([77.51, 12.91]))).toBe("Ward 1 (No. 1)");
+  expect(wardLabel(null)).toBe("Outside BBMP wards");
+  expect(createWardLookup(null).wardAt([77.5, 12.9])).toBeNull();
+});
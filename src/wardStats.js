@@ -0,0 +1,160 @@
+// src/wardStats.js
+// Joins tree and school points to ward polygons and classifies the results
+// for the ward choropleth.
+import { createGridIndex, featurePoint, geometryArea } from "./geoUtils";
+
+export const WARD_METRICS = {
+  trees: {
+    label: "Tree count",
+    colors: ["#edf8e9", "#bae4b3", "#74c476", "#31a354", "#006d2c"],
+  },
+  schools: {
+    label: "School count",
+    colors: ["#f2f0f7", "#cbc9e2", "#9e9ac8", "#756bb1", "#54278f"],
+  },
+  treeDensity: {
+    label: "Trees per km²",
+    colors: ["#ffffcc", "#c2e699", "#78c679", "#31a354", "#006837"],
+  },
+  schoolDensity: {
+    label: "Schools per 10 km²",
+    colors: ["#feedde", "#fdbe85", "#fd8d3c", "#e6550d", "#a63603"],
+  },
+};
+
+export const CLASS_METHODS = {
+  quantile: "Quantile",
+  equal: "Equal interval",
+  jenks: "Natural breaks (Jenks)",
+};
+
+export const wardKey = (feature) => feature?.properties?.KGISWardCode;
+
+// Per-ward counts and densities, keyed by KGISWardCode
+export function computeWardStats(wardData, treeData, schoolData) {
+  const stats = {};
+  if (!wardData?.features) return stats;
+
+  wardData.features.forEach((feature) => {
+    stats[wardKey(feature)] = {
+      areaKm2: geometryArea(feature.geometry) / 1e6,
+      trees: 0,
+      schools: 0,
+    };
+  });
+
+  const index = createGridIndex(wardData.features);
+  const countInto = (collection, field) => {
+    collection?.features?.forEach((feature) => {
+      const point = featurePoint(feature);
+      const ward = point && index.find(point);
+      if (ward) stats[wardKey(ward)][field] += 1;
+    });
+  };
+  countInto(treeData, "trees");
+  countInto(schoolData, "schools");
+
+  Object.values(stats).forEach((s) => {
+    s.treeDensity = s.areaKm2 > 0 ? s.trees / s.areaKm2 : 0;
+    s.schoolDensity = s.areaKm2 > 0 ? (s.schools / s.areaKm2) * 10 : 0;
+  });
+
+  return stats;
+}
+
+function quantileBreaks(sorted, k) {
+  return Array.from({ length: k }, (_, i) => {
+    const idx = Math.ceil(((i + 1) * sorted.length) / k) - 1;
+    return sorted[Math.max(0, Math.min(sorted.length - 1, idx))];
+  });
+}
+
+function equalIntervalBreaks(sorted, k) {
+  const min = sorted[0];
+  const step = (sorted[sorted.length - 1] - min) / k;
+  return Array.from({ length: k }, (_, i) => (i === k - 1 ? sorted[sorted.length - 1] : min + step * (i + 1)));
+}
+
+// Fisher-Jenks natural breaks (dynamic programming over the sorted values)
+function jenksBreaks(sorted, k) {
+  const n = sorted.length;
+  const lower = Array.from({ length: n + 1 }, () => new Array(k + 1).fill(0));
+  const variance = Array.from({ length: n + 1 }, () => new Array(k + 1).fill(Infinity));
+  for (let j = 1; j <= k; j++) {
+    lower[1][j] = 1;
+    variance[1][j] = 0;
+  }
+
+  for (let l = 2; l <= n; l++) {
+    let sum = 0;
+    let sumSquares = 0;
+    let w = 0;
+    let v = 0;
+    for (let m = 1; m <= l; m++) {
+      const i3 = l - m + 1;
+      const val = sorted[i3 - 1];
+      w++;
+      sum += val;
+      sumSquares += val * val;
+      v = sumSquares - (sum * sum) / w;
+      if (i3 > 1) {
+        for (let j = 2; j <= k; j++) {
+          if (variance[l][j] >= v + variance[i3 - 1][j - 1]) {
+            lower[l][j] = i3;
+            variance[l][j] = v + variance[i3 - 1][j - 1];
+          }
+        }
+      }
+    }
+    lower[l][1] = 1;
+    variance[l][1] = v;
+  }
+
+  const breaks = new Array(k);
+  breaks[k - 1] = sorted[n - 1];
+  let idx = n;
+  for (let j = k; j >= 2; j--) {
+    idx = lower[idx][j] - 1;
+    breaks[j - 2] = sorted[Math.max(0, idx - 1)];
+  }
+  return breaks;
+}
+
+// Upper bound of each of the k classes, ascending
+export function classBreaks(values, k, method = "quantile") {
+  const sorted = values.filter((v) => typeof v === "number" && isFinite(v)).sort((a, b) => a - b);
+  if (sorted.length === 0) return [];
+  const classes = Math.min(k, sorted.length);
+  if (method === "equal") return equalIntervalBreaks(sorted, classes);
+  if (method === "jenks") return jenksBreaks(sorted, classes);
+  return quantileBreaks(sorted, classes);
+}
+
+// Breaks plus a colour lookup for one metric of the ward stats
+export function buildChoropleth(stats, metric, method) {
+  const definition = WARD_METRICS[metric];
+  if (!definition) return null;
+
+  const breaks = classBreaks(
+    Object.values(stats).map((s) => s[metric]),
+    definition.colors.length,
+    method
+  );
+  const colors = definition.colors.slice(definition.colors.length - breaks.length);
+  const colorFor = (value) => {
+    const idx = breaks.findIndex((b) => value <= b);
+    return colors[idx === -1 ? colors.length - 1 : idx];
+  };
+
+  return { metric, label: definition.label, breaks, colors, colorFor };
+}
+
+const formatValue = (value) =>
+  Number.isInteger(value) ? String(value) : value.toFixed(value < 10 ? 2 : 1);
+
+// "≤ 12" / "12 – 40" label for class i of a set of breaks
+export function classLabel(breaks, i) {
+  return i === 0
+    ? `≤ ${formatValue(breaks[0])}`
+    : `${formatValue(breaks[i - 1])} – ${formatValue(breaks[i])}`;
+}
@@ -0,0 +1,43 @@
+import { classBreaks, computeWardStats, buildChoropleth } from "./wardStats";
+
+const square = (code, x0, y0, size) => ({
+  type: "Feature",
+  properties: { KGISWardCode: code },
+  geometry: {
+    type: "Polygon",
+    coordinates: [[[x0, y0], [x0 + size, y0], [x0 + size, y0 + size], [x0, y0 + size], [x0, y0]]],
+  },
+});
+
+const point = (lng, lat) => ({
+  type: "Feature",
+  properties: {},
+  geometry: { type: "Point", coordinates: [lng, lat] },
+});
+
+test("classBreaks splits values by each method", () => {
+  const values = [1, 2, 3, 4, 5, 6, 7, 8, 9, 10];
+  expect(classBreaks(values, 5, "quantile")).toEqual([2, 4, 6, 8, 10]);
+  expect(classBreaks(values, 5, "equal")).toEqual([2.8, 4.6, 6.4, 8.2, 10]);
+  expect(classBreaks([1, 1, 2, 2, 10, 11, 12, 30, 31], 3, "jenks")).toEqual([2, 12, 31]);
+  expect(classBreaks([], 5, "jenks")).toEqual([]);
+});
+
+test("computeWardStats counts points per ward and derives densities", () => {
+  const wards = { type: "FeatureCollection", features: [square("A", 77.5, 12.9, 0.01), square("B", 77.51, 12.9, 0.01)] };
+  const trees = { type: "FeatureCollection", features: [point(77.505, 12.905), point(77.506, 12.905), point(77.515, 12.905)] };
+  const schools = { type: "FeatureCollection", features: [point(77.515, 12.905), point(80, 10)] };
+
+  const stats = computeWardStats(wards, trees, schools);
+  expect(stats.A.trees).toBe(2);
+  expect(stats.B.trees).toBe(1);
+  expect(stats.A.schools).toBe(0);
+  expect(stats.B.schools).toBe(1);
+  expect(stats.A.areaKm2).toBeGreaterThan(1.1);
+  expect(stats.A.areaKm2).toBeLessThan(1.3);
+  expect(stats.A.treeDensity).toBeCloseTo(2 / stats.A.areaKm2);
+
+  const choropleth = buildChoropleth(stats, "trees", "quantile");
+  expect(choropleth.breaks).toEqual([1, 2]);
+  expect(choropleth.colorFor(2)).toBe(choropleth.colors[1]);
+});
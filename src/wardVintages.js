@@ -0,0 +1,210 @@
+// src/wardVintages.js
+// Ward boundary vintages: several delimitations loaded side by side, each
+// normalised to the KGIS property names the rest of the app reads, and the
+// crosswalk between two of them (how much of each new ward came from each
+// old one). Overlaps are measured by scanning both vintages along the same
+// rows, like the low-lying analysis rasterises wards.
+import { geometryBounds } from "./geoUtils";
+import { rowSpans } from "./lowLying";
+import { toCsv } from "./fileUtils";
+
+export const WARD_VINTAGES_URL = process.env.REACT_APP_WARD_VINTAGES_URL || "/data/ward-vintages.json";
+// Used when there is no manifest: the one snapshot the app ships with
+export const DEFAULT_VINTAGES = [
+  { id: "bbmp-243", name: "BBMP 243 wards", url: "/data/ward-boundaries.geojson" },
+];
+
+const METRES_PER_DEGREE_LAT = 110574;
+const METRES_PER_DEGREE_LNG = 111320;
+
+// Property names tried for each field, best first
+const CODE_FIELDS = [/^kgiswardcode$/i, /^ward_?code$/i, /^ward_?id$/i, /^ward_?(no|num|number)$/i, /^code$/i, /^id$/i];
+const NAME_FIELDS = [/^kgiswardname$/i, /^ward_?name$/i, /^name$/i];
+const NUMBER_FIELDS = [/^kgiswardno$/i, /^ward_?(no|num|number)$/i];
+
+const isPolygon = (f) => f?.geometry?.type === "Polygon" || f?.geometry?.type === "MultiPolygon";
+
+// Splits a manifest into usable vintages and { id, error } problems
+export function validateVintageManifest(manifest) {
+  const vintages = [];
+  const problems = [];
+  const seen = new Set();
+
+  (Array.isArray(manifest?.vintages) ? manifest.vintages : []).forEach((entry, i) => {
+    const id = entry?.id || `vintage-${i + 1}`;
+    let error = null;
+    if (!entry?.id) error = "missing id";
+    else if (seen.has(id)) error = "duplicate id";
+    else if (!entry.url) error = "missing url";
+
+    if (error) {
+      problems.push({ id, error });
+      return;
+    }
+    seen.add(id);
+    vintages.push({ name: id, ...entry });
+  });
+
+  if (!Array.isArray(manifest?.vintages)) problems.push({ id: "manifest", error: "no vintages listed" });
+  return { vintages, problems };
+}
+
+// Code, name and number property names of a ward layer from another
+// source, guessed from its first feature
+export function guessWardFields(geojson) {
+  const keys = Object.keys(geojson?.features?.find(isPolygon)?.properties || {});
+  const find = (patterns) => patterns.map((p) => keys.find((k) => p.test(k))).find(Boolean) || null;
+  return { codeField: find(CODE_FIELDS), nameField: find(NAME_FIELDS), numberField: find(NUMBER_FIELDS) };
+}
+
+// The vintage's ward polygons with KGISWardCode, KGISWardName and
+// KGISWardNo filled from its own fields (originals kept). Wards without a
+// code are numbered within the vintage.
+export function normalizeVintage(geojson, { id, codeField, nameField, numberField } = {}) {
+  const guessed = guessWardFields(geojson);
+  const fields = {
+    codeField: codeField || guessed.codeField,
+    nameField: nameField || guessed.nameField,
+    numberField: numberField || guessed.numberField,
+  };
+  const features = (geojson?.features || []).filter(isPolygon).map((feature, i) => {
+    const props = feature.properties || {};
+    const code = props[fields.codeField] ?? `${id}-${i + 1}`;
+    const number = props[fields.numberField] ?? null;
+    return {
+      ...feature,
+      properties: {
+        ...props,
+        KGISWardCode: String(code),
+        KGISWardName: props[fields.nameField] ?? `Ward ${number ?? code}`,
+        KGISWardNo: number === null ? null : String(number),
+        vintage: id,
+      },
+    };
+  });
+  return { type: "FeatureCollection", features };
+}
+
+async function fetchJson(url) {
+  const res = await fetch(url);
+  if (!res.ok) throw new Error(`HTTP error! status: ${res.status} for ${url}`);
+  return res.json();
+}
+
+// Every vintage in the manifest (or the default one without a manifest),
+// loaded: [{ id, name, ..., data, error }]
+export async function loadWardVintages(url = WARD_VINTAGES_URL) {
+  let vintages = DEFAULT_VINTAGES;
+  try {
+    const manifest = validateVintageManifest(await fetchJson(url));
+    manifest.problems.forEach((p) => console.warn(`Ward vintage ${p.id}: ${p.error}`));
+    if (manifest.vintages.length) vintages = manifest.vintages;
+  } catch (error) {
+    console.warn("No ward vintage manifest, using the default boundaries:", error.message);
+  }
+  return Promise.all(
+    vintages.map(async (vintage) => {
+      try {
+        return { ...vintage, data: normalizeVintage(await fetchJson(vintage.url), vintage), error: null };
+      } catch (error) {
+        return { ...vintage, data: null, error: error.message };
+      }
+    })
+  );
+}
+
+// Intersecting [x0, x1, index] spans of a row, both lists sorted by x0.
+// Wards of one vintage don't overlap, so their spans are disjoint.
+function intersectSpans(from, to, add) {
+  let start = 0;
+  to.forEach(([bx0, bx1, j]) => {
+    while (start < from.length && from[start][1] <= bx0) start++;
+    for (let k = start; k < from.length && from[k][0] < bx1; k++) {
+      const width = Math.min(bx1, from[k][1]) - Math.max(bx0, from[k][0]);
+      if (width > 0) add(from[k][2], j, width);
+    }
+  });
+}
+
+// For each ward of `toWards` (the newer vintage), its area and the share of
+// it that lay in each ward of `fromWards`:
+//   [{ feature, areaM2, sources: [{ feature, areaM2, shareOfNew, shareOfOld }],
+//      unmatchedM2 }]
+// Overlaps under `minShare` of the new ward (digitising slivers) are dropped.
+export function wardCrosswalk(fromWards, toWards, { rowM = 20, minShare = 0.001 } = {}) {
+  const withBounds = (collection) =>
+    (collection?.features || []).filter(isPolygon).map((feature) => ({ feature, bounds: geometryBounds(feature.geometry) }));
+  const from = withBounds(fromWards);
+  const to = withBounds(toWards);
+  if (from.length === 0 || to.length === 0) return [];
+
+  const all = [...from, ...to];
+  const minY = Math.min(...all.map((w) => w.bounds[1]));
+  const maxY = Math.max(...all.map((w) => w.bounds[3]));
+  const step = rowM / METRES_PER_DEGREE_LAT;
+
+  const fromArea = new Float64Array(from.length);
+  const toArea = new Float64Array(to.length);
+  const overlaps = to.map(() => new Map()); // from index -> m²
+
+  const rowSpansOf = (wards, lat) => {
+    const spans = [];
+    wards.forEach((w, i) => {
+      if (lat < w.bounds[1] || lat > w.bounds[3]) return;
+      rowSpans(w.feature.geometry, lat).forEach(([x0, x1]) => spans.push([x0, x1, i]));
+    });
+    return spans.sort((a, b) => a[0] - b[0]);
+  };
+
+  for (let lat = minY + step / 2; lat < maxY; lat += step) {
+    const m2PerDegree = METRES_PER_DEGREE_LNG * Math.cos((lat * Math.PI) / 180) * rowM;
+    const fromSpans = rowSpansOf(from, lat);
+    const toSpans = rowSpansOf(to, lat);
+    fromSpans.forEach(([x0, x1, i]) => (fromArea[i] += (x1 - x0) * m2PerDegree));
+    toSpans.forEach(([x0, x1, j]) => (toArea[j] += (x1 - x0) * m2PerDegree));
+    intersectSpans(fromSpans, toSpans, (i, j, width) => {
+      const map = overlaps[j];
+      map.set(i, (map.get(i) || 0) + width * m2PerDegree);
+    });
+  }
+
+  return to.map(({ feature }, j) => {
+    const areaM2 = toArea[j];
+    const matched = Array.from(overlaps[j].values()).reduce((sum, m2) => sum + m2, 0);
+    const sources = Array.from(overlaps[j], ([i, m2]) => ({
+      feature: from[i].feature,
+      areaM2: m2,
+      shareOfNew: areaM2 > 0 ? m2 / areaM2 : 0,
+      shareOfOld: fromArea[i] > 0 ? m2 / fromArea[i] : 0,
+    }))
+      .filter((s) => s.shareOfNew >= minShare)
+      .sort((a, b) => b.areaM2 - a.areaM2);
+    return { feature, areaM2, sources, unmatchedM2: Math.max(0, areaM2 - matched) };
+  });
+}
+
+const wardCells = (feature) => [feature.properties.KGISWardCode, feature.properties.KGISWardName];
+
+// One CSV row per (new ward, old ward) overlap, plus the part of a new ward
+// outside every old ward
+export function crosswalkToCsv(crosswalk) {
+  const rows = [];
+  crosswalk.forEach(({ feature, areaM2, sources, unmatchedM2 }) => {
+    sources.forEach((s) =>
+      rows.push([
+        ...wardCells(feature),
+        ...wardCells(s.feature),
+        (s.areaM2 / 1e6).toFixed(4),
+        (s.shareOfNew * 100).toFixed(2),
+        (s.shareOfOld * 100).toFixed(2),
+      ])
+    );
+    if (areaM2 > 0 && unmatchedM2 / areaM2 >= 0.001) {
+      rows.push([...wardCells(feature), "", "(outside old wards)", (unmatchedM2 / 1e6).toFixed(4), ((unmatchedM2 / areaM2) * 100).toFixed(2), ""]);
+    }
+  });
+  return toCsv(
+    ["new_ward_code", "new_ward_name", "old_ward_code", "old_ward_name", "overlap_km2", "share_of_new_pct", "share_of_old_pct"],
+    rows
+  );
+}
@@ -0,0 +1,96 @@
+import {
+  validateVintageManifest,
+  guessWardFields,
+  normalizeVintage,
+  wardCrosswalk,
+  crosswalkToCsv,
+} from "./wardVintages";
+
+const square = (x0, y0, x1, y1) => [[x0, y0], [x1, y0], [x1, y1], [x0, y1], [x0, y0]];
+const ward = (properties, coords) => ({ type: "Feature", properties, geometry: { type: "Polygon", coordinates: [coords] } });
+
+// Old: west and east halves of a 0.02° square. New: three vertical strips.
+const oldWards = normalizeVintage(
+  {
+    type: "FeatureCollection",
+    features: [
+      ward({ KGISWardCode: "O1", KGISWardName: "Old West", KGISWardNo: "1" }, square(77.5, 12.9, 77.51, 12.92)),
+      ward({ KGISWardCode: "O2", KGISWardName: "Old East", KGISWardNo: "2" }, square(77.51, 12.9, 77.52, 12.92)),
+    ],
+  },
+  { id: "old" }
+);
+const newWards = normalizeVintage(
+  {
+    type: "FeatureCollection",
+    features: [
+      ward({ ward_no: 1, ward_name: "West" }, square(77.5, 12.9, 77.505, 12.92)),
+      ward({ ward_no: 2, ward_name: "Middle" }, square(77.505, 12.9, 77.515, 12.92)),
+      // Reaches 0.005° past the old wards on the east
+      ward({ ward_no: 3, ward_name: "East" }, square(77.515, 12.9, 77.525, 12.92)),
+    ],
+  },
+  { id: "new" }
+);
+
+test("validateVintageManifest keeps good vintages and reports the rest", () => {
+  const { vintages, problems } = validateVintageManifest({
+    vintages: [
+      { id: "a", url: "/a.geojson", name: "A" },
+      { id: "a", url: "/a2.geojson" },
+      { url: "/b.geojson" },
+      { id: "c" },
+      { id: "d", url: "/d.geojson" },
+    ],
+  });
+  expect(vintages.map((v) => [v.id, v.name])).toEqual([["a", "A"], ["d", "d"]]);
+  expect(problems).toEqual([
+    { id: "a", error: "duplicate id" },
+    { id: "vintage-3", error: "missing id" },
+    { id: "c", error: "missing url" },
+  ]);
+  expect(validateVintageManifest(null).problems).toEqual([{ id: "manifest", error: "no vintages listed" }]);
+});
+
+test("guessWardFields and normalizeVintage map other schemas onto the KGIS names", () => {
+  expect(guessWardFields({ features: [ward({ OBJECTID: 4, WARD_NO: 12, WARD_NAME: "Hebbal", id: 9 }, square(0, 0, 1, 1))] })).toEqual({
+    codeField: "WARD_NO",
+    nameField: "WARD_NAME",
+    numberField: "WARD_NO",
+  });
+  expect(newWards.features.map((f) => f.properties.KGISWardCode)).toEqual(["1", "2", "3"]);
+  expect(newWards.features[1].properties).toMatchObject({ KGISWardName: "Middle", KGISWardNo: "2", ward_name: "Middle", vintage: "new" });
+
+  const bare = normalizeVintage({ features: [ward({}, square(0, 0, 1, 1)), { type: "Feature", geometry: { type: "Point", coordinates: [0, 0] } }] }, { id: "x" });
+  expect(bare.features).toHaveLength(1);
+  expect(bare.features[0].properties).toMatchObject({ KGISWardCode: "x-1", KGISWardName: "Ward x-1", KGISWardNo: null });
+});
+
+test("wardCrosswalk splits each new ward by the old wards it came from", () => {
+  const crosswalk = wardCrosswalk(oldWards, newWards, { rowM: 10 });
+  const byName = Object.fromEntries(crosswalk.map((c) => [c.feature.properties.KGISWardName, c]));
+
+  expect(byName.West.sources.map((s) => s.feature.properties.KGISWardCode)).toEqual(["O1"]);
+  expect(byName.West.sources[0].shareOfNew).toBeCloseTo(1, 3);
+  expect(byName.West.sources[0].shareOfOld).toBeCloseTo(0.5, 2);
+
+  const middle = byName.Middle.sources;
+  expect(middle).toHaveLength(2);
+  middle.forEach((s) => expect(s.shareOfNew).toBeCloseTo(0.5, 2));
+
+  expect(byName.East.sources.map((s) => s.feature.properties.KGISWardCode)).toEqual(["O2"]);
+  expect(byName.East.sources[0].shareOfNew).toBeCloseTo(0.5, 2);
+  expect(byName.East.unmatchedM2 / byName.East.areaM2).toBeCloseTo(0.5, 2);
+  // 0.01° x 0.02° at 12.9° N is about 2.4 km²
+  expect(byName.East.areaM2 / 1e6).toBeCloseTo(2.41, 1);
+
+  expect(wardCrosswalk(oldWards, { features: [] })).toEqual([]);
+});
+
+test("crosswalkToCsv lists every overlap and the unmatched part", () => {
+  const lines = crosswalkToCsv(wardCrosswalk(oldWards, newWards, { rowM: 10 })).split("\n");
+  expect(lines[0]).toBe("new_ward_code,new_ward_name,old_ward_code,old_ward_name,overlap_km2,share_of_new_pct,share_of_old_pct");
+  expect(lines).toHaveLength(6);
+  expect(lines[1]).toMatch(/^1,West,O1,Old West,1\.(19|20)\d\d,100\.00,50\.00$/);
+  expect(lines[5]).toMatch(/^3,East,,\(outside old wards\),1\.(19|20)\d\d,50\.00,$/);
+});